@@ -0,0 +1,151 @@
+/**
+ * AI Stream Module for Murmullo
+ * Reads Server-Sent Events from Anthropic, OpenAI-compatible APIs, Gemini and
+ * the Murmullo backend, so smart mode can show the corrected text while it is being written
+ */
+
+/**
+ * Incremental SSE parser
+ * @param {Function} onEvent - ({ event, data }) => void, once per complete event
+ * @returns {{ push: Function, end: Function }} push(chunk) with decoded text, end() at EOF
+ */
+function createSseParser(onEvent) {
+  let buffer = '';
+  let event = '';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: event || 'message', data: dataLines.join('\n') });
+    }
+    event = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return; // Comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') dataLines.push(value);
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    end() {
+      if (buffer) processLine(buffer);
+      buffer = '';
+      dispatch();
+    }
+  };
+}
+
+function parseJson(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * What one SSE event means for the completion being streamed
+ * @param {'anthropic' | 'openai' | 'gemini' | 'backend'} provider
+ * @param {{ event: string, data: string }} sse
+ * @returns {{ text?: string, done?: boolean, error?: string }}
+ */
+function interpretStreamEvent(provider, { event, data }) {
+  if (provider === 'openai') {
+    if (data.trim() === '[DONE]') return { done: true };
+    const payload = parseJson(data);
+    if (payload?.error) return { error: payload.error.message || 'OpenAI stream error' };
+    const text = payload?.choices?.[0]?.delta?.content;
+    return text ? { text } : {};
+  }
+
+  const payload = parseJson(data);
+
+  if (provider === 'anthropic') {
+    if (payload?.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      return { text: payload.delta.text };
+    }
+    if (payload?.type === 'message_stop') return { done: true };
+    if (payload?.type === 'error') return { error: payload.error?.message || 'Anthropic stream error' };
+    return {};
+  }
+
+  if (provider === 'gemini') {
+    // Every event is a partial GenerateContentResponse; the stream just ends
+    if (payload?.error) return { error: payload.error.message || 'Gemini stream error' };
+    const parts = payload?.candidates?.[0]?.content?.parts || [];
+    const text = parts.map(part => part.text || '').join('');
+    return text ? { text } : {};
+  }
+
+  // Murmullo backend: data events carry text deltas, then "done" or "error"
+  if (event === 'done') return { done: true };
+  if (event === 'error') return { error: payload?.error || 'Backend stream error' };
+  return payload?.text ? { text: payload.text } : {};
+}
+
+/**
+ * Read a streamed completion to the end
+ * @param {ReadableStream} body - fetch Response body
+ * @param {'anthropic' | 'openai' | 'gemini' | 'backend'} provider
+ * @param {Function} [onText] - (textSoFar) => void after each delta
+ * @returns {Promise<string>} The full text
+ * @throws {Error} When the provider reports an error mid-stream
+ */
+async function readCompletionStream(body, provider, onText = () => {}) {
+  let text = '';
+  let failure = null;
+  let done = false;
+
+  const parser = createSseParser((sse) => {
+    if (done || failure) return;
+    const result = interpretStreamEvent(provider, sse);
+    if (result.error) {
+      failure = new Error(result.error);
+    } else if (result.text) {
+      text += result.text;
+      onText(text);
+    } else if (result.done) {
+      done = true;
+    }
+  });
+
+  const reader = body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  try {
+    while (!done && !failure) {
+      const { value, done: streamEnded } = await reader.read();
+      if (streamEnded) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+  } finally {
+    // Stop downloading once the completion is known
+    reader.cancel().catch(() => {});
+  }
+
+  if (failure) throw failure;
+  return text;
+}
+
+module.exports = {
+  createSseParser,
+  interpretStreamEvent,
+  readCompletionStream
+};
@@ -0,0 +1,192 @@
+/**
+ * App Profiles Module for Murmullo
+ * Detects the application in the foreground when dictation starts (xprop on
+ * Linux X11, the process name on Windows) and picks the first matching rule,
+ * e.g. code mode in VS Code or the formal email template in Thunderbird
+ */
+
+const { execFile } = require('child_process');
+
+const MAX_APP_RULES = 30;
+const DETECT_TIMEOUT_MS = 3000;
+
+// '' = same as the Control Panel
+const APP_RULE_DEFAULTS = {
+  processingMode: '',
+  language: '',
+  reasoningProvider: '',
+  transcriptionProvider: '',
+  translateTo: '',
+  outputMode: '',
+  promptTemplateId: ''
+};
+
+const DEFAULT_APP_RULES = [
+  {
+    id: 'rule_editors',
+    name: 'Editores de código',
+    apps: ['code', 'code-oss', 'vscodium', 'cursor'],
+    processingMode: 'code'
+  },
+  {
+    id: 'rule_terminals',
+    name: 'Terminales',
+    apps: ['gnome-terminal-server', 'konsole', 'alacritty', 'kitty', 'xterm', 'wezterm-gui', 'tilix', 'windowsterminal'],
+    processingMode: 'code',
+    outputMode: 'type'
+  },
+  {
+    id: 'rule_email',
+    name: 'Correo',
+    apps: ['thunderbird', 'outlook', 'olk'],
+    processingMode: 'smart',
+    promptTemplateId: 'correo-formal'
+  },
+  {
+    id: 'rule_chat',
+    name: 'Slack',
+    apps: ['slack'],
+    processingMode: 'smart',
+    promptTemplateId: 'mensaje-casual'
+  }
+].map(rule => normalizeAppRule({ ...rule, enabled: true }));
+
+/**
+ * Fill defaults and drop unknown fields from a saved rule
+ * App names are compared in lowercase, without the ".exe" suffix.
+ * @param {object} rule
+ * @returns {object}
+ */
+function normalizeAppRule(rule) {
+  const normalized = {
+    id: rule.id,
+    name: rule.name.trim(),
+    enabled: rule.enabled !== false,
+    apps: [...new Set((rule.apps || []).map(normalizeAppName).filter(Boolean))],
+    titleContains: (rule.titleContains || '').trim()
+  };
+  for (const [field, fallback] of Object.entries(APP_RULE_DEFAULTS)) {
+    normalized[field] = rule[field] || fallback;
+  }
+  return normalized;
+}
+
+function normalizeAppName(name) {
+  return String(name).trim().toLowerCase().replace(/\.exe$/, '');
+}
+
+/**
+ * Window id from `xprop -root _NET_ACTIVE_WINDOW`
+ * @param {string} output
+ * @returns {string | null} null when no window has the focus
+ */
+function parseXpropActiveWindow(output) {
+  const match = /window id # (0x[0-9a-f]+)/i.exec(output || '');
+  if (!match || /^0x0+$/i.test(match[1])) return null;
+  return match[1];
+}
+
+/**
+ * Class and title from `xprop -id <window> WM_CLASS _NET_WM_NAME WM_NAME`
+ * @param {string} output
+ * @returns {{ names: string[], title: string } | null}
+ */
+function parseXpropWindow(output) {
+  const property = (name) => {
+    const match = new RegExp(`^${name}\\([^)]*\\) = (.*)$`, 'm').exec(output || '');
+    return match ? match[1] : null;
+  };
+  const quoted = (value) => [...(value || '').matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(m => m[1].replace(/\\(.)/g, '$1'));
+
+  const names = quoted(property('WM_CLASS'));
+  const title = quoted(property('_NET_WM_NAME'))[0] ?? quoted(property('WM_NAME'))[0] ?? '';
+  if (names.length === 0 && !title) return null;
+  return { names: [...new Set(names.map(normalizeAppName))], title };
+}
+
+/**
+ * Process name and window title printed by the PowerShell detector ("name<TAB>title")
+ * @param {string} output
+ * @returns {{ names: string[], title: string } | null}
+ */
+function parseWindowsForeground(output) {
+  const line = (output || '').trim().split(/\r?\n/)[0];
+  if (!line) return null;
+  const [name, ...title] = line.split('\t');
+  if (!name.trim()) return null;
+  return { names: [normalizeAppName(name)], title: title.join('\t').trim() };
+}
+
+// GetForegroundWindow has no PowerShell cmdlet, so it goes through user32.dll
+const WINDOWS_DETECT_SCRIPT = [
+  '[Console]::OutputEncoding = [System.Text.Encoding]::UTF8',
+  'Add-Type -Name Foreground -Namespace Murmullo -MemberDefinition \'[DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow(); [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);\'',
+  '$processId = 0',
+  '[void][Murmullo.Foreground]::GetWindowThreadProcessId([Murmullo.Foreground]::GetForegroundWindow(), [ref]$processId)',
+  '$process = Get-Process -Id $processId',
+  'Write-Output "$($process.ProcessName)`t$($process.MainWindowTitle)"'
+].join('; ');
+
+function run(execFileFn, command, args) {
+  return new Promise((resolve, reject) => {
+    execFileFn(command, args, { timeout: DETECT_TIMEOUT_MS, windowsHide: true }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(String(stdout));
+    });
+  });
+}
+
+/**
+ * Application in the foreground
+ * Wayland-native windows are invisible to xprop, so Linux detection only works on X11/XWayland.
+ * @param {object} [options]
+ * @param {string} [options.platform]
+ * @param {Function} [options.execFileFn]
+ * @returns {Promise<{ names: string[], title: string } | null>} null when it can't be detected
+ */
+async function detectForegroundApp({ platform = process.platform, execFileFn = execFile } = {}) {
+  try {
+    if (platform === 'win32') {
+      return parseWindowsForeground(await run(execFileFn, 'powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', WINDOWS_DETECT_SCRIPT]));
+    }
+    if (platform === 'darwin') {
+      const name = await run(execFileFn, 'osascript', ['-e', 'tell application "System Events" to get name of first application process whose frontmost is true']);
+      return name.trim() ? { names: [normalizeAppName(name)], title: '' } : null;
+    }
+    const windowId = parseXpropActiveWindow(await run(execFileFn, 'xprop', ['-root', '_NET_ACTIVE_WINDOW']));
+    if (!windowId) return null;
+    return parseXpropWindow(await run(execFileFn, 'xprop', ['-id', windowId, 'WM_CLASS', '_NET_WM_NAME', 'WM_NAME']));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * First enabled rule matching the application
+ * A rule needs an app name, a title fragment or both; all the given ones must match.
+ * @param {{ names: string[], title: string } | null} app
+ * @param {Array} rules
+ * @returns {object | null}
+ */
+function findAppRule(app, rules) {
+  if (!app) return null;
+  const title = (app.title || '').toLowerCase();
+  return rules.find(rule => {
+    if (!rule.enabled || (rule.apps.length === 0 && !rule.titleContains)) return false;
+    if (rule.apps.length > 0 && !rule.apps.some(name => app.names.includes(name))) return false;
+    if (rule.titleContains && !title.includes(rule.titleContains.toLowerCase())) return false;
+    return true;
+  }) || null;
+}
+
+module.exports = {
+  MAX_APP_RULES,
+  APP_RULE_DEFAULTS,
+  DEFAULT_APP_RULES,
+  normalizeAppRule,
+  parseXpropActiveWindow,
+  parseXpropWindow,
+  parseWindowsForeground,
+  detectForegroundApp,
+  findAppRule
+};
@@ -2,7 +2,7 @@ import { Router } from 'express';
 import rateLimit from 'express-rate-limit';
 import { body, validationResult } from 'express-validator';
 import { authenticate, checkUsageQuota } from '../middleware/auth.js';
-import { processText } from '../services/aiService.js';
+import { processText, streamText, PROMPT_TEMPLATE_IDS } from '../services/aiService.js';
 import { db } from '../db/index.js';
 import { logger } from '../utils/logger.js';
 
@@ -15,9 +15,56 @@ const aiLimiter = rateLimit({
   message: { error: 'Too many AI requests, please wait' }
 });
 
+/**
+ * Send the AI response as Server-Sent Events: "data" events with text deltas,
+ * then a "done" event with the metadata, or an "error" event
+ */
+async function streamProcessedText(req, res, text, options) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let a reverse proxy buffer the stream
+  });
+  res.flushHeaders();
+
+  // compression() buffers writes until flushed
+  const send = (event, data) => {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    res.flush?.();
+  };
+
+  try {
+    const result = await streamText(text, options, (delta) => send(null, { text: delta }));
+
+    logger.info('AI streaming completed', {
+      userId: req.user.id,
+      provider: options.provider,
+      template: options.template ? 'custom' : (options.templateId || 'default'),
+      latency: result.latency
+    });
+
+    send('done', {
+      provider: result.provider,
+      model: result.model,
+      latency_ms: result.latency,
+      input_length: text.length,
+      output_length: result.text.length
+    });
+  } catch (error) {
+    logger.warn('AI streaming failed', {
+      userId: req.user.id,
+      error: error.message
+    });
+    send('error', { error: 'AI processing failed' });
+  }
+  res.end();
+}
+
 /**
  * POST /api/v1/ai/process
  * Process text with AI (grammar correction, formatting)
+ * With "stream": true the response is an SSE stream (see streamProcessedText).
  */
 router.post('/process',
   authenticate,
@@ -26,7 +73,11 @@ router.post('/process',
   [
     body('text').notEmpty().isLength({ max: 10000 }).withMessage('Text is required (max 10000 chars)'),
     body('provider').optional().isIn(['anthropic', 'openai']).withMessage('Invalid provider'),
-    body('model').optional().isString().withMessage('Invalid model')
+    body('model').optional().isString().withMessage('Invalid model'),
+    body('translateTo').optional().isIn(['es', 'en']).withMessage('Invalid translation target'),
+    body('template').optional().isString().isLength({ min: 1, max: 8000 }).withMessage('Invalid template (max 8000 chars)'),
+    body('templateId').optional().isIn(PROMPT_TEMPLATE_IDS).withMessage('Unknown template'),
+    body('stream').optional().isBoolean().withMessage('Invalid stream flag')
   ],
   async (req, res, next) => {
     try {
@@ -35,7 +86,7 @@ router.post('/process',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { text, provider = 'anthropic', model } = req.body;
+      const { text, provider = 'anthropic', model, translateTo, template, templateId, stream } = req.body;
 
       // Check if text is too short to process
       if (text.trim().length < 3) {
@@ -47,12 +98,17 @@ router.post('/process',
         });
       }
 
+      if (stream === true) {
+        return streamProcessedText(req, res, text, { provider, model, translateTo, template, templateId });
+      }
+
       // Process text with AI
-      const result = await processText(text, { provider, model });
+      const result = await processText(text, { provider, model, translateTo, template, templateId });
 
       logger.info('AI processing completed', {
         userId: req.user.id,
         provider,
+        template: template ? 'custom' : (templateId || 'default'),
         latency: result.latency
       });
 
@@ -52,6 +52,27 @@ Ejemplos correctos:
 - "uno dos tres" → "Uno, dos, tres."
 - "fondos de inversion y riesgos" → "Fondos de inversión y riesgos."`;
 
+// Server-side templates a client can ask for by id. Clients with their own
+// templates send the rendered body instead (see the Murmullo desktop app).
+const PROMPT_TEMPLATES = {
+  literal: SYSTEM_PROMPT
+};
+
+export const PROMPT_TEMPLATE_IDS = Object.keys(PROMPT_TEMPLATES);
+
+/**
+ * System prompt from the client's template body, a server template id or the default,
+ * optionally asking for a translation of the corrected text
+ */
+function buildSystemPrompt({ translateTo, template, templateId } = {}) {
+  const basePrompt = template || PROMPT_TEMPLATES[templateId] || SYSTEM_PROMPT;
+  if (!translateTo) return basePrompt;
+  const targetLanguage = translateTo === 'en' ? 'inglés' : 'español';
+  return `${basePrompt}
+
+TRADUCCIÓN: después de corregir, traduce el texto completo al ${targetLanguage}, conservando los términos técnicos y el formato de listas. Output solo la traducción.`;
+}
+
 /**
  * Process text with Claude (Anthropic)
  */
@@ -76,7 +97,7 @@ export async function processWithClaude(text, options = {}) {
       body: JSON.stringify({
         model,
         max_tokens: 1024,
-        system: SYSTEM_PROMPT,
+        system: buildSystemPrompt(options),
         messages: [
           { role: 'user', content: text }
         ]
@@ -143,7 +164,7 @@ export async function processWithGPT(text, options = {}) {
         model,
         max_tokens: 1024,
         messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'system', content: buildSystemPrompt(options) },
           { role: 'user', content: text }
         ]
       })
@@ -185,6 +206,108 @@ export async function processWithGPT(text, options = {}) {
   }
 }
 
+/**
+ * Server-Sent Events from a node-fetch response body
+ * @yields {{ event: string, data: string }}
+ */
+async function* readSseEvents(body) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let event = '';
+  let dataLines = [];
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        if (dataLines.length > 0) yield { event: event || 'message', data: dataLines.join('\n') };
+        event = '';
+        dataLines = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+}
+
+/**
+ * Stream text with Claude or GPT, calling onDelta with each new piece of text
+ */
+export async function streamText(text, options = {}, onDelta = () => {}) {
+  const { provider = 'anthropic' } = options;
+  const isClaude = provider === 'anthropic';
+  if (!isClaude && provider !== 'openai') {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  const model = options.model || (isClaude ? 'claude-3-haiku-20240307' : 'gpt-4o-mini');
+  const apiKey = isClaude ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error(`${isClaude ? 'ANTHROPIC' : 'OPENAI'}_API_KEY not configured`);
+  }
+
+  const startTime = Date.now();
+  const systemPrompt = buildSystemPrompt(options);
+
+  const response = await fetch(isClaude ? ANTHROPIC_API_URL : OPENAI_API_URL, {
+    method: 'POST',
+    headers: isClaude
+      ? { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }
+      : { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+    body: JSON.stringify(isClaude
+      ? { model, max_tokens: 1024, system: systemPrompt, messages: [{ role: 'user', content: text }], stream: true }
+      : { model, max_tokens: 1024, messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: text }], stream: true })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    logger.error(`${isClaude ? 'Claude' : 'OpenAI'} stream error`, {
+      status: response.status,
+      error: errorData.error?.message || 'Unknown error'
+    });
+    throw new Error(errorData.error?.message || `${isClaude ? 'Claude' : 'OpenAI'} API error: ${response.status}`);
+  }
+
+  let processedText = '';
+  for await (const { data } of readSseEvents(response.body)) {
+    if (!isClaude && data.trim() === '[DONE]') break;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (e) {
+      continue;
+    }
+    if (payload.type === 'error' || payload.error) {
+      throw new Error(payload.error?.message || 'Stream error');
+    }
+    if (isClaude && payload.type === 'message_stop') break;
+
+    const delta = isClaude
+      ? (payload.type === 'content_block_delta' && payload.delta?.text) || ''
+      : payload.choices?.[0]?.delta?.content || '';
+    if (delta) {
+      processedText += delta;
+      onDelta(delta);
+    }
+  }
+
+  const latency = Date.now() - startTime;
+  logger.info(`${isClaude ? 'Claude' : 'GPT'} streaming complete`, {
+    latency,
+    inputLength: text.length,
+    outputLength: processedText.length,
+    model
+  });
+
+  return { success: true, text: processedText, provider, model, latency };
+}
+
 /**
  * Process text with preferred provider
  */
@@ -200,4 +323,4 @@ export async function processText(text, options = {}) {
   }
 }
 
-export default { processText, processWithClaude, processWithGPT };
+export default { processText, processWithClaude, processWithGPT, streamText };
@@ -0,0 +1,225 @@
+/**
+ * Code Dictation Module for Murmullo
+ * "code" processing mode: turns spoken casing commands ("camel case user id")
+ * and symbols ("igual igual", "flecha", "llave abierta") into source code
+ */
+
+const { normalizeForMatch } = require('./hallucinationFilter');
+
+// Spoken casing commands. The words that follow, up to the next symbol,
+// casing command or Whisper punctuation, become one identifier.
+const CASING_COMMANDS = [
+  { phrase: 'camel case', casing: 'camel' },
+  { phrase: 'camelcase', casing: 'camel' },
+  { phrase: 'pascal case', casing: 'pascal' },
+  { phrase: 'pascalcase', casing: 'pascal' },
+  { phrase: 'snake case', casing: 'snake' },
+  { phrase: 'snakecase', casing: 'snake' },
+  { phrase: 'kebab case', casing: 'kebab' },
+  { phrase: 'kebabcase', casing: 'kebab' },
+  { phrase: 'constante', casing: 'constant' },
+  { phrase: 'constant case', casing: 'constant' },
+  { phrase: 'screaming snake case', casing: 'constant' }
+];
+
+// Spoken symbols. 'spaced' operators get a space on each side, 'left' symbols
+// stick to the previous token, 'right' ones to the next, 'none' to both.
+const CODE_SYMBOLS = [
+  // Spanish
+  { phrase: 'igual igual igual', symbol: '===', spacing: 'spaced' },
+  { phrase: 'igual igual', symbol: '==', spacing: 'spaced' },
+  { phrase: 'distinto de', symbol: '!=', spacing: 'spaced' },
+  { phrase: 'diferente de', symbol: '!=', spacing: 'spaced' },
+  { phrase: 'mayor o igual', symbol: '>=', spacing: 'spaced' },
+  { phrase: 'menor o igual', symbol: '<=', spacing: 'spaced' },
+  { phrase: 'mayor que', symbol: '>', spacing: 'spaced' },
+  { phrase: 'menor que', symbol: '<', spacing: 'spaced' },
+  { phrase: 'igual', symbol: '=', spacing: 'spaced' },
+  { phrase: 'flecha', symbol: '=>', spacing: 'spaced' },
+  { phrase: 'más', symbol: '+', spacing: 'spaced' },
+  { phrase: 'menos', symbol: '-', spacing: 'spaced' },
+  { phrase: 'asterisco', symbol: '*', spacing: 'spaced' },
+  { phrase: 'barra', symbol: '/', spacing: 'spaced' },
+  { phrase: 'y lógico', symbol: '&&', spacing: 'spaced' },
+  { phrase: 'o lógico', symbol: '||', spacing: 'spaced' },
+  { phrase: 'llave abierta', symbol: '{', spacing: 'spaced' },
+  { phrase: 'abrir llave', symbol: '{', spacing: 'spaced' },
+  { phrase: 'llave cerrada', symbol: '}', spacing: 'spaced' },
+  { phrase: 'cerrar llave', symbol: '}', spacing: 'spaced' },
+  { phrase: 'paréntesis abierto', symbol: '(', spacing: 'none' },
+  { phrase: 'abrir paréntesis', symbol: '(', spacing: 'none' },
+  { phrase: 'paréntesis cerrado', symbol: ')', spacing: 'left' },
+  { phrase: 'cerrar paréntesis', symbol: ')', spacing: 'left' },
+  { phrase: 'corchete abierto', symbol: '[', spacing: 'none' },
+  { phrase: 'abrir corchete', symbol: '[', spacing: 'none' },
+  { phrase: 'corchete cerrado', symbol: ']', spacing: 'left' },
+  { phrase: 'cerrar corchete', symbol: ']', spacing: 'left' },
+  { phrase: 'punto y coma', symbol: ';', spacing: 'left' },
+  { phrase: 'dos puntos', symbol: ':', spacing: 'left' },
+  { phrase: 'punto', symbol: '.', spacing: 'none' },
+  { phrase: 'coma', symbol: ',', spacing: 'left' },
+  { phrase: 'comillas', symbol: '"', spacing: 'quote' },
+  { phrase: 'comilla simple', symbol: "'", spacing: 'quote' },
+  { phrase: 'guion bajo', symbol: '_', spacing: 'none' },
+  { phrase: 'guion', symbol: '-', spacing: 'none' },
+  { phrase: 'arroba', symbol: '@', spacing: 'right' },
+  { phrase: 'almohadilla', symbol: '#', spacing: 'right' },
+  { phrase: 'negación', symbol: '!', spacing: 'right' },
+  { phrase: 'nueva línea', symbol: '\n', spacing: 'newline' },
+  // English
+  { phrase: 'triple equals', symbol: '===', spacing: 'spaced' },
+  { phrase: 'double equals', symbol: '==', spacing: 'spaced' },
+  { phrase: 'not equals', symbol: '!=', spacing: 'spaced' },
+  { phrase: 'equals', symbol: '=', spacing: 'spaced' },
+  { phrase: 'arrow', symbol: '=>', spacing: 'spaced' },
+  { phrase: 'plus', symbol: '+', spacing: 'spaced' },
+  { phrase: 'minus', symbol: '-', spacing: 'spaced' },
+  { phrase: 'open brace', symbol: '{', spacing: 'spaced' },
+  { phrase: 'close brace', symbol: '}', spacing: 'spaced' },
+  { phrase: 'open paren', symbol: '(', spacing: 'none' },
+  { phrase: 'close paren', symbol: ')', spacing: 'left' },
+  { phrase: 'open bracket', symbol: '[', spacing: 'none' },
+  { phrase: 'close bracket', symbol: ']', spacing: 'left' },
+  { phrase: 'semicolon', symbol: ';', spacing: 'left' },
+  { phrase: 'colon', symbol: ':', spacing: 'left' },
+  { phrase: 'dot', symbol: '.', spacing: 'none' },
+  { phrase: 'comma', symbol: ',', spacing: 'left' },
+  { phrase: 'quote', symbol: '"', spacing: 'quote' },
+  { phrase: 'underscore', symbol: '_', spacing: 'none' },
+  { phrase: 'dash', symbol: '-', spacing: 'none' },
+  { phrase: 'new line', symbol: '\n', spacing: 'newline' }
+];
+
+const prepare = (entries) => entries
+  .map(entry => ({ ...entry, words: normalizeForMatch(entry.phrase).split(' ') }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+const PREPARED_CASINGS = prepare(CASING_COMMANDS);
+const PREPARED_SYMBOLS = prepare(CODE_SYMBOLS);
+
+// Whisper punctuation marks a pause, which ends an identifier
+const PAUSE_PUNCTUATION = /[.,;:!?…]+$/;
+
+/**
+ * Split words into identifier parts, so an already cased word from the
+ * dictionary ("UserService") joins the rest of the identifier correctly
+ * @param {string[]} words
+ * @returns {string[]} lowercase parts
+ */
+function splitIdentifierWords(words) {
+  return words
+    .flatMap(word => word.replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2').split(/[\s_-]+/))
+    .map(part => part.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Join words into one identifier
+ * Accents are dropped since most languages don't allow them in identifiers.
+ * @param {string[]} words
+ * @param {'camel' | 'pascal' | 'snake' | 'kebab' | 'constant'} casing
+ * @returns {string}
+ */
+function toIdentifier(words, casing) {
+  const parts = splitIdentifierWords(words)
+    .map(part => part.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+  const capitalize = (part) => part.charAt(0).toUpperCase() + part.slice(1);
+
+  switch (casing) {
+    case 'camel':
+      return parts.map((part, i) => (i === 0 ? part : capitalize(part))).join('');
+    case 'pascal':
+      return parts.map(capitalize).join('');
+    case 'snake':
+      return parts.join('_');
+    case 'kebab':
+      return parts.join('-');
+    case 'constant':
+      return parts.join('_').toUpperCase();
+    default:
+      return words.join(' ');
+  }
+}
+
+function matchAt(keys, index, prepared) {
+  return prepared.find(({ words }) =>
+    index + words.length <= keys.length && words.every((word, k) => keys[index + k] === word)
+  ) || null;
+}
+
+/**
+ * Turn a dictated line of code into source text
+ * Run dictionary replacements first, so project identifiers arrive already spelled.
+ * @param {string} text - Whisper output
+ * @returns {{ text: string, identifiers: number, symbols: number }}
+ */
+function formatCodeDictation(text) {
+  if (!text) return { text: text || '', identifiers: 0, symbols: 0 };
+
+  const words = text.split(/\s+/).filter(w => w);
+  const keys = words.map(normalizeForMatch);
+  const tokens = []; // { text, glueLeft, glueRight }
+  let identifiers = 0;
+  let symbols = 0;
+  let quoteOpen = false;
+
+  for (let i = 0; i < words.length;) {
+    const casing = matchAt(keys, i, PREPARED_CASINGS);
+    if (casing) {
+      i += casing.words.length;
+      const identifierWords = [];
+      while (i < words.length && !matchAt(keys, i, PREPARED_CASINGS) && !matchAt(keys, i, PREPARED_SYMBOLS)) {
+        identifierWords.push(words[i]);
+        i++;
+        if (PAUSE_PUNCTUATION.test(identifierWords[identifierWords.length - 1])) break;
+      }
+      if (identifierWords.length > 0) {
+        tokens.push({ text: toIdentifier(identifierWords, casing.casing) });
+        identifiers++;
+      }
+      continue;
+    }
+
+    const symbol = matchAt(keys, i, PREPARED_SYMBOLS);
+    if (symbol) {
+      i += symbol.words.length;
+      symbols++;
+      let { spacing } = symbol;
+      if (spacing === 'quote') {
+        spacing = quoteOpen ? 'left' : 'right';
+        quoteOpen = !quoteOpen;
+      }
+      tokens.push({
+        text: symbol.symbol,
+        glueLeft: spacing === 'left' || spacing === 'none' || spacing === 'newline',
+        glueRight: spacing === 'right' || spacing === 'none' || spacing === 'newline'
+      });
+      continue;
+    }
+
+    // Plain word: drop the pause punctuation and sentence capital Whisper adds to speech
+    let word = words[i].replace(PAUSE_PUNCTUATION, '').replace(/^[¿¡]+/, '');
+    const startsSentence = tokens.length === 0 || (i > 0 && /[.!?…]$/.test(words[i - 1]));
+    if (startsSentence && /^\p{Lu}\p{Ll}*$/u.test(word)) {
+      word = word.toLowerCase();
+    }
+    if (word) tokens.push({ text: word });
+    i++;
+  }
+
+  let output = '';
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    if (index > 0 && !previous.glueRight && !token.glueLeft) output += ' ';
+    output += token.text;
+  });
+
+  return { text: output.replace(/[ \t]+\n|\n[ \t]+/g, '\n').trim(), identifiers, symbols };
+}
+
+module.exports = {
+  CASING_COMMANDS,
+  CODE_SYMBOLS,
+  toIdentifier,
+  formatCodeDictation
+};
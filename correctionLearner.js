@@ -0,0 +1,142 @@
+/**
+ * Correction Learner Module for Murmullo
+ * Compares dictated text with the user's edited version (review window or
+ * History), counts the word substitutions and suggests dictionary entries
+ * for the ones that keep coming back ("comit" → "commit" three times)
+ */
+
+// Times a correction has to be seen before it is suggested
+const MIN_SUGGESTION_COUNT = 3;
+// Longer rewrites are edits of meaning, not misheard words
+const MAX_SUBSTITUTION_WORDS = 3;
+const MAX_CANDIDATES = 300;
+// Word pairs compared by the diff; longer texts aren't learned from
+const MAX_DIFF_CELLS = 250000;
+
+// A word without the punctuation around it ("commit," → "commit")
+function stripPunctuation(word) {
+  return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function isSameCorrection(a, find, replace) {
+  return a.find.toLowerCase() === find.toLowerCase() && a.replace === replace;
+}
+
+/**
+ * Word-level diff of a text and its corrected version
+ * @param {string} before - Text as it was pasted
+ * @param {string} after - Text after the user's edit
+ * @returns {Array<{ find: string, replace: string }>} Replaced runs of 1 to 3 words,
+ *   in order; insertions, deletions and capitalisation of the first letter are left out
+ */
+function extractSubstitutions(before, after) {
+  const a = String(before || '').split(/\s+/).map(stripPunctuation).filter(Boolean);
+  const b = String(after || '').split(/\s+/).map(stripPunctuation).filter(Boolean);
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_DIFF_CELLS) return [];
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const substitutions = [];
+  let removed = [];
+  let added = [];
+  const closeBlock = () => {
+    if (removed.length > 0 && added.length > 0 &&
+        removed.length <= MAX_SUBSTITUTION_WORDS && added.length <= MAX_SUBSTITUTION_WORDS) {
+      const find = removed.join(' ');
+      const replace = added.join(' ');
+      // "hoy" → "Hoy" is a sentence start, not a dictionary term
+      const onlyFirstLetterCase = find.toLowerCase() === replace.toLowerCase() && find.slice(1) === replace.slice(1);
+      if (!onlyFirstLetterCase) substitutions.push({ find, replace });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      closeBlock();
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  closeBlock();
+  return substitutions;
+}
+
+/**
+ * Count substitutions towards suggestions
+ * @param {{ candidates: Array, dismissed: Array }} learning - Mutated
+ * @param {Array<{ find: string, replace: string }>} substitutions
+ * @param {number} [now]
+ * @returns {number} Substitutions counted (dismissed ones are ignored)
+ */
+function recordCorrections(learning, substitutions, now = Date.now()) {
+  const seenAt = new Date(now).toISOString();
+  let recorded = 0;
+  for (const { find, replace } of substitutions) {
+    if (learning.dismissed.some(d => isSameCorrection(d, find, replace))) continue;
+    const candidate = learning.candidates.find(c => isSameCorrection(c, find, replace));
+    if (candidate) {
+      candidate.count++;
+      candidate.lastSeenAt = seenAt;
+    } else {
+      learning.candidates.push({ find, replace, count: 1, lastSeenAt: seenAt });
+    }
+    recorded++;
+  }
+
+  // Forget the corrections not seen for the longest time
+  if (learning.candidates.length > MAX_CANDIDATES) {
+    learning.candidates.sort((x, y) => y.lastSeenAt.localeCompare(x.lastSeenAt));
+    learning.candidates.length = MAX_CANDIDATES;
+  }
+  return recorded;
+}
+
+/**
+ * Corrections seen often enough that no dictionary entry covers yet
+ * @param {{ candidates: Array }} learning
+ * @param {Array} entries - Dictionary entries
+ * @param {number} [minCount]
+ * @returns {Array<{ find: string, replace: string, count: number, lastSeenAt: string }>} Most frequent first
+ */
+function getDictionarySuggestions(learning, entries, minCount = MIN_SUGGESTION_COUNT) {
+  const covered = new Set(entries.filter(e => e.type !== 'regex').map(e => e.find.toLowerCase()));
+  return learning.candidates
+    .filter(c => c.count >= minCount && !covered.has(c.find.toLowerCase()))
+    .sort((x, y) => (y.count - x.count) || y.lastSeenAt.localeCompare(x.lastSeenAt))
+    .map(c => ({ ...c }));
+}
+
+/**
+ * Stop suggesting a correction, and stop counting it
+ * @param {{ candidates: Array, dismissed: Array }} learning - Mutated
+ * @param {string} find
+ * @param {string} replace
+ */
+function dismissCorrection(learning, find, replace) {
+  learning.candidates = learning.candidates.filter(c => !isSameCorrection(c, find, replace));
+  if (!learning.dismissed.some(d => isSameCorrection(d, find, replace))) {
+    learning.dismissed.push({ find, replace });
+  }
+}
+
+module.exports = {
+  MIN_SUGGESTION_COUNT,
+  extractSubstitutions,
+  recordCorrections,
+  getDictionarySuggestions,
+  dismissCorrection
+};
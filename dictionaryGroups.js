@@ -0,0 +1,126 @@
+/**
+ * Dictionary Groups Module for Murmullo
+ * Named sets of dictionary entries ("Proyecto Alfa", "Términos médicos")
+ * that are switched on as a unit and can be limited to a transcription
+ * language or to specific hotkey/app profiles
+ */
+
+const MAX_DICTIONARY_GROUPS = 30;
+const GROUP_LANGUAGES = ['es', 'en'];
+
+/**
+ * Fill defaults and drop unknown fields from a saved group
+ * @param {object} group
+ * @returns {{ id: string, name: string, enabled: boolean, languages: string[], profileIds: string[] }}
+ */
+function normalizeDictionaryGroup(group) {
+  return {
+    id: group.id,
+    name: String(group.name || '').trim().slice(0, 60),
+    enabled: group.enabled !== false,
+    languages: [...new Set((group.languages || []).filter(language => GROUP_LANGUAGES.includes(language)))],
+    profileIds: [...new Set(group.profileIds || [])]
+  };
+}
+
+/**
+ * Whether a group applies to one dictation
+ * Empty lists mean "any". With language 'auto' the spoken language isn't
+ * known up front, so language-bound groups stay active.
+ * @param {object} group
+ * @param {object} [context]
+ * @param {string} [context.language] - 'es', 'en' or 'auto'
+ * @param {string} [context.profileId] - Hotkey profile or app rule in use
+ * @returns {boolean}
+ */
+function isDictionaryGroupActive(group, { language, profileId } = {}) {
+  if (!group.enabled) return false;
+  if (group.languages.length > 0 && language && language !== 'auto' && !group.languages.includes(language)) {
+    return false;
+  }
+  if (group.profileIds.length > 0 && !group.profileIds.includes(profileId)) return false;
+  return true;
+}
+
+/**
+ * Enabled entries that apply to one dictation
+ * Entries without a group always apply; entries of a deleted group are treated as ungrouped.
+ * @param {Array} entries
+ * @param {Array} groups
+ * @param {object} [context] - { language, profileId }
+ * @returns {Array}
+ */
+function selectActiveEntries(entries, groups = [], context = {}) {
+  const groupsById = new Map(groups.map(group => [group.id, group]));
+  return entries.filter(entry => {
+    if (!entry.enabled) return false;
+    const group = entry.groupId ? groupsById.get(entry.groupId) : null;
+    return !group || isDictionaryGroupActive(group, context);
+  });
+}
+
+/**
+ * Export file for one group and its entries
+ * Profile bindings are left out: profile ids only mean something on this machine.
+ * @param {object} group
+ * @param {Array} entries - The whole dictionary
+ * @returns {object}
+ */
+function buildGroupExport(group, entries) {
+  return {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    group: { name: group.name, enabled: group.enabled, languages: group.languages },
+    entries: entries
+      .filter(entry => entry.groupId === group.id)
+      .map(({ type, find, replace, caseSensitive, enabled, soundsLike, pinned }) => ({ type, find, replace, caseSensitive, enabled, soundsLike, pinned }))
+  };
+}
+
+/**
+ * Read a group export into a new group and its entries
+ * @param {string|object} json
+ * @param {Function} createId
+ * @param {Function} isValidEntry - Same check as add-dictionary-entry
+ * @returns {{ group: object, entries: Array }} Entries carry the new group id
+ * @throws {Error} When the file isn't a group export
+ */
+function parseGroupImport(json, createId, isValidEntry) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || typeof data.group?.name !== 'string' || !data.group.name.trim() || !Array.isArray(data.entries)) {
+    throw new Error('Formato de grupo no válido');
+  }
+
+  const group = normalizeDictionaryGroup({ ...data.group, id: createId(), profileIds: [] });
+  const now = new Date().toISOString();
+  const entries = data.entries
+    .filter(isValidEntry)
+    .map(entry => {
+      const isRegex = entry.type === 'regex';
+      return {
+        id: createId(),
+        type: isRegex ? 'regex' : 'text',
+        find: isRegex ? entry.find : entry.find.trim(),
+        replace: isRegex ? entry.replace : entry.replace.trim(),
+        caseSensitive: entry.caseSensitive || false,
+        enabled: entry.enabled !== false,
+        soundsLike: entry.soundsLike?.trim() || '',
+        pinned: entry.pinned === true,
+        groupId: group.id,
+        createdAt: now,
+        updatedAt: now
+      };
+    });
+
+  return { group, entries };
+}
+
+module.exports = {
+  MAX_DICTIONARY_GROUPS,
+  GROUP_LANGUAGES,
+  normalizeDictionaryGroup,
+  isDictionaryGroupActive,
+  selectActiveEntries,
+  buildGroupExport,
+  parseGroupImport
+};
@@ -0,0 +1,195 @@
+/**
+ * Dictionary Matcher Module for Murmullo
+ * Applies custom dictionary entries to a transcription: exact find/replace
+ * and regular expressions, then phonetic matching for entries with a
+ * "sounds like" hint, so one entry covers every spelling Whisper comes up with
+ */
+
+const vm = require('vm');
+const { spanishPhoneticKeys } = require('./spanishPhonetics');
+
+// Shorter keys ("SI", "BA") would match ordinary words
+const MIN_PHONETIC_KEY_LENGTH = 4;
+// "co hade" is one term split in two; longer spans are rarely a single word
+const MAX_PHONETIC_WORDS = 3;
+
+// Patterns pass getDictionaryPatternError, but only a time limit guarantees a regex
+// entry can't freeze the main process; past it the entry is skipped for this text
+const REGEX_TIMEOUT_MS = 100;
+const regexSandbox = vm.createContext({});
+const sandboxedReplace = new vm.Script('input.replace(pattern, replacer)');
+
+function replaceWithTimeLimit(text, pattern, replacer) {
+  Object.assign(regexSandbox, { input: text, pattern, replacer });
+  try {
+    return sandboxedReplace.runInContext(regexSandbox, { timeout: REGEX_TIMEOUT_MS });
+  } finally {
+    Object.assign(regexSandbox, { input: null, pattern: null, replacer: null });
+  }
+}
+
+// Characters that end a word for exact matching (\b doesn't work well with Unicode)
+const WORD_EDGE = `\\s.,;:!?¿¡"'()\\[\\]{}`;
+
+// Escape special regex characters
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Phonetic keys of an entry, from its find text, its replacement and each
+ * "sounds like" hint (comma-separated)
+ * @param {object} entry
+ * @returns {Array<{ key: string, source: 'soundsLike' | 'find' | 'replace', sourceText: string }>}
+ */
+function getEntryPhoneticKeys(entry) {
+  const sources = [
+    ...String(entry.soundsLike || '').split(/[,;]/).map(text => ({ source: 'soundsLike', sourceText: text.trim() })),
+    { source: 'find', sourceText: entry.find },
+    { source: 'replace', sourceText: entry.replace }
+  ].filter(({ sourceText }) => sourceText);
+
+  return sources.flatMap(({ source, sourceText }) =>
+    spanishPhoneticKeys(sourceText)
+      .filter(key => key.length >= MIN_PHONETIC_KEY_LENGTH)
+      .map(key => ({ key, source, sourceText }))
+  );
+}
+
+/**
+ * Fill $1, $<name>, $& and $$ in a regex entry's replacement
+ * @param {string} template
+ * @param {string} matched
+ * @param {string[]} groups - Capture groups, undefined when they didn't take part
+ * @param {object} [namedGroups]
+ * @returns {string}
+ */
+function expandReplacement(template, matched, groups, namedGroups = {}) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return matched;
+    if (name !== undefined) return namedGroups?.[name] ?? '';
+    const index = Number(ref);
+    return index >= 1 && index <= groups.length ? groups[index - 1] ?? '' : token;
+  });
+}
+
+function buildEntryPattern(entry) {
+  const flags = entry.caseSensitive ? 'gu' : 'giu';
+  if (entry.type === 'regex') {
+    return new RegExp(entry.find, flags);
+  }
+  return new RegExp(`(?<=^|[${WORD_EDGE}])${escapeRegex(entry.find)}(?=$|[${WORD_EDGE}])`, flags);
+}
+
+function applyExactEntries(text, entries, matches, timedOut) {
+  let result = text;
+  for (const entry of entries) {
+    let pattern;
+    try {
+      pattern = buildEntryPattern(entry);
+    } catch (e) {
+      continue; // A pattern edited by hand in config.json
+    }
+    const type = entry.type === 'regex' ? 'regex' : 'exact';
+    const entryMatches = [];
+
+    const replacer = (matched, ...args) => {
+      const hasNamedGroups = typeof args[args.length - 1] === 'object';
+      const groups = args.slice(0, hasNamedGroups ? -3 : -2);
+      const replacement = type === 'regex'
+        ? expandReplacement(entry.replace, matched, groups, hasNamedGroups ? args[args.length - 1] : undefined)
+        : entry.replace;
+      if (matched !== replacement) {
+        entryMatches.push({ entryId: entry.id, find: entry.find, replace: replacement, matched, type });
+      }
+      return replacement;
+    };
+
+    if (type === 'regex') {
+      try {
+        result = replaceWithTimeLimit(result, pattern, replacer);
+      } catch (e) {
+        if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+        timedOut.push(entry.id);
+        continue;
+      }
+    } else {
+      result = result.replace(pattern, replacer);
+    }
+    matches.push(...entryMatches);
+  }
+  return result;
+}
+
+function applyPhoneticEntries(text, entries, matches) {
+  // First entry wins when two of them sound the same
+  const keyIndex = new Map();
+  for (const entry of entries) {
+    for (const phonetic of getEntryPhoneticKeys(entry)) {
+      if (!keyIndex.has(phonetic.key)) keyIndex.set(phonetic.key, { entry, ...phonetic });
+    }
+  }
+  if (keyIndex.size === 0) return text;
+
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+  const spans = [];
+
+  for (let i = 0; i < words.length;) {
+    let found = null;
+    // Longest span first, so "co hade" wins over "co"
+    for (let count = Math.min(MAX_PHONETIC_WORDS, words.length - i); count >= 1 && !found; count--) {
+      const span = words.slice(i, i + count);
+      const last = span[count - 1];
+      // Only words separated by spaces or hyphens can form one term
+      const joined = span.slice(1).every((word, k) => /^[\s-]+$/.test(text.slice(span[k].end, word.start)));
+      if (!joined) continue;
+
+      const spanText = text.slice(span[0].start, last.end);
+      const hit = spanishPhoneticKeys(spanText).map(key => keyIndex.get(key)).find(Boolean);
+      if (hit) found = { count, start: span[0].start, end: last.end, spanText, hit };
+    }
+
+    if (!found) {
+      i++;
+      continue;
+    }
+    const { entry, key, source, sourceText } = found.hit;
+    if (found.spanText !== entry.replace) {
+      spans.push(found);
+      matches.push({ entryId: entry.id, find: entry.find, replace: entry.replace, matched: found.spanText, type: 'phonetic', key, source, sourceText });
+    }
+    i += found.count;
+  }
+
+  let result = text;
+  for (const span of spans.reverse()) {
+    result = result.slice(0, span.start) + span.hit.entry.replace + result.slice(span.end);
+  }
+  return result;
+}
+
+/**
+ * Apply enabled dictionary entries to a text
+ * @param {string} text
+ * @param {Array} entries - Enabled entries, in priority order
+ * @returns {{ text: string, matches: Array<object>, timedOut: string[] }} Each match says which
+ *   entry changed what and why: type 'exact' or 'regex', or 'phonetic' with the key and the
+ *   spelling it came from. timedOut lists regex entries skipped for running too long.
+ */
+function applyDictionaryEntries(text, entries) {
+  const matches = [];
+  const timedOut = [];
+  let result = applyExactEntries(text, entries, matches, timedOut);
+  result = applyPhoneticEntries(result, entries.filter(entry => entry.soundsLike && entry.type !== 'regex'), matches);
+  return { text: result, matches, timedOut };
+}
+
+module.exports = {
+  MIN_PHONETIC_KEY_LENGTH,
+  REGEX_TIMEOUT_MS,
+  escapeRegex,
+  expandReplacement,
+  getEntryPhoneticKeys,
+  applyDictionaryEntries
+};
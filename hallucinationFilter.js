@@ -0,0 +1,155 @@
+/**
+ * Hallucination Filter Module for Murmullo
+ * Removes phrases Whisper invents on silence or noise (YouTube outros,
+ * subtitle credits) and collapses repeated n-gram loops
+ */
+
+/**
+ * Known phantom phrases.
+ * 'sentence' entries are only removed when they make up a whole sentence,
+ * so a real dictation like "dile que se suscriba" is left alone.
+ * 'contains' entries remove any sentence that mentions them.
+ */
+const DEFAULT_HALLUCINATIONS = [
+  // Spanish
+  { phrase: 'Gracias por ver el video', match: 'sentence' },
+  { phrase: 'Gracias por ver el vídeo', match: 'sentence' },
+  { phrase: 'Gracias por ver', match: 'sentence' },
+  { phrase: 'Muchas gracias por ver el video', match: 'sentence' },
+  { phrase: 'Suscríbete', match: 'sentence' },
+  { phrase: 'Suscríbete al canal', match: 'sentence' },
+  { phrase: 'No olvides suscribirte', match: 'sentence' },
+  { phrase: 'No olvides suscribirte al canal', match: 'sentence' },
+  { phrase: 'Dale like y suscríbete', match: 'sentence' },
+  { phrase: 'Nos vemos en el próximo video', match: 'sentence' },
+  { phrase: 'Subtítulos realizados por la comunidad de Amara.org', match: 'contains' },
+  { phrase: 'Subtítulos por la comunidad de Amara.org', match: 'contains' },
+  { phrase: 'Amara.org', match: 'contains' },
+  // English
+  { phrase: 'Thanks for watching', match: 'sentence' },
+  { phrase: 'Thank you for watching', match: 'sentence' },
+  { phrase: 'Please subscribe', match: 'sentence' },
+  { phrase: 'Like and subscribe', match: 'sentence' },
+  { phrase: 'Subtitles by the Amara.org community', match: 'contains' },
+  { phrase: 'Transcription by CastingWords', match: 'contains' }
+];
+
+const MAX_LOOP_NGRAM = 12;   // Longest repeated phrase (in words) we look for
+const MIN_LOOP_REPEATS = 4;  // "muy muy muy" is speech, four identical runs in a row is a loop
+
+/**
+ * Lowercase, strip accents and punctuation for comparisons
+ */
+function normalizeForMatch(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into sentences, keeping the original spelling and punctuation
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?…])\s+|\n+/).filter(s => s.trim());
+}
+
+/**
+ * Remove sentences that are known hallucinations
+ * @param {string} text
+ * @param {Array<{ phrase: string, match: string }>} entries
+ * @returns {{ text: string, hits: Array }}
+ */
+function removePhantomPhrases(text, entries) {
+  const prepared = entries.map(entry => ({ ...entry, normalized: normalizeForMatch(entry.phrase) }))
+    .filter(entry => entry.normalized);
+  const hits = [];
+
+  const kept = splitSentences(text).filter(sentence => {
+    const normalized = normalizeForMatch(sentence);
+    if (!normalized) return true;
+    const entry = prepared.find(e => e.match === 'contains'
+      ? ` ${normalized} `.includes(` ${e.normalized} `)
+      : normalized === e.normalized);
+    if (entry) {
+      hits.push({ type: 'phrase', phrase: entry.phrase });
+      return false;
+    }
+    return true;
+  });
+
+  return hits.length > 0 ? { text: kept.join(' '), hits } : { text, hits };
+}
+
+/**
+ * Collapse a word sequence repeated MIN_LOOP_REPEATS+ times in a row to a single copy
+ * @param {string} text
+ * @returns {{ text: string, hits: Array }}
+ */
+function collapseRepeatedLoops(text) {
+  const words = text.split(/\s+/).filter(w => w);
+  const keys = words.map(normalizeForMatch);
+  const hits = [];
+
+  const sameRun = (a, b, n) => {
+    for (let k = 0; k < n; k++) {
+      if (keys[a + k] !== keys[b + k]) return false;
+    }
+    return true;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    for (let n = 1; n <= MAX_LOOP_NGRAM && i + n * MIN_LOOP_REPEATS <= words.length; n++) {
+      if (keys.slice(i, i + n).every(k => !k)) continue; // Punctuation-only tokens
+      let repeats = 1;
+      while (i + (repeats + 1) * n <= words.length && sameRun(i, i + repeats * n, n)) {
+        repeats++;
+      }
+      if (repeats >= MIN_LOOP_REPEATS) {
+        words.splice(i + n, (repeats - 1) * n);
+        keys.splice(i + n, (repeats - 1) * n);
+        hits.push({ type: 'loop', ngram: n, repeats });
+        break;
+      }
+    }
+  }
+
+  return hits.length > 0 ? { text: words.join(' '), hits } : { text, hits };
+}
+
+/**
+ * Run every hallucination check on a raw transcription
+ * @param {string} text - Whisper output
+ * @param {object} [options]
+ * @param {string[]} [options.blocklist] - User phrases, removed when they are a whole sentence
+ * @param {boolean} [options.includeDefaults] - Use DEFAULT_HALLUCINATIONS (default true)
+ * @returns {{ text: string, hits: Array<{ type: string }> }}
+ */
+function filterHallucinations(text, { blocklist = [], includeDefaults = true } = {}) {
+  if (!text) return { text: text || '', hits: [] };
+
+  const entries = [
+    ...(includeDefaults ? DEFAULT_HALLUCINATIONS : []),
+    ...blocklist.filter(phrase => typeof phrase === 'string' && phrase.trim())
+      .map(phrase => ({ phrase: phrase.trim(), match: 'sentence' }))
+  ];
+
+  const phrases = removePhantomPhrases(text, entries);
+  const loops = collapseRepeatedLoops(phrases.text);
+
+  return {
+    text: loops.text.trim(),
+    hits: [...phrases.hits, ...loops.hits]
+  };
+}
+
+module.exports = {
+  DEFAULT_HALLUCINATIONS,
+  normalizeForMatch,
+  removePhantomPhrases,
+  collapseRepeatedLoops,
+  filterHallucinations
+};
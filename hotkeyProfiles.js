@@ -0,0 +1,103 @@
+/**
+ * Hotkey Profiles Module for Murmullo
+ * Extra global shortcuts, each bound to its own language, processing mode
+ * and providers, on top of the main hotkey that uses the Control Panel settings
+ */
+
+const MAX_PROFILES = 10;
+
+const PROFILE_DEFAULTS = {
+  processingMode: 'smart',
+  language: 'es',
+  reasoningProvider: 'anthropic',
+  transcriptionProvider: '', // '' = same as the Control Panel
+  translateTo: '',           // '' = keep the dictated language
+  outputMode: '',            // '' = same as the Control Panel, 'paste' or 'type'
+  promptTemplateId: ''       // '' = same as the Control Panel
+};
+
+// Accelerator modifier spellings that Electron treats as the same key
+const MODIFIER_ALIASES = {
+  control: 'ctrl',
+  ctrl: 'ctrl',
+  command: 'meta',
+  cmd: 'meta',
+  super: 'meta',
+  meta: 'meta',
+  alt: 'alt',
+  option: 'alt',
+  shift: 'shift'
+};
+
+/**
+ * Canonical form of an accelerator, so "Ctrl+Shift+D" and
+ * "CommandOrControl+Shift+d" compare equal
+ * @param {string} accelerator
+ * @param {string} [platform]
+ * @returns {string}
+ */
+function normalizeAccelerator(accelerator, platform = process.platform) {
+  if (typeof accelerator !== 'string') return '';
+  const modifiers = new Set();
+  const keys = [];
+
+  for (const part of accelerator.split('+').map(p => p.trim()).filter(Boolean)) {
+    const lower = part.toLowerCase();
+    if (lower === 'commandorcontrol' || lower === 'cmdorctrl') {
+      modifiers.add(platform === 'darwin' ? 'meta' : 'ctrl');
+    } else if (MODIFIER_ALIASES[lower]) {
+      modifiers.add(MODIFIER_ALIASES[lower]);
+    } else {
+      keys.push(lower);
+    }
+  }
+
+  return [...[...modifiers].sort(), ...keys].join('+');
+}
+
+/**
+ * Fill defaults and drop unknown fields from a saved profile
+ * @param {object} profile
+ * @returns {object}
+ */
+function normalizeHotkeyProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name.trim(),
+    hotkey: profile.hotkey.trim(),
+    processingMode: profile.processingMode || PROFILE_DEFAULTS.processingMode,
+    language: profile.language || PROFILE_DEFAULTS.language,
+    reasoningProvider: profile.reasoningProvider || PROFILE_DEFAULTS.reasoningProvider,
+    transcriptionProvider: profile.transcriptionProvider || PROFILE_DEFAULTS.transcriptionProvider,
+    translateTo: profile.translateTo || PROFILE_DEFAULTS.translateTo,
+    outputMode: profile.outputMode || PROFILE_DEFAULTS.outputMode,
+    promptTemplateId: profile.promptTemplateId || PROFILE_DEFAULTS.promptTemplateId
+  };
+}
+
+/**
+ * Find the first accelerator used twice among the given bindings
+ * @param {Array<{ hotkey: string, label: string }>} bindings
+ * @param {string} [platform]
+ * @returns {{ hotkey: string, first: string, second: string } | null}
+ */
+function findHotkeyConflict(bindings, platform = process.platform) {
+  const seen = new Map();
+  for (const { hotkey, label } of bindings) {
+    const key = normalizeAccelerator(hotkey, platform);
+    if (!key) continue;
+    if (seen.has(key)) {
+      return { hotkey, first: seen.get(key), second: label };
+    }
+    seen.set(key, label);
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_PROFILES,
+  PROFILE_DEFAULTS,
+  normalizeAccelerator,
+  normalizeHotkeyProfile,
+  findHotkeyConflict
+};
@@ -75,16 +75,44 @@ function isValidAudioData(value) {
 /**
  * Validate API key format
  */
-function isValidApiKey(value) {
+function isValidApiKey(value, provider) {
   if (!isString(value)) return false;
   if (value === '') return true; // Empty is allowed (to clear key)
 
+  // Groq keys start with gsk_
+  if (provider === 'groq') {
+    return value.startsWith('gsk_') && value.length >= 20;
+  }
+
+  // Google AI Studio keys start with AIza
+  if (provider === 'gemini') {
+    return value.startsWith('AIza') && value.length >= 30;
+  }
+
+  // Self-hosted endpoints use arbitrary tokens, only reject whitespace and huge values
+  if (provider === 'custom' || provider === 'ollama') {
+    return value.length <= 500 && !/\s/.test(value);
+  }
+
   // OpenAI keys start with sk-
   // Anthropic keys start with sk-ant-
   const validPrefixes = ['sk-', 'sk-ant-'];
   return validPrefixes.some(prefix => value.startsWith(prefix)) && value.length >= 20;
 }
 
+/**
+ * Validate http(s) URL
+ */
+function isValidHttpUrl(value) {
+  if (!isString(value) || value.length > 500) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Validate hotkey format
  */
@@ -106,11 +134,114 @@ function isValidHotkey(value) {
   return hasModifier && validKey;
 }
 
+/**
+ * Validate hotkey mode
+ */
+function isValidHotkeyMode(value) {
+  return ['toggle', 'push-to-talk'].includes(value);
+}
+
 /**
  * Validate provider name
  */
 function isValidProvider(value) {
-  return ['openai', 'anthropic'].includes(value);
+  return ['openai', 'anthropic', 'gemini', 'groq', 'ollama'].includes(value);
+}
+
+/**
+ * Validate provider name for API key storage
+ */
+function isValidApiKeyProvider(value) {
+  return ['openai', 'anthropic', 'groq', 'custom', 'gemini', 'ollama'].includes(value);
+}
+
+/**
+ * Validate transcription provider name
+ */
+function isValidTranscriptionProvider(value) {
+  return ['auto', 'openai', 'groq', 'custom', 'local', 'backend'].includes(value);
+}
+
+/**
+ * Validate transcription fallback settings
+ * Steps are concrete providers ('auto' makes no sense inside a chain),
+ * timeouts are per provider between 1s and 5min
+ */
+function isValidFallbackSettings(settings) {
+  if (!isObject(settings)) return false;
+  if (settings.enabled !== undefined && !isBoolean(settings.enabled)) return false;
+  if (settings.allowCloudAfterLocal !== undefined && !isBoolean(settings.allowCloudAfterLocal)) return false;
+  if (settings.steps !== undefined) {
+    if (!isArray(settings.steps) || settings.steps.length > 5) return false;
+    if (!settings.steps.every(step => step !== 'auto' && isValidTranscriptionProvider(step))) return false;
+  }
+  if (settings.timeouts !== undefined) {
+    if (!isObject(settings.timeouts)) return false;
+    for (const [provider, timeoutMs] of Object.entries(settings.timeouts)) {
+      if (provider === 'auto' || !isValidTranscriptionProvider(provider)) return false;
+      if (!isPositiveInt(timeoutMs) || timeoutMs < 1000 || timeoutMs > 300000) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Validate hallucination filter settings
+ */
+function isValidHallucinationFilterSettings(settings) {
+  if (!isObject(settings)) return false;
+  if (settings.enabled !== undefined && !isBoolean(settings.enabled)) return false;
+  if (settings.blocklist !== undefined) {
+    if (!isArray(settings.blocklist) || settings.blocklist.length > 200) return false;
+    if (!settings.blocklist.every(phrase => isString(phrase) && phrase.length <= 200)) return false;
+  }
+  return true;
+}
+
+/**
+ * Validate voice command settings (see voiceCommands.js for the action ids)
+ */
+function isValidVoiceCommandSettings(settings) {
+  const actions = ['period', 'comma', 'colon', 'semicolon', 'newline', 'paragraph', 'period-paragraph', 'open-paren', 'close-paren', 'quote', 'delete-last'];
+  if (!isObject(settings)) return false;
+  if (settings.enabled !== undefined && !isBoolean(settings.enabled)) return false;
+  if (settings.commands !== undefined) {
+    if (!isArray(settings.commands) || settings.commands.length > 100) return false;
+    if (!settings.commands.every(command =>
+      isObject(command) &&
+      isNonEmptyString(command.phrase) && command.phrase.length <= 50 &&
+      actions.includes(command.action) &&
+      (command.enabled === undefined || isBoolean(command.enabled))
+    )) return false;
+  }
+  return true;
+}
+
+/**
+ * Validate user prompt templates (built-in ones are not stored)
+ */
+function isValidPromptTemplates(templates) {
+  if (!isArray(templates) || templates.length > 30) return false;
+  return templates.every(template =>
+    isObject(template) &&
+    isValidPromptTemplateId(template.id) &&
+    isNonEmptyString(template.name) && template.name.trim().length > 0 && template.name.length <= 60 &&
+    isNonEmptyString(template.body) && template.body.trim().length > 0 && template.body.length <= 8000
+  );
+}
+
+/**
+ * Validate prompt template id
+ */
+function isValidPromptTemplateId(value) {
+  return isString(value) && /^[a-z0-9_-]{1,40}$/i.test(value);
+}
+
+/**
+ * Validate offline queue item id (timestamp_random, see offlineQueue.js)
+ */
+function isValidQueueItemId(value) {
+  return isString(value) && /^\d+_[a-z0-9]+$/.test(value) && value.length <= 40;
 }
 
 /**
@@ -120,6 +251,76 @@ function isValidLanguage(value) {
   return ['es', 'en', 'auto'].includes(value);
 }
 
+/**
+ * Validate hotkey profiles (extra shortcuts with their own mode/language/providers)
+ */
+function isValidHotkeyProfiles(profiles) {
+  if (!isArray(profiles) || profiles.length > 10) return false;
+  return profiles.every(profile =>
+    isObject(profile) &&
+    isString(profile.id) && /^[a-z0-9_-]{1,40}$/i.test(profile.id) &&
+    isString(profile.name) && profile.name.trim().length > 0 && profile.name.length <= 50 &&
+    isValidHotkey(profile.hotkey) &&
+    ['verbatim', 'fast', 'smart', 'code'].includes(profile.processingMode) &&
+    isValidLanguage(profile.language) &&
+    isValidProvider(profile.reasoningProvider) &&
+    (!profile.transcriptionProvider || isValidTranscriptionProvider(profile.transcriptionProvider)) &&
+    (!profile.translateTo || isValidTranslationTarget(profile.translateTo)) &&
+    (!profile.outputMode || isValidOutputMode(profile.outputMode)) &&
+    (!profile.promptTemplateId || isValidPromptTemplateId(profile.promptTemplateId))
+  );
+}
+
+/**
+ * Validate cancel / re-paste shortcuts ('' disables an action)
+ */
+function isValidActionHotkeys(actions) {
+  if (!isObject(actions)) return false;
+  return Object.entries(actions).every(([action, hotkey]) =>
+    ['cancel', 'repaste'].includes(action) && (hotkey === '' || isValidHotkey(hotkey))
+  );
+}
+
+/**
+ * Validate how text reaches the focused app: clipboard paste or typed key by key
+ */
+function isValidOutputMode(value) {
+  return ['paste', 'type'].includes(value);
+}
+
+/**
+ * Validate the language AI post-processing should translate to
+ */
+function isValidTranslationTarget(value) {
+  return ['es', 'en'].includes(value);
+}
+
+/**
+ * Validate per-application profile settings ('' fields = same as the Control Panel)
+ */
+function isValidAppProfileSettings(settings) {
+  if (!isObject(settings)) return false;
+  if (settings.enabled !== undefined && !isBoolean(settings.enabled)) return false;
+  if (settings.rules === undefined) return true;
+  if (!isArray(settings.rules) || settings.rules.length > 30) return false;
+  return settings.rules.every(rule =>
+    isObject(rule) &&
+    isString(rule.id) && /^[a-z0-9_-]{1,40}$/i.test(rule.id) &&
+    isString(rule.name) && rule.name.trim().length > 0 && rule.name.length <= 50 &&
+    (rule.enabled === undefined || isBoolean(rule.enabled)) &&
+    isArray(rule.apps) && rule.apps.length <= 20 && rule.apps.every(app => isNonEmptyString(app) && app.length <= 60) &&
+    (rule.titleContains === undefined || (isString(rule.titleContains) && rule.titleContains.length <= 100)) &&
+    (rule.apps.length > 0 || isNonEmptyString(rule.titleContains)) &&
+    (!rule.processingMode || ['verbatim', 'fast', 'smart', 'code'].includes(rule.processingMode)) &&
+    (!rule.language || isValidLanguage(rule.language)) &&
+    (!rule.reasoningProvider || isValidProvider(rule.reasoningProvider)) &&
+    (!rule.transcriptionProvider || isValidTranscriptionProvider(rule.transcriptionProvider)) &&
+    (!rule.translateTo || isValidTranslationTarget(rule.translateTo)) &&
+    (!rule.outputMode || isValidOutputMode(rule.outputMode)) &&
+    (!rule.promptTemplateId || isValidPromptTemplateId(rule.promptTemplateId))
+  );
+}
+
 /**
  * Validate transcription data for saving
  */
@@ -127,6 +328,9 @@ function isValidTranscriptionData(data) {
   if (!isObject(data)) return false;
   if (!isString(data.original_text)) return false;
   if (data.processed_text !== null && data.processed_text !== undefined && !isString(data.processed_text)) return false;
+  if (data.transcription_provider !== undefined && data.transcription_provider !== null &&
+      (!isString(data.transcription_provider) || data.transcription_provider.length > 50)) return false;
+  if (data.pasted !== undefined && typeof data.pasted !== 'boolean') return false;
   return true;
 }
 
@@ -143,16 +347,137 @@ function isValidFilename(value) {
   return /^[a-zA-Z0-9_\-\.]+$/.test(value);
 }
 
+// Characters used to tell whether two repeated atoms can match the same text
+const OVERLAP_SAMPLE_CHARS = [
+  '\t', '\n', ' ',
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  ...'áéíóúñüÁÉÍÓÚÑÜ¿¡€'
+];
+
+// Whether two atoms ("\w", "[a-z]", ".", "a") can match a common character
+function atomsOverlap(a, b) {
+  try {
+    const ra = new RegExp(`^(?:${a})$`, 'iu');
+    const rb = new RegExp(`^(?:${b})$`, 'iu');
+    return OVERLAP_SAMPLE_CHARS.some(c => ra.test(c) && rb.test(c));
+  } catch (e) {
+    return true;
+  }
+}
+
+// Length of the escape starting at pattern[i] ("\w", "\p{L}", "á", "\x41", "\cA")
+function escapeLength(pattern, i) {
+  const rest = pattern.slice(i);
+  const match = /^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[\s\S])/.exec(rest);
+  return match ? match[0].length : 1;
+}
+
+/**
+ * Why a dictionary regex can't be used, or null if it's fine
+ * Patterns run on every transcription in the main process, where a runaway
+ * match would freeze the app, so anything that can backtrack catastrophically
+ * is rejected: a repeated group that repeats or alternates inside
+ * ("(a+)+", "(\s|,)*"), repetitions in a row that can match the same
+ * characters ("\w*\w*", "\s*,?\s+") and backreferences. The matcher also
+ * runs regex entries under a time limit, as a last line of defence.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function getDictionaryPatternError(pattern) {
+  if (!isNonEmptyString(pattern) || pattern.length > 200) return 'Pattern is empty or too long';
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'u');
+  } catch (e) {
+    return `Invalid regular expression: ${e.message}`;
+  }
+  if (regex.test('')) return 'Pattern matches empty text';
+  if (/\\[1-9]|\\k</.test(pattern)) return 'Backreferences are not allowed';
+
+  // Walk the pattern tracking, per group, whether it contains repetition or alternation,
+  // and the optional or repeated atoms since the last one that must match exactly once
+  const groups = [{ repeats: false, alternates: false, run: [] }];
+  const quantifierAt = (index) => {
+    const match = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(pattern.slice(index));
+    return match ? match[0] : '';
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const current = groups[groups.length - 1];
+    let atomEnd = i;
+
+    if (c === '\\') {
+      atomEnd = i + escapeLength(pattern, i) - 1;
+    } else if (c === '[') {
+      // Character class: skip to the closing bracket
+      let j = i + 1;
+      while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+      atomEnd = j;
+    } else if (c === '(') {
+      groups.push({ repeats: false, alternates: false, run: [] });
+      if (pattern[i + 1] === '?') {
+        // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+        const prefix = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i + 1));
+        i += prefix ? prefix[0].length : 0;
+      }
+      continue;
+    } else if (c === ')') {
+      const group = groups.pop();
+      const quantifier = quantifierAt(i + 1);
+      const repeated = /^[*+{]/.test(quantifier);
+      if (repeated && (group.repeats || group.alternates)) {
+        return 'Nested repetition can freeze the app; use a character class like [\\s,]+ instead';
+      }
+      const parent = groups[groups.length - 1];
+      parent.repeats ||= group.repeats || repeated;
+      parent.run = []; // Groups aren't compared with their neighbours
+      i += quantifier.length;
+      continue;
+    } else if (c === '|') {
+      current.alternates = true;
+      current.run = [];
+      continue;
+    } else if (c === '^' || c === '$') {
+      continue;
+    }
+
+    const atom = pattern.slice(i, atomEnd + 1);
+    const quantifier = quantifierAt(atomEnd + 1);
+    const unbounded = /^(?:[*+]|\{\d+,\})/.test(quantifier);
+    const variable = unbounded || /^(?:\?|\{(\d+),(\d+)\})/.test(quantifier) && !/^\{(\d+),\1\}/.test(quantifier);
+
+    if (/^[*+{]/.test(quantifier)) current.repeats = true;
+    if (variable) {
+      if (current.run.some(prev => (prev.unbounded || unbounded) && atomsOverlap(prev.atom, atom))) {
+        return 'Repetitions in a row that match the same characters can freeze the app; combine them, e.g. \\w+ instead of \\w*\\w*';
+      }
+      current.run.push({ atom, unbounded });
+    } else {
+      current.run = [];
+    }
+    i = atomEnd + quantifier.length;
+  }
+
+  return null;
+}
+
 /**
  * Validate dictionary entry
+ * 'text' entries match the find text as whole words; 'regex' entries are a
+ * pattern whose replacement can use $1 or $<name>
  */
 function isValidDictionaryEntry(entry) {
   if (!isObject(entry)) return false;
   if (!isNonEmptyString(entry.find)) return false;
   if (!isNonEmptyString(entry.replace)) return false;
-  if (entry.find.length > 100) return false;
+  if (entry.type !== undefined && !['text', 'regex'].includes(entry.type)) return false;
+  if (entry.type === 'regex' ? getDictionaryPatternError(entry.find) : entry.find.length > 100) return false;
   if (entry.replace.length > 200) return false;
   if (entry.soundsLike !== undefined && !isString(entry.soundsLike)) return false;
+  if (entry.groupId !== undefined && (!isString(entry.groupId) || entry.groupId.length > 60)) return false;
+  if (entry.pinned !== undefined && !isBoolean(entry.pinned)) return false;
   if (entry.caseSensitive !== undefined && !isBoolean(entry.caseSensitive)) return false;
   if (entry.enabled !== undefined && !isBoolean(entry.enabled)) return false;
   return true;
@@ -164,10 +489,29 @@ function isValidDictionaryEntry(entry) {
 function isValidDictionary(dict) {
   if (!isObject(dict)) return false;
   if (dict.entries !== undefined && !isArray(dict.entries)) return false;
+  if (dict.groups !== undefined && !isArray(dict.groups)) return false;
   if (dict.settings !== undefined && !isObject(dict.settings)) return false;
   return true;
 }
 
+/**
+ * Validate a dictionary group (or group updates, where every field is optional)
+ * languages: transcription languages it applies to; profileIds: hotkey profiles or app rules
+ */
+function isValidDictionaryGroup(group, { partial = false } = {}) {
+  if (!isObject(group)) return false;
+  if (group.name !== undefined || !partial) {
+    if (!isString(group.name) || group.name.trim().length === 0 || group.name.length > 60) return false;
+  }
+  if (group.enabled !== undefined && !isBoolean(group.enabled)) return false;
+  if (group.languages !== undefined && !(isArray(group.languages) && group.languages.every(language => ['es', 'en'].includes(language)))) return false;
+  if (group.profileIds !== undefined && !(
+    isArray(group.profileIds) && group.profileIds.length <= 20 &&
+    group.profileIds.every(id => isString(id) && /^[a-z0-9_-]{1,40}$/i.test(id))
+  )) return false;
+  return true;
+}
+
 /**
  * Validate dictionary entry updates
  */
@@ -175,7 +519,10 @@ function isValidDictionaryEntryUpdates(updates) {
   if (!isObject(updates)) return false;
   if (updates.find !== undefined && !isString(updates.find)) return false;
   if (updates.replace !== undefined && !isString(updates.replace)) return false;
+  if (updates.type !== undefined && !['text', 'regex'].includes(updates.type)) return false;
   if (updates.soundsLike !== undefined && !isString(updates.soundsLike)) return false;
+  if (updates.groupId !== undefined && (!isString(updates.groupId) || updates.groupId.length > 60)) return false;
+  if (updates.pinned !== undefined && !isBoolean(updates.pinned)) return false;
   if (updates.caseSensitive !== undefined && !isBoolean(updates.caseSensitive)) return false;
   if (updates.enabled !== undefined && !isBoolean(updates.enabled)) return false;
   return true;
@@ -227,6 +574,21 @@ function validateIpcMessage(channel, ...args) {
       if (options?.language && !isValidLanguage(options.language)) {
         return validationResult(false, 'Invalid language');
       }
+      if (options?.stream !== undefined && !isBoolean(options.stream)) {
+        return validationResult(false, 'Invalid stream flag');
+      }
+      if (options?.transcriptionProvider && !isValidTranscriptionProvider(options.transcriptionProvider)) {
+        return validationResult(false, 'Invalid transcription provider');
+      }
+      if (options?.transcriptionBaseUrl && !isValidHttpUrl(options.transcriptionBaseUrl)) {
+        return validationResult(false, 'Invalid transcription URL');
+      }
+      if (options?.transcriptionModel !== undefined && (!isString(options.transcriptionModel) || options.transcriptionModel.length > 100)) {
+        return validationResult(false, 'Invalid transcription model');
+      }
+      if (options?.profileId !== undefined && (!isString(options.profileId) || options.profileId.length > 40)) {
+        return validationResult(false, 'Invalid profile');
+      }
       return validationResult(true);
     }
 
@@ -241,6 +603,32 @@ function validateIpcMessage(channel, ...args) {
       if (options?.provider && !isValidProvider(options.provider)) {
         return validationResult(false, 'Invalid provider');
       }
+      if (options?.model !== undefined && (!isString(options.model) || options.model.length > 100)) {
+        return validationResult(false, 'Invalid model');
+      }
+      if (options?.baseUrl && !isValidHttpUrl(options.baseUrl)) {
+        return validationResult(false, 'Invalid base URL');
+      }
+      if (options?.translateTo && !isValidTranslationTarget(options.translateTo)) {
+        return validationResult(false, 'Invalid translation target');
+      }
+      if (options?.promptTemplateId && !isValidPromptTemplateId(options.promptTemplateId)) {
+        return validationResult(false, 'Invalid prompt template');
+      }
+      if (options?.language && !isValidLanguage(options.language)) {
+        return validationResult(false, 'Invalid language');
+      }
+      if (options?.profileId !== undefined && (!isString(options.profileId) || options.profileId.length > 40)) {
+        return validationResult(false, 'Invalid profile');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-indicator-expanded': {
+      const [expanded] = args;
+      if (!isBoolean(expanded)) {
+        return validationResult(false, 'Invalid expanded flag');
+      }
       return validationResult(true);
     }
 
@@ -252,6 +640,37 @@ function validateIpcMessage(channel, ...args) {
       return validationResult(true);
     }
 
+    case 'request-review': {
+      const [data] = args;
+      if (!isObject(data) || !isString(data.text)) {
+        return validationResult(false, 'Invalid review data');
+      }
+      if (data.rawText !== undefined && !isString(data.rawText)) {
+        return validationResult(false, 'Invalid raw text');
+      }
+      return validationResult(true);
+    }
+
+    case 'submit-review': {
+      const [result] = args;
+      if (!isObject(result) || !['accept', 'copy', 'discard'].includes(result.action)) {
+        return validationResult(false, 'Invalid review action');
+      }
+      if (result.action !== 'discard' && !isString(result.text)) {
+        return validationResult(false, 'Invalid text');
+      }
+      return validationResult(true);
+    }
+
+    case 'type-text': {
+      const [text] = args;
+      // Typing is slow, keep it to dictation-sized text
+      if (!isString(text) || text.length > 20000) {
+        return validationResult(false, 'Invalid text');
+      }
+      return validationResult(true);
+    }
+
     case 'save-transcription': {
       const [data] = args;
       if (!isValidTranscriptionData(data)) {
@@ -260,6 +679,17 @@ function validateIpcMessage(channel, ...args) {
       return validationResult(true);
     }
 
+    case 'update-transcription': {
+      const [id, text] = args;
+      if (!isPositiveInt(id)) {
+        return validationResult(false, 'Invalid transcription ID');
+      }
+      if (!isNonEmptyString(text) || text.length > 20000) {
+        return validationResult(false, 'Invalid text');
+      }
+      return validationResult(true);
+    }
+
     case 'get-transcriptions': {
       const [limit] = args;
       if (limit !== undefined && (!isNumber(limit) || limit < 1 || limit > 10000)) {
@@ -270,19 +700,102 @@ function validateIpcMessage(channel, ...args) {
 
     case 'set-api-key': {
       const [provider, key] = args;
-      if (!isValidProvider(provider)) {
+      if (!isValidApiKeyProvider(provider)) {
         return validationResult(false, 'Invalid provider');
       }
       if (!isString(key)) {
         return validationResult(false, 'Invalid key type');
       }
       // Allow empty string to clear key
-      if (key !== '' && !isValidApiKey(key)) {
+      if (key !== '' && !isValidApiKey(key, provider)) {
         return validationResult(false, 'Invalid API key format');
       }
       return validationResult(true);
     }
 
+    case 'set-transcription-fallback': {
+      const [settings] = args;
+      if (!isValidFallbackSettings(settings)) {
+        return validationResult(false, 'Invalid fallback settings');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-hallucination-filter': {
+      const [settings] = args;
+      if (!isValidHallucinationFilterSettings(settings)) {
+        return validationResult(false, 'Invalid hallucination filter settings');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-voice-commands': {
+      const [settings] = args;
+      if (!isValidVoiceCommandSettings(settings)) {
+        return validationResult(false, 'Invalid voice command settings');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-prompt-templates': {
+      const [templates] = args;
+      if (!isValidPromptTemplates(templates)) {
+        return validationResult(false, 'Invalid prompt templates');
+      }
+      return validationResult(true);
+    }
+
+    case 'import-prompt-templates': {
+      const [json] = args;
+      // Allow string (JSON) or object
+      if (!isString(json) && !isObject(json) && !isArray(json)) {
+        return validationResult(false, 'Invalid import data');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-app-profiles': {
+      const [settings] = args;
+      if (!isValidAppProfileSettings(settings)) {
+        return validationResult(false, 'Invalid app profile settings');
+      }
+      return validationResult(true);
+    }
+
+    case 'retry-offline-item': {
+      const [id] = args;
+      // No id = retry every pending item
+      if (id !== undefined && id !== null && !isValidQueueItemId(id)) {
+        return validationResult(false, 'Invalid queue item ID');
+      }
+      return validationResult(true);
+    }
+
+    case 'delete-offline-item': {
+      const [id] = args;
+      if (!isValidQueueItemId(id)) {
+        return validationResult(false, 'Invalid queue item ID');
+      }
+      return validationResult(true);
+    }
+
+    case 'select-local-whisper-file': {
+      const [kind] = args;
+      if (!['binary', 'model'].includes(kind)) {
+        return validationResult(false, 'Invalid file kind');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-local-whisper-threads': {
+      const [threads] = args;
+      // null resets to the whisper.cpp default
+      if (threads !== null && (!isPositiveInt(threads) || threads > 32)) {
+        return validationResult(false, 'Invalid thread count');
+      }
+      return validationResult(true);
+    }
+
     case 'set-hotkey': {
       const [hotkey] = args;
       if (!isValidHotkey(hotkey)) {
@@ -291,6 +804,30 @@ function validateIpcMessage(channel, ...args) {
       return validationResult(true);
     }
 
+    case 'set-hotkey-mode': {
+      const [mode] = args;
+      if (!isValidHotkeyMode(mode)) {
+        return validationResult(false, 'Invalid hotkey mode');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-hotkey-profiles': {
+      const [profiles] = args;
+      if (!isValidHotkeyProfiles(profiles)) {
+        return validationResult(false, 'Invalid hotkey profiles');
+      }
+      return validationResult(true);
+    }
+
+    case 'set-action-hotkeys': {
+      const [actions] = args;
+      if (!isValidActionHotkeys(actions)) {
+        return validationResult(false, 'Invalid action hotkeys');
+      }
+      return validationResult(true);
+    }
+
     case 'read-log-file': {
       const [filename] = args;
       if (!isValidFilename(filename)) {
@@ -318,9 +855,26 @@ function validateIpcMessage(channel, ...args) {
 
     case 'add-dictionary-entry': {
       const [entry] = args;
+      if (entry?.type === 'regex' && getDictionaryPatternError(entry.find)) {
+        return validationResult(false, getDictionaryPatternError(entry.find));
+      }
+      if (!isValidDictionaryEntry(entry)) {
+        return validationResult(false, 'Invalid dictionary entry');
+      }
+      return validationResult(true);
+    }
+
+    case 'preview-dictionary-entry': {
+      const [entry, text] = args;
+      if (entry?.type === 'regex' && getDictionaryPatternError(entry.find)) {
+        return validationResult(false, getDictionaryPatternError(entry.find));
+      }
       if (!isValidDictionaryEntry(entry)) {
         return validationResult(false, 'Invalid dictionary entry');
       }
+      if (!isString(text) || text.length > 10000) {
+        return validationResult(false, 'Invalid text');
+      }
       return validationResult(true);
     }
 
@@ -353,13 +907,77 @@ function validateIpcMessage(channel, ...args) {
     }
 
     case 'test-replacement': {
-      const [text] = args;
+      const [text, context] = args;
       if (!isString(text)) {
         return validationResult(false, 'Invalid text');
       }
       if (text.length > 10000) {
         return validationResult(false, 'Text too long');
       }
+      if (context !== undefined && !(
+        isObject(context) &&
+        (!context.language || isValidLanguage(context.language)) &&
+        (context.profileId === undefined || isString(context.profileId))
+      )) {
+        return validationResult(false, 'Invalid context');
+      }
+      return validationResult(true);
+    }
+
+    case 'dismiss-dictionary-suggestion': {
+      const [find, replace] = args;
+      if (!isNonEmptyString(find) || find.length > 200 || !isNonEmptyString(replace) || replace.length > 200) {
+        return validationResult(false, 'Invalid suggestion');
+      }
+      return validationResult(true);
+    }
+
+    case 'get-whisper-prompt-terms': {
+      const [context] = args;
+      if (context !== undefined && !(
+        isObject(context) &&
+        (!context.language || isValidLanguage(context.language)) &&
+        (context.profileId === undefined || isString(context.profileId)) &&
+        (!context.processingMode || ['verbatim', 'fast', 'smart', 'code'].includes(context.processingMode))
+      )) {
+        return validationResult(false, 'Invalid context');
+      }
+      return validationResult(true);
+    }
+
+    case 'add-dictionary-group': {
+      const [group] = args;
+      if (!isValidDictionaryGroup(group)) {
+        return validationResult(false, 'Invalid dictionary group');
+      }
+      return validationResult(true);
+    }
+
+    case 'update-dictionary-group': {
+      const [id, updates] = args;
+      if (!isNonEmptyString(id)) {
+        return validationResult(false, 'Invalid group ID');
+      }
+      if (!isValidDictionaryGroup(updates, { partial: true })) {
+        return validationResult(false, 'Invalid group updates');
+      }
+      return validationResult(true);
+    }
+
+    case 'delete-dictionary-group':
+    case 'export-dictionary-group': {
+      const [id] = args;
+      if (!isNonEmptyString(id)) {
+        return validationResult(false, 'Invalid group ID');
+      }
+      return validationResult(true);
+    }
+
+    case 'import-dictionary-group': {
+      const [json] = args;
+      if (!isString(json) && !isObject(json)) {
+        return validationResult(false, 'Invalid import data');
+      }
       return validationResult(true);
     }
 
@@ -374,10 +992,23 @@ function validateIpcMessage(channel, ...args) {
     // Dictionary handlers that take no arguments
     case 'get-dictionary':
     case 'export-dictionary':
+    case 'get-dictionary-suggestions':
       return validationResult(true);
 
     // Handlers that take no arguments or only need basic validation
     case 'get-api-keys':
+    case 'get-transcription-providers':
+    case 'get-reasoning-providers':
+    case 'get-local-whisper-settings':
+    case 'get-transcription-fallback':
+    case 'get-offline-queue':
+    case 'get-hallucination-filter':
+    case 'get-voice-commands':
+    case 'get-prompt-templates':
+    case 'export-prompt-templates':
+    case 'get-app-profiles':
+    case 'detect-foreground-app':
+    case 'detect-app-profile':
     case 'check-encryption':
     case 'show-control-panel':
     case 'hide-control-panel':
@@ -388,6 +1019,10 @@ function validateIpcMessage(channel, ...args) {
     case 'get-app-version':
     case 'get-app-info':
     case 'get-hotkey':
+    case 'get-hotkey-mode':
+    case 'get-hotkey-profiles':
+    case 'get-action-hotkeys':
+    case 'get-pending-review':
     case 'get-available-hotkeys':
     case 'get-setting':
     case 'set-setting':
@@ -409,14 +1044,31 @@ module.exports = {
   isObject,
   isValidAudioData,
   isValidApiKey,
+  isValidHttpUrl,
   isValidHotkey,
+  isValidHotkeyMode,
   isValidProvider,
+  isValidApiKeyProvider,
+  isValidTranscriptionProvider,
+  isValidFallbackSettings,
+  isValidQueueItemId,
+  isValidHallucinationFilterSettings,
+  isValidVoiceCommandSettings,
+  isValidPromptTemplates,
+  isValidPromptTemplateId,
   isValidLanguage,
+  isValidHotkeyProfiles,
+  isValidActionHotkeys,
+  isValidOutputMode,
+  isValidAppProfileSettings,
+  isValidTranslationTarget,
   isValidTranscriptionData,
   isValidFilename,
+  getDictionaryPatternError,
   isValidDictionaryEntry,
   isValidDictionary,
   isValidDictionaryEntryUpdates,
+  isValidDictionaryGroup,
   isValidDictionarySettings,
   sanitizeString,
   validateIpcMessage
@@ -0,0 +1,148 @@
+/**
+ * Linux Paste Module for Murmullo
+ * Simulates Ctrl+V on Linux desktops: xdotool on X11, wtype or ydotool on Wayland
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PASTE_TIMEOUT_MS = 5000;
+
+const PASTE_TOOLS = {
+  xdotool: { command: 'xdotool', args: ['key', '--clearmodifiers', 'ctrl+v'] },
+  // Needs the compositor's virtual-keyboard protocol (Sway, Hyprland, KDE; not GNOME)
+  wtype: { command: 'wtype', args: ['-M', 'ctrl', 'v', '-m', 'ctrl'] },
+  // Works on any compositor through uinput, needs ydotoold running. 29 = KEY_LEFTCTRL, 47 = KEY_V
+  ydotool: { command: 'ydotool', args: ['key', '29:1', '47:1', '47:0', '29:0'] }
+};
+
+// xdotool is left out on Wayland: it only reaches XWayland windows and "succeeds" silently elsewhere
+const TOOL_ORDER = {
+  x11: ['xdotool'],
+  wayland: ['wtype', 'ydotool'],
+  unknown: ['xdotool', 'wtype', 'ydotool']
+};
+
+const MISSING_TOOL_HINTS = {
+  x11: 'Instala xdotool (ej: sudo apt install xdotool)',
+  wayland: 'Instala wtype, o ydotool con el servicio ydotoold activo',
+  unknown: 'Instala xdotool (X11) o wtype/ydotool (Wayland)'
+};
+
+/**
+ * Work out the display server from the session environment
+ * @param {object} [env]
+ * @returns {'x11' | 'wayland' | 'unknown'}
+ */
+function detectSessionType(env = process.env) {
+  const type = (env.XDG_SESSION_TYPE || '').toLowerCase();
+  if (type === 'wayland' || type === 'x11') return type;
+  if (env.WAYLAND_DISPLAY) return 'wayland';
+  if (env.DISPLAY) return 'x11';
+  return 'unknown';
+}
+
+/**
+ * Look a command up in PATH
+ * @param {string} command
+ * @param {object} [env]
+ * @returns {string | null} Full path of the executable
+ */
+function findExecutable(command, env = process.env) {
+  for (const dir of (env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, command);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (e) {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Installed paste tools for this session, in the order they should be tried
+ * @param {object} [options]
+ * @param {object} [options.env]
+ * @param {Function} [options.isAvailable] - (command) => boolean
+ * @returns {{ sessionType: string, tools: string[] }}
+ */
+function getPasteTools({ env = process.env, isAvailable = (command) => !!findExecutable(command, env) } = {}) {
+  const sessionType = detectSessionType(env);
+  const tools = TOOL_ORDER[sessionType].filter(name => isAvailable(PASTE_TOOLS[name].command));
+  return { sessionType, tools };
+}
+
+/**
+ * Run one paste tool, rejecting on a non-zero exit code
+ */
+function runPasteTool(name, spawnFn = spawn) {
+  const { command, args } = PASTE_TOOLS[name];
+  return new Promise((resolve, reject) => {
+    const child = spawnFn(command, args);
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${command} no respondió`));
+    }, PASTE_TIMEOUT_MS);
+
+    child.stderr?.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `${command} terminó con código ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Simulate Ctrl+V with the first tool that works
+ * @param {object} [options]
+ * @param {object} [options.env]
+ * @param {Function} [options.isAvailable]
+ * @param {Function} [options.spawnFn]
+ * @returns {Promise<{ tool: string, sessionType: string }>}
+ * @throws {Error} code 'PASTE_TOOL_MISSING' when nothing is installed, 'PASTE_FAILED' when every tool failed
+ */
+async function simulateLinuxPaste({ env = process.env, isAvailable, spawnFn = spawn } = {}) {
+  const { sessionType, tools } = getPasteTools({ env, isAvailable });
+
+  if (tools.length === 0) {
+    const error = new Error(`No se pudo pegar automáticamente: falta una herramienta de teclado. ${MISSING_TOOL_HINTS[sessionType]}. El texto quedó en el portapapeles.`);
+    error.code = 'PASTE_TOOL_MISSING';
+    error.sessionType = sessionType;
+    throw error;
+  }
+
+  const failures = [];
+  for (const tool of tools) {
+    try {
+      await runPasteTool(tool, spawnFn);
+      return { tool, sessionType };
+    } catch (e) {
+      failures.push(`${tool}: ${e.message}`);
+    }
+  }
+
+  const error = new Error(`No se pudo pegar automáticamente (${failures.join('; ')}). El texto quedó en el portapapeles.`);
+  error.code = 'PASTE_FAILED';
+  error.sessionType = sessionType;
+  throw error;
+}
+
+module.exports = {
+  PASTE_TOOLS,
+  detectSessionType,
+  findExecutable,
+  getPasteTools,
+  simulateLinuxPaste
+};
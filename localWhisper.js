@@ -0,0 +1,137 @@
+/**
+ * Local Whisper Module for Murmullo
+ * Runs a user-provided whisper.cpp binary so audio never leaves the machine
+ */
+
+const DEFAULT_TIMEOUT_MS = 120000; // Large models on CPU can be slow
+const MAX_THREADS = 32;
+
+/**
+ * Check whether a buffer is a WAV file whisper.cpp can read directly
+ * (PCM, 16 kHz, mono, 16-bit)
+ * @param {Buffer} buffer - Audio data
+ * @returns {boolean}
+ */
+function isWhisperCppCompatibleWav(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 44) return false;
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return false;
+
+  // Walk chunks until 'fmt ' (usually right after the RIFF header)
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      if (offset + 24 > buffer.length) return false;
+      const audioFormat = buffer.readUInt16LE(offset + 8);
+      const channels = buffer.readUInt16LE(offset + 10);
+      const sampleRate = buffer.readUInt32LE(offset + 12);
+      const bitsPerSample = buffer.readUInt16LE(offset + 22);
+      return audioFormat === 1 && channels === 1 && sampleRate === 16000 && bitsPerSample === 16;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+  }
+  return false;
+}
+
+/**
+ * Build the whisper.cpp command line
+ * @param {object} params
+ * @param {string} params.modelPath - GGML model file
+ * @param {string} params.wavPath - 16 kHz mono WAV file
+ * @param {string} [params.language] - ISO code or 'auto'
+ * @param {string} [params.prompt] - Initial prompt (dictionary terms)
+ * @param {number} [params.threads] - CPU threads, whisper.cpp default when omitted
+ * @returns {string[]}
+ */
+function buildWhisperCppArgs({ modelPath, wavPath, language, prompt, threads }) {
+  const args = [
+    '-m', modelPath,
+    '-f', wavPath,
+    '-l', language || 'auto',
+    '-nt', // No timestamps
+    '-np'  // Only print the transcription
+  ];
+
+  if (Number.isInteger(threads) && threads > 0) {
+    args.push('-t', String(Math.min(threads, MAX_THREADS)));
+  }
+  if (prompt) {
+    args.push('--prompt', prompt);
+  }
+  return args;
+}
+
+/**
+ * Turn whisper.cpp stdout into plain text
+ * Strips timestamp prefixes in case the binary ignores -nt
+ * @param {string} stdout
+ * @returns {string}
+ */
+function parseWhisperCppOutput(stdout) {
+  return String(stdout || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\s*\[[\d:.]+\s*-->\s*[\d:.]+\]\s*/, '').trim())
+    .filter(line => line && line !== '[BLANK_AUDIO]')
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Run whisper.cpp on a WAV file
+ * @param {object} params - See buildWhisperCppArgs, plus binaryPath and timeoutMs
+ * @param {Function} spawnFn - child_process.spawn (injected for tests)
+ * @returns {Promise<string>} - Transcribed text
+ */
+function runWhisperCpp(params, spawnFn) {
+  const { binaryPath, timeoutMs = DEFAULT_TIMEOUT_MS } = params;
+
+  return new Promise((resolve, reject) => {
+    const child = spawnFn(binaryPath, buildWhisperCppArgs(params), { windowsHide: true });
+
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(reject, new Error(`whisper.cpp timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', (err) => {
+      finish(reject, new Error(`whisper.cpp could not be started: ${err.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        finish(resolve, parseWhisperCppOutput(stdout));
+      } else {
+        const details = stderr.trim().split(/\r?\n/).slice(-3).join(' ');
+        finish(reject, new Error(`whisper.cpp failed with code ${code}${details ? `: ${details}` : ''}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  MAX_THREADS,
+  isWhisperCppCompatibleWav,
+  buildWhisperCppArgs,
+  parseWhisperCppOutput,
+  runWhisperCpp
+};
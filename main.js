@@ -1,9 +1,70 @@
-const { app, BrowserWindow, globalShortcut, ipcMain, clipboard, Tray, Menu, nativeImage, shell, dialog, safeStorage, session, net } = require('electron');
+const { app, BrowserWindow, globalShortcut, ipcMain, clipboard, Tray, Menu, nativeImage, shell, dialog, safeStorage, session, net, Notification } = require('electron');
 const path = require('path');
 const { spawn, execFile } = require('child_process');
 const fs = require('fs');
 const SecureStorage = require('./secureStorage');
-const { validateIpcMessage, sanitizeString } = require('./ipcValidation');
+const { validateIpcMessage, sanitizeString, isValidDictionaryEntry } = require('./ipcValidation');
+const {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+  normalizeBaseUrl,
+  transcribeWithOpenAICompatible,
+  DEFAULT_FALLBACK_SETTINGS,
+  buildFallbackChain,
+  isTransientError,
+  runTranscriptionChain
+} = require('./transcriptionProviders');
+const { runWhisperCpp, isWhisperCppCompatibleWav } = require('./localWhisper');
+const { OfflineQueue } = require('./offlineQueue');
+const { getLastPastedText } = require('./pasteHistory');
+const { filterHallucinations, DEFAULT_HALLUCINATIONS } = require('./hallucinationFilter');
+const { startPushToTalk } = require('./pushToTalk');
+const { MAX_PROFILES, normalizeHotkeyProfile, findHotkeyConflict } = require('./hotkeyProfiles');
+const { simulateLinuxPaste } = require('./linuxPaste');
+const { typeText } = require('./typeOut');
+const { formatCodeDictation } = require('./codeDictation');
+const { normalizeSpanishNumbers } = require('./spanishNumbers');
+const {
+  MAX_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  renderPromptTemplate,
+  buildTemplateVariables,
+  findPromptTemplate,
+  parsePromptTemplateImport
+} = require('./promptTemplates');
+const { readCompletionStream } = require('./aiStream');
+const { applyDictionaryEntries } = require('./dictionaryMatcher');
+const {
+  MAX_DICTIONARY_GROUPS,
+  normalizeDictionaryGroup,
+  selectActiveEntries,
+  buildGroupExport,
+  parseGroupImport
+} = require('./dictionaryGroups');
+const {
+  WHISPER_PROMPT_TOKEN_LIMIT,
+  estimateWhisperTokens,
+  selectWhisperPromptTerms,
+  recordEntryUsage
+} = require('./whisperPromptTerms');
+const {
+  MIN_SUGGESTION_COUNT,
+  extractSubstitutions,
+  recordCorrections,
+  getDictionarySuggestions,
+  dismissCorrection
+} = require('./correctionLearner');
+const {
+  getReasoningProvider,
+  listReasoningProviders,
+  resolveReasoningModel,
+  buildCompletionRequest,
+  extractCompletionText,
+  getStreamFormat
+} = require('./reasoningProviders');
+const { MAX_APP_RULES, DEFAULT_APP_RULES, normalizeAppRule, detectForegroundApp, findAppRule } = require('./appProfiles');
+const { MAX_COMMANDS, DEFAULT_VOICE_COMMANDS, VOICE_COMMAND_ACTIONS, normalizeVoiceCommands, applyVoiceCommands } = require('./voiceCommands');
 const { autoUpdater } = require('electron-updater');
 
 // DEBUG MODE - set to true for extensive logging
@@ -142,6 +203,16 @@ function formatNumberedLists(text) {
   return formatted;
 }
 
+// Secure storage keys for each API key provider
+const API_KEY_STORAGE_KEYS = {
+  openai: 'openai_api_key',
+  anthropic: 'anthropic_api_key',
+  groq: 'groq_api_key',
+  custom: 'custom_api_key',
+  gemini: 'gemini_api_key',
+  ollama: 'ollama_api_key'
+};
+
 // Helper function to mask API keys for display
 function maskApiKey(key) {
   if (!key || key.length < 10) return key ? '****' : '';
@@ -155,7 +226,7 @@ function maskApiKey(key) {
 // ==========================================
 // Saves audio files and metadata for investigating transcription issues
 
-async function saveDebugAudio(audioData, originalText, processedText, processingMode, latencyMs, source) {
+async function saveDebugAudio(audioData, originalText, processedText, processingMode, latencyMs, source, extra = {}) {
   if (!debugAudioEnabled) {
     return; // Debug mode disabled
   }
@@ -192,13 +263,14 @@ async function saveDebugAudio(audioData, originalText, processedText, processing
       audioSizeBytes: audioBuffer.length,
       audioFormat: ext,
       processingMode,
-      source, // 'backend' or 'local'
+      source, // Transcription provider id (openai, groq, custom, backend)
       latencyMs,
       originalText, // Raw Whisper output
       processedText, // After formatting/AI processing
       textWasModified: originalText !== processedText,
       wordCountOriginal: originalText?.split(/\s+/).filter(w => w).length || 0,
       wordCountProcessed: processedText?.split(/\s+/).filter(w => w).length || 0,
+      hallucinationHits: extra.hallucinationHits || [], // What the hallucination filter removed
       appVersion: app.getVersion()
     };
 
@@ -308,11 +380,26 @@ let downloadProgress = 0;
 
 let mainWindow = null;
 let controlPanel = null;
+let reviewWindow = null; // Pre-paste review popup, created on first use
+let pendingReview = null; // { data, resolve } for the review currently on screen
 let tray = null;
 let db = null;
 let dbPath = null;
 let currentHotkey = 'CommandOrControl+Shift+Space'; // Default hotkey, can be changed by user
+let hotkeyMode = 'toggle'; // 'toggle' (press to start/stop) or 'push-to-talk' (hold to record)
+let stopPushToTalk = null; // Stops the low-level key hook while push-to-talk is active
+let hotkeyProfiles = []; // Extra hotkeys bound to their own mode/language/providers (see hotkeyProfiles.js)
+let registeredProfileHotkeys = [];
+let actionHotkeys = { cancel: '', repaste: '' }; // Optional extra shortcuts, '' = disabled
+let registeredActionHotkeys = [];
+const ACTION_HOTKEY_LABELS = {
+  cancel: 'cancelar grabación',
+  repaste: 'volver a pegar'
+};
 let secureStorage = null; // Initialized after app is ready
+let offlineQueue = null; // Recordings waiting for connectivity, initialized after app is ready
+let isProcessingOfflineQueue = false;
+const OFFLINE_QUEUE_CHECK_INTERVAL_MS = 30000;
 
 // Backend mode settings
 let backendMode = false;
@@ -320,6 +407,43 @@ let backendUrl = 'https://murmullo-api.luminaconsulting.ai';
 let backendAccessToken = null;
 let backendRefreshToken = null;
 
+// Whisper hallucination filter (phantom phrases + repeated loops)
+// Word substitutions from edited dictations, turned into dictionary suggestions (see correctionLearner.js)
+let correctionLearning = {
+  candidates: [], // { find, replace, count, lastSeenAt }
+  dismissed: []   // { find, replace } the user doesn't want suggested
+};
+
+let hallucinationFilterSettings = {
+  enabled: true,
+  blocklist: [] // User phrases, removed when they make up a whole sentence
+};
+
+// Spoken punctuation and formatting commands (fast and smart modes)
+let voiceCommandSettings = {
+  enabled: true,
+  commands: DEFAULT_VOICE_COMMANDS
+};
+
+// User prompt templates for smart mode (built-in ones live in promptTemplates.js)
+let promptTemplates = [];
+
+// Rules that pick a profile from the application in the foreground (off by default)
+let appProfileSettings = {
+  enabled: false,
+  rules: DEFAULT_APP_RULES
+};
+
+// Providers tried in order when the selected transcription provider fails
+let transcriptionFallbackSettings = { ...DEFAULT_FALLBACK_SETTINGS };
+
+// Local whisper.cpp engine (paths picked by the user in the Control Panel)
+let localWhisperSettings = {
+  binaryPath: null,
+  modelPath: null,
+  threads: null // null = whisper.cpp default
+};
+
 // ==========================================
 // CUSTOM DICTIONARY
 // ==========================================
@@ -328,8 +452,9 @@ let backendRefreshToken = null;
 let customDictionary = {
   version: 1,
   entries: [],
+  groups: [], // Named sets of entries, see dictionaryGroups.js
   settings: {
-    maxWhisperPromptWords: 40,    // Max terms to include in Whisper prompt (224 token limit)
+    maxWhisperPromptWords: 40,    // Max terms in the Whisper prompt (the 224-token budget usually ends it first)
     enablePostProcessing: true,   // Apply find/replace after transcription
     enableWhisperHints: true      // Include terms in Whisper prompt
   }
@@ -345,6 +470,7 @@ function loadDictionary() {
         customDictionary = {
           version: config.customDictionary.version || 1,
           entries: config.customDictionary.entries || [],
+          groups: (config.customDictionary.groups || []).map(normalizeDictionaryGroup),
           settings: {
             maxWhisperPromptWords: config.customDictionary.settings?.maxWhisperPromptWords || 40,
             enablePostProcessing: config.customDictionary.settings?.enablePostProcessing !== false,
@@ -359,8 +485,15 @@ function loadDictionary() {
   }
 }
 
+// Hit counters change on most dictations; they are written at most this often
+const DICTIONARY_USAGE_SAVE_DELAY_MS = 30000;
+let dictionaryUsageSaveTimer = null;
+
 // Save dictionary to config.json
 function saveDictionary() {
+  // This write also carries any pending hit counters
+  clearTimeout(dictionaryUsageSaveTimer);
+  dictionaryUsageSaveTimer = null;
   try {
     const configPath = path.join(app.getPath('userData'), 'config.json');
     let config = {};
@@ -375,65 +508,74 @@ function saveDictionary() {
   }
 }
 
-// Generate text for Whisper prompt with top N dictionary terms
-function getDictionaryForWhisperPrompt() {
-  if (!customDictionary.settings.enableWhisperHints) {
-    return '';
-  }
+// Entries of the groups that apply to this dictation ({ language, profileId })
+function getActiveDictionaryEntries(context = {}) {
+  return selectActiveEntries(customDictionary.entries, customDictionary.groups, context);
+}
 
-  const enabledEntries = customDictionary.entries.filter(e => e.enabled);
-  if (enabledEntries.length === 0) {
+// Rank the active terms (pinned, then most used recently) and keep what fits in tokenBudget
+function getWhisperPromptSelection(context = {}, tokenBudget = WHISPER_PROMPT_TOKEN_LIMIT) {
+  // Regex replacements ("$1.com") aren't words Whisper could hear
+  const enabledEntries = getActiveDictionaryEntries(context).filter(e => e.type !== 'regex');
+  return selectWhisperPromptTerms(enabledEntries, {
+    tokenBudget,
+    maxTerms: customDictionary.settings.maxWhisperPromptWords
+  });
+}
+
+// Generate text for Whisper prompt with the best-ranked dictionary terms
+function getDictionaryForWhisperPrompt(context = {}, tokenBudget = WHISPER_PROMPT_TOKEN_LIMIT) {
+  if (!customDictionary.settings.enableWhisperHints) {
     return '';
   }
-
-  // Get the replacement terms (the correct spellings)
-  // Limit to maxWhisperPromptWords to stay within token limits
-  const terms = enabledEntries
-    .slice(0, customDictionary.settings.maxWhisperPromptWords)
-    .map(e => e.replace);
-
-  return terms.join(', ');
+  return getWhisperPromptSelection(context, tokenBudget).included.map(term => term.term).join(', ');
 }
 
-// Escape special regex characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Correct spellings from the dictionary, for the {{dictionary}} prompt variable
+function getDictionaryTerms(context = {}) {
+  return [...new Set(getActiveDictionaryEntries(context).filter(e => e.type !== 'regex').map(e => e.replace))];
 }
 
-// Apply dictionary find/replace to text
-function applyDictionaryReplacements(text) {
+// Apply dictionary entries to text, returns { text, matches } (see dictionaryMatcher.js)
+function matchDictionary(text, context = {}) {
   if (!customDictionary.settings.enablePostProcessing) {
-    return text;
+    return { text, matches: [], timedOut: [] };
   }
 
-  const enabledEntries = customDictionary.entries.filter(e => e.enabled);
+  const enabledEntries = getActiveDictionaryEntries(context);
   if (enabledEntries.length === 0) {
-    return text;
+    return { text, matches: [], timedOut: [] };
   }
 
-  let result = text;
-  let replacementsMade = 0;
-
-  for (const entry of enabledEntries) {
-    const escapedFind = escapeRegex(entry.find);
-    const flags = entry.caseSensitive ? 'gu' : 'giu';
-
-    // Use word boundaries to avoid partial replacements
-    // \b doesn't work well with Unicode, so we use lookahead/lookbehind
-    const pattern = new RegExp(`(?<=^|[\\s.,;:!?¿¡"'()\\[\\]{}])${escapedFind}(?=$|[\\s.,;:!?¿¡"'()\\[\\]{}])`, flags);
-
-    const newResult = result.replace(pattern, entry.replace);
-    if (newResult !== result) {
-      replacementsMade++;
-      result = newResult;
-    }
+  const result = applyDictionaryEntries(text, enabledEntries);
+  if (result.timedOut.length > 0) {
+    logError('Dictionary regex entries skipped, too slow on this text:', result.timedOut.join(', '));
+  }
+  if (result.matches.length > 0) {
+    const phonetic = result.matches.filter(match => match.type === 'phonetic').length;
+    log('Dictionary replacements applied:', result.matches.length, 'phonetic:', phonetic);
   }
+  return result;
+}
+
+// Which dictionary groups apply, from transcribe-audio / process-text options
+function getDictionaryContext(options) {
+  return { language: options?.language, profileId: options?.profileId };
+}
 
-  if (replacementsMade > 0) {
-    log('Dictionary replacements applied:', replacementsMade);
+// Apply dictionary find/replace to a dictation; the hits rank terms for the Whisper prompt
+function applyDictionaryReplacements(text, context = {}) {
+  const result = matchDictionary(text, context);
+  if (recordEntryUsage(customDictionary.entries, result.matches) > 0) {
+    scheduleDictionaryUsageSave();
   }
+  return result.text;
+}
 
-  return result;
+// Batch the hit counters of consecutive dictations (and offline-queue replays) into one write
+function scheduleDictionaryUsageSave() {
+  if (dictionaryUsageSaveTimer) return;
+  dictionaryUsageSaveTimer = setTimeout(saveDictionary, DICTIONARY_USAGE_SAVE_DELAY_MS);
 }
 
 // ==========================================
@@ -544,6 +686,7 @@ async function fetchWithRetry(url, options = {}, maxRetries = 3) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
       lastError = new Error(`HTTP ${response.status}`);
+      lastError.status = response.status;
     } catch (error) {
       lastError = error;
       if (attempt < maxRetries - 1) {
@@ -556,8 +699,8 @@ async function fetchWithRetry(url, options = {}, maxRetries = 3) {
   throw lastError;
 }
 
-// Make authenticated request to backend
-async function backendRequest(endpoint, options = {}) {
+// Authenticated fetch to the backend, returning the raw response (used for streams)
+async function backendFetch(endpoint, options = {}) {
   const url = `${getBackendUrl()}${endpoint}`;
 
   const headers = {
@@ -569,27 +712,36 @@ async function backendRequest(endpoint, options = {}) {
     headers['Authorization'] = `Bearer ${backendAccessToken}`;
   }
 
-  try {
-    const response = await electronFetch(url, {
-      ...options,
-      headers
-    });
+  const response = await electronFetch(url, {
+    ...options,
+    headers
+  });
 
-    // Handle 401 - try to refresh token
-    if (response.status === 401 && backendRefreshToken) {
-      const refreshed = await refreshBackendToken();
-      if (refreshed) {
-        // Retry with new token
-        headers['Authorization'] = `Bearer ${backendAccessToken}`;
-        const retryResponse = await electronFetch(url, { ...options, headers });
-        return handleBackendResponse(retryResponse);
-      }
+  // Handle 401 - try to refresh token
+  if (response.status === 401 && backendRefreshToken) {
+    const refreshed = await refreshBackendToken();
+    if (refreshed) {
+      // Retry with new token
+      headers['Authorization'] = `Bearer ${backendAccessToken}`;
+      return electronFetch(url, { ...options, headers });
     }
+  }
+
+  return response;
+}
 
+// Make authenticated request to backend
+async function backendRequest(endpoint, options = {}) {
+  try {
+    const response = await backendFetch(endpoint, options);
     return handleBackendResponse(response);
   } catch (error) {
     logError('Backend request failed:', error.message);
-    throw new Error(`Backend error: ${error.message}`);
+    const backendError = new Error(`Backend error: ${error.message}`);
+    // Keep what tells a dropped connection from a rejected request
+    backendError.status = error.status;
+    backendError.code = error.code || error.cause?.code;
+    throw backendError;
   }
 }
 
@@ -656,19 +808,37 @@ async function transcribeViaBackend(audioData, options = {}) {
 }
 
 // Process text via backend
+// With options.onText the backend streams the text as Server-Sent Events.
 async function processTextViaBackend(text, options = {}) {
-  log('Processing text via backend...');
+  log('Processing text via backend...', options.onText ? '(streaming)' : '');
 
-  const data = await backendRequest('/api/v1/ai/process', {
+  const requestOptions = {
     method: 'POST',
     body: JSON.stringify({
       text,
       provider: options.provider || 'anthropic',
-      model: options.model
+      model: options.model,
+      translateTo: options.translateTo || undefined,
+      // Rendered on this side, so the backend uses the same prompt as direct API calls
+      template: options.template || undefined,
+      stream: options.onText ? true : undefined
     })
-  });
+  };
 
-  return data;
+  if (!options.onText) {
+    return backendRequest('/api/v1/ai/process', requestOptions);
+  }
+
+  const response = await backendFetch('/api/v1/ai/process', {
+    ...requestOptions,
+    headers: { Accept: 'text/event-stream' }
+  });
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.includes('text/event-stream')) {
+    // Error, or a backend too old to stream: it answered with plain JSON
+    return handleBackendResponse(response);
+  }
+  return { text: await readCompletionStream(response.body, 'backend', options.onText) };
 }
 
 // Combined transcribe and process via backend
@@ -690,154 +860,1034 @@ async function transcribeAndProcessViaBackend(audioData, options = {}) {
   return data;
 }
 
-const isDev = !app.isPackaged;
-const VITE_DEV_SERVER_URL = 'http://localhost:5174';
+// ==========================================
+// TRANSCRIPTION PROVIDERS
+// ==========================================
 
-// Database setup with sql.js
-async function initDatabase() {
-  try {
-    log('Initializing database...');
-    const initSqlJs = require('sql.js');
-    const SQL = await initSqlJs();
+// Pick the provider for a transcription request.
+// 'auto' (or no choice) keeps the historical behaviour: backend when logged in, else OpenAI.
+function resolveTranscriptionProviderId(options = {}) {
+  const requested = options?.transcriptionProvider;
+  if (requested && requested !== 'auto') {
+    return requested;
+  }
+  return backendMode && backendAccessToken ? 'backend' : 'openai';
+}
 
-    dbPath = path.join(app.getPath('userData'), 'murmullo.db');
-    log('Database path:', dbPath);
+// Get API key for a transcription provider: secure storage, then options (legacy), then env
+function getProviderApiKey(provider, options = {}) {
+  const storageKey = API_KEY_STORAGE_KEYS[provider.apiKeyProvider];
+  const storedKey = storageKey ? secureStorage?.getSecure(storageKey) : null;
+  // Keys the renderer still sends from localStorage
+  const legacyKey = { openai: options?.apiKey, anthropic: options?.anthropicKey }[provider.apiKeyProvider];
+  const envKey = provider.envKey ? process.env[provider.envKey] : null;
+  return storedKey || legacyKey || envKey || '';
+}
 
-    // Load existing database or create new one
-    if (fs.existsSync(dbPath)) {
-      const fileBuffer = fs.readFileSync(dbPath);
-      db = new SQL.Database(fileBuffer);
-      log('Loaded existing database');
-    } else {
-      db = new SQL.Database();
-      log('Created new database');
-    }
+// Prompt helps anchor Whisper and reduce hallucinations
+// Include dictionary terms to help Whisper recognize custom words
+function buildWhisperPrompt(processingMode, context = {}) {
+  return renderWhisperPrompt(processingMode, getDictionaryForWhisperPrompt(context, getWhisperTermBudget(processingMode)));
+}
 
-    // Create tables
-    db.run(`
-      CREATE TABLE IF NOT EXISTS transcriptions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        original_text TEXT NOT NULL,
-        processed_text TEXT,
-        is_processed INTEGER DEFAULT 0,
-        processing_method TEXT DEFAULT 'none',
-        agent_name TEXT,
-        error TEXT
-      )
-    `);
+// Tokens the fixed prompt text leaves for dictionary terms
+function getWhisperTermBudget(processingMode) {
+  return WHISPER_PROMPT_TOKEN_LIMIT - estimateWhisperTokens(renderWhisperPrompt(processingMode, ' '));
+}
 
-    // Try to create index (may already exist)
-    try {
-      db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON transcriptions(timestamp DESC)');
-    } catch (e) {}
+function renderWhisperPrompt(processingMode, dictTerms) {
+  if (processingMode === 'code') {
+    // Keep "camel case" and English keywords as spoken instead of translating them
+    return `Dictado de código de programación en español con palabras clave en inglés: camel case, snake case, kebab case, const, function, return.${dictTerms ? ` Identificadores del proyecto: ${dictTerms}.` : ''}`;
+  }
+  return dictTerms
+    ? `Transcripción literal de dictado de voz en español. Términos especiales: ${dictTerms}. Transcribir exactamente lo que se dice, palabra por palabra, sin interpretar ni resumir.`
+    : `Transcripción literal de dictado de voz en español. Transcribir exactamente lo que se dice, palabra por palabra, sin interpretar ni resumir.`;
+}
 
-    saveDatabase();
-    console.log('Database initialized at:', dbPath);
+// Load the corrections learned from edited dictations
+function loadCorrectionLearning() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.correctionLearning) {
+        correctionLearning = {
+          candidates: config.correctionLearning.candidates || [],
+          dismissed: config.correctionLearning.dismissed || []
+        };
+        log('Correction learning loaded:', correctionLearning.candidates.length, 'candidates');
+      }
+    }
   } catch (err) {
-    logError('Database initialization error:', err);
+    log('No correction learning found, starting empty');
   }
 }
 
-function saveDatabase() {
-  if (db && dbPath) {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
+// Save the learned corrections to config file
+function saveCorrectionLearning() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.correctionLearning = correctionLearning;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  } catch (err) {
+    logError('Failed to save correction learning:', err);
   }
 }
 
-function createMainWindow() {
-  log('Creating main window...');
-
-  // Get screen dimensions to position window at bottom-right
-  const { screen } = require('electron');
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
-
-  // Small indicator window (60x60 pixels)
-  const windowSize = 60;
-  const margin = 20; // Distance from screen edges
+// Count the words the user corrected in a dictation (source: 'review' or 'history')
+function learnFromCorrection(before, after, source) {
+  const substitutions = extractSubstitutions(before, after);
+  if (recordCorrections(correctionLearning, substitutions) > 0) {
+    saveCorrectionLearning();
+    logAction('CORRECTIONS_LEARNED', { source, count: substitutions.length });
+  }
+}
 
-  mainWindow = new BrowserWindow({
-    width: windowSize,
-    height: windowSize,
-    x: screenWidth - windowSize - margin,
-    y: screenHeight - windowSize - margin,
-    frame: false,
-    transparent: true,
-    alwaysOnTop: true,
-    skipTaskbar: true,
-    resizable: false,
-    focusable: false, // Don't steal focus from other windows
-    hasShadow: false,
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
-      contextIsolation: true,
-      nodeIntegration: false,
-      webSecurity: true,
-      allowRunningInsecureContent: false,
-      enableRemoteModule: false
+// Load hallucination filter settings from config file
+function loadHallucinationFilterSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.hallucinationFilter) {
+        hallucinationFilterSettings = { ...hallucinationFilterSettings, ...config.hallucinationFilter };
+        log('Hallucination filter settings loaded:', {
+          enabled: hallucinationFilterSettings.enabled,
+          blocklistSize: hallucinationFilterSettings.blocklist.length
+        });
+      }
     }
-  });
-
-  // Make window click-through when idle (optional - can be enabled later)
-  // mainWindow.setIgnoreMouseEvents(true, { forward: true });
-
-  if (isDev) {
-    mainWindow.loadURL(VITE_DEV_SERVER_URL);
-    // Open DevTools in dev mode
-    // mainWindow.webContents.openDevTools({ mode: 'detach' });
-  } else {
-    mainWindow.loadFile(path.join(__dirname, 'dist', 'index.html'));
+  } catch (err) {
+    log('No hallucination filter settings found, using defaults');
   }
+}
 
-  // Minimize to tray instead of closing
-  mainWindow.on('close', (e) => {
-    if (!app.isQuitting) {
-      e.preventDefault();
-      mainWindow.hide();
-      log('Main window hidden to tray');
+// Save hallucination filter settings to config file
+function saveHallucinationFilterSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
     }
-  });
-
-  mainWindow.on('closed', () => {
-    mainWindow = null;
-  });
-
-  log('Main window created');
+    config.hallucinationFilter = hallucinationFilterSettings;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Hallucination filter settings saved');
+  } catch (err) {
+    logError('Failed to save hallucination filter settings:', err);
+  }
 }
 
-function createControlPanel() {
-  log('Creating control panel...');
-  controlPanel = new BrowserWindow({
-    width: 900,
-    height: 700,
-    show: false,
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js'),
-      contextIsolation: true,
-      nodeIntegration: false,
-      webSecurity: true,
-      allowRunningInsecureContent: false,
-      enableRemoteModule: false
+// Load user prompt templates from config file
+function loadPromptTemplates() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.promptTemplates && validateIpcMessage('set-prompt-templates', config.promptTemplates).isValid) {
+        promptTemplates = config.promptTemplates;
+        log('Prompt templates loaded:', promptTemplates.length);
+      }
     }
-  });
+  } catch (err) {
+    log('No prompt templates found, using built-in templates only');
+  }
+}
 
-  if (isDev) {
-    controlPanel.loadURL(`${VITE_DEV_SERVER_URL}#/control-panel`);
-  } else {
-    controlPanel.loadFile(path.join(__dirname, 'dist', 'index.html'), { hash: '/control-panel' });
+// Save user prompt templates to config file
+function savePromptTemplates() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.promptTemplates = promptTemplates;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Prompt templates saved');
+  } catch (err) {
+    logError('Failed to save prompt templates:', err);
   }
+}
 
-  controlPanel.on('close', (e) => {
-    if (!app.isQuitting) {
-      e.preventDefault();
-      controlPanel.hide();
+// Load voice command settings from config file
+function loadVoiceCommandSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.voiceCommands && validateIpcMessage('set-voice-commands', config.voiceCommands).isValid) {
+        voiceCommandSettings = { ...voiceCommandSettings, ...config.voiceCommands };
+        voiceCommandSettings.commands = normalizeVoiceCommands(voiceCommandSettings.commands);
+        log('Voice command settings loaded:', {
+          enabled: voiceCommandSettings.enabled,
+          commands: voiceCommandSettings.commands.length
+        });
+      }
     }
-  });
+  } catch (err) {
+    log('No voice command settings found, using defaults');
+  }
+}
 
-  log('Control panel created');
+// Save voice command settings to config file
+function saveVoiceCommandSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.voiceCommands = voiceCommandSettings;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Voice command settings saved');
+  } catch (err) {
+    logError('Failed to save voice command settings:', err);
+  }
+}
+
+// Load per-application profile rules from config file
+function loadAppProfileSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.appProfiles && validateIpcMessage('set-app-profiles', config.appProfiles).isValid) {
+        appProfileSettings = { ...appProfileSettings, ...config.appProfiles };
+        appProfileSettings.rules = appProfileSettings.rules.map(normalizeAppRule);
+        log('App profile settings loaded:', {
+          enabled: appProfileSettings.enabled,
+          rules: appProfileSettings.rules.length
+        });
+      }
+    }
+  } catch (err) {
+    log('No app profile settings found, using defaults');
+  }
+}
+
+// Save per-application profile rules to config file
+function saveAppProfileSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.appProfiles = appProfileSettings;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('App profile settings saved');
+  } catch (err) {
+    logError('Failed to save app profile settings:', err);
+  }
+}
+
+// Load hotkey profiles from config file
+function loadHotkeyProfiles() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.hotkeyProfiles && validateIpcMessage('set-hotkey-profiles', config.hotkeyProfiles).isValid) {
+        hotkeyProfiles = config.hotkeyProfiles.map(normalizeHotkeyProfile);
+        log('Hotkey profiles loaded:', hotkeyProfiles.length);
+      }
+    }
+  } catch (err) {
+    log('No hotkey profiles found, using main hotkey only');
+  }
+}
+
+// Save hotkey profiles to config file
+function saveHotkeyProfiles() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.hotkeyProfiles = hotkeyProfiles;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Hotkey profiles saved');
+  } catch (err) {
+    logError('Failed to save hotkey profiles:', err);
+  }
+}
+
+// Load transcription fallback chain from config file
+function loadTranscriptionFallbackSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.transcriptionFallback) {
+        transcriptionFallbackSettings = { ...DEFAULT_FALLBACK_SETTINGS, ...config.transcriptionFallback };
+        log('Transcription fallback settings loaded:', transcriptionFallbackSettings);
+      }
+    }
+  } catch (err) {
+    log('No transcription fallback settings found, using defaults');
+  }
+}
+
+// Save transcription fallback chain to config file
+function saveTranscriptionFallbackSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.transcriptionFallback = transcriptionFallbackSettings;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Transcription fallback settings saved');
+  } catch (err) {
+    logError('Failed to save transcription fallback settings:', err);
+  }
+}
+
+// Load local whisper.cpp settings from config file
+function loadLocalWhisperSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    if (fs.existsSync(configPath)) {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      if (config.localWhisper) {
+        localWhisperSettings = { ...localWhisperSettings, ...config.localWhisper };
+        log('Local whisper.cpp settings loaded:', {
+          hasBinary: !!localWhisperSettings.binaryPath,
+          hasModel: !!localWhisperSettings.modelPath,
+          threads: localWhisperSettings.threads
+        });
+      }
+    }
+  } catch (err) {
+    log('No local whisper.cpp settings found, using defaults');
+  }
+}
+
+// Save local whisper.cpp settings to config file
+function saveLocalWhisperSettings() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'config.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+    config.localWhisper = localWhisperSettings;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    log('Local whisper.cpp settings saved');
+  } catch (err) {
+    logError('Failed to save local whisper.cpp settings:', err);
+  }
+}
+
+// Local whisper.cpp settings as shown in the Control Panel
+function getLocalWhisperStatus() {
+  return {
+    ...localWhisperSettings,
+    binaryExists: !!localWhisperSettings.binaryPath && fs.existsSync(localWhisperSettings.binaryPath),
+    modelExists: !!localWhisperSettings.modelPath && fs.existsSync(localWhisperSettings.modelPath)
+  };
+}
+
+// Locate the FFmpeg binary: bundled ffmpeg-static first, system ffmpeg as fallback
+function getFfmpegPath() {
+  let ffmpegPath = 'ffmpeg';
+  try {
+    let ffmpegStatic = require('ffmpeg-static');
+    if (ffmpegStatic) {
+      // In production (asar), ffmpeg-static path needs adjustment
+      if (app.isPackaged && ffmpegStatic.includes('app.asar')) {
+        ffmpegPath = ffmpegStatic.replace('app.asar', 'app.asar.unpacked');
+      } else {
+        ffmpegPath = ffmpegStatic;
+      }
+      log('Using ffmpeg-static:', ffmpegPath);
+
+      // Verify the file exists
+      if (!fs.existsSync(ffmpegPath)) {
+        log('ffmpeg-static binary not found at:', ffmpegPath, '- falling back to system ffmpeg');
+        ffmpegPath = 'ffmpeg';
+      }
+    }
+  } catch (e) {
+    log('ffmpeg-static not available, trying system ffmpeg:', e.message);
+  }
+  return ffmpegPath;
+}
+
+// Convert any audio buffer to 16 kHz mono PCM WAV with FFmpeg
+async function convertWithFfmpeg(audioBuffer) {
+  const tempDir = app.getPath('temp');
+  const inputPath = path.join(tempDir, `murmullo_input_${Date.now()}.webm`);
+  const outputPath = path.join(tempDir, `murmullo_output_${Date.now()}.wav`);
+
+  try {
+    // Write the potentially corrupted data to a temp file
+    fs.writeFileSync(inputPath, audioBuffer);
+    log('Wrote temp input file:', inputPath);
+
+    const ffmpegPath = getFfmpegPath();
+
+    // Run FFmpeg to convert to WAV
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-y',
+        '-i', inputPath,
+        '-ar', '16000',
+        '-ac', '1',
+        '-c:a', 'pcm_s16le',
+        '-f', 'wav',
+        outputPath
+      ]);
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}: ${stderr}`));
+        }
+      });
+
+      ffmpeg.on('error', (err) => {
+        reject(new Error(`FFmpeg error: ${err.message}. The audio recording may be corrupted. Try restarting the app.`));
+      });
+    });
+
+    // Read the converted WAV file
+    const wavBuffer = fs.readFileSync(outputPath);
+    log('FFmpeg conversion successful, WAV size:', wavBuffer.length);
+    return wavBuffer;
+  } finally {
+    // Cleanup temp files
+    try {
+      if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+// Detect the audio format and repair corrupted recordings with FFmpeg
+// Returns the file part for a multipart upload
+async function prepareAudioForUpload(audioData) {
+  // Create buffer from audio data
+  const audioBuffer = Buffer.from(audioData);
+  log('Audio buffer size:', audioBuffer.length);
+
+  // Check audio format by header
+  const headerCheck = audioBuffer.slice(0, 4);
+  const headerHex = headerCheck.toString('hex');
+  const headerString = headerCheck.toString('ascii');
+  log('Audio header bytes:', headerHex, '(' + headerString + ')');
+
+  // Detect format
+  const isValidEBML = headerHex === '1a45dfa3';  // WebM/MKV
+  const isWAV = headerString === 'RIFF';         // WAV
+  const isOgg = headerString === 'OggS';         // Ogg Opus (MediaRecorder fallback)
+
+  if (isWAV) {
+    // WAV format - converted by renderer to avoid Chromium bug
+    log('WAV format detected (converted from WebM)');
+    return { buffer: audioBuffer, filename: 'audio.wav', contentType: 'audio/wav' };
+  }
+
+  if (isOgg) {
+    log('Ogg header detected, sending directly');
+    return { buffer: audioBuffer, filename: 'audio.ogg', contentType: 'audio/ogg' };
+  }
+
+  if (isValidEBML) {
+    // Valid WebM - send directly
+    log('Valid WebM header detected, sending directly');
+    return { buffer: audioBuffer, filename: 'audio.webm', contentType: 'audio/webm' };
+  }
+
+  // Invalid header - the MediaRecorder produced a corrupted file
+  // This can happen when the app was closed abruptly during recording
+  // or when the audio stream was in an inconsistent state
+  logError('Invalid WebM header detected:', headerHex);
+  logError('Expected: 1a45dfa3 (EBML signature)');
+  logError('This usually means the MediaRecorder was in a corrupted state.');
+  logError('Attempting to use FFmpeg to convert/repair the audio...');
+
+  try {
+    const wavBuffer = await convertWithFfmpeg(audioBuffer);
+    return { buffer: wavBuffer, filename: 'audio.wav', contentType: 'audio/wav' };
+  } catch (ffmpegError) {
+    logError('FFmpeg conversion failed:', ffmpegError.message);
+    throw new Error(
+      'El archivo de audio está corrupto (header inválido: ' + headerHex + '). ' +
+      'Esto puede ocurrir si la app se cerró durante una grabación. ' +
+      'Por favor reinicia la aplicación completamente y vuelve a intentar.'
+    );
+  }
+}
+
+// Transcribe on this machine with whisper.cpp - audio never leaves the computer
+async function transcribeLocally(audioData, options = {}) {
+  const { binaryPath, modelPath, threads } = localWhisperSettings;
+
+  if (!binaryPath || !fs.existsSync(binaryPath)) {
+    throw new Error('Selecciona el ejecutable de whisper.cpp en la pestaña General.');
+  }
+  if (!modelPath || !fs.existsSync(modelPath)) {
+    throw new Error('Selecciona un modelo GGML de whisper.cpp en la pestaña General.');
+  }
+
+  // whisper.cpp only reads 16 kHz mono 16-bit PCM WAV, which the renderer already produces.
+  // Anything else (WebM fallback, corrupted header) goes through FFmpeg first.
+  let wavBuffer = Buffer.from(audioData);
+  if (!isWhisperCppCompatibleWav(wavBuffer)) {
+    log('Audio is not 16 kHz mono PCM WAV, converting with FFmpeg for whisper.cpp...');
+    wavBuffer = await convertWithFfmpeg(wavBuffer);
+  }
+
+  const wavPath = path.join(app.getPath('temp'), `murmullo_local_${Date.now()}.wav`);
+  fs.writeFileSync(wavPath, wavBuffer);
+
+  try {
+    log('Running whisper.cpp:', binaryPath, 'model:', path.basename(modelPath));
+    const text = await runWhisperCpp({
+      binaryPath,
+      modelPath,
+      wavPath,
+      language: options?.language || 'es',
+      prompt: buildWhisperPrompt(options?.processingMode, getDictionaryContext(options)),
+      threads
+    }, spawn);
+    return { text };
+  } finally {
+    try {
+      fs.unlinkSync(wavPath);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+// Transcribe audio with the given provider, returns { text }
+async function transcribeWithProvider(providerId, audioData, options = {}) {
+  const provider = getTranscriptionProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${providerId}`);
+  }
+
+  if (provider.type === 'local') {
+    return transcribeLocally(audioData, options);
+  }
+
+  if (provider.type === 'backend') {
+    if (!backendAccessToken) {
+      throw new Error('No has iniciado sesión en el servidor Murmullo. Inicia sesión en la pestaña Cuenta.');
+    }
+    const result = await transcribeViaBackend(audioData, options);
+    return { text: result.text };
+  }
+
+  const apiKey = getProviderApiKey(provider, options);
+  log('Provider:', provider.id, 'API key present:', !!apiKey);
+  // Don't log API key prefix for security
+
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error(`${provider.name} API key not configured. Please add it in Settings.`);
+  }
+
+  if (!audioData || audioData.length === 0) {
+    throw new Error('No audio data received');
+  }
+
+  // Check minimum audio size (at least 1KB to be valid)
+  if (audioData.length < 1000) {
+    throw new Error(`Audio data too small (${audioData.length} bytes). Please speak longer.`);
+  }
+
+  // LATENCY OPTIMIZATION: Skip FFmpeg unless the header is corrupted
+  const file = await prepareAudioForUpload(audioData);
+  const baseUrl = provider.id === 'custom' ? options?.transcriptionBaseUrl : provider.baseUrl;
+  const model = (provider.id === 'custom' && options?.transcriptionModel) || provider.defaultModel;
+
+  if (!baseUrl) {
+    throw new Error('Configura la URL del endpoint de transcripción en la pestaña General.');
+  }
+
+  log(`Sending to ${provider.name}...`, file.filename, 'model:', model);
+
+  return transcribeWithOpenAICompatible({
+    baseUrl,
+    apiKey,
+    model,
+    language: options?.language || 'es',
+    prompt: buildWhisperPrompt(options?.processingMode, getDictionaryContext(options)),
+    providerName: provider.name,
+    file
+  }, (url, fetchOptions) => fetchWithRetry(url, fetchOptions, 3)); // Retry up to 3 times
+}
+
+// System notification for things the user must know even if no window is open
+function notifyUser(title, body) {
+  if (!Notification.isSupported()) return;
+  new Notification({ title, body, silent: true }).show();
+}
+
+// Run the full transcription pipeline: provider chain, list formatting and dictionary
+// Used by the transcribe-audio handler and the offline queue
+async function transcribeAudioData(audioData, options = {}) {
+  const processingMode = options?.processingMode || 'fast'; // verbatim, fast, smart, or code
+  const primaryProviderId = resolveTranscriptionProviderId(options);
+  const chain = buildFallbackChain(primaryProviderId, transcriptionFallbackSettings);
+  log('Options:', JSON.stringify({ language: options?.language, processingMode, provider: primaryProviderId }));
+  log('Provider chain:', chain.map(step => `${step.provider} (${step.timeoutMs}ms)`).join(' -> '));
+
+  const startTime = Date.now();
+  let chainResult;
+  try {
+    chainResult = await runTranscriptionChain(chain, (stepProviderId) => {
+      log('Trying transcription provider:', stepProviderId);
+      return transcribeWithProvider(stepProviderId, audioData, options);
+    });
+  } catch (error) {
+    const attempts = error.attempts || [];
+    logError('Provider chain failed:', chain.map(step => step.provider).join(' -> '));
+
+    if (attempts.length > 1) {
+      // Every step failed - list why so the user knows what to fix
+      error.userMessage = 'No se pudo transcribir con ningún motor. ' +
+        attempts.map(a => `${getTranscriptionProvider(a.provider)?.name || a.provider}: ${a.error}`).join(' | ');
+    } else if (primaryProviderId === 'backend' && !error.message.startsWith('Backend error')) {
+      error.userMessage = `Backend error: ${error.message}`;
+    }
+
+    logAction('TRANSCRIPTION_FAILED', {
+      primary: primaryProviderId,
+      attempts: attempts.map(a => ({ provider: a.provider, latencyMs: a.latencyMs }))
+    });
+    throw error;
+  }
+
+  const { result, provider: providerId, attempts } = chainResult;
+  const elapsedTime = Date.now() - startTime;
+  const fallbackUsed = providerId !== primaryProviderId;
+
+  if (fallbackUsed) {
+    log('Primary provider failed, transcribed with fallback:', providerId);
+    // Also covers offline-queue replays, where no window is waiting for the result
+    notifyUser(
+      'Transcrito con el motor de respaldo',
+      `${getTranscriptionProvider(primaryProviderId)?.name || primaryProviderId} falló; el dictado se transcribió con ${getTranscriptionProvider(providerId)?.name || providerId}.`
+    );
+    logAction('TRANSCRIPTION_FALLBACK', {
+      primary: primaryProviderId,
+      provider: providerId,
+      failedSteps: attempts.filter(a => !a.success).map(a => ({ provider: a.provider, latencyMs: a.latencyMs, error: a.error }))
+    });
+  }
+
+  // Drop text Whisper invented (outros, subtitle credits, loops). Runs in every mode,
+  // including verbatim, since none of it was actually said
+  let filteredText = result.text;
+  let hallucinationHits = [];
+  if (hallucinationFilterSettings.enabled) {
+    ({ text: filteredText, hits: hallucinationHits } = filterHallucinations(result.text, {
+      blocklist: hallucinationFilterSettings.blocklist
+    }));
+    if (hallucinationHits.length > 0) {
+      log('Hallucination filter removed', hallucinationHits.length, 'item(s)');
+      logAction('HALLUCINATION_FILTERED', {
+        provider: providerId,
+        hits: hallucinationHits, // Blocklist phrases and loop sizes only, no dictated content
+        charsRemoved: result.text.length - filteredText.length
+      });
+    }
+  }
+
+  // Spoken numbers become digits ("dos mil veinticuatro" -> 2024). Runs before the
+  // voice commands so "tres coma cinco" is read as a decimal, not as a comma
+  let numberText = filteredText;
+  let numberConversions = 0;
+  if ((processingMode === 'fast' || processingMode === 'smart') && options?.language !== 'en') {
+    ({ text: numberText, conversions: numberConversions } = normalizeSpanishNumbers(filteredText));
+    if (numberConversions > 0) {
+      log('Spanish numbers normalized:', numberConversions);
+    }
+  }
+
+  // Spoken commands ("punto", "nueva línea", "borrar eso") run before list formatting,
+  // so "uno coma leche" can still become a list item. Verbatim keeps the words as said
+  let commandText = numberText;
+  let voiceCommandsApplied = [];
+  if ((processingMode === 'fast' || processingMode === 'smart') && voiceCommandSettings.enabled) {
+    ({ text: commandText, applied: voiceCommandsApplied } = applyVoiceCommands(numberText, voiceCommandSettings.commands));
+    if (voiceCommandsApplied.length > 0) {
+      log('Voice commands applied:', voiceCommandsApplied.join(', '));
+    }
+  }
+
+  let formattedText;
+  if (processingMode === 'code') {
+    // Dictionary first, so project identifiers reach the casing commands already spelled
+    const code = formatCodeDictation(applyDictionaryReplacements(filteredText, getDictionaryContext(options)));
+    formattedText = code.text;
+    log('Code dictation - identifiers:', code.identifiers, 'symbols:', code.symbols);
+  } else {
+    // Apply list formatting only if NOT verbatim mode
+    formattedText = processingMode === 'verbatim' ? filteredText : formatNumberedLists(commandText);
+
+    // Apply custom dictionary replacements (except in verbatim mode)
+    if (processingMode !== 'verbatim') {
+      formattedText = applyDictionaryReplacements(formattedText, getDictionaryContext(options));
+    }
+  }
+
+  log('Provider:', providerId, 'Processing mode:', processingMode);
+  log('Transcription complete - words:', formattedText.split(/\s+/).length, 'chars:', formattedText.length);
+  log(`Transcription latency: ${elapsedTime}ms`);
+
+  // Save debug audio if enabled
+  await saveDebugAudio(audioData, result.text, formattedText, processingMode, elapsedTime, providerId, { hallucinationHits });
+
+  // Log action for analytics (word count, latency - no personal content)
+  logAction(providerId === 'backend' ? 'TRANSCRIPTION_COMPLETE_BACKEND' : 'TRANSCRIPTION_COMPLETE', {
+    provider: providerId,
+    wordCount: formattedText.split(/\s+/).length,
+    latencyMs: elapsedTime,
+    audioSizeKB: Math.round(audioData.length / 1024),
+    listFormatted: formattedText !== result.text,
+    voiceCommands: voiceCommandsApplied.length,
+    numberConversions,
+    processingMode,
+    fallbackUsed
+  });
+
+  return {
+    text: formattedText,
+    latencyMs: elapsedTime,
+    processingMode,
+    provider: providerId,
+    primaryProvider: primaryProviderId,
+    fallbackUsed,
+    attempts,
+    viaBackend: providerId === 'backend'
+  };
+}
+
+// ==========================================
+// OFFLINE QUEUE
+// ==========================================
+
+// Tell open windows the queue changed (History tab refreshes)
+function broadcastOfflineQueue() {
+  const items = offlineQueue ? offlineQueue.list() : [];
+  for (const win of [mainWindow, controlPanel]) {
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('offline-queue-updated', items);
+    }
+  }
+}
+
+// Retry queued recordings whose backoff has elapsed. Completed items go to history
+// with the transcription-only text (smart-mode AI correction runs in the renderer).
+async function processOfflineQueue() {
+  if (!offlineQueue || isProcessingOfflineQueue) return;
+  if (net && typeof net.isOnline === 'function' && !net.isOnline()) return;
+
+  const dueItems = offlineQueue.getDueItems();
+  if (dueItems.length === 0) return;
+
+  isProcessingOfflineQueue = true;
+  log('Processing offline queue, due items:', dueItems.length);
+
+  try {
+    for (const item of dueItems) {
+      const audioData = offlineQueue.readAudio(item.id);
+      if (!audioData) {
+        offlineQueue.remove(item.id);
+        continue;
+      }
+
+      try {
+        const result = await transcribeAudioData(audioData, item.options);
+        const saved = insertTranscription({
+          original_text: result.text,
+          processed_text: null,
+          is_processed: false,
+          processing_method: 'none',
+          transcription_provider: result.provider
+        }, item.createdAt);
+        offlineQueue.remove(item.id);
+        logAction('OFFLINE_QUEUE_ITEM_COMPLETED', { id: item.id, provider: result.provider, historyId: saved?.id });
+      } catch (error) {
+        const updated = offlineQueue.markAttemptFailed(item.id, error.userMessage || error.message);
+        log('Offline queue retry failed:', item.id, 'attempts:', updated?.attempts, 'status:', updated?.status);
+      }
+      broadcastOfflineQueue();
+    }
+  } finally {
+    isProcessingOfflineQueue = false;
+  }
+}
+
+const isDev = !app.isPackaged;
+const VITE_DEV_SERVER_URL = 'http://localhost:5174';
+
+// Database setup with sql.js
+async function initDatabase() {
+  try {
+    log('Initializing database...');
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+
+    dbPath = path.join(app.getPath('userData'), 'murmullo.db');
+    log('Database path:', dbPath);
+
+    // Load existing database or create new one
+    if (fs.existsSync(dbPath)) {
+      const fileBuffer = fs.readFileSync(dbPath);
+      db = new SQL.Database(fileBuffer);
+      log('Loaded existing database');
+    } else {
+      db = new SQL.Database();
+      log('Created new database');
+    }
+
+    // Create tables
+    db.run(`
+      CREATE TABLE IF NOT EXISTS transcriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        original_text TEXT NOT NULL,
+        processed_text TEXT,
+        is_processed INTEGER DEFAULT 0,
+        processing_method TEXT DEFAULT 'none',
+        agent_name TEXT,
+        error TEXT
+      )
+    `);
+
+    // Migration: record which transcription provider produced the text
+    const columns = db.exec('PRAGMA table_info(transcriptions)')[0]?.values.map(row => row[1]) || [];
+    if (!columns.includes('transcription_provider')) {
+      db.run('ALTER TABLE transcriptions ADD COLUMN transcription_provider TEXT');
+      log('Added transcription_provider column');
+    }
+    // Migration: whether the dictation reached the focused app, for the re-paste shortcut
+    if (!columns.includes('pasted')) {
+      db.run('ALTER TABLE transcriptions ADD COLUMN pasted INTEGER DEFAULT 0');
+      log('Added pasted column');
+    }
+
+    // Try to create index (may already exist)
+    try {
+      db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON transcriptions(timestamp DESC)');
+    } catch (e) {}
+
+    saveDatabase();
+    console.log('Database initialized at:', dbPath);
+  } catch (err) {
+    logError('Database initialization error:', err);
+  }
+}
+
+// Insert a history row, timestamp defaults to now (queued items keep their recording time)
+function insertTranscription(data, timestamp = new Date().toISOString()) {
+  if (!db) throw new Error('Database not initialized');
+
+  db.run(
+    `INSERT INTO transcriptions (timestamp, original_text, processed_text, is_processed, processing_method, transcription_provider, pasted)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [timestamp, data.original_text, data.processed_text || null, data.is_processed ? 1 : 0, data.processing_method || 'none', data.transcription_provider || null, data.pasted ? 1 : 0]
+  );
+
+  saveDatabase();
+
+  // Get last insert id
+  const result = db.exec('SELECT last_insert_rowid()');
+  const id = result[0]?.values[0]?.[0];
+
+  log('Transcription saved with ID:', id);
+  return { success: true, id };
+}
+
+function saveDatabase() {
+  if (db && dbPath) {
+    const data = db.export();
+    const buffer = Buffer.from(data);
+    fs.writeFileSync(dbPath, buffer);
+  }
+}
+
+// Floating indicator: the 60px circle, or a wider panel while the AI text streams in
+const INDICATOR_SIZE = 60;
+const INDICATOR_EXPANDED_SIZE = { width: 380, height: 150 };
+
+function createMainWindow() {
+  log('Creating main window...');
+
+  // Get screen dimensions to position window at bottom-right
+  const { screen } = require('electron');
+  const primaryDisplay = screen.getPrimaryDisplay();
+  const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
+
+  // Small indicator window (60x60 pixels)
+  const windowSize = INDICATOR_SIZE;
+  const margin = 20; // Distance from screen edges
+
+  mainWindow = new BrowserWindow({
+    width: windowSize,
+    height: windowSize,
+    x: screenWidth - windowSize - margin,
+    y: screenHeight - windowSize - margin,
+    frame: false,
+    transparent: true,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    resizable: false,
+    focusable: false, // Don't steal focus from other windows
+    hasShadow: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      enableRemoteModule: false
+    }
+  });
+
+  // Make window click-through when idle (optional - can be enabled later)
+  // mainWindow.setIgnoreMouseEvents(true, { forward: true });
+
+  if (isDev) {
+    mainWindow.loadURL(VITE_DEV_SERVER_URL);
+    // Open DevTools in dev mode
+    // mainWindow.webContents.openDevTools({ mode: 'detach' });
+  } else {
+    mainWindow.loadFile(path.join(__dirname, 'dist', 'index.html'));
+  }
+
+  // Minimize to tray instead of closing
+  mainWindow.on('close', (e) => {
+    if (!app.isQuitting) {
+      e.preventDefault();
+      mainWindow.hide();
+      log('Main window hidden to tray');
+    }
+  });
+
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+  });
+
+  log('Main window created');
+}
+
+function createControlPanel() {
+  log('Creating control panel...');
+  controlPanel = new BrowserWindow({
+    width: 900,
+    height: 700,
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      enableRemoteModule: false
+    }
+  });
+
+  if (isDev) {
+    controlPanel.loadURL(`${VITE_DEV_SERVER_URL}#/control-panel`);
+  } else {
+    controlPanel.loadFile(path.join(__dirname, 'dist', 'index.html'), { hash: '/control-panel' });
+  }
+
+  controlPanel.on('close', (e) => {
+    if (!app.isQuitting) {
+      e.preventDefault();
+      controlPanel.hide();
+    }
+  });
+
+  log('Control panel created');
+}
+
+// Grow the indicator up and to the left, so the circle stays in its corner
+function setIndicatorExpanded(expanded) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const size = expanded ? INDICATOR_EXPANDED_SIZE : { width: INDICATOR_SIZE, height: INDICATOR_SIZE };
+  const bounds = mainWindow.getBounds();
+  if (bounds.width === size.width && bounds.height === size.height) return;
+  mainWindow.setBounds({
+    x: bounds.x + bounds.width - size.width,
+    y: bounds.y + bounds.height - size.height,
+    ...size
+  });
+}
+
+function createReviewWindow() {
+  log('Creating review window...');
+  reviewWindow = new BrowserWindow({
+    width: 640,
+    height: 380,
+    show: false,
+    frame: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    resizable: true,
+    minimizable: false,
+    maximizable: false,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      enableRemoteModule: false
+    }
+  });
+
+  if (isDev) {
+    reviewWindow.loadURL(`${VITE_DEV_SERVER_URL}#/review`);
+  } else {
+    reviewWindow.loadFile(path.join(__dirname, 'dist', 'index.html'), { hash: '/review' });
+  }
+
+  reviewWindow.on('close', (e) => {
+    if (!app.isQuitting) {
+      // Closing the popup counts as discarding the text
+      e.preventDefault();
+      finishReview({ action: 'discard' });
+    }
+  });
+
+  log('Review window created');
+}
+
+// Resolve the pending review and hand focus back to the app the text is for
+function finishReview(result) {
+  if (reviewWindow && reviewWindow.isVisible()) {
+    reviewWindow.hide();
+  }
+  if (pendingReview) {
+    const { resolve } = pendingReview;
+    pendingReview = null;
+    logAction('REVIEW_FINISHED', { action: result.action });
+    resolve(result);
+  }
 }
 
 function createTray() {
@@ -923,73 +1973,307 @@ function createTray() {
         mainWindow.destroy();
       }
 
-      // Destroy tray
-      if (tray) {
-        tray.destroy();
-        tray = null;
-      }
+      // Destroy tray
+      if (tray) {
+        tray.destroy();
+        tray = null;
+      }
+
+      app.quit();
+    }}
+  ]);
+
+  tray.setToolTip('Murmullo - Dictado por voz (Ctrl+Shift+Space)');
+  tray.setContextMenu(contextMenu);
+
+  // Double-click or single click shows the main window
+  tray.on('click', () => {
+    if (mainWindow) {
+      if (mainWindow.isVisible()) {
+        mainWindow.focus();
+      } else {
+        mainWindow.show();
+        mainWindow.focus();
+      }
+    }
+  });
+
+  tray.on('double-click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+
+  log('Tray created');
+}
+
+function sendDictationCommand(action, profile = null) {
+  if (mainWindow) {
+    const data = {};
+    if (action) data.action = action;
+    if (profile) data.profile = profile;
+    mainWindow.webContents.send('toggle-dictation', data);
+    if (action !== 'stop') {
+      // Use showInactive to not steal focus from the current window
+      mainWindow.showInactive();
+    }
+  }
+}
+
+function registerHotkey(newHotkey = null, mode = hotkeyMode, profiles = hotkeyProfiles) {
+  // Unregister previous hotkeys if they exist
+  for (const accelerator of [currentHotkey, ...registeredProfileHotkeys]) {
+    if (!accelerator) continue;
+    try {
+      globalShortcut.unregister(accelerator);
+      log('Unregistered previous hotkey:', accelerator);
+    } catch (e) {
+      // Ignore if not registered
+    }
+  }
+  registeredProfileHotkeys = [];
+  if (stopPushToTalk) {
+    stopPushToTalk();
+    stopPushToTalk = null;
+    log('Stopped push-to-talk key hook');
+  }
+
+  // Use new hotkey or default
+  const hotkey = newHotkey || currentHotkey || 'CommandOrControl+Shift+Space';
+  currentHotkey = hotkey;
+
+  // The main hotkey uses the Control Panel settings, each profile carries its own
+  const bindings = [
+    { accelerator: hotkey, profile: null },
+    ...profiles.map(profile => ({ accelerator: profile.hotkey, profile }))
+  ];
+
+  if (mode === 'push-to-talk') {
+    // globalShortcut never reports key releases, so hold-to-record needs the low-level hook
+    try {
+      stopPushToTalk = startPushToTalk(bindings.map(({ accelerator, profile }) => ({
+        accelerator,
+        onPress: () => {
+          log('Push-to-talk pressed', profile ? `(profile: ${profile.name})` : '');
+          sendDictationCommand('start', profile);
+        },
+        onRelease: () => {
+          log('Push-to-talk released');
+          sendDictationCommand('stop', profile);
+        }
+      })));
+      log('Push-to-talk hotkeys registered successfully:', bindings.map(b => b.accelerator).join(', '));
+      return { success: true, hotkey, mode };
+    } catch (err) {
+      logError('Failed to start push-to-talk:', err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  const registered = globalShortcut.register(hotkey, () => {
+    log('Hotkey pressed!');
+    sendDictationCommand();
+  });
+
+  if (!registered) {
+    logError('Failed to register hotkey:', hotkey);
+    return { success: false, error: `No se pudo registrar el hotkey: ${hotkey}` };
+  }
+
+  console.log('Hotkey registered:', hotkey);
+  log('Hotkey registered successfully:', hotkey);
 
-      app.quit();
-    }}
-  ]);
+  for (const profile of profiles) {
+    const profileRegistered = globalShortcut.register(profile.hotkey, () => {
+      log('Profile hotkey pressed:', profile.name);
+      sendDictationCommand(null, profile);
+    });
+    if (!profileRegistered) {
+      logError('Failed to register profile hotkey:', profile.hotkey);
+      return { success: false, error: `No se pudo registrar el hotkey del perfil "${profile.name}": ${profile.hotkey}` };
+    }
+    registeredProfileHotkeys.push(profile.hotkey);
+    log('Profile hotkey registered:', profile.hotkey, profile.name);
+  }
 
-  tray.setToolTip('Murmullo - Dictado por voz (Ctrl+Shift+Space)');
-  tray.setContextMenu(contextMenu);
+  return { success: true, hotkey, mode };
+}
 
-  // Double-click or single click shows the main window
-  tray.on('click', () => {
+// Paste text into the focused application through the clipboard,
+// restoring the user's clipboard afterwards
+async function pasteIntoActiveWindow(text) {
+  log('Pasting text - length:', text?.length || 0, 'words:', text?.split(/\s+/).length || 0);
+  try {
+    // Save current clipboard content to restore later
+    const originalClipboard = clipboard.readText();
+    const hadOriginalContent = originalClipboard && originalClipboard.length > 0;
+    log('Saved original clipboard content:', hadOriginalContent ? `${originalClipboard.length} chars` : 'empty');
+
+    // Write transcription to clipboard temporarily
+    clipboard.writeText(text);
+    log('Text copied to clipboard (temporary)');
+
+    // Hide Murmullo window to restore focus to the previous window
     if (mainWindow) {
-      if (mainWindow.isVisible()) {
-        mainWindow.focus();
-      } else {
-        mainWindow.show();
-        mainWindow.focus();
+      mainWindow.hide();
+      log('Main window hidden to restore focus');
+    }
+
+    // Small delay to ensure focus is restored
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Simulate Ctrl+V based on platform
+    if (process.platform === 'win32') {
+      log('Simulating Ctrl+V on Windows...');
+      const ps = spawn('powershell.exe', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-Command',
+        'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait("^v")'
+      ]);
+
+      await new Promise((resolve, reject) => {
+        ps.on('close', (code) => {
+          log('PowerShell exit code:', code);
+          resolve();
+        });
+        ps.on('error', reject);
+      });
+    } else if (process.platform === 'darwin') {
+      const osascript = spawn('osascript', [
+        '-e', 'tell application "System Events" to keystroke "v" using command down'
+      ]);
+
+      await new Promise((resolve, reject) => {
+        osascript.on('close', resolve);
+        osascript.on('error', reject);
+      });
+    } else if (process.platform === 'linux') {
+      try {
+        const { tool, sessionType } = await simulateLinuxPaste();
+        log(`Simulated Ctrl+V on Linux with ${tool} (${sessionType})`);
+      } catch (error) {
+        // Leave the text on the clipboard so the user can still paste it by hand
+        logError('Linux paste failed:', error.message);
+        logAction('PASTE_FAILED', { platform: 'linux', code: error.code, sessionType: error.sessionType });
+        return { success: false, error: error.message, code: error.code, copied: true };
       }
     }
-  });
 
-  tray.on('double-click', () => {
+    // Wait a bit for paste to complete, then restore original clipboard
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    if (hadOriginalContent) {
+      clipboard.writeText(originalClipboard);
+      log('Restored original clipboard content');
+    } else {
+      // Clear clipboard if it was empty before
+      clipboard.writeText('');
+      log('Cleared clipboard (was empty before)');
+    }
+
+    return { success: true };
+  } catch (error) {
+    logError('Paste error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Type text key by key into the focused application (output mode 'type'),
+// leaving the clipboard untouched
+async function typeIntoActiveWindow(text) {
+  log('Typing text - length:', text?.length || 0, 'words:', text?.split(/\s+/).length || 0);
+  try {
+    // Hide Murmullo window to restore focus to the previous window
     if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
+      mainWindow.hide();
+      log('Main window hidden to restore focus');
     }
-  });
 
-  log('Tray created');
+    // Small delay to ensure focus is restored
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const startTime = Date.now();
+    const { tool } = await typeText(text);
+    log(`Text typed with ${tool} in ${Date.now() - startTime}ms`);
+    return { success: true };
+  } catch (error) {
+    logError('Type error:', error.message);
+    logAction('TYPE_FAILED', { platform: process.platform, code: error.code });
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// Every shortcut Murmullo registers, for conflict checks (override the set being changed)
+function getHotkeyBindings({ mainHotkey = currentHotkey, profiles = hotkeyProfiles, actions = actionHotkeys } = {}) {
+  return [
+    { hotkey: mainHotkey, label: 'el hotkey principal' },
+    ...profiles.map(p => ({ hotkey: p.hotkey, label: `el perfil "${p.name}"` })),
+    ...Object.entries(actions)
+      .filter(([, hotkey]) => hotkey)
+      .map(([action, hotkey]) => ({ hotkey, label: `la acción "${ACTION_HOTKEY_LABELS[action]}"` }))
+  ];
+}
+
+function checkHotkeyConflicts(overrides) {
+  const conflict = findHotkeyConflict(getHotkeyBindings(overrides));
+  return conflict
+    ? `El atajo ${conflict.hotkey} está repetido: ${conflict.first} y ${conflict.second}`
+    : null;
+}
+
+// Re-paste the last transcription that was pasted successfully
+async function repasteLastTranscription() {
+  if (!db) return;
+  try {
+    const text = getLastPastedText(db);
+    if (!text) {
+      log('Re-paste: no pasted transcription in history');
+      return;
+    }
+    const result = await pasteIntoActiveWindow(text);
+    logAction('REPASTE_LAST', { success: result.success });
+  } catch (err) {
+    logError('Re-paste failed:', err.message);
+  }
 }
 
-function registerHotkey(newHotkey = null) {
-  // Unregister previous hotkey if exists
-  if (currentHotkey) {
+const ACTION_HOTKEY_HANDLERS = {
+  cancel: () => {
+    log('Cancel hotkey pressed');
+    if (mainWindow) {
+      mainWindow.webContents.send('cancel-dictation');
+    }
+  },
+  repaste: () => {
+    log('Re-paste hotkey pressed');
+    repasteLastTranscription();
+  }
+};
+
+// Register cancel / re-paste shortcuts (always globalShortcut, they only need the press)
+function registerActionHotkeys(actions = actionHotkeys) {
+  for (const accelerator of registeredActionHotkeys) {
     try {
-      globalShortcut.unregister(currentHotkey);
-      log('Unregistered previous hotkey:', currentHotkey);
+      globalShortcut.unregister(accelerator);
     } catch (e) {
       // Ignore if not registered
     }
   }
+  registeredActionHotkeys = [];
 
-  // Use new hotkey or default
-  const hotkey = newHotkey || currentHotkey || 'CommandOrControl+Shift+Space';
-  currentHotkey = hotkey;
-
-  const registered = globalShortcut.register(hotkey, () => {
-    log('Hotkey pressed!');
-    if (mainWindow) {
-      mainWindow.webContents.send('toggle-dictation');
-      // Use showInactive to not steal focus from the current window
-      mainWindow.showInactive();
+  for (const [action, accelerator] of Object.entries(actions)) {
+    if (!accelerator) continue;
+    if (!globalShortcut.register(accelerator, ACTION_HOTKEY_HANDLERS[action])) {
+      logError('Failed to register action hotkey:', action, accelerator);
+      return { success: false, error: `No se pudo registrar el atajo para ${ACTION_HOTKEY_LABELS[action]}: ${accelerator}` };
     }
-  });
-
-  if (registered) {
-    console.log('Hotkey registered:', hotkey);
-    log('Hotkey registered successfully:', hotkey);
-    return { success: true, hotkey };
-  } else {
-    logError('Failed to register hotkey:', hotkey);
-    return { success: false, error: `No se pudo registrar el hotkey: ${hotkey}` };
+    registeredActionHotkeys.push(accelerator);
+    log('Action hotkey registered:', action, accelerator);
   }
+
+  return { success: true };
 }
 
 // Helper to create validated IPC handler
@@ -1103,316 +2387,38 @@ function setupIpcHandlers() {
       return { success: false, error: validation.error };
     }
 
-    const processingMode = options?.processingMode || 'fast'; // verbatim, fast, or smart
     log('=== TRANSCRIBE AUDIO START ===');
     log('Audio data length:', audioData?.length || 0);
-    log('Options:', JSON.stringify({ language: options?.language, processingMode }));
     log('Backend mode:', backendMode, 'Has token:', !!backendAccessToken);
 
-    // If backend mode is enabled and user is authenticated, use backend
-    if (backendMode && backendAccessToken) {
-      try {
-        const startTime = Date.now();
-        const result = await transcribeViaBackend(audioData, options);
-        const elapsedTime = Date.now() - startTime;
-
-        // Apply list formatting only if NOT verbatim mode
-        let formattedText = processingMode === 'verbatim' ? result.text : formatNumberedLists(result.text);
-
-        // Apply custom dictionary replacements (except in verbatim mode)
-        if (processingMode !== 'verbatim') {
-          formattedText = applyDictionaryReplacements(formattedText);
-        }
-
-        log('=== BACKEND TRANSCRIBE SUCCESS ===');
-        log('Processing mode:', processingMode);
-        log('Words:', formattedText.split(/\s+/).length, 'chars:', formattedText.length);
-        log(`Backend latency: ${elapsedTime}ms`);
-
-        // Save debug audio if enabled
-        await saveDebugAudio(audioData, result.text, formattedText, processingMode, elapsedTime, 'backend');
-
-        logAction('TRANSCRIPTION_COMPLETE_BACKEND', {
-          wordCount: formattedText.split(/\s+/).length,
-          latencyMs: elapsedTime,
-          audioSizeKB: Math.round(audioData.length / 1024),
-          processingMode
-        });
-
-        return { success: true, text: formattedText, latencyMs: elapsedTime, viaBackend: true, processingMode };
-      } catch (error) {
-        logError('Backend transcription failed:', error.message);
-        // If backend fails, we could fall back to local mode, but for now return error
-        return { success: false, error: `Backend error: ${error.message}` };
-      }
-    }
-
     try {
-      // Get API key from secure storage, then options, then env
-      const apiKey = secureStorage?.getSecure('openai_api_key') || options?.apiKey || process.env.OPENAI_API_KEY;
-      log('API key present:', !!apiKey);
-      log('API key length:', apiKey?.length || 0);
-      // Don't log API key prefix for security
-
-      if (!apiKey) {
-        throw new Error('OpenAI API key not configured. Please add it in Settings.');
-      }
-
-      if (!audioData || audioData.length === 0) {
-        throw new Error('No audio data received');
-      }
-
-      // Check minimum audio size (at least 1KB to be valid)
-      if (audioData.length < 1000) {
-        throw new Error(`Audio data too small (${audioData.length} bytes). Please speak longer.`);
-      }
-
-      // LATENCY OPTIMIZATION: Skip FFmpeg, send WebM directly to Whisper API
-      // Whisper API supports WebM natively, no need for conversion
-      const startTime = Date.now();
-
-      // Create buffer from audio data
-      const audioBuffer = Buffer.from(audioData);
-      log('Audio buffer size:', audioBuffer.length);
-
-
-      // Check audio format by header
-      const headerCheck = audioBuffer.slice(0, 4);
-      const headerHex = headerCheck.toString('hex');
-      const headerString = headerCheck.toString('ascii');
-      log('Audio header bytes:', headerHex, '(' + headerString + ')');
-
-      // Detect format
-      const isValidEBML = headerHex === '1a45dfa3';  // WebM/MKV
-      const isWAV = headerString === 'RIFF';         // WAV
-
-      let uploadFilename;
-      let contentType;
-      let fileBuffer;
+      const result = await transcribeAudioData(audioData, options);
+      log('=== TRANSCRIBE AUDIO SUCCESS ===');
+      return { success: true, ...result };
+    } catch (error) {
+      logError('=== TRANSCRIBE AUDIO ERROR ===');
+      logError('Error:', error.message);
+      logError('Stack:', error.stack);
 
-      if (isWAV) {
-        // WAV format - converted by renderer to avoid Chromium bug
-        uploadFilename = 'audio.wav';
-        contentType = 'audio/wav';
-        fileBuffer = audioBuffer;
-        log('WAV format detected (converted from WebM), sending to Whisper API');
-      } else if (isValidEBML) {
-        // Valid WebM - send directly
-        uploadFilename = 'audio.webm';
-        contentType = 'audio/webm';
-        fileBuffer = audioBuffer;
-        log('Valid WebM header detected, sending directly to Whisper API');
-      } else {
-        // Invalid header - the MediaRecorder produced a corrupted file
-        // This can happen when the app was closed abruptly during recording
-        // or when the audio stream was in an inconsistent state
-        logError('Invalid WebM header detected:', headerHex);
-        logError('Expected: 1a45dfa3 (EBML signature)');
-        logError('This usually means the MediaRecorder was in a corrupted state.');
-        logError('Attempting to use FFmpeg to convert/repair the audio...');
-
-        // Try to use FFmpeg to convert the raw audio data to a valid format
-        const tempDir = app.getPath('temp');
-        const inputPath = path.join(tempDir, `murmullo_input_${Date.now()}.webm`);
-        const outputPath = path.join(tempDir, `murmullo_output_${Date.now()}.wav`);
+      const response = { success: false, error: error.userMessage || error.message, attempts: error.attempts || [] };
 
+      // Keep the recording instead of losing the dictation, but only when a retry
+      // can work: a bad API key, a 4xx or broken audio go straight to the user
+      const attempts = error.attempts || [];
+      const retryable = attempts.length > 0 ? attempts.some(a => a.transient) : isTransientError(error);
+      if (offlineQueue && audioData?.length >= 1000 && retryable) {
         try {
-          // Write the potentially corrupted data to a temp file
-          fs.writeFileSync(inputPath, audioBuffer);
-          log('Wrote temp input file:', inputPath);
-
-          // Try to find ffmpeg
-          let ffmpegPath = 'ffmpeg';
-          try {
-            let ffmpegStatic = require('ffmpeg-static');
-            if (ffmpegStatic) {
-              // In production (asar), ffmpeg-static path needs adjustment
-              if (app.isPackaged && ffmpegStatic.includes('app.asar')) {
-                ffmpegPath = ffmpegStatic.replace('app.asar', 'app.asar.unpacked');
-              } else {
-                ffmpegPath = ffmpegStatic;
-              }
-              log('Using ffmpeg-static:', ffmpegPath);
-
-              // Verify the file exists
-              if (!fs.existsSync(ffmpegPath)) {
-                log('ffmpeg-static binary not found at:', ffmpegPath, '- falling back to system ffmpeg');
-                ffmpegPath = 'ffmpeg';
-              }
-            }
-          } catch (e) {
-            log('ffmpeg-static not available, trying system ffmpeg:', e.message);
-          }
-
-          // Run FFmpeg to convert to WAV
-          await new Promise((resolve, reject) => {
-            const ffmpeg = spawn(ffmpegPath, [
-              '-y',
-              '-i', inputPath,
-              '-ar', '16000',
-              '-ac', '1',
-              '-f', 'wav',
-              outputPath
-            ]);
-
-            let stderr = '';
-            ffmpeg.stderr.on('data', (data) => {
-              stderr += data.toString();
-            });
-
-            ffmpeg.on('close', (code) => {
-              if (code === 0) {
-                resolve();
-              } else {
-                reject(new Error(`FFmpeg failed with code ${code}: ${stderr}`));
-              }
-            });
-
-            ffmpeg.on('error', (err) => {
-              reject(new Error(`FFmpeg error: ${err.message}. The audio recording may be corrupted. Try restarting the app.`));
-            });
-          });
-
-          // Read the converted WAV file
-          fileBuffer = fs.readFileSync(outputPath);
-          uploadFilename = 'audio.wav';
-          contentType = 'audio/wav';
-          log('FFmpeg conversion successful, WAV size:', fileBuffer.length);
-
-          // Cleanup temp files
-          try {
-            fs.unlinkSync(inputPath);
-            fs.unlinkSync(outputPath);
-          } catch (e) {
-            // Ignore cleanup errors
-          }
-        } catch (ffmpegError) {
-          // FFmpeg failed - try to cleanup and throw a helpful error
-          try {
-            if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-            if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-          } catch (e) {}
-
-          logError('FFmpeg conversion failed:', ffmpegError.message);
-          throw new Error(
-            'El archivo de audio está corrupto (header inválido: ' + headerHex + '). ' +
-            'Esto puede ocurrir si la app se cerró durante una grabación. ' +
-            'Por favor reinicia la aplicación completamente y vuelve a intentar.'
-          );
+          const item = offlineQueue.enqueue(audioData, options || {}, response.error);
+          logAction('OFFLINE_QUEUE_ENQUEUED', { id: item.id, audioSizeKB: Math.round(audioData.length / 1024) });
+          broadcastOfflineQueue();
+          response.queued = true;
+          response.queueId = item.id;
+        } catch (queueError) {
+          logError('Failed to enqueue recording:', queueError.message);
         }
       }
 
-      // Build multipart form manually (native fetch + form-data package don't work well together)
-      const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
-      const CRLF = '\r\n';
-
-      const parts = [];
-
-      // File part
-      parts.push(
-        `--${boundary}${CRLF}`,
-        `Content-Disposition: form-data; name="file"; filename="${uploadFilename}"${CRLF}`,
-        `Content-Type: ${contentType}${CRLF}${CRLF}`
-      );
-      parts.push(fileBuffer);
-      parts.push(CRLF);
-
-      // Model part
-      parts.push(
-        `--${boundary}${CRLF}`,
-        `Content-Disposition: form-data; name="model"${CRLF}${CRLF}`,
-        `whisper-1${CRLF}`
-      );
-
-      // Language part
-      parts.push(
-        `--${boundary}${CRLF}`,
-        `Content-Disposition: form-data; name="language"${CRLF}${CRLF}`,
-        `${options?.language || 'es'}${CRLF}`
-      );
-
-      // Prompt part - helps anchor Whisper and reduce hallucinations
-      // Include dictionary terms to help Whisper recognize custom words
-      const dictTerms = getDictionaryForWhisperPrompt();
-      const whisperPrompt = dictTerms
-        ? `Transcripción literal de dictado de voz en español. Términos especiales: ${dictTerms}. Transcribir exactamente lo que se dice, palabra por palabra, sin interpretar ni resumir.`
-        : `Transcripción literal de dictado de voz en español. Transcribir exactamente lo que se dice, palabra por palabra, sin interpretar ni resumir.`;
-
-      parts.push(
-        `--${boundary}${CRLF}`,
-        `Content-Disposition: form-data; name="prompt"${CRLF}${CRLF}`,
-        `${whisperPrompt}${CRLF}`
-      );
-
-      // Temperature part - 0 = most deterministic/literal transcription
-      parts.push(
-        `--${boundary}${CRLF}`,
-        `Content-Disposition: form-data; name="temperature"${CRLF}${CRLF}`,
-        `0${CRLF}`
-      );
-
-      // End boundary
-      parts.push(`--${boundary}--${CRLF}`);
-
-      // Combine all parts into a single buffer
-      const bodyParts = parts.map(part =>
-        Buffer.isBuffer(part) ? part : Buffer.from(part, 'utf-8')
-      );
-      const bodyBuffer = Buffer.concat(bodyParts);
-
-      log('Sending to Whisper API...', uploadFilename, 'body size:', bodyBuffer.length);
-
-      const response = await fetchWithRetry('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': `multipart/form-data; boundary=${boundary}`
-        },
-        body: bodyBuffer
-      }, 3); // Retry up to 3 times
-
-      log('Whisper API response status:', response.status);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        logError('Whisper API error:', errorText);
-        throw new Error(`Whisper API error: ${errorText}`);
-      }
-
-      const result = await response.json();
-      const elapsedTime = Date.now() - startTime;
-
-      // Apply list formatting only if NOT verbatim mode
-      let formattedText = processingMode === 'verbatim' ? result.text : formatNumberedLists(result.text);
-
-      // Apply custom dictionary replacements (except in verbatim mode)
-      if (processingMode !== 'verbatim') {
-        formattedText = applyDictionaryReplacements(formattedText);
-      }
-
-      log('=== TRANSCRIBE AUDIO SUCCESS ===');
-      log('Processing mode:', processingMode);
-      log('Transcription complete - words:', formattedText.split(/\s+/).length, 'chars:', formattedText.length);
-      log(`Whisper API latency: ${elapsedTime}ms (no FFmpeg conversion)`);
-
-      // Save debug audio if enabled
-      await saveDebugAudio(audioData, result.text, formattedText, processingMode, elapsedTime, 'local');
-
-      // Log action for analytics (word count, latency - no personal content)
-      logAction('TRANSCRIPTION_COMPLETE', {
-        wordCount: formattedText.split(/\s+/).length,
-        latencyMs: elapsedTime,
-        audioSizeKB: Math.round(audioData.length / 1024),
-        listFormatted: formattedText !== result.text,
-        processingMode
-      });
-
-      return { success: true, text: formattedText, latencyMs: elapsedTime, processingMode };
-    } catch (error) {
-      logError('=== TRANSCRIBE AUDIO ERROR ===');
-      logError('Error:', error.message);
-      logError('Stack:', error.stack);
-      return { success: false, error: error.message };
+      return response;
     }
   });
 
@@ -1433,11 +2439,31 @@ function setupIpcHandlers() {
     log('Options:', JSON.stringify({ provider: options?.provider, model: options?.model }));
     log('Backend mode:', backendMode, 'Has token:', !!backendAccessToken);
 
+    const template = findPromptTemplate(options?.promptTemplateId, promptTemplates);
+    const templatePrompt = renderPromptTemplate(template.body, buildTemplateVariables({
+      language: options?.language,
+      dictionaryTerms: getDictionaryTerms(getDictionaryContext(options))
+    }));
+    log('Prompt template:', template.id);
+
+    // Streaming: the text so far goes back to the dictation window as it arrives
+    const onText = options?.stream
+      ? (textSoFar) => {
+        if (!event.sender.isDestroyed()) event.sender.send('ai-stream', { text: textSoFar });
+      }
+      : undefined;
+
+    const provider = getReasoningProvider(options?.provider || 'anthropic');
+    if (!provider) {
+      return { success: false, error: `Unknown provider: ${options?.provider}` };
+    }
+
     // If backend mode is enabled and user is authenticated, use backend
-    if (backendMode && backendAccessToken) {
+    // (the server only proxies Anthropic and OpenAI, the rest go direct)
+    if (backendMode && backendAccessToken && provider.backendSupported) {
       try {
         const startTime = Date.now();
-        const result = await processTextViaBackend(sanitizedText, options);
+        const result = await processTextViaBackend(sanitizedText, { ...options, template: templatePrompt, onText });
         const aiLatency = Date.now() - startTime;
 
         log('=== BACKEND PROCESS TEXT SUCCESS ===');
@@ -1445,10 +2471,11 @@ function setupIpcHandlers() {
         log(`Backend AI latency: ${aiLatency}ms`);
 
         logAction('AI_PROCESSING_COMPLETE_BACKEND', {
-          provider: options?.provider || 'anthropic',
+          provider: provider.id,
           inputWords: sanitizedText.split(/\s+/).length,
           outputWords: result.text.split(/\s+/).length,
-          latencyMs: aiLatency
+          latencyMs: aiLatency,
+          template: template.builtin ? template.id : 'custom'
         });
 
         return { success: true, text: result.text, latencyMs: aiLatency, viaBackend: true };
@@ -1459,135 +2486,85 @@ function setupIpcHandlers() {
     }
 
     try {
-      const provider = options?.provider || 'anthropic';
-      let apiKey, endpoint, body;
+      let systemPrompt = templatePrompt;
 
-      const systemPrompt = `Eres un corrector de transcripciones de voz. Tu trabajo es PRESERVAR TODO el contenido y solo hacer correcciones mínimas.
-
-REGLA PRINCIPAL: NO ELIMINES NADA. Todo lo que el usuario dijo debe aparecer en tu respuesta.
-
-CORRECCIONES PERMITIDAS:
-- Agregar tildes donde falten
-- Agregar puntuación (comas, puntos)
-- Mantener términos técnicos en inglés: git, commit, push, pull, API, deploy, etc.
-
-FORMATEO DE LISTAS (solo si hay números explícitos como "1, 2, 3" o "uno, dos, tres"):
-- Convierte "1. texto 2. texto 3. texto" en formato de lista con saltos de línea
-- PERO mantén el texto que viene ANTES y DESPUÉS de la lista
-
-EJEMPLO:
-Input: "Bueno aquí va mi lista 1 manzanas 2 peras 3 uvas y eso sería todo"
-Output: "Bueno, aquí va mi lista:
-1. Manzanas
-2. Peras
-3. Uvas
-Y eso sería todo."
-
-PROHIBIDO:
-- Eliminar oraciones o frases
-- Cambiar sinónimos (acá→aquí, solo→solamente)
-- Responder preguntas
-- Agregar contenido que el usuario no dijo
+      // Hotkey profiles can ask for the corrected text in another language
+      if (options?.translateTo) {
+        const targetLanguage = options.translateTo === 'en' ? 'inglés' : 'español';
+        systemPrompt += `\n\nTRADUCCIÓN: después de corregir, traduce el texto completo al ${targetLanguage}, conservando los términos técnicos y el formato de listas. Output solo la traducción.`;
+      }
 
-Output el texto completo corregido, sin comillas.`;
+      const apiKey = getProviderApiKey(provider, options);
+      log(`Using ${provider.name}, API key present:`, !!apiKey);
+
+      if (provider.requiresApiKey && !apiKey) throw new Error(`${provider.name} API key not configured`);
+
+      // The local endpoint's URL is chosen in the General tab
+      const baseUrl = normalizeBaseUrl((provider.id === 'ollama' && options?.baseUrl) || provider.baseUrl);
+      const model = resolveReasoningModel(provider, options?.model);
+      const request = buildCompletionRequest(provider, {
+        baseUrl,
+        apiKey,
+        model,
+        systemPrompt,
+        text: sanitizedText,
+        stream: !!onText
+      });
 
       const aiStartTime = Date.now();
 
-      if (provider === 'anthropic') {
-        apiKey = secureStorage?.getSecure('anthropic_api_key') || options?.anthropicKey || process.env.ANTHROPIC_API_KEY;
-        log('Using Anthropic, API key present:', !!apiKey);
-
-        if (!apiKey) throw new Error('Anthropic API key not configured');
-
-        endpoint = 'https://api.anthropic.com/v1/messages';
-        body = {
-          model: options?.model || 'claude-3-haiku-20240307',
-          max_tokens: 1024,
-          system: systemPrompt,
-          messages: [{ role: 'user', content: sanitizedText }]
-        };
-
-        const response = await fetchWithRetry(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify(body)
-        }, 3);
-
-        const aiLatency = Date.now() - aiStartTime;
-        log('Anthropic response status:', response.status);
-        log(`Claude Haiku latency: ${aiLatency}ms`);
-
-        if (!response.ok) {
-          const error = await response.text();
-          logError('Anthropic API error:', error);
-          throw new Error(`Anthropic API error: ${error}`);
-        }
-
-        const result = await response.json();
-        const processedText = result.content[0].text;
-
-        // Log metadata only (no content for privacy)
-        log('AI processing complete - input words:', sanitizedText.split(/\s+/).length, 'output words:', processedText.split(/\s+/).length);
-
-        // Log action for analytics
-        logAction('AI_PROCESSING_COMPLETE', {
-          provider: 'anthropic',
-          model: options?.model || 'claude-3-haiku-20240307',
-          inputWords: sanitizedText.split(/\s+/).length,
-          outputWords: processedText.split(/\s+/).length,
-          latencyMs: aiLatency
-        });
-
-        return { success: true, text: processedText, latencyMs: aiLatency };
-
-      } else if (provider === 'openai') {
-        apiKey = secureStorage?.getSecure('openai_api_key') || options?.apiKey || process.env.OPENAI_API_KEY;
-        log('Using OpenAI, API key present:', !!apiKey);
-
-        if (!apiKey) throw new Error('OpenAI API key not configured');
-
-        endpoint = 'https://api.openai.com/v1/chat/completions';
-        body = {
-          model: options?.model || 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: sanitizedText }
-          ]
-        };
-
-        const response = await fetchWithRetry(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify(body)
-        }, 3);
-
-        log('OpenAI response status:', response.status);
+      const response = await fetchWithRetry(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body)
+      }, 3);
 
-        if (!response.ok) {
-          const error = await response.text();
-          logError('OpenAI API error:', error);
-          throw new Error(`OpenAI API error: ${error}`);
-        }
+      log(`${provider.name} response status:`, response.status);
 
-        const result = await response.json();
-        log('OpenAI processing complete');
-        return { success: true, text: result.choices[0].message.content };
+      if (!response.ok) {
+        const error = await response.text();
+        logError(`${provider.name} API error:`, error);
+        throw new Error(`${provider.name} API error: ${error}`);
       }
 
-      throw new Error(`Unknown provider: ${provider}`);
+      const processedText = onText
+        ? await readCompletionStream(response.body, getStreamFormat(provider), onText)
+        : extractCompletionText(provider, await response.json());
+
+      // Measured after the last streamed token, so both modes compare
+      const aiLatency = Date.now() - aiStartTime;
+      log(`${model} latency: ${aiLatency}ms`);
+
+      // Log metadata only (no content for privacy)
+      log('AI processing complete - input words:', sanitizedText.split(/\s+/).length, 'output words:', processedText.split(/\s+/).length);
+
+      // Log action for analytics
+      logAction('AI_PROCESSING_COMPLETE', {
+        provider: provider.id,
+        model,
+        inputWords: sanitizedText.split(/\s+/).length,
+        outputWords: processedText.split(/\s+/).length,
+        latencyMs: aiLatency,
+        template: template.builtin ? template.id : 'custom'
+      });
+
+      return { success: true, text: processedText, latencyMs: aiLatency };
     } catch (error) {
       logError('Process text error:', error.message);
       return { success: false, error: error.message };
     }
   });
 
+  ipcMain.handle('set-indicator-expanded', (event, expanded) => {
+    const validation = validateIpcMessage('set-indicator-expanded', expanded);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    setIndicatorExpanded(expanded);
+    return { success: true };
+  });
+
   // Paste text (preserves original clipboard content)
   ipcMain.handle('paste-text', async (event, text) => {
     // Validate input
@@ -1597,71 +2574,69 @@ Output el texto completo corregido, sin comillas.`;
       return { success: false, error: validation.error };
     }
 
-    log('Pasting text - length:', text?.length || 0, 'words:', text?.split(/\s+/).length || 0);
-    try {
-      // Save current clipboard content to restore later
-      const originalClipboard = clipboard.readText();
-      const hadOriginalContent = originalClipboard && originalClipboard.length > 0;
-      log('Saved original clipboard content:', hadOriginalContent ? `${originalClipboard.length} chars` : 'empty');
+    return pasteIntoActiveWindow(text);
+  });
 
-      // Write transcription to clipboard temporarily
-      clipboard.writeText(text);
-      log('Text copied to clipboard (temporary)');
+  // Pre-paste review: the dictation window waits here until the user decides
+  ipcMain.handle('request-review', (event, data) => {
+    const validation = validateIpcMessage('request-review', data);
+    if (!validation.isValid) {
+      logError('Request-review validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
 
-      // Hide Murmullo window to restore focus to the previous window
-      if (mainWindow) {
-        mainWindow.hide();
-        log('Main window hidden to restore focus');
-      }
-
-      // Small delay to ensure focus is restored
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Simulate Ctrl+V based on platform
-      if (process.platform === 'win32') {
-        log('Simulating Ctrl+V on Windows...');
-        const ps = spawn('powershell.exe', [
-          '-NoProfile',
-          '-NonInteractive',
-          '-Command',
-          'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait("^v")'
-        ]);
-
-        await new Promise((resolve, reject) => {
-          ps.on('close', (code) => {
-            log('PowerShell exit code:', code);
-            resolve();
-          });
-          ps.on('error', reject);
-        });
-      } else if (process.platform === 'darwin') {
-        const osascript = spawn('osascript', [
-          '-e', 'tell application "System Events" to keystroke "v" using command down'
-        ]);
-
-        await new Promise((resolve, reject) => {
-          osascript.on('close', resolve);
-          osascript.on('error', reject);
-        });
-      }
+    // A new dictation replaces a review that is still open
+    if (pendingReview) {
+      finishReview({ action: 'discard' });
+    }
 
-      // Wait a bit for paste to complete, then restore original clipboard
-      await new Promise(resolve => setTimeout(resolve, 150));
+    if (!reviewWindow || reviewWindow.isDestroyed()) {
+      createReviewWindow();
+    }
 
-      if (hadOriginalContent) {
-        clipboard.writeText(originalClipboard);
-        log('Restored original clipboard content');
-      } else {
-        // Clear clipboard if it was empty before
-        clipboard.writeText('');
-        log('Cleared clipboard (was empty before)');
+    return new Promise((resolve) => {
+      pendingReview = { data, resolve };
+      if (!reviewWindow.webContents.isLoading()) {
+        reviewWindow.webContents.send('review-data', data);
       }
+      reviewWindow.center();
+      reviewWindow.show();
+      reviewWindow.focus();
+      log('Review window shown, text length:', data.text.length);
+    });
+  });
 
-      return { success: true };
-    } catch (error) {
-      logError('Paste error:', error);
-      return { success: false, error: error.message };
+  // Review window asks for its data when it first loads
+  ipcMain.handle('get-pending-review', () => {
+    return pendingReview ? pendingReview.data : null;
+  });
+
+  ipcMain.handle('submit-review', (event, result) => {
+    const validation = validateIpcMessage('submit-review', result);
+    if (!validation.isValid) {
+      logError('Submit-review validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    if (result.action === 'copy') {
+      clipboard.writeText(result.text);
+      log('Review: text copied to clipboard');
+    }
+    if (result.action !== 'discard' && pendingReview && result.text !== pendingReview.data.text) {
+      learnFromCorrection(pendingReview.data.text, result.text, 'review');
+    }
+    finishReview(result);
+    return { success: true };
+  });
+
+  ipcMain.handle('type-text', async (event, text) => {
+    const validation = validateIpcMessage('type-text', text);
+    if (!validation.isValid) {
+      logError('Type-text validation failed:', validation.error);
+      return { success: false, error: validation.error };
     }
+
+    return typeIntoActiveWindow(text);
   });
 
   // Settings
@@ -1708,27 +2683,75 @@ Output el texto completo corregido, sin comillas.`;
     log('Saving transcription - words:', data?.original_text?.split(/\s+/).length || 0, 'processed:', !!data?.processed_text);
     if (!db) return { success: false, error: 'Database not initialized' };
     try {
-      const timestamp = new Date().toISOString();
-      db.run(
-        `INSERT INTO transcriptions (timestamp, original_text, processed_text, is_processed, processing_method)
-         VALUES (?, ?, ?, ?, ?)`,
-        [timestamp, data.original_text, data.processed_text || null, data.is_processed ? 1 : 0, data.processing_method || 'none']
-      );
+      return insertTranscription(data);
+    } catch (error) {
+      logError('Database insert error:', error);
+      return { success: false, error: error.message };
+    }
+  });
 
-      saveDatabase();
+  // Edit a history item; the corrected words feed the dictionary suggestions
+  ipcMain.handle('update-transcription', (event, id, text) => {
+    const validation = validateIpcMessage('update-transcription', id, text);
+    if (!validation.isValid) {
+      logError('Update-transcription validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+    if (!db) return { success: false, error: 'Database not initialized' };
 
-      // Get last insert id
-      const result = db.exec('SELECT last_insert_rowid()');
-      const id = result[0]?.values[0]?.[0];
+    try {
+      const rows = db.exec('SELECT original_text, processed_text FROM transcriptions WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return { success: false, error: 'Transcription not found' };
+      }
+      const [originalText, processedText] = rows[0].values[0];
+      const previous = processedText || originalText;
 
-      log('Transcription saved with ID:', id);
-      return { success: true, id };
+      db.run('UPDATE transcriptions SET processed_text = ? WHERE id = ?', [text, id]);
+      saveDatabase();
+      logAction('TRANSCRIPTION_EDITED', { id });
+      learnFromCorrection(previous, text, 'history');
+      return { success: true };
     } catch (error) {
-      logError('Database insert error:', error);
+      logError('Database update error:', error);
       return { success: false, error: error.message };
     }
   });
 
+  // Offline queue (recordings waiting to be transcribed)
+  ipcMain.handle('get-offline-queue', () => {
+    return offlineQueue ? offlineQueue.list() : [];
+  });
+
+  // Retry one item now, or every pending item when no id is given (e.g. back online)
+  ipcMain.handle('retry-offline-item', async (event, id) => {
+    const validation = validateIpcMessage('retry-offline-item', id);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+    if (!offlineQueue) return { success: false, error: 'Offline queue not initialized' };
+
+    const ids = id ? [id] : offlineQueue.list().filter(item => item.status === 'pending').map(item => item.id);
+    ids.forEach(itemId => offlineQueue.resetForRetry(itemId));
+    broadcastOfflineQueue();
+
+    await processOfflineQueue();
+    return { success: true, items: offlineQueue.list() };
+  });
+
+  ipcMain.handle('delete-offline-item', (event, id) => {
+    const validation = validateIpcMessage('delete-offline-item', id);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+    if (!offlineQueue) return { success: false, error: 'Offline queue not initialized' };
+
+    const removed = offlineQueue.remove(id);
+    logAction('OFFLINE_QUEUE_ITEM_DELETED', { id });
+    broadcastOfflineQueue();
+    return { success: removed };
+  });
+
   // Control panel
   ipcMain.handle('show-control-panel', () => {
     log('Showing control panel');
@@ -1746,13 +2769,25 @@ Output el texto completo corregido, sin comillas.`;
     // Try secure storage first, then env as fallback
     const openaiKey = secureStorage?.getSecure('openai_api_key') || process.env.OPENAI_API_KEY || '';
     const anthropicKey = secureStorage?.getSecure('anthropic_api_key') || process.env.ANTHROPIC_API_KEY || '';
+    const groqKey = secureStorage?.getSecure('groq_api_key') || process.env.GROQ_API_KEY || '';
+    const customKey = secureStorage?.getSecure('custom_api_key') || '';
+    const geminiKey = secureStorage?.getSecure('gemini_api_key') || process.env.GEMINI_API_KEY || '';
+    const ollamaKey = secureStorage?.getSecure('ollama_api_key') || '';
 
     return {
       openai: openaiKey,
       anthropic: anthropicKey,
+      groq: groqKey,
+      custom: customKey,
+      gemini: geminiKey,
+      ollama: ollamaKey,
       // Include masked versions for UI display
       openaiMasked: openaiKey ? maskApiKey(openaiKey) : '',
-      anthropicMasked: anthropicKey ? maskApiKey(anthropicKey) : ''
+      anthropicMasked: anthropicKey ? maskApiKey(anthropicKey) : '',
+      groqMasked: groqKey ? maskApiKey(groqKey) : '',
+      customMasked: customKey ? maskApiKey(customKey) : '',
+      geminiMasked: geminiKey ? maskApiKey(geminiKey) : '',
+      ollamaMasked: ollamaKey ? maskApiKey(ollamaKey) : ''
     };
   });
 
@@ -1772,7 +2807,7 @@ Output el texto completo corregido, sin comillas.`;
     }
 
     try {
-      const storageKey = provider === 'openai' ? 'openai_api_key' : 'anthropic_api_key';
+      const storageKey = API_KEY_STORAGE_KEYS[provider];
       const success = secureStorage.setSecure(storageKey, key);
 
       if (success) {
@@ -1787,6 +2822,246 @@ Output el texto completo corregido, sin comillas.`;
     }
   });
 
+  // List available transcription providers (for the General tab)
+  ipcMain.handle('get-transcription-providers', () => {
+    return listTranscriptionProviders();
+  });
+
+  // List available post-processing providers and their models (for the General tab)
+  ipcMain.handle('get-reasoning-providers', () => {
+    return listReasoningProviders();
+  });
+
+  // Hallucination filter
+  ipcMain.handle('get-hallucination-filter', () => {
+    return { ...hallucinationFilterSettings, defaults: DEFAULT_HALLUCINATIONS.map(entry => entry.phrase) };
+  });
+
+  ipcMain.handle('set-hallucination-filter', (event, settings) => {
+    const validation = validateIpcMessage('set-hallucination-filter', settings);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    hallucinationFilterSettings = {
+      ...hallucinationFilterSettings,
+      ...settings,
+      ...(settings.blocklist && { blocklist: settings.blocklist.map(phrase => phrase.trim()).filter(Boolean) })
+    };
+    saveHallucinationFilterSettings();
+    logAction('HALLUCINATION_FILTER_UPDATED', {
+      enabled: hallucinationFilterSettings.enabled,
+      blocklistSize: hallucinationFilterSettings.blocklist.length
+    });
+    return { success: true, settings: hallucinationFilterSettings };
+  });
+
+  // Prompt templates
+  ipcMain.handle('get-prompt-templates', () => {
+    return {
+      templates: [...BUILTIN_TEMPLATES, ...promptTemplates],
+      variables: TEMPLATE_VARIABLES,
+      maxTemplates: MAX_TEMPLATES
+    };
+  });
+
+  ipcMain.handle('set-prompt-templates', (event, templates) => {
+    const validation = validateIpcMessage('set-prompt-templates', templates);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    if (templates.some(t => BUILTIN_TEMPLATES.some(builtin => builtin.id === t.id))) {
+      return { success: false, error: 'Las plantillas incluidas no se pueden modificar' };
+    }
+
+    promptTemplates = templates.map(({ id, name, body }) => ({ id, name: name.trim(), body }));
+    savePromptTemplates();
+    logAction('PROMPT_TEMPLATES_UPDATED', { count: promptTemplates.length });
+    return { success: true, templates: [...BUILTIN_TEMPLATES, ...promptTemplates] };
+  });
+
+  ipcMain.handle('import-prompt-templates', (event, json) => {
+    const validation = validateIpcMessage('import-prompt-templates', json);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    try {
+      const imported = parsePromptTemplateImport(json, () => require('crypto').randomUUID());
+      const added = imported.slice(0, MAX_TEMPLATES - promptTemplates.length);
+      promptTemplates = [...promptTemplates, ...added];
+      savePromptTemplates();
+      logAction('PROMPT_TEMPLATES_IMPORTED', { addedCount: added.length, total: promptTemplates.length });
+      return { success: true, addedCount: added.length, templates: [...BUILTIN_TEMPLATES, ...promptTemplates] };
+    } catch (error) {
+      logError('Failed to import prompt templates:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('export-prompt-templates', () => {
+    logAction('PROMPT_TEMPLATES_EXPORTED', { count: promptTemplates.length });
+    return {
+      success: true,
+      data: {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        templates: promptTemplates.map(({ name, body }) => ({ name, body }))
+      }
+    };
+  });
+
+  // Voice commands
+  ipcMain.handle('get-voice-commands', () => {
+    return {
+      ...voiceCommandSettings,
+      defaults: DEFAULT_VOICE_COMMANDS,
+      maxCommands: MAX_COMMANDS,
+      actions: Object.entries(VOICE_COMMAND_ACTIONS).map(([id, { label }]) => ({ id, label }))
+    };
+  });
+
+  ipcMain.handle('set-voice-commands', (event, settings) => {
+    const validation = validateIpcMessage('set-voice-commands', settings);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    voiceCommandSettings = {
+      ...voiceCommandSettings,
+      ...settings,
+      ...(settings.commands && { commands: normalizeVoiceCommands(settings.commands) })
+    };
+    saveVoiceCommandSettings();
+    logAction('VOICE_COMMANDS_UPDATED', {
+      enabled: voiceCommandSettings.enabled,
+      commands: voiceCommandSettings.commands.length
+    });
+    return { success: true, settings: voiceCommandSettings };
+  });
+
+  // Per-application profiles
+  ipcMain.handle('get-app-profiles', () => {
+    return { ...appProfileSettings, defaults: DEFAULT_APP_RULES, maxRules: MAX_APP_RULES, platform: process.platform };
+  });
+
+  ipcMain.handle('set-app-profiles', (event, settings) => {
+    const validation = validateIpcMessage('set-app-profiles', settings);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    appProfileSettings = {
+      ...appProfileSettings,
+      ...settings,
+      ...(settings.rules && { rules: settings.rules.map(normalizeAppRule) })
+    };
+    saveAppProfileSettings();
+    logAction('APP_PROFILES_UPDATED', {
+      enabled: appProfileSettings.enabled,
+      rules: appProfileSettings.rules.length
+    });
+    return { success: true, settings: appProfileSettings };
+  });
+
+  // Lets the Control Panel show what to type in a rule
+  ipcMain.handle('detect-foreground-app', async () => {
+    const foregroundApp = await detectForegroundApp();
+    return foregroundApp
+      ? { success: true, app: foregroundApp }
+      : { success: false, error: 'No se pudo detectar la aplicación activa' };
+  });
+
+  // Called by the dictation window when a recording starts from the main hotkey
+  ipcMain.handle('detect-app-profile', async () => {
+    if (!appProfileSettings.enabled) {
+      return { profile: null };
+    }
+
+    const startTime = Date.now();
+    const foregroundApp = await detectForegroundApp();
+    const rule = findAppRule(foregroundApp, appProfileSettings.rules);
+    // Window titles may name private documents, so only app names are logged
+    log('Foreground app:', foregroundApp?.names.join(', ') || 'unknown', `(${Date.now() - startTime}ms)`, 'rule:', rule?.name || 'none');
+    if (rule) {
+      logAction('APP_PROFILE_APPLIED', { rule: rule.id, app: foregroundApp.names[0] });
+    }
+    return { profile: rule };
+  });
+
+  // Transcription fallback chain
+  ipcMain.handle('get-transcription-fallback', () => {
+    return transcriptionFallbackSettings;
+  });
+
+  ipcMain.handle('set-transcription-fallback', (event, settings) => {
+    const validation = validateIpcMessage('set-transcription-fallback', settings);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    transcriptionFallbackSettings = { ...transcriptionFallbackSettings, ...settings };
+    saveTranscriptionFallbackSettings();
+    logAction('TRANSCRIPTION_FALLBACK_UPDATED', transcriptionFallbackSettings);
+    return { success: true, settings: transcriptionFallbackSettings };
+  });
+
+  // Local whisper.cpp settings
+  ipcMain.handle('get-local-whisper-settings', () => {
+    return getLocalWhisperStatus();
+  });
+
+  // Pick the whisper.cpp binary or GGML model with a native file dialog
+  // Paths only come from the dialog so the renderer can't choose what gets executed
+  ipcMain.handle('select-local-whisper-file', async (event, kind) => {
+    const validation = validateIpcMessage('select-local-whisper-file', kind);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    try {
+      const result = await dialog.showOpenDialog(controlPanel || undefined, {
+        title: kind === 'binary' ? 'Seleccionar ejecutable de whisper.cpp' : 'Seleccionar modelo GGML',
+        properties: ['openFile'],
+        filters: kind === 'binary'
+          ? (process.platform === 'win32'
+            ? [{ name: 'Ejecutables', extensions: ['exe'] }, { name: 'Todos los archivos', extensions: ['*'] }]
+            : [{ name: 'Todos los archivos', extensions: ['*'] }])
+          : [{ name: 'Modelos GGML', extensions: ['bin', 'gguf'] }, { name: 'Todos los archivos', extensions: ['*'] }]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      if (kind === 'binary') {
+        localWhisperSettings.binaryPath = result.filePaths[0];
+      } else {
+        localWhisperSettings.modelPath = result.filePaths[0];
+      }
+      saveLocalWhisperSettings();
+      logAction('LOCAL_WHISPER_PATH_SET', { kind, file: path.basename(result.filePaths[0]) });
+
+      return { success: true, settings: getLocalWhisperStatus() };
+    } catch (error) {
+      logError('Error selecting whisper.cpp file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Update local whisper.cpp options (thread count)
+  ipcMain.handle('set-local-whisper-threads', (event, threads) => {
+    const validation = validateIpcMessage('set-local-whisper-threads', threads);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    localWhisperSettings.threads = threads;
+    saveLocalWhisperSettings();
+    return { success: true, settings: getLocalWhisperStatus() };
+  });
+
   // Check if encryption is available
   ipcMain.handle('check-encryption', () => {
     return {
@@ -1990,6 +3265,11 @@ Output el texto completo corregido, sin comillas.`;
       return { success: false, error: validation.error };
     }
 
+    const conflict = checkHotkeyConflicts({ mainHotkey: newHotkey });
+    if (conflict) {
+      return { success: false, error: conflict };
+    }
+
     log('Setting new hotkey:', newHotkey);
 
     // Try to register the new hotkey
@@ -2015,6 +3295,113 @@ Output el texto completo corregido, sin comillas.`;
     return result;
   });
 
+  ipcMain.handle('get-hotkey-mode', () => {
+    return hotkeyMode;
+  });
+
+  ipcMain.handle('set-hotkey-mode', (event, mode) => {
+    const validation = validateIpcMessage('set-hotkey-mode', mode);
+    if (!validation.isValid) {
+      logError('Set-hotkey-mode validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    log('Setting hotkey mode:', mode);
+    const result = registerHotkey(currentHotkey, mode);
+
+    if (!result.success) {
+      // Keep the previous mode working if the hook is unavailable
+      registerHotkey(currentHotkey, hotkeyMode);
+      return result;
+    }
+
+    hotkeyMode = mode;
+    try {
+      const configPath = path.join(app.getPath('userData'), 'config.json');
+      let config = {};
+      if (fs.existsSync(configPath)) {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      }
+      config.hotkeyMode = mode;
+      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      logAction('HOTKEY_MODE_CHANGED', { mode });
+    } catch (err) {
+      logError('Failed to save hotkey mode config:', err);
+    }
+
+    return result;
+  });
+
+  ipcMain.handle('get-hotkey-profiles', () => {
+    return { profiles: hotkeyProfiles, maxProfiles: MAX_PROFILES };
+  });
+
+  ipcMain.handle('set-hotkey-profiles', (event, profiles) => {
+    const validation = validateIpcMessage('set-hotkey-profiles', profiles);
+    if (!validation.isValid) {
+      logError('Set-hotkey-profiles validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    const normalized = profiles.map(normalizeHotkeyProfile);
+    const conflict = checkHotkeyConflicts({ profiles: normalized });
+    if (conflict) {
+      return { success: false, error: conflict };
+    }
+
+    const result = registerHotkey(currentHotkey, hotkeyMode, normalized);
+    if (!result.success) {
+      // Restore the previous set so the existing shortcuts keep working
+      registerHotkey(currentHotkey, hotkeyMode, hotkeyProfiles);
+      return result;
+    }
+
+    hotkeyProfiles = normalized;
+    saveHotkeyProfiles();
+    logAction('HOTKEY_PROFILES_CHANGED', { count: hotkeyProfiles.length });
+    return { success: true, profiles: hotkeyProfiles };
+  });
+
+  ipcMain.handle('get-action-hotkeys', () => {
+    return actionHotkeys;
+  });
+
+  ipcMain.handle('set-action-hotkeys', (event, actions) => {
+    const validation = validateIpcMessage('set-action-hotkeys', actions);
+    if (!validation.isValid) {
+      logError('Set-action-hotkeys validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    const updated = { ...actionHotkeys, ...actions };
+    const conflict = checkHotkeyConflicts({ actions: updated });
+    if (conflict) {
+      return { success: false, error: conflict };
+    }
+
+    const result = registerActionHotkeys(updated);
+    if (!result.success) {
+      registerActionHotkeys(actionHotkeys);
+      return result;
+    }
+
+    actionHotkeys = updated;
+    try {
+      const configPath = path.join(app.getPath('userData'), 'config.json');
+      let config = {};
+      if (fs.existsSync(configPath)) {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      }
+      config.actionHotkeys = actionHotkeys;
+      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      logAction('ACTION_HOTKEYS_CHANGED', { cancel: !!actionHotkeys.cancel, repaste: !!actionHotkeys.repaste });
+    } catch (err) {
+      logError('Failed to save action hotkeys config:', err);
+    }
+
+    return { success: true, actions: actionHotkeys };
+  });
+
   ipcMain.handle('get-available-hotkeys', () => {
     // Return some common hotkey suggestions
     return [
@@ -2361,6 +3748,7 @@ Output el texto completo corregido, sin comillas.`;
       customDictionary = {
         version: dict.version || 1,
         entries: dict.entries || [],
+        groups: (dict.groups || customDictionary.groups).map(normalizeDictionaryGroup),
         settings: {
           maxWhisperPromptWords: dict.settings?.maxWhisperPromptWords || 40,
           enablePostProcessing: dict.settings?.enablePostProcessing !== false,
@@ -2387,11 +3775,15 @@ Output el texto completo corregido, sin comillas.`;
     try {
       const newEntry = {
         id: require('crypto').randomUUID(),
-        find: entry.find.trim(),
-        replace: entry.replace.trim(),
+        type: entry.type || 'text',
+        // Spaces can be part of a pattern
+        find: entry.type === 'regex' ? entry.find : entry.find.trim(),
+        replace: entry.type === 'regex' ? entry.replace : entry.replace.trim(),
         caseSensitive: entry.caseSensitive || false,
         enabled: entry.enabled !== false,
         soundsLike: entry.soundsLike?.trim() || '',
+        pinned: entry.pinned === true,
+        groupId: customDictionary.groups.some(g => g.id === entry.groupId) ? entry.groupId : '',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
@@ -2420,14 +3812,30 @@ Output el texto completo corregido, sin comillas.`;
         return { success: false, error: 'Entry not found' };
       }
 
-      const entry = customDictionary.entries[entryIndex];
-      if (updates.find !== undefined) entry.find = updates.find.trim();
-      if (updates.replace !== undefined) entry.replace = updates.replace.trim();
+      const entry = { ...customDictionary.entries[entryIndex] };
+      if (updates.type !== undefined) entry.type = updates.type;
+      const isRegex = entry.type === 'regex';
+      if (updates.find !== undefined) entry.find = isRegex ? updates.find : updates.find.trim();
+      if (updates.replace !== undefined) entry.replace = isRegex ? updates.replace : updates.replace.trim();
       if (updates.caseSensitive !== undefined) entry.caseSensitive = updates.caseSensitive;
       if (updates.enabled !== undefined) entry.enabled = updates.enabled;
       if (updates.soundsLike !== undefined) entry.soundsLike = updates.soundsLike.trim();
+      if (updates.pinned !== undefined) entry.pinned = updates.pinned;
+      if (updates.groupId !== undefined) {
+        if (updates.groupId && !customDictionary.groups.some(g => g.id === updates.groupId)) {
+          return { success: false, error: 'Group not found' };
+        }
+        entry.groupId = updates.groupId;
+      }
       entry.updatedAt = new Date().toISOString();
 
+      // The find text may have become a pattern, or the pattern changed
+      const entryValidation = validateIpcMessage('add-dictionary-entry', entry);
+      if (!entryValidation.isValid) {
+        return { success: false, error: entryValidation.error };
+      }
+      customDictionary.entries[entryIndex] = entry;
+
       saveDictionary();
       logAction('DICTIONARY_ENTRY_UPDATED', { id, updates: Object.keys(updates) });
       return { success: true, entry };
@@ -2477,21 +3885,36 @@ Output el texto completo corregido, sin comillas.`;
         return { success: false, error: 'Invalid dictionary format' };
       }
 
+      // Groups come in as new groups; entries are remapped to their new ids
+      const groupIdMap = new Map();
+      for (const group of Array.isArray(imported.groups) ? imported.groups : []) {
+        if (!group?.id || typeof group.name !== 'string' || !group.name.trim()) continue;
+        if (customDictionary.groups.length >= MAX_DICTIONARY_GROUPS) break;
+        const newGroup = normalizeDictionaryGroup({ ...group, id: require('crypto').randomUUID() });
+        customDictionary.groups.push(newGroup);
+        groupIdMap.set(group.id, newGroup.id);
+      }
+
       // Merge entries (add new ones, skip duplicates by find value)
       const existingFinds = new Set(customDictionary.entries.map(e => e.find.toLowerCase()));
       let addedCount = 0;
 
       for (const entry of imported.entries) {
-        if (!entry.find || !entry.replace) continue;
+        // Also skips patterns that could freeze the app
+        if (!isValidDictionaryEntry(entry)) continue;
         if (existingFinds.has(entry.find.toLowerCase())) continue;
 
+        const isRegex = entry.type === 'regex';
         customDictionary.entries.push({
           id: require('crypto').randomUUID(),
-          find: entry.find.trim(),
-          replace: entry.replace.trim(),
+          type: isRegex ? 'regex' : 'text',
+          find: isRegex ? entry.find : entry.find.trim(),
+          replace: isRegex ? entry.replace : entry.replace.trim(),
           caseSensitive: entry.caseSensitive || false,
           enabled: entry.enabled !== false,
           soundsLike: entry.soundsLike?.trim() || '',
+          pinned: entry.pinned === true,
+          groupId: groupIdMap.get(entry.groupId) || '',
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         });
@@ -2528,6 +3951,7 @@ Output el texto completo corregido, sin comillas.`;
         version: customDictionary.version,
         exportedAt: new Date().toISOString(),
         entries: customDictionary.entries,
+        groups: customDictionary.groups,
         settings: customDictionary.settings
       };
       logAction('DICTIONARY_EXPORTED', { entryCount: customDictionary.entries.length });
@@ -2539,22 +3963,177 @@ Output el texto completo corregido, sin comillas.`;
   });
 
   // Test dictionary replacements on sample text
-  ipcMain.handle('test-replacement', (event, text) => {
-    const validation = validateIpcMessage('test-replacement', text);
+  ipcMain.handle('test-replacement', (event, text, context) => {
+    const validation = validateIpcMessage('test-replacement', text, context);
     if (!validation.isValid) {
       logError('Test-replacement validation failed:', validation.error);
       return { success: false, error: validation.error };
     }
 
     try {
-      const result = applyDictionaryReplacements(text);
-      return { success: true, original: text, result, changed: text !== result };
+      const { text: result, matches } = matchDictionary(text, context);
+      return { success: true, original: text, result, changed: text !== result, matches };
     } catch (error) {
       logError('Failed to test replacement:', error.message);
       return { success: false, error: error.message };
     }
   });
 
+  // Corrections seen often enough to become entries (accepted through add-dictionary-entry)
+  ipcMain.handle('get-dictionary-suggestions', () => {
+    return {
+      success: true,
+      minCount: MIN_SUGGESTION_COUNT,
+      suggestions: getDictionarySuggestions(correctionLearning, customDictionary.entries)
+    };
+  });
+
+  ipcMain.handle('dismiss-dictionary-suggestion', (event, find, replace) => {
+    const validation = validateIpcMessage('dismiss-dictionary-suggestion', find, replace);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    dismissCorrection(correctionLearning, find, replace);
+    saveCorrectionLearning();
+    logAction('DICTIONARY_SUGGESTION_DISMISSED', { find, replace });
+    return { success: true };
+  });
+
+  // Which terms the next dictation's Whisper prompt would include, and why the rest don't fit
+  ipcMain.handle('get-whisper-prompt-terms', (event, context) => {
+    const validation = validateIpcMessage('get-whisper-prompt-terms', context);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    const tokenBudget = getWhisperTermBudget(context?.processingMode);
+    const selection = getWhisperPromptSelection(context, tokenBudget);
+    return {
+      success: true,
+      enabled: customDictionary.settings.enableWhisperHints,
+      tokenLimit: WHISPER_PROMPT_TOKEN_LIMIT,
+      tokenBudget,
+      ...selection
+    };
+  });
+
+  // Dictionary groups
+  ipcMain.handle('add-dictionary-group', (event, group) => {
+    const validation = validateIpcMessage('add-dictionary-group', group);
+    if (!validation.isValid) {
+      logError('Add-dictionary-group validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+    if (customDictionary.groups.length >= MAX_DICTIONARY_GROUPS) {
+      return { success: false, error: `Maximum ${MAX_DICTIONARY_GROUPS} groups` };
+    }
+
+    const newGroup = normalizeDictionaryGroup({ ...group, id: require('crypto').randomUUID() });
+    customDictionary.groups.push(newGroup);
+    saveDictionary();
+    logAction('DICTIONARY_GROUP_ADDED', { languages: newGroup.languages, profiles: newGroup.profileIds.length });
+    return { success: true, group: newGroup };
+  });
+
+  ipcMain.handle('update-dictionary-group', (event, id, updates) => {
+    const validation = validateIpcMessage('update-dictionary-group', id, updates);
+    if (!validation.isValid) {
+      logError('Update-dictionary-group validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    const index = customDictionary.groups.findIndex(g => g.id === id);
+    if (index === -1) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    customDictionary.groups[index] = normalizeDictionaryGroup({ ...customDictionary.groups[index], ...updates, id });
+    saveDictionary();
+    logAction('DICTIONARY_GROUP_UPDATED', { id, updates: Object.keys(updates) });
+    return { success: true, group: customDictionary.groups[index] };
+  });
+
+  // Deleting a group keeps its entries, without a group
+  ipcMain.handle('delete-dictionary-group', (event, id) => {
+    const validation = validateIpcMessage('delete-dictionary-group', id);
+    if (!validation.isValid) {
+      logError('Delete-dictionary-group validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+
+    const index = customDictionary.groups.findIndex(g => g.id === id);
+    if (index === -1) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    customDictionary.groups.splice(index, 1);
+    customDictionary.entries.forEach(entry => {
+      if (entry.groupId === id) entry.groupId = '';
+    });
+    saveDictionary();
+    logAction('DICTIONARY_GROUP_DELETED', { id });
+    return { success: true };
+  });
+
+  ipcMain.handle('export-dictionary-group', (event, id) => {
+    const validation = validateIpcMessage('export-dictionary-group', id);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    const group = customDictionary.groups.find(g => g.id === id);
+    if (!group) {
+      return { success: false, error: 'Group not found' };
+    }
+
+    const data = buildGroupExport(group, customDictionary.entries);
+    logAction('DICTIONARY_GROUP_EXPORTED', { entryCount: data.entries.length });
+    return { success: true, data };
+  });
+
+  ipcMain.handle('import-dictionary-group', (event, json) => {
+    const validation = validateIpcMessage('import-dictionary-group', json);
+    if (!validation.isValid) {
+      logError('Import-dictionary-group validation failed:', validation.error);
+      return { success: false, error: validation.error };
+    }
+    if (customDictionary.groups.length >= MAX_DICTIONARY_GROUPS) {
+      return { success: false, error: `Maximum ${MAX_DICTIONARY_GROUPS} groups` };
+    }
+
+    try {
+      const { group, entries } = parseGroupImport(json, () => require('crypto').randomUUID(), isValidDictionaryEntry);
+      customDictionary.groups.push(group);
+      customDictionary.entries.push(...entries);
+      saveDictionary();
+      logAction('DICTIONARY_GROUP_IMPORTED', { entryCount: entries.length });
+      return { success: true, group, addedCount: entries.length };
+    } catch (error) {
+      logError('Failed to import dictionary group:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Try one entry (e.g. a regex being written) on sample text without saving it
+  ipcMain.handle('preview-dictionary-entry', (event, entry, text) => {
+    const validation = validateIpcMessage('preview-dictionary-entry', entry, text);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error };
+    }
+
+    try {
+      const { text: result, matches, timedOut } = applyDictionaryEntries(text, [{ id: 'preview', ...entry }]);
+      if (timedOut.length > 0) {
+        return { success: false, error: 'Pattern took too long on this text' };
+      }
+      return { success: true, result, changed: text !== result, matches };
+    } catch (error) {
+      logError('Failed to preview dictionary entry:', error.message);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Update dictionary settings
   ipcMain.handle('update-dictionary-settings', (event, settings) => {
     const validation = validateIpcMessage('update-dictionary-settings', settings);
@@ -2605,6 +4184,10 @@ app.whenReady().then(async () => {
     secureStorage = new SecureStorage(secureStoragePath);
     log('Secure storage initialized, encryption available:', secureStorage.isEncryptionAvailable());
 
+    // Initialize offline queue for recordings that couldn't be transcribed
+    offlineQueue = new OfflineQueue(path.join(app.getPath('userData'), 'offline-queue'), { logError });
+    log('Offline queue initialized, items:', offlineQueue.list().length);
+
     // Setup Content Security Policy
     setupContentSecurityPolicy();
 
@@ -2645,6 +4228,13 @@ app.whenReady().then(async () => {
           currentHotkey = config.hotkey;
           log('Loaded saved hotkey:', currentHotkey);
         }
+        if (config.hotkeyMode === 'push-to-talk') {
+          hotkeyMode = config.hotkeyMode;
+          log('Loaded hotkey mode:', hotkeyMode);
+        }
+        if (config.actionHotkeys && validateIpcMessage('set-action-hotkeys', config.actionHotkeys).isValid) {
+          actionHotkeys = { ...actionHotkeys, ...config.actionHotkeys };
+        }
       }
     } catch (err) {
       log('No saved config found, using default hotkey');
@@ -2653,9 +4243,33 @@ app.whenReady().then(async () => {
     // Load backend settings
     loadBackendSettings();
 
+    // Load local whisper.cpp settings
+    loadLocalWhisperSettings();
+
+    // Load transcription fallback chain
+    loadTranscriptionFallbackSettings();
+
+    // Load hallucination filter settings
+    loadHallucinationFilterSettings();
+
+    // Load voice command settings
+    loadVoiceCommandSettings();
+
+    // Load prompt templates
+    loadPromptTemplates();
+
+    // Load hotkey profiles
+    loadHotkeyProfiles();
+
+    // Load per-application profiles
+    loadAppProfileSettings();
+
     // Load custom dictionary
     loadDictionary();
 
+    // Load corrections learned from edited dictations
+    loadCorrectionLearning();
+
     // Warmup backend in background (don't await - let app continue starting)
     warmupBackend().catch(err => log('Warmup error (non-critical):', err.message));
 
@@ -2663,10 +4277,22 @@ app.whenReady().then(async () => {
     createMainWindow();
     createControlPanel();
     createTray();
-    registerHotkey(currentHotkey);
+    const hotkeyResult = registerHotkey(currentHotkey);
+    if (!hotkeyResult.success && hotkeyMode === 'push-to-talk') {
+      // e.g. a Wayland session: fall back to the toggle shortcut so dictation still works
+      log('Push-to-talk unavailable, falling back to toggle hotkey');
+      hotkeyMode = 'toggle';
+      registerHotkey(currentHotkey);
+    }
+    registerActionHotkeys();
     setupIpcHandlers();
     setupAutoUpdater();
 
+    // Retry queued recordings in the background once connectivity returns
+    setInterval(() => {
+      processOfflineQueue().catch(err => logError('Offline queue error:', err.message));
+    }, OFFLINE_QUEUE_CHECK_INTERVAL_MS);
+
     log('Initialization complete');
 
     app.on('activate', () => {
@@ -2700,7 +4326,12 @@ app.on('before-quit', () => {
 app.on('will-quit', () => {
   log('App quitting...');
   globalShortcut.unregisterAll();
+  if (stopPushToTalk) {
+    stopPushToTalk();
+    stopPushToTalk = null;
+  }
   saveDatabase();
+  if (dictionaryUsageSaveTimer) saveDictionary();
 
   // Destroy tray icon
   if (tray) {
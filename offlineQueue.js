@@ -0,0 +1,220 @@
+/**
+ * Offline Queue Module for Murmullo
+ * Keeps recordings that could not be transcribed on disk and retries them later
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_ATTEMPTS = 10;          // After this the item stays in the queue as 'failed'
+const BASE_RETRY_DELAY_MS = 30000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// Only what's needed to redo the transcription - never API keys.
+// profileId keeps the dictionary groups bound to the profile on replay.
+const QUEUED_OPTION_KEYS = ['language', 'processingMode', 'profileId', 'transcriptionProvider', 'transcriptionBaseUrl', 'transcriptionModel'];
+
+// Containers the renderer can send, by their first bytes. WAV when the renderer
+// converted the recording, WebM or Ogg (Opus) when it fell back to MediaRecorder's output.
+const AUDIO_FORMATS = [
+  { signature: '52494646', extension: 'wav', mimeType: 'audio/wav' },   // "RIFF"
+  { signature: '1a45dfa3', extension: 'webm', mimeType: 'audio/webm' }, // EBML
+  { signature: '4f676753', extension: 'ogg', mimeType: 'audio/ogg' }    // "OggS"
+];
+
+/**
+ * Container of a recording, so the stored file's extension matches its content
+ * @param {Buffer} audio
+ * @returns {{ extension: string, mimeType: string }} - 'bin' when the header is unknown
+ */
+function detectAudioFormat(audio) {
+  const header = audio.subarray(0, 4).toString('hex');
+  const format = AUDIO_FORMATS.find(f => f.signature === header);
+  return format
+    ? { extension: format.extension, mimeType: format.mimeType }
+    : { extension: 'bin', mimeType: 'application/octet-stream' };
+}
+
+/**
+ * Delay before the next automatic retry of an item
+ * Same exponential shape as fetchWithRetry, on a minutes scale
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+}
+
+class OfflineQueue {
+  /**
+   * @param {string} queueDir - Folder for the index and the audio files
+   * @param {object} [options]
+   * @param {Function} [options.logError] - main.js passes its logError so failures reach the log file
+   */
+  constructor(queueDir, { logError = console.error } = {}) {
+    this.queueDir = queueDir;
+    this.logError = logError;
+    this.indexPath = path.join(queueDir, 'queue.json');
+    this._ensureQueueDir();
+  }
+
+  _ensureQueueDir() {
+    if (!fs.existsSync(this.queueDir)) {
+      fs.mkdirSync(this.queueDir, { recursive: true });
+    }
+  }
+
+  _loadItems() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        return JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+      }
+    } catch (err) {
+      this.logError('[OfflineQueue] Failed to load queue:', err.message);
+    }
+    return [];
+  }
+
+  _saveItems(items) {
+    try {
+      fs.writeFileSync(this.indexPath, JSON.stringify(items, null, 2));
+    } catch (err) {
+      this.logError('[OfflineQueue] Failed to save queue:', err.message);
+    }
+  }
+
+  _audioPath(item) {
+    return path.join(this.queueDir, item.audioFile);
+  }
+
+  /**
+   * Store a recording for later transcription
+   * @param {Buffer|number[]} audioData - WAV, WebM or Ogg bytes from the renderer
+   * @param {object} options - transcribe-audio options, only QUEUED_OPTION_KEYS are kept
+   * @param {string} [lastError] - Why it couldn't be transcribed now
+   * @returns {object} - The queued item
+   */
+  enqueue(audioData, options = {}, lastError = null) {
+    const now = Date.now();
+    const id = `${now}_${Math.random().toString(36).substring(2, 8)}`;
+    const audio = Buffer.from(audioData);
+    const { extension, mimeType } = detectAudioFormat(audio);
+    const item = {
+      id,
+      createdAt: new Date(now).toISOString(),
+      audioFile: `${id}.${extension}`,
+      mimeType,
+      status: 'pending',
+      attempts: 0,
+      lastError,
+      nextRetryAt: now + getRetryDelay(1),
+      options: {}
+    };
+
+    for (const key of QUEUED_OPTION_KEYS) {
+      if (options[key] !== undefined) item.options[key] = options[key];
+    }
+
+    fs.writeFileSync(this._audioPath(item), audio);
+    const items = this._loadItems();
+    items.push(item);
+    this._saveItems(items);
+    return item;
+  }
+
+  /**
+   * List queued items, oldest first (audio not included)
+   */
+  list() {
+    return this._loadItems();
+  }
+
+  /**
+   * Get an item by id
+   */
+  get(id) {
+    return this._loadItems().find(item => item.id === id) || null;
+  }
+
+  /**
+   * Read the stored audio of an item
+   * @returns {Buffer|null}
+   */
+  readAudio(id) {
+    const item = this.get(id);
+    if (!item) return null;
+    try {
+      return fs.readFileSync(this._audioPath(item));
+    } catch (err) {
+      this.logError('[OfflineQueue] Failed to read audio:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Items whose retry time has come
+   * @param {number} [now]
+   */
+  getDueItems(now = Date.now()) {
+    return this._loadItems().filter(item => item.status === 'pending' && item.nextRetryAt <= now);
+  }
+
+  /**
+   * Record a failed retry, moving the item to 'failed' after MAX_ATTEMPTS
+   */
+  markAttemptFailed(id, errorMessage, now = Date.now()) {
+    const items = this._loadItems();
+    const item = items.find(i => i.id === id);
+    if (!item) return null;
+
+    item.attempts += 1;
+    item.lastError = errorMessage;
+    item.lastAttemptAt = new Date(now).toISOString();
+    if (item.attempts >= MAX_ATTEMPTS) {
+      item.status = 'failed';
+    } else {
+      item.nextRetryAt = now + getRetryDelay(item.attempts);
+    }
+    this._saveItems(items);
+    return item;
+  }
+
+  /**
+   * Put an item back at the front of the line (manual retry from the History tab)
+   */
+  resetForRetry(id, now = Date.now()) {
+    const items = this._loadItems();
+    const item = items.find(i => i.id === id);
+    if (!item) return null;
+
+    item.status = 'pending';
+    item.attempts = 0;
+    item.nextRetryAt = now;
+    this._saveItems(items);
+    return item;
+  }
+
+  /**
+   * Remove an item and its audio (after success or when the user discards it)
+   */
+  remove(id) {
+    const items = this._loadItems();
+    const item = items.find(i => i.id === id);
+    if (!item) return false;
+
+    try {
+      fs.unlinkSync(this._audioPath(item));
+    } catch (err) {
+      // Audio already gone - still drop the entry
+    }
+    this._saveItems(items.filter(i => i.id !== id));
+    return true;
+  }
+}
+
+module.exports = {
+  OfflineQueue,
+  detectAudioFormat,
+  getRetryDelay,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,22 @@
+/**
+ * Paste History Module for Murmullo
+ * Finds the text for the re-paste shortcut: the newest dictation that
+ * actually reached the focused app, skipping failed pastes and copy-only ones
+ */
+
+/**
+ * Text of the last dictation that was pasted (or typed) successfully
+ * @param {object} db - sql.js database with the transcriptions table
+ * @returns {string|null}
+ */
+function getLastPastedText(db) {
+  const results = db.exec(
+    'SELECT processed_text, original_text FROM transcriptions WHERE pasted = 1 ORDER BY timestamp DESC, id DESC LIMIT 1'
+  );
+  const row = results[0]?.values[0];
+  return (row && (row[0] || row[1])) || null;
+}
+
+module.exports = {
+  getLastPastedText
+};
@@ -8,9 +8,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // AI Processing
   processText: (text, options) =>
     ipcRenderer.invoke('process-text', text, options),
+  setIndicatorExpanded: (expanded) => ipcRenderer.invoke('set-indicator-expanded', expanded),
 
   // Clipboard / Paste
   pasteText: (text) => ipcRenderer.invoke('paste-text', text),
+  typeText: (text) => ipcRenderer.invoke('type-text', text),
+
+  // Pre-paste review
+  requestReview: (data) => ipcRenderer.invoke('request-review', data),
+  getPendingReview: () => ipcRenderer.invoke('get-pending-review'),
+  submitReview: (result) => ipcRenderer.invoke('submit-review', result),
+  onReviewData: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('review-data', handler);
+    return () => ipcRenderer.removeListener('review-data', handler);
+  },
 
   // Settings
   getSetting: (key) => ipcRenderer.invoke('get-setting', key),
@@ -19,6 +31,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Database
   getTranscriptions: (limit) => ipcRenderer.invoke('get-transcriptions', limit),
   saveTranscription: (data) => ipcRenderer.invoke('save-transcription', data),
+  updateTranscription: (id, text) => ipcRenderer.invoke('update-transcription', id, text),
 
   // Control Panel
   showControlPanel: () => ipcRenderer.invoke('show-control-panel'),
@@ -29,6 +42,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setApiKey: (provider, key) => ipcRenderer.invoke('set-api-key', provider, key),
   checkEncryption: () => ipcRenderer.invoke('check-encryption'),
 
+  // Transcription providers
+  getTranscriptionProviders: () => ipcRenderer.invoke('get-transcription-providers'),
+  getReasoningProviders: () => ipcRenderer.invoke('get-reasoning-providers'),
+  getTranscriptionFallback: () => ipcRenderer.invoke('get-transcription-fallback'),
+  setTranscriptionFallback: (settings) => ipcRenderer.invoke('set-transcription-fallback', settings),
+  getHallucinationFilter: () => ipcRenderer.invoke('get-hallucination-filter'),
+  setHallucinationFilter: (settings) => ipcRenderer.invoke('set-hallucination-filter', settings),
+  getVoiceCommands: () => ipcRenderer.invoke('get-voice-commands'),
+  setVoiceCommands: (settings) => ipcRenderer.invoke('set-voice-commands', settings),
+  getPromptTemplates: () => ipcRenderer.invoke('get-prompt-templates'),
+  setPromptTemplates: (templates) => ipcRenderer.invoke('set-prompt-templates', templates),
+  importPromptTemplates: (json) => ipcRenderer.invoke('import-prompt-templates', json),
+  exportPromptTemplates: () => ipcRenderer.invoke('export-prompt-templates'),
+  getAppProfiles: () => ipcRenderer.invoke('get-app-profiles'),
+  setAppProfiles: (settings) => ipcRenderer.invoke('set-app-profiles', settings),
+  detectForegroundApp: () => ipcRenderer.invoke('detect-foreground-app'),
+  detectAppProfile: () => ipcRenderer.invoke('detect-app-profile'),
+  getOfflineQueue: () => ipcRenderer.invoke('get-offline-queue'),
+  retryOfflineItem: (id) => ipcRenderer.invoke('retry-offline-item', id),
+  deleteOfflineItem: (id) => ipcRenderer.invoke('delete-offline-item', id),
+  getLocalWhisperSettings: () => ipcRenderer.invoke('get-local-whisper-settings'),
+  selectLocalWhisperFile: (kind) => ipcRenderer.invoke('select-local-whisper-file', kind),
+  setLocalWhisperThreads: (threads) => ipcRenderer.invoke('set-local-whisper-threads', threads),
+
   // Logs
   getLogsPath: () => ipcRenderer.invoke('get-logs-path'),
   listLogFiles: () => ipcRenderer.invoke('list-log-files'),
@@ -45,6 +82,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getHotkey: () => ipcRenderer.invoke('get-hotkey'),
   setHotkey: (hotkey) => ipcRenderer.invoke('set-hotkey', hotkey),
   getAvailableHotkeys: () => ipcRenderer.invoke('get-available-hotkeys'),
+  getHotkeyMode: () => ipcRenderer.invoke('get-hotkey-mode'),
+  setHotkeyMode: (mode) => ipcRenderer.invoke('set-hotkey-mode', mode),
+  getHotkeyProfiles: () => ipcRenderer.invoke('get-hotkey-profiles'),
+  setHotkeyProfiles: (profiles) => ipcRenderer.invoke('set-hotkey-profiles', profiles),
+  getActionHotkeys: () => ipcRenderer.invoke('get-action-hotkeys'),
+  setActionHotkeys: (actions) => ipcRenderer.invoke('set-action-hotkeys', actions),
 
   // Backend mode
   getBackendSettings: () => ipcRenderer.invoke('get-backend-settings'),
@@ -77,19 +120,47 @@ contextBridge.exposeInMainWorld('electronAPI', {
   deleteDictionaryEntry: (id) => ipcRenderer.invoke('delete-dictionary-entry', id),
   importDictionary: (json) => ipcRenderer.invoke('import-dictionary', json),
   exportDictionary: () => ipcRenderer.invoke('export-dictionary'),
-  testReplacement: (text) => ipcRenderer.invoke('test-replacement', text),
+  testReplacement: (text, context) => ipcRenderer.invoke('test-replacement', text, context),
+  previewDictionaryEntry: (entry, text) => ipcRenderer.invoke('preview-dictionary-entry', entry, text),
+  getWhisperPromptTerms: (context) => ipcRenderer.invoke('get-whisper-prompt-terms', context),
+  getDictionarySuggestions: () => ipcRenderer.invoke('get-dictionary-suggestions'),
+  dismissDictionarySuggestion: (find, replace) => ipcRenderer.invoke('dismiss-dictionary-suggestion', find, replace),
   updateDictionarySettings: (settings) => ipcRenderer.invoke('update-dictionary-settings', settings),
+  addDictionaryGroup: (group) => ipcRenderer.invoke('add-dictionary-group', group),
+  updateDictionaryGroup: (id, updates) => ipcRenderer.invoke('update-dictionary-group', id, updates),
+  deleteDictionaryGroup: (id) => ipcRenderer.invoke('delete-dictionary-group', id),
+  exportDictionaryGroup: (id) => ipcRenderer.invoke('export-dictionary-group', id),
+  importDictionaryGroup: (json) => ipcRenderer.invoke('import-dictionary-group', json),
 
   // Events
   onToggleDictation: (callback) => {
-    const handler = (event) => callback();
+    const handler = (event, data) => callback(data || {});
     ipcRenderer.on('toggle-dictation', handler);
     return () => ipcRenderer.removeListener('toggle-dictation', handler);
   },
 
+  // Smart mode text so far, while the AI response streams in
+  onAiStream: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('ai-stream', handler);
+    return () => ipcRenderer.removeListener('ai-stream', handler);
+  },
+
+  onCancelDictation: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('cancel-dictation', handler);
+    return () => ipcRenderer.removeListener('cancel-dictation', handler);
+  },
+
   onUpdateStatus: (callback) => {
     const handler = (event, data) => callback(data);
     ipcRenderer.on('update-status', handler);
     return () => ipcRenderer.removeListener('update-status', handler);
+  },
+
+  onOfflineQueueUpdated: (callback) => {
+    const handler = (event, items) => callback(items);
+    ipcRenderer.on('offline-queue-updated', handler);
+    return () => ipcRenderer.removeListener('offline-queue-updated', handler);
   }
 });
@@ -0,0 +1,171 @@
+/**
+ * Prompt Templates Module for Murmullo
+ * Named system prompts for smart mode post-processing. Built-in templates
+ * are read-only; users add their own, with {{variables}} filled at run time
+ */
+
+const MAX_TEMPLATES = 30;
+const MAX_TEMPLATE_LENGTH = 8000;
+const DEFAULT_TEMPLATE_ID = 'corrector';
+
+// Placeholders a template body can use
+const TEMPLATE_VARIABLES = [
+  { name: 'language', description: 'Idioma del dictado (español, inglés o el del texto)' },
+  { name: 'dictionary', description: 'Términos del diccionario personalizado' },
+  { name: 'date', description: 'Fecha de hoy (AAAA-MM-DD)' }
+];
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'corrector',
+    name: 'Corrector (predeterminado)',
+    body: `Eres un corrector de transcripciones de voz. Tu trabajo es PRESERVAR TODO el contenido y solo hacer correcciones mínimas.
+
+REGLA PRINCIPAL: NO ELIMINES NADA. Todo lo que el usuario dijo debe aparecer en tu respuesta.
+
+CORRECCIONES PERMITIDAS:
+- Agregar tildes donde falten
+- Agregar puntuación (comas, puntos)
+- Mantener términos técnicos en inglés: git, commit, push, pull, API, deploy, etc.
+
+FORMATEO DE LISTAS (solo si hay números explícitos como "1, 2, 3" o "uno, dos, tres"):
+- Convierte "1. texto 2. texto 3. texto" en formato de lista con saltos de línea
+- PERO mantén el texto que viene ANTES y DESPUÉS de la lista
+
+EJEMPLO:
+Input: "Bueno aquí va mi lista 1 manzanas 2 peras 3 uvas y eso sería todo"
+Output: "Bueno, aquí va mi lista:
+1. Manzanas
+2. Peras
+3. Uvas
+Y eso sería todo."
+
+PROHIBIDO:
+- Eliminar oraciones o frases
+- Cambiar sinónimos (acá→aquí, solo→solamente)
+- Responder preguntas
+- Agregar contenido que el usuario no dijo
+
+Output el texto completo corregido, sin comillas.`
+  },
+  {
+    id: 'corrector-minimo',
+    name: 'Corrector mínimo',
+    body: `Corrige únicamente tildes, mayúsculas y puntuación de esta transcripción en {{language}}.
+No cambies, agregues ni quites palabras. Respeta la ortografía de estos términos: {{dictionary}}.
+Responde solo con el texto corregido, sin comillas.`
+  },
+  {
+    id: 'correo-formal',
+    name: 'Correo formal',
+    body: `Convierte este dictado en un correo electrónico formal en {{language}}.
+Incluye saludo y despedida, organiza las ideas en párrafos y corrige la ortografía,
+pero no inventes datos que el usuario no dijo. Respeta estos términos: {{dictionary}}.
+Responde solo con el cuerpo del correo.`
+  },
+  {
+    id: 'mensaje-commit',
+    name: 'Mensaje de commit',
+    body: `Convierte este dictado en un mensaje de commit de git en inglés.
+Primera línea en imperativo, de 72 caracteres como máximo; si hace falta, una línea en blanco
+y un cuerpo breve con viñetas. Conserva los nombres de archivos, funciones y estos términos: {{dictionary}}.
+Responde solo con el mensaje.`
+  },
+  {
+    id: 'mensaje-casual',
+    name: 'Mensaje de chat informal',
+    body: `Corrige la puntuación y las tildes de este dictado para enviarlo por chat en {{language}}.
+Mantén el tono informal y cercano, con frases cortas; no lo conviertas en un texto formal
+ni agregues saludos o despedidas. Respeta estos términos: {{dictionary}}.
+Responde solo con el mensaje.`
+  },
+  {
+    id: 'traducir-ingles',
+    name: 'Traducir al inglés',
+    body: `Corrige la puntuación de esta transcripción y tradúcela al inglés de forma natural.
+Conserva los términos técnicos y estos nombres tal cual: {{dictionary}}.
+Responde solo con la traducción.`
+  }
+].map(template => ({ ...template, builtin: true }));
+
+/**
+ * Fill {{variables}} in a template body. Unknown placeholders are left as written.
+ * @param {string} body
+ * @param {object} variables - { language, dictionary, date }
+ * @returns {string}
+ */
+function renderPromptTemplate(body, variables = {}) {
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  );
+}
+
+/**
+ * Values for the template variables
+ * @param {object} options
+ * @param {string} [options.language] - 'es', 'en' or 'auto'
+ * @param {string[]} [options.dictionaryTerms]
+ * @param {Date} [options.now]
+ * @returns {{ language: string, dictionary: string, date: string }}
+ */
+function buildTemplateVariables({ language, dictionaryTerms = [], now = new Date() } = {}) {
+  const languageNames = { es: 'español', en: 'inglés' };
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    language: languageNames[language] || 'el mismo idioma del texto',
+    dictionary: dictionaryTerms.length > 0 ? dictionaryTerms.join(', ') : '(ninguno)',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+  };
+}
+
+/**
+ * Find a template by id among built-in and user templates, falling back to the default
+ * @param {string} id
+ * @param {Array} userTemplates
+ * @returns {object}
+ */
+function findPromptTemplate(id, userTemplates = []) {
+  return [...BUILTIN_TEMPLATES, ...userTemplates].find(template => template.id === id)
+    || BUILTIN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID);
+}
+
+/**
+ * Turn imported JSON into user templates with fresh ids
+ * Accepts an export file ({ templates: [...] }) or a bare array.
+ * @param {string|object} json
+ * @param {Function} createId
+ * @returns {Array<{ id: string, name: string, body: string }>}
+ * @throws {Error} When the file has no valid template
+ */
+function parsePromptTemplateImport(json, createId) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const list = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(list)) {
+    throw new Error('Formato de plantillas no válido');
+  }
+
+  const templates = list
+    .filter(template =>
+      template && typeof template.name === 'string' && template.name.trim() &&
+      typeof template.body === 'string' && template.body.trim() &&
+      template.body.length <= MAX_TEMPLATE_LENGTH
+    )
+    .map(template => ({ id: createId(), name: template.name.trim().slice(0, 60), body: template.body.trim() }));
+
+  if (templates.length === 0) {
+    throw new Error('El archivo no contiene plantillas válidas');
+  }
+  return templates;
+}
+
+module.exports = {
+  MAX_TEMPLATES,
+  MAX_TEMPLATE_LENGTH,
+  DEFAULT_TEMPLATE_ID,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  renderPromptTemplate,
+  buildTemplateVariables,
+  findPromptTemplate,
+  parsePromptTemplateImport
+};
@@ -0,0 +1,184 @@
+/**
+ * Push-to-Talk Module for Murmullo
+ * Hold-to-record hotkey built on a low-level keyboard hook (uiohook-napi),
+ * since globalShortcut only reports key presses, never releases
+ */
+
+// Electron accelerator modifiers -> uiohook event flag
+const MODIFIER_ALIASES = {
+  control: 'ctrl',
+  ctrl: 'ctrl',
+  alt: 'alt',
+  option: 'alt',
+  altgr: 'alt',
+  shift: 'shift',
+  command: 'meta',
+  cmd: 'meta',
+  super: 'meta',
+  meta: 'meta'
+};
+
+// Left/right keycode names for each modifier in UiohookKey
+const MODIFIER_KEYS = {
+  ctrl: ['Ctrl', 'CtrlRight'],
+  alt: ['Alt', 'AltRight'],
+  shift: ['Shift', 'ShiftRight'],
+  meta: ['Meta', 'MetaRight']
+};
+
+// Accelerator key names that differ from UiohookKey names
+const KEY_ALIASES = {
+  '`': 'Backquote',
+  space: 'Space',
+  enter: 'Enter',
+  return: 'Enter',
+  tab: 'Tab',
+  backspace: 'Backspace',
+  capslock: 'CapsLock',
+  scrolllock: 'ScrollLock',
+  insert: 'Insert',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown'
+};
+
+/**
+ * Translate an Electron accelerator (e.g. "CommandOrControl+Shift+Space")
+ * into the keycodes the hook reports
+ * @param {string} accelerator
+ * @param {object} keyMap - UiohookKey table (name -> keycode)
+ * @param {string} [platform]
+ * @returns {{ keycode: number, modifiers: string[], releaseKeycodes: number[] } | null}
+ */
+function parseAccelerator(accelerator, keyMap, platform = process.platform) {
+  if (typeof accelerator !== 'string' || !accelerator.trim()) return null;
+
+  const parts = accelerator.split('+').map(p => p.trim()).filter(Boolean);
+  const modifiers = new Set();
+  let keyName = null;
+
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    if (lower === 'commandorcontrol' || lower === 'cmdorctrl') {
+      modifiers.add(platform === 'darwin' ? 'meta' : 'ctrl');
+    } else if (MODIFIER_ALIASES[lower]) {
+      modifiers.add(MODIFIER_ALIASES[lower]);
+    } else if (keyName) {
+      return null; // Only one non-modifier key is allowed
+    } else {
+      keyName = KEY_ALIASES[lower] || part.toUpperCase(); // Letters, digits, F1-F24
+    }
+  }
+
+  if (!keyName || keyMap[keyName] === undefined) return null;
+
+  const modifierList = [...modifiers];
+  const releaseKeycodes = [keyMap[keyName]];
+  for (const modifier of modifierList) {
+    for (const name of MODIFIER_KEYS[modifier]) {
+      if (keyMap[name] !== undefined) releaseKeycodes.push(keyMap[name]);
+    }
+  }
+
+  return { keycode: keyMap[keyName], modifiers: modifierList, releaseKeycodes };
+}
+
+/**
+ * Press/release state machine fed with raw hook events
+ * Key-repeat keydowns while held are ignored, and releasing either the key
+ * or one of its modifiers ends the recording.
+ * @param {object} params
+ * @param {number} params.keycode
+ * @param {string[]} params.modifiers - 'ctrl' | 'alt' | 'shift' | 'meta'
+ * @param {number[]} [params.releaseKeycodes]
+ * @param {Function} params.onPress
+ * @param {Function} params.onRelease
+ */
+function createPushToTalkController({ keycode, modifiers = [], releaseKeycodes = [keycode], onPress, onRelease }) {
+  let active = false;
+
+  // Exact match, like globalShortcut: Ctrl+Shift+Space must not fire a Ctrl+Space binding
+  const modifiersHeld = (event) => Object.keys(MODIFIER_KEYS).every(m => !!event[`${m}Key`] === modifiers.includes(m));
+
+  return {
+    handleKeyDown(event) {
+      if (active || event.keycode !== keycode || !modifiersHeld(event)) return;
+      active = true;
+      onPress();
+    },
+
+    handleKeyUp(event) {
+      if (!active || !releaseKeycodes.includes(event.keycode)) return;
+      active = false;
+      onRelease();
+    },
+
+    isActive() {
+      return active;
+    }
+  };
+}
+
+/**
+ * Start listening for hold-to-record hotkeys
+ * @param {Array<{ accelerator: string, onPress: Function, onRelease: Function }>} bindings
+ * @param {object} [options]
+ * @param {Function} [options.loadHook] - Returns the uiohook-napi module
+ * @param {string} [options.platform]
+ * @param {object} [options.env]
+ * @returns {Function} Stops the hook (and releases any key still held)
+ */
+function startPushToTalk(bindings, {
+  loadHook = () => require('uiohook-napi'),
+  platform = process.platform,
+  env = process.env
+} = {}) {
+  if (platform === 'linux' && env.XDG_SESSION_TYPE === 'wayland') {
+    throw new Error('Push-to-talk requiere una sesión X11; Wayland no permite capturar el teclado global');
+  }
+
+  let hookModule;
+  try {
+    hookModule = loadHook();
+  } catch (error) {
+    throw new Error(`No se pudo cargar el hook de teclado: ${error.message}`);
+  }
+  const { uIOhook, UiohookKey } = hookModule;
+
+  const controllers = bindings.map(({ accelerator, onPress, onRelease }) => {
+    const binding = parseAccelerator(accelerator, UiohookKey, platform);
+    if (!binding) {
+      throw new Error(`El atajo ${accelerator} no se puede usar en modo push-to-talk`);
+    }
+    return { controller: createPushToTalkController({ ...binding, onPress, onRelease }), onRelease };
+  });
+
+  const onKeyDown = (event) => controllers.forEach(({ controller }) => controller.handleKeyDown(event));
+  const onKeyUp = (event) => controllers.forEach(({ controller }) => controller.handleKeyUp(event));
+
+  uIOhook.on('keydown', onKeyDown);
+  uIOhook.on('keyup', onKeyUp);
+  try {
+    uIOhook.start();
+  } catch (error) {
+    uIOhook.removeListener('keydown', onKeyDown);
+    uIOhook.removeListener('keyup', onKeyUp);
+    throw new Error(`No se pudo iniciar el hook de teclado: ${error.message}`);
+  }
+
+  return () => {
+    uIOhook.removeListener('keydown', onKeyDown);
+    uIOhook.removeListener('keyup', onKeyUp);
+    uIOhook.stop();
+    for (const { controller, onRelease } of controllers) {
+      if (controller.isActive()) onRelease();
+    }
+  };
+}
+
+module.exports = {
+  parseAccelerator,
+  createPushToTalkController,
+  startPushToTalk
+};
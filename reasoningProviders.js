@@ -0,0 +1,246 @@
+/**
+ * Reasoning Providers Module for Murmullo
+ * Registry of the language models used by smart mode post-processing
+ * (process-text), with the request and response shape of each API
+ */
+
+/**
+ * Known post-processing providers.
+ * 'openai-compatible' providers share the /chat/completions protocol, so
+ * Groq and a local Ollama (or LM Studio, vLLM...) only differ in base URL.
+ * Only Anthropic and OpenAI can be routed through the Murmullo backend.
+ */
+const REASONING_PROVIDERS = {
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic (Claude)',
+    type: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    models: [
+      { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku (rápido, económico)' },
+      { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet' },
+      { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus' }
+    ],
+    defaultModel: 'claude-3-haiku-20240307',
+    customModels: false,
+    apiKeyProvider: 'anthropic',
+    envKey: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    backendSupported: true
+  },
+  openai: {
+    id: 'openai',
+    name: 'OpenAI (GPT)',
+    type: 'openai-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    models: [
+      { id: 'gpt-4o-mini', name: 'GPT-4o Mini (rápido, económico)' },
+      { id: 'gpt-4o', name: 'GPT-4o' },
+      { id: 'gpt-4-turbo', name: 'GPT-4 Turbo' }
+    ],
+    defaultModel: 'gpt-4o-mini',
+    customModels: false,
+    apiKeyProvider: 'openai',
+    envKey: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    backendSupported: true
+  },
+  gemini: {
+    id: 'gemini',
+    name: 'Google Gemini',
+    type: 'gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    models: [
+      { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash (rápido, económico)' },
+      { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash' },
+      { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro' }
+    ],
+    defaultModel: 'gemini-2.0-flash',
+    customModels: false,
+    apiKeyProvider: 'gemini',
+    envKey: 'GEMINI_API_KEY',
+    requiresApiKey: true,
+    backendSupported: false
+  },
+  groq: {
+    id: 'groq',
+    name: 'Groq',
+    type: 'openai-compatible',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    models: [
+      { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B' },
+      { id: 'llama-3.1-8b-instant', name: 'Llama 3.1 8B (más rápido)' },
+      { id: 'gemma2-9b-it', name: 'Gemma 2 9B' }
+    ],
+    defaultModel: 'llama-3.3-70b-versatile',
+    customModels: false,
+    apiKeyProvider: 'groq', // Same key as Groq Whisper
+    envKey: 'GROQ_API_KEY',
+    requiresApiKey: true,
+    backendSupported: false
+  },
+  ollama: {
+    id: 'ollama',
+    name: 'Local (Ollama o compatible con OpenAI)',
+    type: 'openai-compatible',
+    baseUrl: 'http://localhost:11434/v1', // Overridable in the General tab
+    models: [
+      { id: 'llama3.1', name: 'Llama 3.1' },
+      { id: 'qwen2.5', name: 'Qwen 2.5' },
+      { id: 'mistral', name: 'Mistral' }
+    ],
+    defaultModel: 'llama3.1',
+    customModels: true, // Whatever the user has pulled
+    apiKeyProvider: 'ollama',
+    envKey: null,
+    requiresApiKey: false, // Ollama runs without auth
+    backendSupported: false
+  }
+};
+
+/**
+ * Get a provider definition by id
+ * @param {string} id - Provider id
+ * @returns {object|null} - Provider definition or null if unknown
+ */
+function getReasoningProvider(id) {
+  return Object.prototype.hasOwnProperty.call(REASONING_PROVIDERS, id)
+    ? REASONING_PROVIDERS[id]
+    : null;
+}
+
+/**
+ * List providers for UI display
+ */
+function listReasoningProviders() {
+  return Object.values(REASONING_PROVIDERS).map(p => ({
+    id: p.id,
+    name: p.name,
+    baseUrl: p.baseUrl,
+    models: p.models,
+    defaultModel: p.defaultModel,
+    customModels: p.customModels,
+    requiresApiKey: p.requiresApiKey
+  }));
+}
+
+/**
+ * Model to request: the chosen one if the provider offers it, otherwise its default
+ * @param {object} provider - Provider definition
+ * @param {string} [model]
+ * @returns {string}
+ */
+function resolveReasoningModel(provider, model) {
+  if (!model) return provider.defaultModel;
+  if (provider.customModels || provider.models.some(m => m.id === model)) return model;
+  return provider.defaultModel;
+}
+
+/**
+ * Build the HTTP request for one completion
+ * @param {object} provider - Provider definition
+ * @param {object} params
+ * @param {string} params.baseUrl - API base URL without trailing slash
+ * @param {string} [params.apiKey] - Omitted from headers when empty
+ * @param {string} params.model
+ * @param {string} params.systemPrompt
+ * @param {string} params.text - Transcription to process
+ * @param {boolean} [params.stream] - Ask for Server-Sent Events
+ * @returns {{ url: string, headers: object, body: object }}
+ */
+function buildCompletionRequest(provider, { baseUrl, apiKey, model, systemPrompt, text, stream = false }) {
+  if (provider.type === 'anthropic') {
+    return {
+      url: `${baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model,
+        max_tokens: 1024,
+        system: systemPrompt,
+        messages: [{ role: 'user', content: text }],
+        ...(stream && { stream: true })
+      }
+    };
+  }
+
+  if (provider.type === 'gemini') {
+    // alt=sse makes Gemini stream Server-Sent Events instead of a JSON array
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+      url: `${baseUrl}/models/${encodeURIComponent(model)}:${method}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: {
+        system_instruction: { parts: [{ text: systemPrompt }] },
+        contents: [{ role: 'user', parts: [{ text }] }]
+      }
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers,
+    body: {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: text }
+      ],
+      ...(stream && { stream: true })
+    }
+  };
+}
+
+/**
+ * Completion text from a non-streamed response
+ * @param {object} provider - Provider definition
+ * @param {object} result - Parsed JSON response
+ * @returns {string}
+ * @throws {Error} When the response has no text (e.g. blocked by a safety filter)
+ */
+function extractCompletionText(provider, result) {
+  let text;
+  if (provider.type === 'anthropic') {
+    text = result?.content?.[0]?.text;
+  } else if (provider.type === 'gemini') {
+    const parts = result?.candidates?.[0]?.content?.parts;
+    text = Array.isArray(parts) ? parts.map(part => part.text || '').join('') : undefined;
+  } else {
+    text = result?.choices?.[0]?.message?.content;
+  }
+
+  if (typeof text !== 'string') {
+    throw new Error(`${provider.name}: respuesta sin texto`);
+  }
+  return text;
+}
+
+/**
+ * Event format for aiStream.readCompletionStream
+ * @param {object} provider - Provider definition
+ * @returns {'anthropic' | 'openai' | 'gemini'}
+ */
+function getStreamFormat(provider) {
+  if (provider.type === 'openai-compatible') return 'openai';
+  return provider.type;
+}
+
+module.exports = {
+  REASONING_PROVIDERS,
+  getReasoningProvider,
+  listReasoningProviders,
+  resolveReasoningModel,
+  buildCompletionRequest,
+  extractCompletionText,
+  getStreamFormat
+};
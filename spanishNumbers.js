@@ -0,0 +1,387 @@
+/**
+ * Spanish Numbers Module for Murmullo
+ * Inverse text normalization for fast mode: spoken cardinals, ordinals,
+ * percentages, currency, times and dates become digits
+ * ("dos mil veinticuatro" → "2024", "cincuenta dólares" → "US$50")
+ */
+
+const { normalizeForMatch } = require('./hallucinationFilter');
+
+// Keys are accent-free, as produced by normalizeForMatch
+const UNITS = {
+  cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5,
+  seis: 6, siete: 7, ocho: 8, nueve: 9
+};
+
+// 10-29 are single words that fill both the tens and the units
+const TEENS = {
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+  dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20,
+  veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+  veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29
+};
+
+const TENS = {
+  treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90
+};
+
+const HUNDREDS = {
+  cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+  cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500, seiscientos: 600,
+  seiscientas: 600, setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800,
+  novecientos: 900, novecientas: 900
+};
+
+// Ordinal stems; the ending (o/a/os/as, or the apocope primer/tercer) gives the gender
+const ORDINAL_UNITS = {
+  primer: 1, segund: 2, tercer: 3, cuart: 4, quint: 5, sext: 6, septim: 7, octav: 8, noven: 9
+};
+const ORDINAL_TENS = {
+  decim: 10, vigesim: 20, trigesim: 30, cuadragesim: 40, quincuagesim: 50,
+  sexagesim: 60, septuagesim: 70, octogesim: 80, nonagesim: 90
+};
+const ORDINAL_SPECIAL = { undecim: 11, duodecim: 12 };
+
+// Ordinals up to ten stay as words ("la primera vez") unless one of these follows
+const ORDINAL_NOUNS = new Set([
+  'piso', 'planta', 'lugar', 'puesto', 'grado', 'curso', 'nivel', 'capitulo', 'edicion',
+  'aniversario', 'trimestre', 'semestre', 'congreso', 'siglo', 'round', 'fila'
+]);
+
+// Numbers up to ten stay as words ("tengo dos hijos") unless a unit follows
+const UNIT_WORDS = new Set([
+  'kilometros', 'kilometro', 'metros', 'metro', 'centimetros', 'milimetros', 'kilos', 'kilo',
+  'kilogramos', 'gramos', 'litros', 'litro', 'mililitros', 'grados', 'horas', 'hora', 'minutos',
+  'minuto', 'segundos', 'dias', 'semanas', 'meses', 'anos', 'megas', 'gigas', 'megabytes',
+  'gigabytes', 'pixeles', 'pulgadas', 'veces'
+]);
+
+const MONTHS = new Set([
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+  'septiembre', 'setiembre', 'octubre', 'noviembre', 'diciembre'
+]);
+
+// prefix/suffix around the amount
+const CURRENCIES = {
+  dolar: { prefix: 'US$' }, dolares: { prefix: 'US$' },
+  euro: { suffix: ' €' }, euros: { suffix: ' €' },
+  peso: { prefix: '$' }, pesos: { prefix: '$' },
+  libra: { prefix: '£' }, libras: { prefix: '£' }
+};
+
+// "es la una" but "son las dos": singular and plural forms of "ser" before a time
+const SER_FORMS = {
+  es: ['es', 'son'], son: ['es', 'son'], era: ['era', 'eran'], eran: ['era', 'eran'],
+  sera: ['será', 'serán'], seran: ['será', 'serán'], seria: ['sería', 'serían'], serian: ['sería', 'serían'],
+  fue: ['fue', 'fueron'], fueron: ['fue', 'fueron']
+};
+
+// After these the article of a time can change on its own: "a las dos menos diez" → a la 1:50
+const TIME_PREPOSITIONS = new Set(['a', 'de', 'desde', 'hasta', 'hacia', 'para', 'por', 'sobre', 'entre']);
+
+const hasPause = (word) => /[^\p{L}\p{N}]$/u.test(word);
+const leadingPunctuation = (word) => word.match(/^[^\p{L}\p{N}]*/u)[0];
+const trailingPunctuation = (word) => word.match(/[^\p{L}\p{N}]*$/u)[0];
+
+/**
+ * Digits for a cardinal, grouping thousands with a space from 10 000 on (RAE style)
+ * Four-digit numbers stay ungrouped so years read "2024".
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCardinal(value) {
+  const digits = String(value);
+  return value < 10000 ? digits : digits.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+}
+
+/**
+ * Digits for an amount, keeping round millions as a word ("2 millones"),
+ * which reads better than "2 000 000"
+ * @param {number} value
+ * @returns {string}
+ */
+function formatAmount(value) {
+  if (value >= 1000000 && value % 1000000 === 0) {
+    const millions = value / 1000000;
+    return `${formatCardinal(millions)} ${millions === 1 ? 'millón' : 'millones'}`;
+  }
+  return formatCardinal(value);
+}
+
+/**
+ * Read a spoken cardinal starting at keys[index]
+ * Words only combine in descending order ("ciento veinte", not "dos tres"),
+ * and a Whisper pause ends the number.
+ * @param {string[]} keys - Normalized words
+ * @param {string[]} words - Original words, for pauses
+ * @param {number} index
+ * @returns {{ value: number, length: number, words: number } | null} words = number words used (without "y")
+ */
+function parseCardinal(keys, words, index) {
+  let total = 0;
+  let group = 0;
+  let place = 1000; // Next word must be below this place value
+  let afterTens = false;
+  let usedThousand = false;
+  let usedMillion = false;
+  let length = 0;
+  let count = 0;
+
+  for (let j = index; j < keys.length; j++) {
+    const key = keys[j];
+    let consumed = true;
+
+    if (key in HUNDREDS && place > 100) {
+      group += HUNDREDS[key];
+      place = key === 'cien' ? 1 : 100; // "cien" takes nothing after it but mil/millones
+    } else if (key in TENS && place > 10) {
+      group += TENS[key];
+      place = 10;
+    } else if (key in TEENS && place > 10) {
+      group += TEENS[key];
+      place = 1;
+    } else if (key in UNITS && place > 1 && (key !== 'cero' || count === 0)) {
+      group += UNITS[key];
+      place = key === 'cero' ? 0 : 1;
+    } else if (key === 'y' && afterTens && !hasPause(words[j - 1]) && !hasPause(words[j]) && keys[j + 1] in UNITS && keys[j + 1] !== 'cero') {
+      length++;
+      afterTens = false;
+      continue;
+    } else if (key === 'mil' && !usedThousand && place !== 0) {
+      total += (group || 1) * 1000;
+      group = 0;
+      place = 1000;
+      usedThousand = true;
+    } else if ((key === 'millon' || key === 'millones') && !usedThousand && !usedMillion && count > 0) {
+      total += group * 1000000;
+      group = 0;
+      place = 1000;
+      usedMillion = true;
+    } else {
+      consumed = false;
+    }
+
+    if (!consumed) break;
+    afterTens = key in TENS;
+    length++;
+    count++;
+    if (hasPause(words[j])) break;
+  }
+
+  if (count === 0) return null;
+  return { value: total + group, length, words: count };
+}
+
+/**
+ * Read a spoken ordinal ("vigésimo primera") starting at keys[index]
+ * @returns {{ value: number, suffix: string, length: number } | null}
+ */
+function parseOrdinal(keys, index) {
+  const split = (key) => {
+    const match = key && key.match(/^(.+?)(o|a|os|as)?$/);
+    if (!match) return null;
+    for (const table of [ORDINAL_SPECIAL, ORDINAL_TENS, ORDINAL_UNITS]) {
+      if (key in table && (key === 'primer' || key === 'tercer')) return { value: table[key], ending: 'er' };
+      if (match[2] && match[1] in table) return { value: table[match[1]], ending: match[2], table };
+    }
+    // "decimotercero", "decimoquinta"
+    const compound = key.match(/^decimo(.+?)(o|a|os|as)$/);
+    if (compound && compound[1] in ORDINAL_UNITS) {
+      return { value: 10 + ORDINAL_UNITS[compound[1]], ending: compound[2] };
+    }
+    return null;
+  };
+
+  const first = split(keys[index]);
+  if (!first) return null;
+
+  let { value, ending } = first;
+  let length = 1;
+  // "vigésimo primero" = 21.º
+  if (first.table === ORDINAL_TENS && value >= 20) {
+    const unit = split(keys[index + 1]);
+    if (unit && unit.value < 10) {
+      value += unit.value;
+      ending = unit.ending;
+      length = 2;
+    }
+  }
+
+  return { value, suffix: `.${ending === 'er' ? 'er' : ending.replace('o', 'º').replace('a', 'ª')}`, length };
+}
+
+/**
+ * Read "y media", "y cuarto", "menos cuarto", "y veinte", "en punto" after an hour
+ * @returns {{ hour: number, minutes: number, length: number } | null}
+ */
+function parseMinutes(keys, words, index, hour) {
+  const [first, second] = [keys[index], keys[index + 1]];
+  if (first === 'en' && second === 'punto') return { hour, minutes: 0, length: 2 };
+  if (first !== 'y' && first !== 'menos') return null;
+
+  let minutes = null;
+  let length = 2;
+  if (second === 'media' && first === 'y') {
+    minutes = 30;
+  } else if (second === 'cuarto') {
+    minutes = 15;
+  } else {
+    const number = parseCardinal(keys, words, index + 1);
+    if (number && number.value >= 1 && number.value <= 59) {
+      minutes = number.value;
+      length = 1 + number.length;
+    }
+  }
+  if (minutes === null) return null;
+
+  return first === 'y'
+    ? { hour, minutes, length }
+    : { hour: hour === 1 ? 12 : hour - 1, minutes: 60 - minutes, length };
+}
+
+/**
+ * Replace spoken numbers in Spanish text with digits
+ * @param {string} text
+ * @returns {{ text: string, conversions: number }}
+ */
+function normalizeSpanishNumbers(text) {
+  if (!text) return { text: text || '', conversions: 0 };
+
+  const words = text.split(/\s+/).filter(w => w);
+  const keys = words.map(normalizeForMatch);
+  const output = [];
+  let conversions = 0;
+
+  // Replace words[start..start+length) keeping the punctuation around them
+  const emit = (start, length, replacement) => {
+    const last = words[start + length - 1];
+    output.push(leadingPunctuation(words[start]) + replacement + trailingPunctuation(last));
+    conversions++;
+    return start + length;
+  };
+
+  // Emit an amount with the percent or currency spoken after it, if any (null otherwise)
+  const emitAmount = (start, length, digits, value) => {
+    const after = hasPause(words[start + length - 1]) ? [] : keys.slice(start + length, start + length + 2);
+
+    // Percentages: "cincuenta por ciento" → 50%
+    if (after[0] === 'porciento' || (after[0] === 'por' && after[1] === 'ciento')) {
+      return emit(start, length + (after[0] === 'porciento' ? 1 : 2), `${digits}%`);
+    }
+
+    // Currency: "cincuenta dólares" → US$50, "dos millones de dólares" → US$2 millones
+    const currencyOffset = after[0] === 'de' && value >= 1000000 ? 1 : 0;
+    const currency = CURRENCIES[after[currencyOffset]];
+    if (currency && !(currency.suffix && currencyOffset)) { // "2 millones de euros" keeps its words
+      return emit(start, length + currencyOffset + 1, `${currency.prefix || ''}${digits}${currency.suffix || ''}`);
+    }
+    return null;
+  };
+
+  let i = 0;
+  while (i < words.length) {
+    const before = i > 0 && !hasPause(words[i - 1]) ? keys[i - 1] : null;
+    const number = parseCardinal(keys, words, i);
+
+    if (number) {
+      const end = i + number.length;
+      const next = hasPause(words[end - 1]) ? null : keys[end];
+      const { value } = number;
+      let digits = formatCardinal(value);
+      let length = number.length;
+
+      // Decimals: "tres coma cinco" → 3,5, "uno punto cinco" → 1.5
+      if ((next === 'coma' || next === 'punto') && !hasPause(words[end])) {
+        let zeros = 0;
+        while (keys[end + 1 + zeros] === 'cero') zeros++;
+        const fraction = parseCardinal(keys, words, end + 1 + zeros);
+        if (zeros > 0 || fraction) {
+          digits = `${digits}${next === 'coma' ? ',' : '.'}${'0'.repeat(zeros)}${fraction ? fraction.value : ''}`;
+          length += 1 + zeros + (fraction ? fraction.length : 0);
+          i = emitAmount(i, length, digits, value) ?? emit(i, length, digits);
+          continue;
+        }
+      }
+
+      const afterNumber = hasPause(words[i + length - 1]) ? [] : keys.slice(i + length, i + length + 3);
+
+      // Times: "a las tres y media" → a las 3:30
+      if ((before === 'la' || before === 'las') && value >= 1 && value <= 12 && number.words === 1) {
+        const time = parseMinutes(keys, words, i + length, value);
+        if (time) {
+          // "la una menos cuarto" → las 12:45, "son las dos menos diez" → es la 1:50.
+          // Other words before the article leave it as spoken: "casi las dos menos diez" → casi las 1:50
+          if (time.hour !== value) {
+            const plural = time.hour === 1 ? 0 : 1;
+            const previous = i > 1 && !hasPause(words[i - 2]) ? keys[i - 2] : null;
+            const verb = previous && SER_FORMS[previous];
+            if (!previous || verb || TIME_PREPOSITIONS.has(previous)) {
+              const article = output[output.length - 1];
+              output[output.length - 1] = article.slice(0, 2) + (plural ? 's' : '');
+            }
+            if (verb) {
+              const spoken = words[i - 2];
+              const lead = leadingPunctuation(spoken);
+              const form = spoken[lead.length] === spoken[lead.length].toUpperCase()
+                ? verb[plural][0].toUpperCase() + verb[plural].slice(1)
+                : verb[plural];
+              output[output.length - 2] = lead + form;
+            }
+          }
+          i = emit(i, length + time.length, `${time.hour}:${String(time.minutes).padStart(2, '0')}`);
+          continue;
+        }
+      }
+
+      digits = formatAmount(value);
+
+      const amount = emitAmount(i, length, digits, value);
+      if (amount !== null) {
+        i = amount;
+        continue;
+      }
+
+      // Dates: "quince de marzo" → 15 de marzo (the year is a long number anyway)
+      const isDay = afterNumber[0] === 'de' && MONTHS.has(afterNumber[1]) && value >= 1 && value <= 31;
+      const isLong = value > 10 && !(number.words === 1 && keys[i] === 'mil');
+      const isQuantity = UNIT_WORDS.has(afterNumber[0]) && !(number.words === 1 && ['un', 'una', 'uno'].includes(keys[i]));
+
+      if (isDay || isLong || number.words > 1 || isQuantity) {
+        i = emit(i, length, digits);
+        continue;
+      }
+
+      // Small numbers in prose stay as words
+      words.slice(i, i + length).forEach(word => output.push(word));
+      i += length;
+      continue;
+    }
+
+    // Dates: "primero de mayo" → 1 de mayo
+    if (keys[i] === 'primero' && keys[i + 1] === 'de' && MONTHS.has(keys[i + 2]) && !hasPause(words[i])) {
+      i = emit(i, 1, '1');
+      continue;
+    }
+
+    const ordinal = parseOrdinal(keys, i);
+    if (ordinal) {
+      const following = hasPause(words[i + ordinal.length - 1]) ? null : keys[i + ordinal.length];
+      if (ordinal.value > 10 || ORDINAL_NOUNS.has(following)) {
+        i = emit(i, ordinal.length, `${ordinal.value}${ordinal.suffix}`);
+        continue;
+      }
+    }
+
+    output.push(words[i]);
+    i++;
+  }
+
+  return conversions > 0 ? { text: output.join(' '), conversions } : { text, conversions };
+}
+
+module.exports = {
+  formatCardinal,
+  formatAmount,
+  parseCardinal,
+  normalizeSpanishNumbers
+};
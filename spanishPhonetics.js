@@ -0,0 +1,122 @@
+/**
+ * Spanish Phonetics Module for Murmullo
+ * Metaphone-style keys for Spanish pronunciation, so spellings Whisper
+ * confuses (b/v, c/s/z, ll/y, silent h) compare equal: "cojade", "kohade"
+ * and "co hade" all sound like "COHADE"
+ */
+
+const FRONT_VOWELS = ['e', 'i'];
+const VOWELS = ['a', 'e', 'i', 'o', 'u'];
+
+// Lowercase letters and word breaks; ñ and ü keep their sound after the accents go
+function prepare(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ñ/g, 'ni')
+    .replace(/ü/g, 'w')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]+/g, ' ');
+}
+
+/**
+ * Phonetic key of a word or phrase (spaces and hyphens are ignored)
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.aspiratedH] - Read "h" like "j", as in anglicisms ("hámster")
+ * @returns {string} Uppercase codes, e.g. "KOADE"
+ */
+function spanishPhoneticKey(text, { aspiratedH = false } = {}) {
+  const s = prepare(text);
+  const codes = [];
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    const next = s[i + 1] || '';
+
+    switch (c) {
+      case ' ':
+        break; // Words are joined, but "ll" or "y" + vowel don't span them
+      case 'b':
+      case 'v':
+        codes.push('B');
+        break;
+      case 'w':
+        codes.push('U');
+        break;
+      case 'c':
+        if (next === 'h') {
+          codes.push('CH');
+          i++;
+        } else {
+          codes.push(FRONT_VOWELS.includes(next) ? 'S' : 'K');
+        }
+        break;
+      case 'q':
+        codes.push('K');
+        if (next === 'u') i++; // "que", "qui"
+        break;
+      case 'z':
+        codes.push('S');
+        break;
+      case 'x':
+        codes.push('K', 'S');
+        break;
+      case 'g':
+        if (FRONT_VOWELS.includes(next)) {
+          codes.push('J');
+        } else {
+          codes.push('G');
+          if (next === 'u' && FRONT_VOWELS.includes(s[i + 2])) i++; // "gue", "gui"
+        }
+        break;
+      case 'h':
+        if (aspiratedH) codes.push('J');
+        break;
+      case 'l':
+        if (next === 'l') {
+          codes.push('Y');
+          i++;
+        } else {
+          codes.push('L');
+        }
+        break;
+      case 'y':
+        codes.push(VOWELS.includes(next) ? 'Y' : 'I'); // "rey" ends in a vowel sound
+        break;
+      case 'p':
+        if (next === 'h') {
+          codes.push('F');
+          i++;
+        } else {
+          codes.push('P');
+        }
+        break;
+      case 'n':
+        codes.push(['b', 'v', 'p'].includes(next) ? 'M' : 'N'); // "envío" sounds like "embío"
+        break;
+      default:
+        codes.push(c.toUpperCase());
+    }
+  }
+
+  // Doubled sounds ("rr", "cc" before a/o/u, "ss") are said once
+  return codes.filter((code, i) => code !== codes[i - 1]).join('');
+}
+
+/**
+ * Every key a spelling can have: "h" silent and, when there is one, aspirated
+ * @param {string} text
+ * @returns {string[]}
+ */
+function spanishPhoneticKeys(text) {
+  return [...new Set([
+    spanishPhoneticKey(text),
+    spanishPhoneticKey(text, { aspiratedH: true })
+  ])].filter(Boolean);
+}
+
+module.exports = {
+  spanishPhoneticKey,
+  spanishPhoneticKeys
+};
@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Mic, MicOff, Check, AlertCircle, Loader2 } from 'lucide-react';
+import { startVoiceActivityMonitor, DEFAULT_SILENCE_TIMEOUT_MS } from './audio/voiceActivity';
+import { trimSilence } from './audio/silenceTrim';
 
 // Status states
 const STATUS = {
@@ -15,11 +17,15 @@ function App() {
   const [errorMessage, setErrorMessage] = useState('');
   const [lastText, setLastText] = useState('');
   const [processingStage, setProcessingStage] = useState(''); // Detailed progress indicator
+  const [streamingText, setStreamingText] = useState(''); // Smart mode text while the AI writes it
   const [toast, setToast] = useState(null); // Toast for visible notifications
   const [settings, setSettings] = useState({
     processingMode: 'smart',
     language: 'es',
     reasoningProvider: 'anthropic',
+    transcriptionProvider: 'auto',
+    transcriptionBaseUrl: '',
+    transcriptionModel: '',
     openaiKey: '',
     anthropicKey: ''
   });
@@ -28,6 +34,9 @@ function App() {
   const audioChunksRef = useRef([]);
   const streamRef = useRef(null);
   const toastTimeoutRef = useRef(null);
+  const stopVoiceActivityRef = useRef(null); // Hands-free auto-stop monitor
+  const pushToTalkHeldRef = useRef(null); // true/false while in push-to-talk, null in toggle mode
+  const discardRecordingRef = useRef(null); // Marks the current recording as cancelled
 
   // Play completion sound
   const playCompletionSound = useCallback(() => {
@@ -84,6 +93,12 @@ function App() {
   const cleanupAudioResources = useCallback(() => {
     console.log('[App] Cleaning up audio resources...');
 
+    // Stop voice activity monitor
+    if (stopVoiceActivityRef.current) {
+      stopVoiceActivityRef.current();
+      stopVoiceActivityRef.current = null;
+    }
+
     // Stop MediaRecorder if active
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
       try {
@@ -129,6 +144,9 @@ function App() {
       processingMode: localStorage.getItem('processingMode') || 'smart',
       language: localStorage.getItem('language') || 'es',
       reasoningProvider: localStorage.getItem('reasoningProvider') || 'anthropic',
+      transcriptionProvider: localStorage.getItem('transcriptionProvider') || 'auto',
+      transcriptionBaseUrl: localStorage.getItem('transcriptionBaseUrl') || '',
+      transcriptionModel: localStorage.getItem('transcriptionModel') || '',
       openaiKey: localStorage.getItem('openaiKey') || '',
       anthropicKey: localStorage.getItem('anthropicKey') || ''
     };
@@ -140,24 +158,65 @@ function App() {
     });
   }, []);
 
+  // Retry queued dictations as soon as the network comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      console.log('[App] Back online, retrying offline queue');
+      window.electronAPI?.retryOfflineItem?.();
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
+
+  // Smart mode: show the AI text as it streams in
+  useEffect(() => {
+    if (!window.electronAPI?.onAiStream) return;
+    return window.electronAPI.onAiStream(({ text }) => setStreamingText(text));
+  }, []);
+
+  // The indicator grows into a text panel while there is streamed text to show
+  const indicatorExpanded = status === STATUS.PROCESSING && !!streamingText;
+  useEffect(() => {
+    window.electronAPI?.setIndicatorExpanded?.(indicatorExpanded);
+  }, [indicatorExpanded]);
+
   // Handle hotkey toggle
   useEffect(() => {
     if (!window.electronAPI) return;
 
-    const unsubscribe = window.electronAPI.onToggleDictation(() => {
-      console.log('[App] Hotkey triggered, current status:', status);
-      if (status === STATUS.IDLE) {
-        startRecording();
-      } else if (status === STATUS.RECORDING) {
-        stopRecording();
+    const unsubscribe = window.electronAPI.onToggleDictation(({ action, profile } = {}) => {
+      console.log('[App] Hotkey triggered, action:', action || 'toggle', 'profile:', profile?.name || 'none', 'current status:', status);
+      if (action === 'start') {
+        // Push-to-talk: key held down
+        pushToTalkHeldRef.current = true;
+        if (status === STATUS.IDLE) startRecording(profile);
+      } else if (action === 'stop') {
+        // Push-to-talk: key released
+        pushToTalkHeldRef.current = false;
+        if (status === STATUS.RECORDING) stopRecording();
+      } else {
+        pushToTalkHeldRef.current = null;
+        if (status === STATUS.IDLE) {
+          startRecording(profile);
+        } else if (status === STATUS.RECORDING) {
+          stopRecording();
+        }
       }
     });
 
     return () => unsubscribe();
   }, [status]);
 
-  const startRecording = useCallback(async () => {
-    console.log('[App] Starting recording...');
+  // profile: hotkey profile that started the dictation (null = Control Panel settings)
+  const startRecording = useCallback(async (profile = null) => {
+    console.log('[App] Starting recording...', profile ? `profile: ${profile.name}` : '');
+
+    // Without a hotkey profile, a per-application rule may apply. Detection runs
+    // while recording, so it never delays the microphone.
+    const appProfilePromise = profile
+      ? null
+      : window.electronAPI?.detectAppProfile?.().then(result => result?.profile || null).catch(() => null);
 
     // Always cleanup previous resources before starting a new recording
     // This prevents the MediaRecorder from being in a corrupted state
@@ -203,6 +262,10 @@ function App() {
       const sessionId = Date.now();
       audioChunksRef.current = [];
 
+      // Set by the cancel hotkey: the recording is stopped and thrown away
+      let discarded = false;
+      discardRecordingRef.current = () => { discarded = true; };
+
       mediaRecorder.ondataavailable = (event) => {
         console.log('[App] Audio data available, size:', event.data.size, 'session:', sessionId);
         if (event.data.size > 0) {
@@ -213,6 +276,12 @@ function App() {
       mediaRecorder.onstop = async () => {
         console.log('[App] MediaRecorder stopped, chunks:', audioChunksRef.current.length, 'session:', sessionId);
 
+        if (discarded) {
+          console.log('[App] Recording cancelled, discarding audio, session:', sessionId);
+          audioChunksRef.current = [];
+          return;
+        }
+
         if (audioChunksRef.current.length === 0) {
           console.error('[App] No audio chunks collected!');
           setStatus(STATUS.ERROR);
@@ -228,7 +297,11 @@ function App() {
         // Clear chunks immediately after creating blob to prevent contamination
         audioChunksRef.current = [];
 
-        await processAudio(audioBlob);
+        const appProfile = profile ? null : await appProfilePromise;
+        if (appProfile) {
+          console.log('[App] Applying app profile:', appProfile.name);
+        }
+        await processAudio(audioBlob, profile || appProfile);
 
         // Stop all tracks
         stream.getTracks().forEach(track => track.stop());
@@ -246,6 +319,28 @@ function App() {
       console.log('[App] Recording started');
       setStatus(STATUS.RECORDING);
       setErrorMessage('');
+
+      // Push-to-talk key released while the microphone was still opening
+      if (pushToTalkHeldRef.current === false) {
+        console.log('[App] Push-to-talk released before recording started, stopping');
+        stopRecording();
+        return;
+      }
+
+      // Hands-free mode: stop by itself once the user stops talking
+      // Read from localStorage (in case it was changed in the Control Panel)
+      if (localStorage.getItem('handsFreeMode') === 'true') {
+        const silenceTimeoutMs = parseInt(localStorage.getItem('silenceTimeoutMs'), 10) || DEFAULT_SILENCE_TIMEOUT_MS;
+        stopVoiceActivityRef.current = startVoiceActivityMonitor(stream, {
+          silenceTimeoutMs,
+          onSilence: () => {
+            console.log('[App] Silence detected for', silenceTimeoutMs, 'ms, stopping recording');
+            stopVoiceActivityRef.current = null;
+            stopRecording();
+          }
+        });
+        console.log('[App] Hands-free mode: auto-stop after', silenceTimeoutMs, 'ms of silence');
+      }
     } catch (error) {
       console.error('[App] Failed to start recording:', error);
       setStatus(STATUS.ERROR);
@@ -255,6 +350,10 @@ function App() {
 
   const stopRecording = useCallback(() => {
     console.log('[App] Stopping recording...');
+    if (stopVoiceActivityRef.current) {
+      stopVoiceActivityRef.current();
+      stopVoiceActivityRef.current = null;
+    }
     if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
       // Just stop - don't use requestData() as it can cause issues
       mediaRecorderRef.current.stop();
@@ -265,6 +364,32 @@ function App() {
     }
   }, []);
 
+  // Abort the current recording without transcribing it
+  const cancelRecording = useCallback(() => {
+    if (!mediaRecorderRef.current || mediaRecorderRef.current.state !== 'recording') {
+      console.log('[App] Nothing to cancel, state:', mediaRecorderRef.current?.state);
+      return;
+    }
+    console.log('[App] Cancelling recording...');
+    discardRecordingRef.current?.();
+    discardRecordingRef.current = null;
+    cleanupAudioResources();
+    setStatus(STATUS.IDLE);
+    setErrorMessage('');
+  }, [cleanupAudioResources]);
+
+  // Handle cancel hotkey
+  useEffect(() => {
+    if (!window.electronAPI?.onCancelDictation) return;
+
+    const unsubscribe = window.electronAPI.onCancelDictation(() => {
+      console.log('[App] Cancel hotkey triggered');
+      cancelRecording();
+    });
+
+    return () => unsubscribe();
+  }, [cancelRecording]);
+
   // Convert audio blob to WAV format using Web Audio API
   // This avoids the Chromium bug where MediaRecorder produces corrupted WebM headers
   const convertToWav = async (audioBlob) => {
@@ -295,6 +420,16 @@ function App() {
         samples = audioBuffer.getChannelData(0);
       }
 
+      // Cut dead air at both ends - Whisper hallucinates on silence and bills per minute
+      const trimmed = trimSilence(samples, targetSampleRate);
+      if (trimmed.isSilent) {
+        const silentError = new Error('No se detectó voz en la grabación. Revisa el micrófono y vuelve a intentar.');
+        silentError.code = 'SILENT_AUDIO';
+        throw silentError;
+      }
+      console.log('[App] Trimmed silence: start=', trimmed.trimmedStartMs, 'ms, end=', trimmed.trimmedEndMs, 'ms, voiced=', trimmed.voicedMs, 'ms');
+      samples = trimmed.samples;
+
       // Convert float32 samples to int16
       const int16Samples = new Int16Array(samples.length);
       for (let i = 0; i < samples.length; i++) {
@@ -338,8 +473,18 @@ function App() {
     }
   };
 
-  const processAudio = async (audioBlob) => {
+  const processAudio = async (audioBlob, profile = null) => {
     console.log('[App] Processing audio, blob size:', audioBlob.size);
+
+    // A hotkey or app profile overrides language, mode and providers for this dictation only
+    // (app profiles leave a field empty to keep the Control Panel setting)
+    const activeSettings = profile ? {
+      ...settings,
+      language: profile.language || settings.language,
+      processingMode: profile.processingMode || settings.processingMode,
+      reasoningProvider: profile.reasoningProvider || settings.reasoningProvider,
+      transcriptionProvider: profile.transcriptionProvider || settings.transcriptionProvider
+    } : settings;
     try {
       if (audioBlob.size === 0) {
         throw new Error('No se grabó audio. Por favor intenta de nuevo.');
@@ -347,6 +492,7 @@ function App() {
 
       // Stage 1: Converting audio
       setProcessingStage('Preparando audio...');
+      setStreamingText('');
 
       // Convert to WAV to avoid Chromium's corrupted WebM header bug
       let arrayBuffer;
@@ -354,6 +500,9 @@ function App() {
         arrayBuffer = await convertToWav(audioBlob);
         console.log('[App] Using WAV format, size:', arrayBuffer.byteLength);
       } catch (conversionError) {
+        if (conversionError.code === 'SILENT_AUDIO') {
+          throw conversionError;
+        }
         console.warn('[App] WAV conversion failed, falling back to original format:', conversionError);
         arrayBuffer = await audioBlob.arrayBuffer();
       }
@@ -373,35 +522,66 @@ function App() {
       const transcriptionResult = await window.electronAPI.transcribeAudio(
         Array.from(new Uint8Array(arrayBuffer)),
         {
-          language: settings.language,
+          language: activeSettings.language,
           apiKey: currentOpenAIKey,
-          processingMode: settings.processingMode // verbatim, fast, or smart
+          processingMode: activeSettings.processingMode, // verbatim, fast, smart, or code
+          transcriptionProvider: activeSettings.transcriptionProvider, // auto, openai, groq, custom, local, or backend
+          transcriptionBaseUrl: activeSettings.transcriptionBaseUrl || undefined,
+          transcriptionModel: activeSettings.transcriptionModel || undefined,
+          profileId: profile?.id || undefined // Selects the dictionary groups bound to this profile
         }
       );
 
       console.log('[App] Transcription result:', transcriptionResult);
 
       if (!transcriptionResult.success) {
+        if (transcriptionResult.queued) {
+          // Audio is safe on disk, it will be transcribed when connectivity returns
+          throw new Error('Sin conexión: el dictado quedó en cola y se transcribirá automáticamente (ver Historial).');
+        }
         throw new Error(transcriptionResult.error || 'Transcription failed');
       }
 
+      if (transcriptionResult.fallbackUsed) {
+        // The main process also shows a system notification
+        console.warn('[App] Primary provider failed, transcribed with fallback:', transcriptionResult.provider, transcriptionResult.attempts);
+      }
+
       let finalText = transcriptionResult.text;
       console.log('[App] Transcribed text:', finalText);
 
+      // Nothing left after the hallucination filter (e.g. only "Gracias por ver el video")
+      if (!finalText || !finalText.trim()) {
+        throw new Error('No se detectó texto en la grabación. Intenta de nuevo.');
+      }
+
       // Process with AI if smart mode
-      if (settings.processingMode === 'smart' && finalText) {
+      if (activeSettings.processingMode === 'smart' && finalText) {
         // Stage 3: AI Processing
         setProcessingStage('Procesando con IA...');
 
-        console.log('[App] Processing with AI, provider:', settings.reasoningProvider);
+        console.log('[App] Processing with AI, provider:', activeSettings.reasoningProvider);
+        setStreamingText('');
         const processResult = await window.electronAPI.processText(
           finalText,
           {
-            provider: settings.reasoningProvider,
+            provider: activeSettings.reasoningProvider,
+            // The chosen model belongs to the General tab provider; a profile with another one uses its default
+            model: activeSettings.reasoningProvider === localStorage.getItem('reasoningProvider')
+              ? localStorage.getItem('reasoningModel') || undefined
+              : undefined,
+            baseUrl: localStorage.getItem('reasoningBaseUrl') || undefined,
+            translateTo: profile?.translateTo || undefined,
+            // Read from localStorage (in case it was changed in the Control Panel)
+            promptTemplateId: profile?.promptTemplateId || localStorage.getItem('promptTemplateId') || 'corrector',
+            language: activeSettings.language,
+            profileId: profile?.id || undefined,
             apiKey: currentOpenAIKey,
-            anthropicKey: currentAnthropicKey
+            anthropicKey: currentAnthropicKey,
+            stream: true
           }
         );
+        setStreamingText('');
 
         console.log('[App] AI processing result:', processResult);
 
@@ -412,12 +592,44 @@ function App() {
         }
       }
 
-      // Stage 4: Pasting
-      setProcessingStage('Pegando texto...');
+      // Optional review step: the user can edit, copy only or discard before anything is pasted
+      // Read from localStorage (in case it was changed in the Control Panel)
+      let outputAction = 'accept';
+      if (localStorage.getItem('reviewBeforePaste') === 'true') {
+        setProcessingStage('Esperando revisión...');
+        const review = await window.electronAPI.requestReview({
+          text: finalText,
+          rawText: activeSettings.processingMode === 'smart' ? transcriptionResult.text : undefined
+        });
+        console.log('[App] Review result:', review?.action);
+
+        if (review?.action === 'discard') {
+          setProcessingStage('');
+          setStatus(STATUS.IDLE);
+          return;
+        }
+        if (review?.action) {
+          outputAction = review.action;
+          finalText = review.text;
+        }
+      }
 
-      // Paste text
-      console.log('[App] Pasting text...');
-      await window.electronAPI.pasteText(finalText);
+      // Stage 4: Pasting (or typing key by key, which leaves the clipboard alone)
+      // Read from localStorage (in case it was changed in the Control Panel)
+      const outputMode = profile?.outputMode || localStorage.getItem('outputMode') || 'paste';
+      let pasteResult = null;
+      if (outputAction === 'accept') {
+        setProcessingStage(outputMode === 'type' ? 'Escribiendo texto...' : 'Pegando texto...');
+
+        console.log('[App] Output mode:', outputMode);
+        pasteResult = outputMode === 'type'
+          ? await window.electronAPI.typeText(finalText)
+          : await window.electronAPI.pasteText(finalText);
+      }
+      if (pasteResult && !pasteResult.success) {
+        // e.g. Linux without xdotool/wtype: keep the text in history so it isn't lost
+        console.warn('[App] Output failed:', pasteResult.code, pasteResult.error);
+      }
 
       // Stage 5: Saving
       setProcessingStage('Guardando...');
@@ -427,11 +639,19 @@ function App() {
       await window.electronAPI.saveTranscription({
         original_text: transcriptionResult.text,
         processed_text: finalText,
-        is_processed: settings.processingMode === 'smart',
-        processing_method: settings.processingMode === 'smart' ? settings.reasoningProvider : 'none'
+        is_processed: activeSettings.processingMode === 'smart',
+        processing_method: activeSettings.processingMode === 'smart' ? activeSettings.reasoningProvider : 'none',
+        transcription_provider: transcriptionResult.provider,
+        // Only these are repeated by the re-paste shortcut
+        pasted: pasteResult?.success === true
       });
 
       setLastText(finalText);
+
+      if (pasteResult && !pasteResult.success) {
+        throw new Error(pasteResult.error || 'No se pudo pegar el texto. Quedó en el portapapeles.');
+      }
+
       setProcessingStage('');
       setStatus(STATUS.SUCCESS);
 
@@ -464,12 +684,19 @@ function App() {
   // Minimal floating indicator - just a small circle that shows status
   // No click needed - only responds to hotkey (Ctrl+Shift+Space)
   return (
-    <div className="w-[60px] h-[60px] flex flex-col items-center justify-center bg-transparent relative">
+    <div className={`${indicatorExpanded ? 'w-full h-full p-[6px] items-end justify-end' : 'w-[60px] h-[60px] items-center justify-center'} flex bg-transparent relative`}>
+
+      {/* AI text streaming in, newest lines at the bottom */}
+      {indicatorExpanded && (
+        <div className="mr-2 flex-1 h-full flex flex-col justify-end overflow-hidden rounded-lg bg-slate-900/95 border border-slate-700 px-3 py-2 text-xs text-slate-100 whitespace-pre-wrap shadow-lg">
+          {streamingText}
+        </div>
+      )}
 
       {/* Minimal status indicator */}
       <div
         className={`
-          w-12 h-12 rounded-full flex items-center justify-center transition-all duration-300 shadow-lg
+          w-12 h-12 shrink-0 rounded-full flex items-center justify-center transition-all duration-300 shadow-lg
           ${status === STATUS.IDLE ? 'bg-slate-700/90 text-slate-400' : ''}
           ${status === STATUS.RECORDING ? 'bg-red-500 animate-pulse text-white shadow-red-500/50' : ''}
           ${status === STATUS.PROCESSING ? 'bg-blue-500 text-white shadow-blue-500/50' : ''}
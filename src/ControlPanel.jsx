@@ -1,5 +1,5 @@
 import React, { useState, useEffect, Component } from 'react';
-import { Settings, History, Key, Keyboard, X, Save, Trash2, BarChart3, Clock, FileText, Zap, HelpCircle, DollarSign, ExternalLink, FolderOpen, Download, ScrollText, RefreshCw, Github, Info, Shield, ShieldCheck, ShieldAlert, User, Cloud, CloudOff, LogOut, Loader2, Mail, Lock, AlertCircle, ArrowDownCircle, CheckCircle2, XCircle, BookText, Plus, Edit3, Play, Upload } from 'lucide-react';
+import { Settings, History, Key, Keyboard, X, Save, Trash2, BarChart3, Clock, FileText, Zap, HelpCircle, DollarSign, ExternalLink, FolderOpen, Download, ScrollText, RefreshCw, Github, Info, Shield, ShieldCheck, ShieldAlert, User, Cloud, CloudOff, LogOut, Loader2, Mail, Lock, AlertCircle, ArrowDownCircle, CheckCircle2, XCircle, BookText, Plus, Edit3, Play, Upload, Mic, AppWindow, Pin } from 'lucide-react';
 
 // Error Boundary to catch rendering errors
 class ErrorBoundary extends Component {
@@ -54,6 +54,8 @@ class ErrorBoundary extends Component {
 const TABS = {
   GENERAL: 'general',
   DICTIONARY: 'dictionary',
+  PROMPTS: 'prompts',
+  APPS: 'apps',
   ACCOUNT: 'account',
   API_KEYS: 'api-keys',
   HOTKEY: 'hotkey',
@@ -81,17 +83,40 @@ function ControlPanel() {
     processingMode: 'smart',
     reasoningProvider: 'anthropic',
     reasoningModel: 'claude-3-haiku-20240307',
-    soundEnabled: true  // Completion sound enabled by default
+    reasoningBaseUrl: '', // Local endpoint, '' = Ollama's default
+    transcriptionProvider: 'auto',
+    transcriptionBaseUrl: '',
+    transcriptionModel: '',
+    soundEnabled: true, // Completion sound enabled by default
+    handsFreeMode: false, // Auto-stop recording after silence
+    silenceTimeoutMs: 2000,
+    outputMode: 'paste', // 'paste' (clipboard + Ctrl+V) or 'type' (key by key)
+    reviewBeforePaste: false, // Show the review popup before pasting
+    promptTemplateId: 'corrector' // System prompt for smart mode
   });
   const [apiKeys, setApiKeys] = useState({
     openai: '',
     anthropic: '',
+    groq: '',
+    custom: '',
+    gemini: '',
+    ollama: '',
     openaiMasked: '',
-    anthropicMasked: ''
+    anthropicMasked: '',
+    groqMasked: '',
+    customMasked: '',
+    geminiMasked: '',
+    ollamaMasked: ''
   });
   const [encryptionStatus, setEncryptionStatus] = useState({ available: false, platform: '' });
-  const [apiKeySaveStatus, setApiKeySaveStatus] = useState({ openai: '', anthropic: '' });
+  const [apiKeySaveStatus, setApiKeySaveStatus] = useState({ openai: '', anthropic: '', groq: '', custom: '', gemini: '', ollama: '' });
+  const [transcriptionProviders, setTranscriptionProviders] = useState([]);
+  const [reasoningProviders, setReasoningProviders] = useState([]);
+  const [transcriptionFallback, setTranscriptionFallback] = useState({ enabled: false, steps: [], allowCloudAfterLocal: false, timeouts: {} });
+  const [localWhisper, setLocalWhisper] = useState({ binaryPath: null, modelPath: null, threads: null, binaryExists: false, modelExists: false });
   const [history, setHistory] = useState([]);
+  const [editingHistory, setEditingHistory] = useState(null); // { id, text }
+  const [offlineQueue, setOfflineQueue] = useState([]);
   const [saved, setSaved] = useState(false);
   const [logFiles, setLogFiles] = useState([]);
   const [selectedLogContent, setSelectedLogContent] = useState(null);
@@ -101,6 +126,12 @@ function ControlPanel() {
   const [availableHotkeys, setAvailableHotkeys] = useState([]);
   const [customHotkey, setCustomHotkey] = useState('');
   const [hotkeyStatus, setHotkeyStatus] = useState({ message: '', type: '' });
+  const [hotkeyMode, setHotkeyMode] = useState('toggle'); // 'toggle' | 'push-to-talk'
+  const [hotkeyProfiles, setHotkeyProfiles] = useState([]); // Draft, saved with saveHotkeyProfiles
+  const [maxHotkeyProfiles, setMaxHotkeyProfiles] = useState(10);
+  const [profilesStatus, setProfilesStatus] = useState({ message: '', type: '' });
+  const [actionHotkeys, setActionHotkeys] = useState({ cancel: '', repaste: '' }); // '' = disabled
+  const [actionHotkeysStatus, setActionHotkeysStatus] = useState({ message: '', type: '' });
 
   // Backend/Online mode state
   const [backendMode, setBackendMode] = useState(false);
@@ -137,17 +168,44 @@ function ControlPanel() {
   const [dictionary, setDictionary] = useState({
     version: 1,
     entries: [],
+    groups: [],
     settings: {
       maxWhisperPromptWords: 40,
       enablePostProcessing: true,
       enableWhisperHints: true
     }
   });
-  const [newEntry, setNewEntry] = useState({ find: '', replace: '', soundsLike: '' });
+  const [newEntry, setNewEntry] = useState({ type: 'text', find: '', replace: '', soundsLike: '', groupId: '' });
+  const [newGroupName, setNewGroupName] = useState('');
+  const [entryPreviewText, setEntryPreviewText] = useState('');
+  const [entryPreview, setEntryPreview] = useState(null);
   const [editingEntry, setEditingEntry] = useState(null);
   const [testText, setTestText] = useState('');
   const [testResult, setTestResult] = useState(null);
   const [dictionaryLoading, setDictionaryLoading] = useState(false);
+  const [dictionarySuggestions, setDictionarySuggestions] = useState([]); // Learned from edited dictations
+  const [whisperPromptTerms, setWhisperPromptTerms] = useState(null); // { included, excluded, tokensUsed, tokenBudget }
+
+  // Hallucination filter state
+  const [hallucinationFilter, setHallucinationFilter] = useState({ enabled: true, blocklist: [], defaults: [] });
+  const [blocklistDraft, setBlocklistDraft] = useState('');
+  const [blocklistSaved, setBlocklistSaved] = useState(false);
+
+  // Voice commands state
+  const [voiceCommands, setVoiceCommands] = useState({ enabled: true, commands: [], defaults: [], actions: [], maxCommands: 100 });
+  const [voiceCommandsDraft, setVoiceCommandsDraft] = useState([]);
+  const [voiceCommandsStatus, setVoiceCommandsStatus] = useState(null); // { type, message }
+
+  // Prompt templates state (the draft only holds user templates; built-ins are read-only)
+  const [promptTemplates, setPromptTemplates] = useState({ templates: [], variables: [], maxTemplates: 30 });
+  const [templatesDraft, setTemplatesDraft] = useState([]);
+  const [templatesStatus, setTemplatesStatus] = useState(null); // { type, message }
+
+  // Per-application profiles state (the draft keeps the app list as typed text)
+  const [appProfiles, setAppProfiles] = useState({ enabled: false, rules: [], defaults: [], maxRules: 30, platform: '' });
+  const [appRulesDraft, setAppRulesDraft] = useState([]);
+  const [appRulesStatus, setAppRulesStatus] = useState(null); // { type, message }
+  const [detectedApp, setDetectedApp] = useState(null); // { countdown } while waiting, then { app } or { error }
 
   // Load debug audio settings
   const loadDebugAudioSettings = async () => {
@@ -169,12 +227,260 @@ function ControlPanel() {
         if (dict) {
           setDictionary(dict);
         }
+        const suggestions = await window.electronAPI.getDictionarySuggestions?.();
+        if (suggestions?.success) {
+          setDictionarySuggestions(suggestions.suggestions);
+        }
       } catch (err) {
         console.error('Failed to load dictionary:', err);
       }
     }
   };
 
+  const updateDictionaryGroup = async (id, updates) => {
+    const result = await window.electronAPI?.updateDictionaryGroup(id, updates);
+    if (result?.success) {
+      loadDictionary();
+    } else if (result) {
+      alert('Error: ' + result.error);
+    }
+  };
+
+  // Toggle a value in a group's languages or profileIds list
+  const toggleGroupBinding = (group, field, value) => {
+    const list = group[field].includes(value)
+      ? group[field].filter(item => item !== value)
+      : [...group[field], value];
+    updateDictionaryGroup(group.id, { [field]: list });
+  };
+
+  // Corrections made since the panel opened may have produced new suggestions
+  useEffect(() => {
+    if (activeTab === TABS.DICTIONARY) loadDictionary();
+  }, [activeTab]);
+
+  // Terms the Whisper prompt would include with the current language and mode
+  useEffect(() => {
+    let cancelled = false;
+    window.electronAPI?.getWhisperPromptTerms?.({
+      language: settings.language,
+      processingMode: settings.processingMode
+    }).then(result => {
+      if (!cancelled && result?.success) setWhisperPromptTerms(result);
+    });
+    return () => { cancelled = true; };
+  }, [dictionary, settings.language, settings.processingMode]);
+
+  // Live preview of a regex entry while it's being written (validated in the main process)
+  useEffect(() => {
+    if (newEntry.type !== 'regex' || !newEntry.find || !newEntry.replace || !entryPreviewText.trim()) {
+      setEntryPreview(null);
+      return;
+    }
+    let cancelled = false;
+    window.electronAPI?.previewDictionaryEntry?.(
+      { type: 'regex', find: newEntry.find, replace: newEntry.replace },
+      entryPreviewText
+    ).then(result => {
+      if (!cancelled) setEntryPreview(result);
+    });
+    return () => { cancelled = true; };
+  }, [newEntry.type, newEntry.find, newEntry.replace, entryPreviewText]);
+
+  // Load hallucination filter settings
+  const loadHallucinationFilter = async () => {
+    if (window.electronAPI?.getHallucinationFilter) {
+      try {
+        const filter = await window.electronAPI.getHallucinationFilter();
+        setHallucinationFilter(filter);
+        setBlocklistDraft(filter.blocklist.join('\n'));
+      } catch (err) {
+        console.error('Failed to load hallucination filter:', err);
+      }
+    }
+  };
+
+  const updateHallucinationFilter = async (updates) => {
+    const result = await window.electronAPI?.setHallucinationFilter(updates);
+    if (result?.success) {
+      setHallucinationFilter(prev => ({ ...prev, ...result.settings }));
+      return true;
+    }
+    return false;
+  };
+
+  // Load voice command settings
+  const loadVoiceCommands = async () => {
+    if (window.electronAPI?.getVoiceCommands) {
+      try {
+        const result = await window.electronAPI.getVoiceCommands();
+        setVoiceCommands(result);
+        setVoiceCommandsDraft(result.commands);
+      } catch (err) {
+        console.error('Failed to load voice commands:', err);
+      }
+    }
+  };
+
+  const updateVoiceCommands = async (updates) => {
+    const result = await window.electronAPI?.setVoiceCommands(updates);
+    if (result?.success) {
+      setVoiceCommands(prev => ({ ...prev, ...result.settings }));
+      if (updates.commands) {
+        setVoiceCommandsDraft(result.settings.commands);
+      }
+      return result;
+    }
+    return result || { success: false };
+  };
+
+  const updateVoiceCommandDraft = (index, updates) => {
+    setVoiceCommandsDraft(prev => prev.map((command, i) => (i === index ? { ...command, ...updates } : command)));
+  };
+
+  const saveVoiceCommandsDraft = async () => {
+    const commands = voiceCommandsDraft.filter(command => command.phrase.trim());
+    const result = await updateVoiceCommands({ commands });
+    setVoiceCommandsStatus(result.success
+      ? { type: 'success', message: 'Guardado' }
+      : { type: 'error', message: result.error || 'No se pudieron guardar los comandos' });
+    setTimeout(() => setVoiceCommandsStatus(null), 2000);
+  };
+
+  // Load prompt templates
+  const applyPromptTemplates = (templates) => {
+    setPromptTemplates(prev => ({ ...prev, templates }));
+    setTemplatesDraft(templates.filter(template => !template.builtin));
+  };
+
+  const loadPromptTemplates = async () => {
+    if (window.electronAPI?.getPromptTemplates) {
+      try {
+        const result = await window.electronAPI.getPromptTemplates();
+        setPromptTemplates(result);
+        setTemplatesDraft(result.templates.filter(template => !template.builtin));
+      } catch (err) {
+        console.error('Failed to load prompt templates:', err);
+      }
+    }
+  };
+
+  const addPromptTemplate = (source = null) => {
+    setTemplatesDraft(prev => [...prev, {
+      id: `template_${Date.now()}`,
+      name: source ? `${source.name} (copia)` : `Plantilla ${prev.length + 1}`,
+      body: source ? source.body : ''
+    }]);
+  };
+
+  const updateTemplateDraft = (id, updates) => {
+    setTemplatesDraft(prev => prev.map(template => (template.id === id ? { ...template, ...updates } : template)));
+  };
+
+  const showTemplatesStatus = (status) => {
+    setTemplatesStatus(status);
+    setTimeout(() => setTemplatesStatus(null), 3000);
+  };
+
+  const saveTemplatesDraft = async () => {
+    if (templatesDraft.some(template => !template.name.trim() || !template.body.trim())) {
+      showTemplatesStatus({ type: 'error', message: 'Cada plantilla necesita un nombre y un texto' });
+      return;
+    }
+
+    const result = await window.electronAPI?.setPromptTemplates(
+      templatesDraft.map(({ id, name, body }) => ({ id, name, body }))
+    );
+    if (result?.success) {
+      applyPromptTemplates(result.templates);
+      showTemplatesStatus({ type: 'success', message: 'Guardado' });
+    } else {
+      showTemplatesStatus({ type: 'error', message: result?.error || 'No se pudieron guardar las plantillas' });
+    }
+  };
+
+  // Load per-application profiles
+  const toAppRuleDraft = (rule) => ({ ...rule, appsText: rule.apps.join(', ') });
+
+  const loadAppProfiles = async () => {
+    if (window.electronAPI?.getAppProfiles) {
+      try {
+        const result = await window.electronAPI.getAppProfiles();
+        setAppProfiles(result);
+        setAppRulesDraft(result.rules.map(toAppRuleDraft));
+      } catch (err) {
+        console.error('Failed to load app profiles:', err);
+      }
+    }
+  };
+
+  const updateAppProfiles = async (updates) => {
+    const result = await window.electronAPI?.setAppProfiles(updates);
+    if (result?.success) {
+      setAppProfiles(prev => ({ ...prev, ...result.settings }));
+      if (updates.rules) {
+        setAppRulesDraft(result.settings.rules.map(toAppRuleDraft));
+      }
+      return result;
+    }
+    return result || { success: false };
+  };
+
+  const addAppRule = () => {
+    setAppRulesDraft(prev => [...prev, {
+      id: `rule_${Date.now()}`,
+      name: `Regla ${prev.length + 1}`,
+      enabled: true,
+      appsText: '',
+      titleContains: '',
+      processingMode: '',
+      language: '',
+      outputMode: '',
+      promptTemplateId: ''
+    }]);
+  };
+
+  const updateAppRuleDraft = (id, updates) => {
+    setAppRulesDraft(prev => prev.map(rule => (rule.id === id ? { ...rule, ...updates } : rule)));
+  };
+
+  const showAppRulesStatus = (status) => {
+    setAppRulesStatus(status);
+    setTimeout(() => setAppRulesStatus(null), 3000);
+  };
+
+  const saveAppRulesDraft = async () => {
+    const rules = appRulesDraft.map(({ appsText, ...rule }) => ({
+      ...rule,
+      apps: appsText.split(',').map(app => app.trim()).filter(Boolean)
+    }));
+    if (rules.some(rule => !rule.name.trim() || (rule.apps.length === 0 && !rule.titleContains.trim()))) {
+      showAppRulesStatus({ type: 'error', message: 'Cada regla necesita un nombre y una aplicación o un texto del título' });
+      return;
+    }
+
+    const result = await updateAppProfiles({ rules });
+    showAppRulesStatus(result.success
+      ? { type: 'success', message: 'Guardado' }
+      : { type: 'error', message: result.error || 'No se pudieron guardar las reglas' });
+  };
+
+  // Gives the user time to switch to the application they want to identify
+  const detectAppWithCountdown = () => {
+    let countdown = 3;
+    setDetectedApp({ countdown });
+    const timer = setInterval(async () => {
+      countdown -= 1;
+      if (countdown > 0) {
+        setDetectedApp({ countdown });
+        return;
+      }
+      clearInterval(timer);
+      const result = await window.electronAPI?.detectForegroundApp();
+      setDetectedApp(result?.success ? { app: result.app } : { error: result?.error || 'No disponible' });
+    }, 1000);
+  };
+
   // Load settings on mount
   useEffect(() => {
     const loadedSettings = {
@@ -182,7 +488,16 @@ function ControlPanel() {
       processingMode: localStorage.getItem('processingMode') || 'smart',
       reasoningProvider: localStorage.getItem('reasoningProvider') || 'anthropic',
       reasoningModel: localStorage.getItem('reasoningModel') || 'claude-3-haiku-20240307',
-      soundEnabled: localStorage.getItem('soundEnabled') !== 'false' // Default true
+      reasoningBaseUrl: localStorage.getItem('reasoningBaseUrl') || '',
+      transcriptionProvider: localStorage.getItem('transcriptionProvider') || 'auto',
+      transcriptionBaseUrl: localStorage.getItem('transcriptionBaseUrl') || '',
+      transcriptionModel: localStorage.getItem('transcriptionModel') || '',
+      soundEnabled: localStorage.getItem('soundEnabled') !== 'false', // Default true
+      handsFreeMode: localStorage.getItem('handsFreeMode') === 'true',
+      silenceTimeoutMs: parseInt(localStorage.getItem('silenceTimeoutMs'), 10) || 2000,
+      outputMode: localStorage.getItem('outputMode') || 'paste',
+      reviewBeforePaste: localStorage.getItem('reviewBeforePaste') === 'true',
+      promptTemplateId: localStorage.getItem('promptTemplateId') || 'corrector'
     };
     setSettings(loadedSettings);
 
@@ -192,14 +507,54 @@ function ControlPanel() {
         setApiKeys({
           openai: '', // Don't store actual keys in state
           anthropic: '',
+          groq: '',
+          custom: '',
+          gemini: '',
+          ollama: '',
           openaiMasked: keys.openaiMasked || '',
           anthropicMasked: keys.anthropicMasked || '',
+          groqMasked: keys.groqMasked || '',
+          customMasked: keys.customMasked || '',
+          geminiMasked: keys.geminiMasked || '',
+          ollamaMasked: keys.ollamaMasked || '',
           openaiHasKey: !!keys.openai,
-          anthropicHasKey: !!keys.anthropic
+          anthropicHasKey: !!keys.anthropic,
+          groqHasKey: !!keys.groq,
+          customHasKey: !!keys.custom,
+          geminiHasKey: !!keys.gemini,
+          ollamaHasKey: !!keys.ollama
         });
       });
     }
 
+    // Load transcription providers
+    if (window.electronAPI?.getTranscriptionProviders) {
+      window.electronAPI.getTranscriptionProviders().then(providers => {
+        setTranscriptionProviders(providers || []);
+      });
+    }
+
+    // Load post-processing providers and their models
+    if (window.electronAPI?.getReasoningProviders) {
+      window.electronAPI.getReasoningProviders().then(providers => {
+        setReasoningProviders(providers || []);
+      });
+    }
+
+    // Load transcription fallback chain
+    if (window.electronAPI?.getTranscriptionFallback) {
+      window.electronAPI.getTranscriptionFallback().then(fallback => {
+        if (fallback) setTranscriptionFallback(fallback);
+      });
+    }
+
+    // Load local whisper.cpp settings
+    if (window.electronAPI?.getLocalWhisperSettings) {
+      window.electronAPI.getLocalWhisperSettings().then(localSettings => {
+        if (localSettings) setLocalWhisper(localSettings);
+      });
+    }
+
     // Check encryption status
     if (window.electronAPI?.checkEncryption) {
       window.electronAPI.checkEncryption().then(status => {
@@ -236,6 +591,32 @@ function ControlPanel() {
       });
     }
 
+    // Load hotkey mode (toggle / push-to-talk)
+    if (window.electronAPI?.getHotkeyMode) {
+      window.electronAPI.getHotkeyMode().then(mode => {
+        if (mode) {
+          setHotkeyMode(mode);
+        }
+      });
+    }
+
+    // Load hotkey profiles
+    if (window.electronAPI?.getHotkeyProfiles) {
+      window.electronAPI.getHotkeyProfiles().then(({ profiles, maxProfiles }) => {
+        setHotkeyProfiles(profiles || []);
+        setMaxHotkeyProfiles(maxProfiles);
+      });
+    }
+
+    // Load cancel / re-paste hotkeys
+    if (window.electronAPI?.getActionHotkeys) {
+      window.electronAPI.getActionHotkeys().then(actions => {
+        if (actions) {
+          setActionHotkeys(actions);
+        }
+      });
+    }
+
     // Load backend settings from main process
     if (window.electronAPI?.getBackendSettings) {
       window.electronAPI.getBackendSettings().then(settings => {
@@ -270,6 +651,18 @@ function ControlPanel() {
     // Load custom dictionary
     loadDictionary();
 
+    // Load hallucination filter
+    loadHallucinationFilter();
+
+    // Load voice commands
+    loadVoiceCommands();
+
+    // Load prompt templates
+    loadPromptTemplates();
+
+    // Load per-application profiles
+    loadAppProfiles();
+
     // Listen for update status changes
     let unsubscribeUpdate;
     if (window.electronAPI?.onUpdateStatus) {
@@ -287,8 +680,18 @@ function ControlPanel() {
       });
     }
 
+    // Queued dictations change in the background; completed ones land in history
+    let unsubscribeQueue = null;
+    if (window.electronAPI?.onOfflineQueueUpdated) {
+      unsubscribeQueue = window.electronAPI.onOfflineQueueUpdated((items) => {
+        setOfflineQueue(items || []);
+        loadHistory();
+      });
+    }
+
     return () => {
       if (unsubscribeUpdate) unsubscribeUpdate();
+      if (unsubscribeQueue) unsubscribeQueue();
     };
   }, []);
 
@@ -403,9 +806,27 @@ function ControlPanel() {
     if (window.electronAPI) {
       const transcriptions = await window.electronAPI.getTranscriptions(500); // Get more for stats
       setHistory(transcriptions);
+      if (window.electronAPI.getOfflineQueue) {
+        setOfflineQueue(await window.electronAPI.getOfflineQueue());
+      }
+    }
+  };
+
+  const copyHistoryText = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      console.error('[ControlPanel] Copy failed:', err);
     }
   };
 
+  // Hide the panel first so the paste lands in the app that was focused before
+  const pasteHistoryText = async (text) => {
+    await window.electronAPI?.hideControlPanel();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await window.electronAPI?.pasteText(text);
+  };
+
   // Auto-update functions
   const checkForUpdates = async () => {
     if (!window.electronAPI?.checkForUpdates) return;
@@ -622,6 +1043,52 @@ function ControlPanel() {
     autoSaveSettings(newSettings);
   };
 
+  // Fallback chain lives in config.json (main process), saved on every change
+  const updateTranscriptionFallback = async (updates) => {
+    const next = { ...transcriptionFallback, ...updates };
+    setTranscriptionFallback(next);
+    const result = await window.electronAPI?.setTranscriptionFallback(updates);
+    if (result?.success) {
+      setTranscriptionFallback(result.settings);
+    }
+  };
+
+  const moveFallbackStep = (index, direction) => {
+    const steps = [...transcriptionFallback.steps];
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    updateTranscriptionFallback({ steps });
+  };
+
+  const getProviderName = (providerId) =>
+    transcriptionProviders.find(p => p.id === providerId)?.name || providerId;
+
+  const selectedReasoningProvider = reasoningProviders.find(p => p.id === settings.reasoningProvider);
+
+  // Each provider has its own models, so switching resets to its default
+  const handleReasoningProviderChange = (providerId) => {
+    const provider = reasoningProviders.find(p => p.id === providerId);
+    const newSettings = { ...settings, reasoningProvider: providerId, reasoningModel: provider?.defaultModel || '' };
+    setSettings(newSettings);
+    autoSaveSettings(newSettings);
+  };
+
+  // Local whisper.cpp paths are picked with a native dialog in the main process
+  const handleSelectLocalWhisperFile = async (kind) => {
+    const result = await window.electronAPI?.selectLocalWhisperFile(kind);
+    if (result?.success) {
+      setLocalWhisper(result.settings);
+    }
+  };
+
+  const handleLocalWhisperThreadsChange = async (threads) => {
+    const result = await window.electronAPI?.setLocalWhisperThreads(threads);
+    if (result?.success) {
+      setLocalWhisper(result.settings);
+    }
+  };
+
   const handleApiKeyChange = (key, value) => {
     setApiKeys(prev => ({ ...prev, [key]: value }));
   };
@@ -667,6 +1134,102 @@ function ControlPanel() {
     }
   };
 
+  // Switch between toggle and push-to-talk
+  const changeHotkeyMode = async (mode) => {
+    if (!window.electronAPI?.setHotkeyMode) {
+      setHotkeyStatus({ message: 'API no disponible', type: 'error' });
+      return;
+    }
+
+    setHotkeyStatus({ message: 'Cambiando...', type: 'info' });
+
+    try {
+      const result = await window.electronAPI.setHotkeyMode(mode);
+      if (result.success) {
+        setHotkeyMode(mode);
+        setHotkeyStatus({ message: '¡Modo cambiado exitosamente!', type: 'success' });
+        setTimeout(() => setHotkeyStatus({ message: '', type: '' }), 3000);
+      } else {
+        setHotkeyStatus({ message: result.error || 'Error al cambiar el modo', type: 'error' });
+      }
+    } catch (err) {
+      setHotkeyStatus({ message: 'Error: ' + err.message, type: 'error' });
+    }
+  };
+
+  // Hotkey profiles: edited locally, registered in one go on save
+  const addHotkeyProfile = () => {
+    setHotkeyProfiles(prev => [...prev, {
+      id: `profile_${Date.now()}`,
+      name: `Perfil ${prev.length + 1}`,
+      hotkey: '',
+      processingMode: 'smart',
+      language: 'es',
+      reasoningProvider: 'anthropic',
+      transcriptionProvider: '',
+      translateTo: '',
+      outputMode: '',
+      promptTemplateId: ''
+    }]);
+  };
+
+  const updateHotkeyProfile = (id, changes) => {
+    setHotkeyProfiles(prev => prev.map(p => (p.id === id ? { ...p, ...changes } : p)));
+  };
+
+  const removeHotkeyProfile = (id) => {
+    setHotkeyProfiles(prev => prev.filter(p => p.id !== id));
+  };
+
+  const saveHotkeyProfiles = async () => {
+    if (!window.electronAPI?.setHotkeyProfiles) {
+      setProfilesStatus({ message: 'API no disponible', type: 'error' });
+      return;
+    }
+
+    const incomplete = hotkeyProfiles.find(p => !p.name.trim() || !p.hotkey.trim());
+    if (incomplete) {
+      setProfilesStatus({ message: 'Cada perfil necesita un nombre y un hotkey', type: 'error' });
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.setHotkeyProfiles(hotkeyProfiles);
+      if (result.success) {
+        setHotkeyProfiles(result.profiles);
+        setProfilesStatus({ message: '¡Perfiles guardados!', type: 'success' });
+        setTimeout(() => setProfilesStatus({ message: '', type: '' }), 3000);
+      } else {
+        setProfilesStatus({ message: result.error || 'Error al guardar perfiles', type: 'error' });
+      }
+    } catch (err) {
+      setProfilesStatus({ message: 'Error: ' + err.message, type: 'error' });
+    }
+  };
+
+  const saveActionHotkeys = async () => {
+    if (!window.electronAPI?.setActionHotkeys) {
+      setActionHotkeysStatus({ message: 'API no disponible', type: 'error' });
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.setActionHotkeys({
+        cancel: actionHotkeys.cancel.trim(),
+        repaste: actionHotkeys.repaste.trim()
+      });
+      if (result.success) {
+        setActionHotkeys(result.actions);
+        setActionHotkeysStatus({ message: '¡Atajos guardados!', type: 'success' });
+        setTimeout(() => setActionHotkeysStatus({ message: '', type: '' }), 3000);
+      } else {
+        setActionHotkeysStatus({ message: result.error || 'Error al guardar atajos', type: 'error' });
+      }
+    } catch (err) {
+      setActionHotkeysStatus({ message: 'Error: ' + err.message, type: 'error' });
+    }
+  };
+
   // Format hotkey for display (make it more readable)
   const formatHotkeyDisplay = (hotkey) => {
     if (!hotkey) return '';
@@ -687,6 +1250,78 @@ function ControlPanel() {
     });
   };
 
+  // Render a secure API key field (masked when stored, input + save button otherwise)
+  const renderApiKeyField = (provider, label, placeholder, description) => (
+    <div>
+      <label className="block text-sm font-medium text-slate-300 mb-2">
+        {label}
+      </label>
+      {apiKeys[`${provider}HasKey`] ? (
+        <div className="flex items-center gap-2">
+          <div className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-slate-400 font-mono text-sm">
+            {apiKeys[`${provider}Masked`] || '••••••••'}
+          </div>
+          <button
+            onClick={async () => {
+              if (window.electronAPI?.setApiKey) {
+                await window.electronAPI.setApiKey(provider, '');
+                setApiKeys(prev => ({ ...prev, [`${provider}HasKey`]: false, [`${provider}Masked`]: '' }));
+                setApiKeySaveStatus(prev => ({ ...prev, [provider]: 'removed' }));
+                setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, [provider]: '' })), 2000);
+              }
+            }}
+            className="bg-red-500/20 hover:bg-red-500/30 text-red-400 px-3 py-2 rounded-lg transition-colors"
+          >
+            <Trash2 size={18} />
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <input
+            type="password"
+            value={apiKeys[provider]}
+            onChange={(e) => handleApiKeyChange(provider, e.target.value)}
+            placeholder={placeholder}
+            className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={async () => {
+              if (window.electronAPI?.setApiKey && apiKeys[provider]) {
+                const result = await window.electronAPI.setApiKey(provider, apiKeys[provider]);
+                if (result.success) {
+                  setApiKeys(prev => ({
+                    ...prev,
+                    [provider]: '',
+                    [`${provider}HasKey`]: true,
+                    [`${provider}Masked`]: result.masked
+                  }));
+                  setApiKeySaveStatus(prev => ({ ...prev, [provider]: 'saved' }));
+                  setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, [provider]: '' })), 2000);
+                } else {
+                  setApiKeySaveStatus(prev => ({ ...prev, [provider]: result.error || 'error' }));
+                }
+              }
+            }}
+            disabled={!apiKeys[provider]}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-slate-600 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors"
+          >
+            <Shield size={18} />
+          </button>
+        </div>
+      )}
+      {apiKeySaveStatus[provider] && (
+        <p className={`mt-1 text-xs ${apiKeySaveStatus[provider] === 'saved' ? 'text-green-400' : 'text-red-400'}`}>
+          {apiKeySaveStatus[provider] === 'saved' ? 'Key guardada de forma segura' :
+           apiKeySaveStatus[provider] === 'removed' ? 'Key eliminada' :
+           `Error: ${apiKeySaveStatus[provider]}`}
+        </p>
+      )}
+      <p className="mt-1 text-xs text-slate-400">
+        {description}
+      </p>
+    </div>
+  );
+
   const renderTabContent = () => {
     switch (activeTab) {
       case TABS.GENERAL:
@@ -709,64 +1344,403 @@ function ControlPanel() {
 
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-2">
-                Modo de procesamiento
+                Motor de transcripción
               </label>
               <select
-                value={settings.processingMode}
-                onChange={(e) => handleSettingChange('processingMode', e.target.value)}
+                value={settings.transcriptionProvider}
+                onChange={(e) => handleSettingChange('transcriptionProvider', e.target.value)}
                 className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
-                <option value="verbatim">Literal (sin ningún cambio)</option>
-                <option value="fast">Rápido (formato de listas)</option>
-                <option value="smart">Inteligente (con corrección IA)</option>
+                <option value="auto">Automático (servidor si hay sesión, si no OpenAI)</option>
+                {transcriptionProviders.map((provider) => (
+                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                ))}
               </select>
               <p className="mt-1 text-xs text-slate-400">
-                {settings.processingMode === 'verbatim' && 'Transcripción exacta de Whisper, sin modificaciones.'}
-                {settings.processingMode === 'fast' && 'Transcripción con formato automático de listas numeradas.'}
-                {settings.processingMode === 'smart' && 'Corrige ortografía y preserva términos técnicos en inglés.'}
+                {settings.transcriptionProvider === 'auto' && 'Usa el servidor Murmullo si iniciaste sesión en la pestaña Cuenta; si no, tu key de OpenAI.'}
+                {settings.transcriptionProvider === 'openai' && 'Whisper de OpenAI con tu propia API key.'}
+                {settings.transcriptionProvider === 'groq' && 'Whisper Large v3 Turbo en Groq. Requiere una API key de Groq.'}
+                {settings.transcriptionProvider === 'custom' && 'Cualquier servidor con endpoint /audio/transcriptions (LocalAI, faster-whisper-server, etc.).'}
+                {settings.transcriptionProvider === 'local' && 'whisper.cpp en tu computador. El audio nunca sale de tu máquina.'}
+                {settings.transcriptionProvider === 'backend' && 'Servidor Murmullo. Requiere iniciar sesión en la pestaña Cuenta.'}
               </p>
+              {settings.transcriptionProvider === 'custom' && (
+                <div className="mt-3 grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">URL base</label>
+                    <input
+                      type="text"
+                      value={settings.transcriptionBaseUrl}
+                      onChange={(e) => handleSettingChange('transcriptionBaseUrl', e.target.value.trim())}
+                      placeholder="http://localhost:8000/v1"
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Modelo</label>
+                    <input
+                      type="text"
+                      value={settings.transcriptionModel}
+                      onChange={(e) => handleSettingChange('transcriptionModel', e.target.value.trim())}
+                      placeholder="whisper-1"
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+              )}
+              {settings.transcriptionProvider === 'local' && (
+                <div className="mt-3 space-y-3">
+                  {[
+                    { kind: 'binary', label: 'Ejecutable de whisper.cpp', value: localWhisper.binaryPath, exists: localWhisper.binaryExists },
+                    { kind: 'model', label: 'Modelo GGML', value: localWhisper.modelPath, exists: localWhisper.modelExists }
+                  ].map(({ kind, label, value, exists }) => (
+                    <div key={kind}>
+                      <label className="block text-xs text-slate-400 mb-1">{label}</label>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={value || ''}
+                          readOnly
+                          placeholder="No seleccionado"
+                          className={`flex-1 bg-slate-700 border rounded px-3 py-2 text-white text-sm ${value && !exists ? 'border-red-500' : 'border-slate-600'}`}
+                        />
+                        <button
+                          onClick={() => handleSelectLocalWhisperFile(kind)}
+                          className="px-3 py-2 bg-slate-600 hover:bg-slate-500 text-white text-sm rounded transition-colors"
+                        >
+                          Elegir...
+                        </button>
+                      </div>
+                      {value && !exists && (
+                        <p className="mt-1 text-xs text-red-400">El archivo ya no existe en esa ruta.</p>
+                      )}
+                    </div>
+                  ))}
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Hilos de CPU</label>
+                    <select
+                      value={localWhisper.threads || ''}
+                      onChange={(e) => handleLocalWhisperThreadsChange(e.target.value ? parseInt(e.target.value, 10) : null)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Por defecto de whisper.cpp</option>
+                      {[2, 4, 6, 8, 12, 16].map(n => (
+                        <option key={n} value={n}>{n}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Proveedor de IA
-              </label>
-              <select
-                value={settings.reasoningProvider}
-                onChange={(e) => handleSettingChange('reasoningProvider', e.target.value)}
-                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="anthropic">Anthropic (Claude)</option>
-                <option value="openai">OpenAI (GPT)</option>
-              </select>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Modelo
-              </label>
-              <select
-                value={settings.reasoningModel}
-                onChange={(e) => handleSettingChange('reasoningModel', e.target.value)}
-                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                {settings.reasoningProvider === 'anthropic' ? (
-                  <>
-                    <option value="claude-3-haiku-20240307">Claude 3 Haiku (rápido, económico)</option>
-                    <option value="claude-3-sonnet-20240229">Claude 3 Sonnet</option>
-                    <option value="claude-3-opus-20240229">Claude 3 Opus</option>
-                  </>
-                ) : (
-                  <>
-                    <option value="gpt-4o-mini">GPT-4o Mini (rápido, económico)</option>
-                    <option value="gpt-4o">GPT-4o</option>
-                    <option value="gpt-4-turbo">GPT-4 Turbo</option>
-                  </>
-                )}
-              </select>
-            </div>
-
-            {/* Sound toggle */}
+            {/* Fallback chain */}
+            <div className="p-4 bg-slate-700/50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium text-white">Respaldo automático</h3>
+                  <p className="text-sm text-slate-400">
+                    Si el motor principal falla o tarda demasiado, prueba los siguientes en orden
+                  </p>
+                </div>
+                <button
+                  onClick={() => updateTranscriptionFallback({ enabled: !transcriptionFallback.enabled })}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    transcriptionFallback.enabled ? 'bg-blue-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      transcriptionFallback.enabled ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {transcriptionFallback.enabled && (
+                <div className="mt-3 space-y-2">
+                  {transcriptionFallback.steps.map((providerId, index) => {
+                    const defaultTimeout = transcriptionProviders.find(p => p.id === providerId)?.defaultTimeoutMs || 30000;
+                    const timeoutSeconds = Math.round((transcriptionFallback.timeouts?.[providerId] || defaultTimeout) / 1000);
+                    return (
+                      <div key={providerId} className="flex items-center gap-2 bg-slate-800/50 rounded px-3 py-2">
+                        <span className="text-xs text-slate-500 w-4">{index + 1}.</span>
+                        <span className="flex-1 text-sm text-white">{getProviderName(providerId)}</span>
+                        <label className="text-xs text-slate-400">Límite</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="300"
+                          value={timeoutSeconds}
+                          onChange={(e) => {
+                            const seconds = parseInt(e.target.value, 10);
+                            if (!seconds || seconds < 1 || seconds > 300) return;
+                            updateTranscriptionFallback({
+                              timeouts: { ...transcriptionFallback.timeouts, [providerId]: seconds * 1000 }
+                            });
+                          }}
+                          className="w-16 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-xs"
+                        />
+                        <span className="text-xs text-slate-400">s</span>
+                        <button
+                          onClick={() => moveFallbackStep(index, -1)}
+                          disabled={index === 0}
+                          className="text-xs text-slate-400 hover:text-white disabled:opacity-30 px-1"
+                          title="Subir"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => moveFallbackStep(index, 1)}
+                          disabled={index === transcriptionFallback.steps.length - 1}
+                          className="text-xs text-slate-400 hover:text-white disabled:opacity-30 px-1"
+                          title="Bajar"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          onClick={() => updateTranscriptionFallback({ steps: transcriptionFallback.steps.filter(id => id !== providerId) })}
+                          className="text-slate-400 hover:text-red-400"
+                          title="Quitar"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    );
+                  })}
+
+                  {transcriptionProviders.some(p => !transcriptionFallback.steps.includes(p.id)) && transcriptionFallback.steps.length < 5 && (
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && updateTranscriptionFallback({ steps: [...transcriptionFallback.steps, e.target.value] })}
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-slate-300 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">+ Agregar motor de respaldo...</option>
+                      {transcriptionProviders
+                        .filter(p => !transcriptionFallback.steps.includes(p.id))
+                        .map(p => (
+                          <option key={p.id} value={p.id}>{p.name}</option>
+                        ))}
+                    </select>
+                  )}
+                  <label className="flex items-start gap-2 pt-1 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={transcriptionFallback.allowCloudAfterLocal === true}
+                      onChange={(e) => updateTranscriptionFallback({ allowCloudAfterLocal: e.target.checked })}
+                      className="mt-1"
+                    />
+                    <span>
+                      Si el motor local falla, usar también motores en la nube
+                      <span className="block text-xs text-slate-500">
+                        Desactivado, con el motor local el audio nunca sale de este equipo: los pasos en la nube se saltan.
+                      </span>
+                    </span>
+                  </label>
+                  <p className="text-xs text-slate-500">
+                    Los motores sin configurar (sin API key o sin whisper.cpp) se saltan. Cuando un motor de respaldo transcribe un dictado verás un aviso, y el historial indica qué motor produjo cada texto.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Modo de procesamiento
+              </label>
+              <select
+                value={settings.processingMode}
+                onChange={(e) => handleSettingChange('processingMode', e.target.value)}
+                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="verbatim">Literal (sin ningún cambio)</option>
+                <option value="fast">Rápido (formato de listas)</option>
+                <option value="smart">Inteligente (con corrección IA)</option>
+                <option value="code">Código (identificadores y símbolos)</option>
+              </select>
+              <p className="mt-1 text-xs text-slate-400">
+                {settings.processingMode === 'verbatim' && 'Transcripción exacta de Whisper, sin modificaciones.'}
+                {settings.processingMode === 'fast' && 'Transcripción con formato automático de listas numeradas, números en cifras ("dos mil veinticuatro" → 2024) y comandos de voz.'}
+                {settings.processingMode === 'smart' && 'Corrige ortografía y preserva términos técnicos en inglés.'}
+                {settings.processingMode === 'code' && 'Di "camel case user id" → userId, "constante max retries" → MAX_RETRIES, "igual igual", "flecha", "llave abierta". Usa el diccionario para los identificadores del proyecto.'}
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Proveedor de IA
+              </label>
+              <select
+                value={settings.reasoningProvider}
+                onChange={(e) => handleReasoningProviderChange(e.target.value)}
+                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {reasoningProviders.map((provider) => (
+                  <option key={provider.id} value={provider.id}>{provider.name}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-slate-400">
+                {settings.reasoningProvider === 'anthropic' && 'Claude con tu API key de Anthropic, o el servidor Murmullo si iniciaste sesión.'}
+                {settings.reasoningProvider === 'openai' && 'GPT con tu API key de OpenAI, o el servidor Murmullo si iniciaste sesión.'}
+                {settings.reasoningProvider === 'gemini' && 'Gemini de Google. Requiere una API key de Google AI Studio.'}
+                {settings.reasoningProvider === 'groq' && 'Modelos abiertos en Groq, muy rápidos. Usa la misma key que Groq Whisper.'}
+                {settings.reasoningProvider === 'ollama' && 'Ollama u otro servidor con endpoint /chat/completions. Con transcripción local, el modo inteligente funciona sin conexión.'}
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Modelo
+              </label>
+              {selectedReasoningProvider?.customModels ? (
+                <>
+                  <input
+                    type="text"
+                    list="reasoning-models"
+                    value={settings.reasoningModel}
+                    onChange={(e) => handleSettingChange('reasoningModel', e.target.value.trim())}
+                    placeholder={selectedReasoningProvider.defaultModel}
+                    className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <datalist id="reasoning-models">
+                    {selectedReasoningProvider.models.map(model => (
+                      <option key={model.id} value={model.id}>{model.name}</option>
+                    ))}
+                  </datalist>
+                </>
+              ) : (
+                <select
+                  value={settings.reasoningModel}
+                  onChange={(e) => handleSettingChange('reasoningModel', e.target.value)}
+                  className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {(selectedReasoningProvider?.models || []).map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </select>
+              )}
+              {settings.reasoningProvider === 'ollama' && (
+                <div className="mt-3">
+                  <label className="block text-xs text-slate-400 mb-1">URL base</label>
+                  <input
+                    type="text"
+                    value={settings.reasoningBaseUrl}
+                    onChange={(e) => handleSettingChange('reasoningBaseUrl', e.target.value.trim())}
+                    placeholder={selectedReasoningProvider?.baseUrl || 'http://localhost:11434/v1'}
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-slate-400">
+                    Descarga el modelo antes con <code>ollama pull {settings.reasoningModel || selectedReasoningProvider?.defaultModel}</code>.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Plantilla de IA
+              </label>
+              <select
+                value={settings.promptTemplateId}
+                onChange={(e) => handleSettingChange('promptTemplateId', e.target.value)}
+                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {promptTemplates.templates.map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-slate-400">
+                Instrucciones que recibe la IA en el modo inteligente. Puedes crear las tuyas en la pestaña Plantillas IA.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Salida del texto
+              </label>
+              <select
+                value={settings.outputMode}
+                onChange={(e) => handleSettingChange('outputMode', e.target.value)}
+                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="paste">Pegar (portapapeles + Ctrl+V)</option>
+                <option value="type">Escribir tecla por tecla (sin portapapeles)</option>
+              </select>
+              <p className="mt-1 text-xs text-slate-400">
+                {settings.outputMode === 'paste' && 'Rápido. Usa el portapapeles temporalmente y lo restaura al terminar.'}
+                {settings.outputMode === 'type' && 'Más lento, pero funciona en terminales sin Ctrl+V y no interfiere con gestores de portapapeles. En Linux requiere xdotool (X11) o wtype (Wayland).'}
+              </p>
+            </div>
+
+            {/* Review toggle */}
+            <div className="p-4 bg-slate-700/50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium text-white">Revisar antes de pegar</h3>
+                  <p className="text-sm text-slate-400">
+                    Muestra el texto en una ventana para aceptarlo, editarlo, solo copiarlo o descartarlo
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleSettingChange('reviewBeforePaste', !settings.reviewBeforePaste)}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    settings.reviewBeforePaste ? 'bg-blue-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      settings.reviewBeforePaste ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {settings.reviewBeforePaste && (
+                <p className="mt-2 text-xs text-slate-400">
+                  Enter acepta, E edita, Ctrl+Shift+C solo copia y Esc descarta. Mientras editas, Ctrl+Enter acepta.
+                </p>
+              )}
+            </div>
+
+            {/* Hands-free toggle */}
+            <div className="p-4 bg-slate-700/50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium text-white">Modo manos libres</h3>
+                  <p className="text-sm text-slate-400">
+                    Detiene la grabación sola cuando dejas de hablar
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleSettingChange('handsFreeMode', !settings.handsFreeMode)}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    settings.handsFreeMode ? 'bg-blue-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      settings.handsFreeMode ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {settings.handsFreeMode && (
+                <div className="mt-3">
+                  <label className="block text-xs text-slate-400 mb-1">Silencio antes de detener</label>
+                  <select
+                    value={settings.silenceTimeoutMs}
+                    onChange={(e) => handleSettingChange('silenceTimeoutMs', parseInt(e.target.value, 10))}
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value={1000}>1 segundo</option>
+                    <option value={1500}>1,5 segundos</option>
+                    <option value={2000}>2 segundos</option>
+                    <option value={3000}>3 segundos</option>
+                    <option value={5000}>5 segundos (notas largas)</option>
+                  </select>
+                </div>
+              )}
+            </div>
+
+            {/* Sound toggle */}
             <div className="p-4 bg-slate-700/50 rounded-lg">
               <div className="flex items-center justify-between">
                 <div>
@@ -920,18 +1894,254 @@ function ControlPanel() {
               </div>
             </div>
 
+            {/* Suggestions learned from corrections */}
+            {dictionarySuggestions.length > 0 && (
+              <div className="bg-slate-800/50 rounded-xl p-4">
+                <h4 className="text-sm font-medium text-slate-300 mb-1 flex items-center gap-2">
+                  <Zap size={16} className="text-amber-400" />
+                  Sugerencias ({dictionarySuggestions.length})
+                </h4>
+                <p className="text-xs text-slate-400 mb-3">
+                  Correcciones que repites al editar dictados en la ventana de revisión o en el Historial.
+                </p>
+                <div className="space-y-2">
+                  {dictionarySuggestions.map(suggestion => (
+                    <div key={`${suggestion.find}→${suggestion.replace}`} className="bg-slate-900/40 rounded-lg p-3 flex items-center gap-3 text-sm">
+                      <span className="font-mono text-white">{suggestion.find}</span>
+                      <span className="text-slate-500">→</span>
+                      <span className="font-mono text-green-400">{suggestion.replace}</span>
+                      <span className="text-xs text-slate-500">corregido {suggestion.count} veces</span>
+                      <div className="ml-auto flex gap-2">
+                        <button
+                          onClick={async () => {
+                            const result = await window.electronAPI?.addDictionaryEntry({
+                              type: 'text',
+                              find: suggestion.find,
+                              replace: suggestion.replace
+                            });
+                            if (result?.success) {
+                              loadDictionary();
+                            } else if (result) {
+                              alert('Error: ' + result.error);
+                            }
+                          }}
+                          className="flex items-center gap-1 px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs text-white transition-colors"
+                        >
+                          <Plus size={12} />
+                          Agregar
+                        </button>
+                        <button
+                          onClick={async () => {
+                            await window.electronAPI?.dismissDictionarySuggestion(suggestion.find, suggestion.replace);
+                            loadDictionary();
+                          }}
+                          className="px-2 py-1 bg-slate-600 hover:bg-slate-500 rounded text-xs text-white transition-colors"
+                        >
+                          Descartar
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Groups */}
+            <div className="bg-slate-800/50 rounded-xl p-4">
+              <h4 className="text-sm font-medium text-slate-300 mb-1 flex items-center gap-2">
+                <FolderOpen size={16} className="text-blue-400" />
+                Grupos ({(dictionary.groups || []).length})
+              </h4>
+              <p className="text-xs text-slate-400 mb-3">
+                Activa o desactiva varias entradas a la vez. Un grupo limitado a un idioma o a perfiles solo se aplica (y solo entra en el prompt de Whisper) en esos dictados; las entradas sin grupo se aplican siempre.
+              </p>
+              <div className="space-y-2">
+                {(dictionary.groups || []).map(group => {
+                  const entryCount = dictionary.entries.filter(entry => entry.groupId === group.id).length;
+                  const profileOptions = [...hotkeyProfiles, ...appProfiles.rules];
+                  return (
+                    <div key={group.id} className={`bg-slate-900/40 rounded-lg p-3 ${!group.enabled ? 'opacity-60' : ''}`}>
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => updateDictionaryGroup(group.id, { enabled: !group.enabled })}
+                          className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+                            group.enabled ? 'bg-blue-600' : 'bg-slate-600'
+                          }`}
+                        >
+                          <span
+                            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                              group.enabled ? 'translate-x-6' : 'translate-x-1'
+                            }`}
+                          />
+                        </button>
+                        <span className="text-sm text-white">{group.name}</span>
+                        <span className="text-xs text-slate-500">{entryCount} {entryCount === 1 ? 'entrada' : 'entradas'}</span>
+                        <div className="ml-auto flex gap-2">
+                          <button
+                            onClick={async () => {
+                              const result = await window.electronAPI?.exportDictionaryGroup(group.id);
+                              if (result?.success) {
+                                const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+                                const url = URL.createObjectURL(blob);
+                                const a = document.createElement('a');
+                                a.href = url;
+                                a.download = `murmullo-grupo-${group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+                                a.click();
+                                URL.revokeObjectURL(url);
+                              }
+                            }}
+                            className="p-1.5 text-slate-400 hover:text-white hover:bg-slate-700 rounded transition-colors"
+                            title="Exportar grupo"
+                          >
+                            <Download size={14} />
+                          </button>
+                          <button
+                            onClick={async () => {
+                              if (confirm(`¿Eliminar el grupo "${group.name}"? Sus entradas se conservan sin grupo.`)) {
+                                await window.electronAPI?.deleteDictionaryGroup(group.id);
+                                loadDictionary();
+                              }
+                            }}
+                            className="p-1.5 text-slate-400 hover:text-red-400 hover:bg-red-500/20 rounded transition-colors"
+                            title="Eliminar grupo"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      </div>
+                      <div className="mt-2 flex flex-wrap items-center gap-1.5 text-xs">
+                        <span className="text-slate-400 mr-1">Idioma:</span>
+                        {[
+                          { value: 'es', label: 'Español' },
+                          { value: 'en', label: 'English' }
+                        ].map(option => (
+                          <button
+                            key={option.value}
+                            onClick={() => toggleGroupBinding(group, 'languages', option.value)}
+                            className={`px-2 py-0.5 rounded transition-colors ${
+                              group.languages.includes(option.value) ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-700 text-slate-400 hover:text-white'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                        {group.languages.length === 0 && <span className="text-slate-500">todos</span>}
+                        {profileOptions.length > 0 && (
+                          <>
+                            <span className="text-slate-400 ml-3 mr-1">Perfiles:</span>
+                            {profileOptions.map(profile => (
+                              <button
+                                key={profile.id}
+                                onClick={() => toggleGroupBinding(group, 'profileIds', profile.id)}
+                                className={`px-2 py-0.5 rounded transition-colors ${
+                                  group.profileIds.includes(profile.id) ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-700 text-slate-400 hover:text-white'
+                                }`}
+                              >
+                                {profile.name}
+                              </button>
+                            ))}
+                            {group.profileIds.length === 0 && <span className="text-slate-500">todos</span>}
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="flex gap-2 mt-3">
+                <input
+                  type="text"
+                  placeholder="ej: Términos médicos"
+                  value={newGroupName}
+                  maxLength={60}
+                  onChange={(e) => setNewGroupName(e.target.value)}
+                  className="flex-1 bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={async () => {
+                    const result = await window.electronAPI?.addDictionaryGroup({ name: newGroupName.trim() });
+                    if (result?.success) {
+                      setNewGroupName('');
+                      loadDictionary();
+                    } else if (result) {
+                      alert('Error: ' + result.error);
+                    }
+                  }}
+                  disabled={!newGroupName.trim()}
+                  className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed rounded-lg text-sm text-white transition-colors"
+                >
+                  <Plus size={16} />
+                  Nuevo grupo
+                </button>
+                <label className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-white transition-colors cursor-pointer">
+                  <Upload size={16} />
+                  Importar grupo
+                  <input
+                    type="file"
+                    accept=".json"
+                    className="hidden"
+                    onChange={(e) => {
+                      const file = e.target.files?.[0];
+                      if (file && window.electronAPI?.importDictionaryGroup) {
+                        const reader = new FileReader();
+                        reader.onload = async (event) => {
+                          const result = await window.electronAPI.importDictionaryGroup(event.target.result);
+                          if (result.success) {
+                            alert(`Grupo "${result.group.name}" importado con ${result.addedCount} entradas`);
+                            loadDictionary();
+                          } else {
+                            alert('Error al importar: ' + result.error);
+                          }
+                        };
+                        reader.readAsText(file);
+                      }
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+              </div>
+            </div>
+
             {/* Add new entry form */}
             <div className="bg-slate-800/50 rounded-xl p-4">
               <h4 className="text-sm font-medium text-slate-300 mb-3 flex items-center gap-2">
                 <Plus size={16} className="text-blue-400" />
                 Agregar nueva entrada
               </h4>
+              <div className="flex gap-2 mb-3">
+                {[
+                  { type: 'text', label: 'Palabra o frase' },
+                  { type: 'regex', label: 'Expresión regular' }
+                ].map(option => (
+                  <button
+                    key={option.type}
+                    onClick={() => setNewEntry(prev => ({ ...prev, type: option.type }))}
+                    className={`px-3 py-1.5 rounded-lg text-xs transition-colors ${
+                      newEntry.type === option.type ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-700 text-slate-400 hover:text-white'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+                {(dictionary.groups || []).length > 0 && (
+                  <select
+                    value={newEntry.groupId}
+                    onChange={(e) => setNewEntry(prev => ({ ...prev, groupId: e.target.value }))}
+                    className="ml-auto bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Sin grupo</option>
+                    {dictionary.groups.map(group => (
+                      <option key={group.id} value={group.id}>{group.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
               <div className="grid grid-cols-3 gap-3">
                 <div>
-                  <label className="block text-xs text-slate-400 mb-1">Buscar (error)</label>
+                  <label className="block text-xs text-slate-400 mb-1">{newEntry.type === 'regex' ? 'Patrón' : 'Buscar (error)'}</label>
                   <input
                     type="text"
-                    placeholder="ej: cojade"
+                    placeholder={newEntry.type === 'regex' ? 'ej: \\s*punto (com|net)' : 'ej: cojade'}
                     value={newEntry.find}
                     onChange={(e) => setNewEntry(prev => ({ ...prev, find: e.target.value }))}
                     className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -941,23 +2151,56 @@ function ControlPanel() {
                   <label className="block text-xs text-slate-400 mb-1">Reemplazar (correcto)</label>
                   <input
                     type="text"
-                    placeholder="ej: COHADE"
+                    placeholder={newEntry.type === 'regex' ? 'ej: .$1' : 'ej: COHADE'}
                     value={newEntry.replace}
                     onChange={(e) => setNewEntry(prev => ({ ...prev, replace: e.target.value }))}
                     className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
-                <div>
-                  <label className="block text-xs text-slate-400 mb-1">Suena como (opcional)</label>
-                  <input
-                    type="text"
-                    placeholder="ej: co-a-de"
-                    value={newEntry.soundsLike}
-                    onChange={(e) => setNewEntry(prev => ({ ...prev, soundsLike: e.target.value }))}
-                    className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
+                {newEntry.type === 'regex' ? (
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Texto de prueba</label>
+                    <input
+                      type="text"
+                      placeholder="ej: visita murmullo punto com"
+                      value={entryPreviewText}
+                      onChange={(e) => setEntryPreviewText(e.target.value)}
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Suena como (opcional)</label>
+                    <input
+                      type="text"
+                      placeholder="ej: co-a-de"
+                      value={newEntry.soundsLike}
+                      onChange={(e) => setNewEntry(prev => ({ ...prev, soundsLike: e.target.value }))}
+                      className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                )}
               </div>
+              {newEntry.type === 'regex' && entryPreview && (
+                <div className="mt-3 p-3 bg-slate-900/40 rounded-lg text-sm">
+                  {entryPreview.success ? (
+                    <p className={`font-mono ${entryPreview.changed ? 'text-green-400' : 'text-slate-400'}`}>
+                      {entryPreview.changed ? entryPreview.result : 'El patrón no coincide con el texto de prueba'}
+                    </p>
+                  ) : (
+                    <p className="text-red-400">Patrón no válido: {entryPreview.error}</p>
+                  )}
+                </div>
+              )}
+              {newEntry.type === 'regex' ? (
+                <p className="mt-2 text-xs text-slate-400">
+                  Sintaxis de JavaScript, sin distinguir mayúsculas. Usa $1 o $&lt;nombre&gt; en el reemplazo para los grupos capturados. Se rechazan las repeticiones anidadas como (a+)+ porque podrían congelar la app.
+                </p>
+              ) : (
+                <p className="mt-2 text-xs text-slate-400">
+                  Con "Suena como" también se corrigen las palabras que se pronuncian igual aunque Whisper las escriba distinto (b/v, c/s/z, ll/y, h muda): con "co-a-de", tanto "cojade" como "kohade" o "co hade" pasan a COHADE. Separa varias pronunciaciones con comas.
+                </p>
+              )}
               <button
                 onClick={async () => {
                   if (!newEntry.find.trim() || !newEntry.replace.trim()) {
@@ -967,7 +2210,8 @@ function ControlPanel() {
                   if (window.electronAPI?.addDictionaryEntry) {
                     const result = await window.electronAPI.addDictionaryEntry(newEntry);
                     if (result.success) {
-                      setNewEntry({ find: '', replace: '', soundsLike: '' });
+                      setNewEntry(prev => ({ type: 'text', find: '', replace: '', soundsLike: '', groupId: prev.groupId }));
+                      setEntryPreviewText('');
                       loadDictionary();
                     } else {
                       alert('Error: ' + result.error);
@@ -1005,6 +2249,9 @@ function ControlPanel() {
                         <th className="px-4 py-2 text-left text-xs font-medium text-slate-400">Buscar</th>
                         <th className="px-4 py-2 text-left text-xs font-medium text-slate-400">Reemplazar</th>
                         <th className="px-4 py-2 text-left text-xs font-medium text-slate-400">Suena como</th>
+                        {(dictionary.groups || []).length > 0 && (
+                          <th className="px-4 py-2 text-left text-xs font-medium text-slate-400">Grupo</th>
+                        )}
                         <th className="px-4 py-2 text-right text-xs font-medium text-slate-400">Acciones</th>
                       </tr>
                     </thead>
@@ -1033,7 +2280,12 @@ function ControlPanel() {
                                 className="w-full bg-slate-700 border border-slate-500 rounded px-2 py-1 text-white text-sm"
                               />
                             ) : (
-                              <span className="text-white font-mono text-sm">{entry.find}</span>
+                              <span className="text-white font-mono text-sm">
+                                {entry.find}
+                                {entry.type === 'regex' && (
+                                  <span className="ml-2 text-xs font-sans bg-purple-500/20 text-purple-300 px-1.5 py-0.5 rounded">regex</span>
+                                )}
+                              </span>
                             )}
                           </td>
                           <td className="px-4 py-3">
@@ -1045,7 +2297,12 @@ function ControlPanel() {
                                 className="w-full bg-slate-700 border border-slate-500 rounded px-2 py-1 text-white text-sm"
                               />
                             ) : (
-                              <span className="text-green-400 font-mono text-sm">{entry.replace}</span>
+                              <span className="text-green-400 font-mono text-sm">
+                                {entry.replace}
+                                {whisperPromptTerms?.enabled && whisperPromptTerms.included.some(term => term.entryId === entry.id) && (
+                                  <span className="ml-2 text-xs font-sans bg-blue-500/20 text-blue-400 px-1.5 py-0.5 rounded" title="Incluido en el prompt de Whisper">prompt</span>
+                                )}
+                              </span>
                             )}
                           </td>
                           <td className="px-4 py-3 text-slate-400 text-sm">
@@ -1060,6 +2317,24 @@ function ControlPanel() {
                               entry.soundsLike || '—'
                             )}
                           </td>
+                          {(dictionary.groups || []).length > 0 && (
+                            <td className="px-4 py-3 text-slate-400 text-sm">
+                              {editingEntry?.id === entry.id ? (
+                                <select
+                                  value={editingEntry.groupId || ''}
+                                  onChange={(e) => setEditingEntry(prev => ({ ...prev, groupId: e.target.value }))}
+                                  className="w-full bg-slate-700 border border-slate-500 rounded px-2 py-1 text-white text-sm"
+                                >
+                                  <option value="">Sin grupo</option>
+                                  {dictionary.groups.map(group => (
+                                    <option key={group.id} value={group.id}>{group.name}</option>
+                                  ))}
+                                </select>
+                              ) : (
+                                dictionary.groups.find(group => group.id === entry.groupId)?.name || '—'
+                              )}
+                            </td>
+                          )}
                           <td className="px-4 py-3 text-right">
                             {editingEntry?.id === entry.id ? (
                               <div className="flex justify-end gap-2">
@@ -1069,7 +2344,8 @@ function ControlPanel() {
                                       await window.electronAPI.updateDictionaryEntry(entry.id, {
                                         find: editingEntry.find,
                                         replace: editingEntry.replace,
-                                        soundsLike: editingEntry.soundsLike
+                                        soundsLike: editingEntry.soundsLike,
+                                        groupId: editingEntry.groupId || ''
                                       });
                                       setEditingEntry(null);
                                       loadDictionary();
@@ -1088,6 +2364,20 @@ function ControlPanel() {
                               </div>
                             ) : (
                               <div className="flex justify-end gap-2">
+                                {entry.type !== 'regex' && (
+                                  <button
+                                    onClick={async () => {
+                                      await window.electronAPI?.updateDictionaryEntry(entry.id, { pinned: !entry.pinned });
+                                      loadDictionary();
+                                    }}
+                                    className={`p-1.5 rounded transition-colors ${
+                                      entry.pinned ? 'text-blue-400 bg-blue-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'
+                                    }`}
+                                    title={entry.pinned ? 'Quitar del prompt fijo' : 'Fijar en el prompt de Whisper'}
+                                  >
+                                    <Pin size={14} />
+                                  </button>
+                                )}
                                 <button
                                   onClick={() => setEditingEntry({ ...entry })}
                                   className="p-1.5 text-slate-400 hover:text-white hover:bg-slate-700 rounded transition-colors"
@@ -1120,6 +2410,38 @@ function ControlPanel() {
               )}
             </div>
 
+            {/* Whisper prompt terms */}
+            {whisperPromptTerms && dictionary.entries.length > 0 && (
+              <div className="bg-slate-800/50 rounded-xl p-4">
+                <h4 className="text-sm font-medium text-slate-300 mb-1 flex items-center gap-2">
+                  <Mic size={16} className="text-blue-400" />
+                  Términos en el prompt de Whisper
+                </h4>
+                {!whisperPromptTerms.enabled ? (
+                  <p className="text-xs text-slate-400">Desactivado en la configuración del diccionario.</p>
+                ) : (
+                  <>
+                    <p className="text-xs text-slate-400 mb-3">
+                      {whisperPromptTerms.included.length} términos · ~{whisperPromptTerms.tokensUsed} de {whisperPromptTerms.tokenBudget} tokens libres (Whisper admite {whisperPromptTerms.tokenLimit} en todo el prompt). Van primero los fijados y después los que más se han corregido últimamente.
+                    </p>
+                    <div className="flex flex-wrap gap-1.5">
+                      {whisperPromptTerms.included.map(term => (
+                        <span key={term.entryId} className="flex items-center gap-1 text-xs font-mono bg-slate-900/40 text-green-400 px-2 py-0.5 rounded">
+                          {term.pinned && <Pin size={10} className="text-blue-400" />}
+                          {term.term}
+                        </span>
+                      ))}
+                    </div>
+                    {whisperPromptTerms.excluded.some(term => term.reason !== 'duplicate') && (
+                      <p className="text-xs text-slate-500 mt-3">
+                        No caben: {whisperPromptTerms.excluded.filter(term => term.reason !== 'duplicate').map(term => term.term).join(', ')}
+                      </p>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Test area */}
             <div className="bg-slate-800/50 rounded-xl p-4">
               <h4 className="text-sm font-medium text-slate-300 mb-3 flex items-center gap-2">
@@ -1137,7 +2459,7 @@ function ControlPanel() {
                 <button
                   onClick={async () => {
                     if (window.electronAPI?.testReplacement && testText.trim()) {
-                      const result = await window.electronAPI.testReplacement(testText);
+                      const result = await window.electronAPI.testReplacement(testText, { language: settings.language });
                       if (result.success) {
                         setTestResult(result);
                       }
@@ -1159,6 +2481,18 @@ function ControlPanel() {
                 <div className="mt-3 p-3 bg-slate-700/50 rounded-lg">
                   <p className="text-xs text-slate-400 mb-1">Resultado:</p>
                   <p className="text-green-400 font-mono text-sm">{testResult.result}</p>
+                  {testResult.matches?.length > 0 && (
+                    <ul className="mt-3 space-y-1 text-xs text-slate-400">
+                      {testResult.matches.map((match, index) => (
+                        <li key={index}>
+                          <span className="font-mono text-white">«{match.matched}»</span> → <span className="font-mono text-green-400">{match.replace}</span>
+                          {match.type === 'exact' && ` · coincide con "${match.find}"`}
+                          {match.type === 'regex' && ` · coincide con el patrón /${match.find}/`}
+                          {match.type === 'phonetic' && ` · suena igual que "${match.sourceText}" (clave fonética ${match.key})`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               )}
             </div>
@@ -1193,33 +2527,553 @@ function ControlPanel() {
                         dictionary.settings.enableWhisperHints ? 'translate-x-6' : 'translate-x-1'
                       }`}
                     />
-                  </button>
-                </div>
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm text-white">Aplicar reemplazos automáticamente</p>
-                    <p className="text-xs text-slate-400">Corrige errores después de la transcripción</p>
+                  </button>
+                </div>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm text-white">Aplicar reemplazos automáticamente</p>
+                    <p className="text-xs text-slate-400">Corrige errores después de la transcripción</p>
+                  </div>
+                  <button
+                    onClick={async () => {
+                      if (window.electronAPI?.updateDictionarySettings) {
+                        await window.electronAPI.updateDictionarySettings({
+                          enablePostProcessing: !dictionary.settings.enablePostProcessing
+                        });
+                        loadDictionary();
+                      }
+                    }}
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                      dictionary.settings.enablePostProcessing ? 'bg-blue-600' : 'bg-slate-600'
+                    }`}
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                        dictionary.settings.enablePostProcessing ? 'translate-x-6' : 'translate-x-1'
+                      }`}
+                    />
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* Hallucination filter */}
+            <div className="bg-slate-800/50 rounded-xl p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <h4 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                    <ShieldAlert size={16} className="text-amber-400" />
+                    Filtro de frases fantasma
+                  </h4>
+                  <p className="text-xs text-slate-400 mt-1">
+                    Elimina frases que Whisper inventa ("Gracias por ver el video", créditos de Amara.org) y repeticiones en bucle
+                  </p>
+                </div>
+                <button
+                  onClick={() => updateHallucinationFilter({ enabled: !hallucinationFilter.enabled })}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    hallucinationFilter.enabled ? 'bg-blue-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      hallucinationFilter.enabled ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {hallucinationFilter.enabled && (
+                <div className="space-y-2">
+                  <label className="block text-xs text-slate-400">
+                    Frases adicionales a bloquear (una por línea, se eliminan cuando forman una oración completa)
+                  </label>
+                  <textarea
+                    value={blocklistDraft}
+                    onChange={(e) => setBlocklistDraft(e.target.value)}
+                    placeholder="Ej: Hasta la próxima"
+                    className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+                    rows={3}
+                  />
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={async () => {
+                        const saved = await updateHallucinationFilter({ blocklist: blocklistDraft.split('\n') });
+                        if (saved) {
+                          setBlocklistSaved(true);
+                          setTimeout(() => setBlocklistSaved(false), 2000);
+                        }
+                      }}
+                      className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                    >
+                      <Save size={14} />
+                      Guardar lista
+                    </button>
+                    {blocklistSaved && <span className="text-xs text-green-400">Guardado</span>}
+                  </div>
+                  {hallucinationFilter.defaults.length > 0 && (
+                    <details className="text-xs text-slate-500">
+                      <summary className="cursor-pointer hover:text-slate-400">
+                        Ver frases incluidas por defecto ({hallucinationFilter.defaults.length})
+                      </summary>
+                      <ul className="mt-2 space-y-0.5 list-disc list-inside">
+                        {hallucinationFilter.defaults.map(phrase => <li key={phrase}>{phrase}</li>)}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Voice commands */}
+            <div className="bg-slate-800/50 rounded-xl p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <h4 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                    <Mic size={16} className="text-blue-400" />
+                    Comandos de voz
+                  </h4>
+                  <p className="text-xs text-slate-400 mt-1">
+                    Di "punto", "nueva línea" o "borrar eso" para dar formato sin el modo inteligente. No se aplican en los modos literal y código
+                  </p>
+                </div>
+                <button
+                  onClick={() => updateVoiceCommands({ enabled: !voiceCommands.enabled })}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    voiceCommands.enabled ? 'bg-blue-600' : 'bg-slate-600'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      voiceCommands.enabled ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {voiceCommands.enabled && (
+                <div className="space-y-2">
+                  <p className="text-xs text-slate-500">
+                    Solo cuentan como comando cuando no forman parte de la frase ("mi punto de vista" no se toca). "Punto" y "coma" sueltos necesitan una pausa antes o después, o ir al final del dictado. Di "literal punto" para escribir la palabra.
+                  </p>
+                  <div className="max-h-64 overflow-y-auto space-y-1 pr-1">
+                    {voiceCommandsDraft.map((command, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={command.enabled}
+                          onChange={(e) => updateVoiceCommandDraft(index, { enabled: e.target.checked })}
+                          className="rounded bg-slate-700 border-slate-600"
+                          title="Activo"
+                        />
+                        <input
+                          type="text"
+                          value={command.phrase}
+                          onChange={(e) => updateVoiceCommandDraft(index, { phrase: e.target.value })}
+                          placeholder="Frase"
+                          maxLength={50}
+                          className="flex-1 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <select
+                          value={command.action}
+                          onChange={(e) => updateVoiceCommandDraft(index, { action: e.target.value })}
+                          className="w-44 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {voiceCommands.actions.map(action => (
+                            <option key={action.id} value={action.id}>{action.label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => setVoiceCommandsDraft(prev => prev.filter((_, i) => i !== index))}
+                          className="p-1 text-slate-400 hover:text-red-400 transition-colors"
+                          title="Eliminar"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => setVoiceCommandsDraft(prev => [...prev, { phrase: '', action: 'period', enabled: true }])}
+                      disabled={voiceCommandsDraft.length >= voiceCommands.maxCommands}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-xs text-white transition-colors"
+                    >
+                      <Plus size={14} />
+                      Añadir
+                    </button>
+                    <button
+                      onClick={() => setVoiceCommandsDraft(voiceCommands.defaults)}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-xs text-white transition-colors"
+                    >
+                      <RefreshCw size={14} />
+                      Restaurar por defecto
+                    </button>
+                    <button
+                      onClick={saveVoiceCommandsDraft}
+                      className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                    >
+                      <Save size={14} />
+                      Guardar comandos
+                    </button>
+                    {voiceCommandsStatus && (
+                      <span className={`text-xs ${voiceCommandsStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                        {voiceCommandsStatus.message}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        );
+
+      case TABS.PROMPTS:
+        return (
+          <div className="space-y-6">
+            {/* Header with import/export */}
+            <div className="flex justify-between items-center">
+              <div>
+                <h3 className="text-lg font-medium text-white">Plantillas de IA</h3>
+                <p className="text-sm text-slate-400 mt-1">
+                  Instrucciones que recibe la IA en el modo inteligente, también cuando se procesa a través del servidor
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={async () => {
+                    if (window.electronAPI?.exportPromptTemplates) {
+                      const result = await window.electronAPI.exportPromptTemplates();
+                      if (result.success) {
+                        const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+                        const url = URL.createObjectURL(blob);
+                        const a = document.createElement('a');
+                        a.href = url;
+                        a.download = `murmullo-plantillas-${new Date().toISOString().split('T')[0]}.json`;
+                        a.click();
+                        URL.revokeObjectURL(url);
+                      }
+                    }
+                  }}
+                  className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-white transition-colors"
+                >
+                  <Download size={16} />
+                  Exportar
+                </button>
+                <label className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-sm text-white transition-colors cursor-pointer">
+                  <Upload size={16} />
+                  Importar
+                  <input
+                    type="file"
+                    accept=".json"
+                    className="hidden"
+                    onChange={async (e) => {
+                      const file = e.target.files?.[0];
+                      if (file && window.electronAPI?.importPromptTemplates) {
+                        const reader = new FileReader();
+                        reader.onload = async (event) => {
+                          try {
+                            const result = await window.electronAPI.importPromptTemplates(event.target.result);
+                            if (result.success) {
+                              alert(`Importado: ${result.addedCount} plantillas nuevas`);
+                              applyPromptTemplates(result.templates);
+                            } else {
+                              alert('Error al importar: ' + result.error);
+                            }
+                          } catch (err) {
+                            alert('Error al importar: ' + err.message);
+                          }
+                        };
+                        reader.readAsText(file);
+                      }
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+              </div>
+            </div>
+
+            {/* Variables */}
+            <div className="bg-slate-800/50 rounded-xl p-4">
+              <h4 className="text-sm font-medium text-slate-300 mb-2">Variables</h4>
+              <ul className="text-xs text-slate-400 space-y-1">
+                {promptTemplates.variables.map(variable => (
+                  <li key={variable.name}>
+                    <code className="text-blue-300">{`{{${variable.name}}}`}</code> — {variable.description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Built-in templates */}
+            <div className="bg-slate-800/50 rounded-xl p-4 space-y-3">
+              <h4 className="text-sm font-medium text-slate-300">Plantillas incluidas</h4>
+              {promptTemplates.templates.filter(template => template.builtin).map(template => (
+                <details key={template.id} className="bg-slate-900/40 rounded-lg p-3">
+                  <summary className="flex items-center gap-2 cursor-pointer text-sm text-white">
+                    {template.name}
+                    {settings.promptTemplateId === template.id && (
+                      <span className="text-xs bg-blue-500/20 text-blue-400 px-1.5 py-0.5 rounded">En uso</span>
+                    )}
+                    <button
+                      onClick={(e) => { e.preventDefault(); addPromptTemplate(template); }}
+                      disabled={templatesDraft.length >= promptTemplates.maxTemplates}
+                      className="ml-auto flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded text-xs text-white transition-colors"
+                    >
+                      <Plus size={12} />
+                      Duplicar
+                    </button>
+                  </summary>
+                  <pre className="mt-2 text-xs text-slate-400 whitespace-pre-wrap font-sans">{template.body}</pre>
+                </details>
+              ))}
+            </div>
+
+            {/* User templates */}
+            <div className="bg-slate-800/50 rounded-xl p-4 space-y-3">
+              <h4 className="text-sm font-medium text-slate-300">Mis plantillas ({templatesDraft.length}/{promptTemplates.maxTemplates})</h4>
+              {templatesDraft.length === 0 && (
+                <p className="text-xs text-slate-500">Aún no tienes plantillas propias. Crea una nueva o duplica una de las incluidas.</p>
+              )}
+              {templatesDraft.map(template => (
+                <div key={template.id} className="bg-slate-900/40 rounded-lg p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={template.name}
+                      onChange={(e) => updateTemplateDraft(template.id, { name: e.target.value })}
+                      placeholder="Nombre"
+                      maxLength={60}
+                      className="flex-1 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {settings.promptTemplateId === template.id && (
+                      <span className="text-xs bg-blue-500/20 text-blue-400 px-1.5 py-0.5 rounded">En uso</span>
+                    )}
+                    <button
+                      onClick={() => setTemplatesDraft(prev => prev.filter(t => t.id !== template.id))}
+                      className="p-1 text-slate-400 hover:text-red-400 transition-colors"
+                      title="Eliminar"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <textarea
+                    value={template.body}
+                    onChange={(e) => updateTemplateDraft(template.id, { body: e.target.value })}
+                    placeholder="Corrige la puntuación de esta transcripción en {{language}}..."
+                    rows={6}
+                    maxLength={8000}
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={() => addPromptTemplate()}
+                  disabled={templatesDraft.length >= promptTemplates.maxTemplates}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Plus size={14} />
+                  Nueva plantilla
+                </button>
+                <button
+                  onClick={saveTemplatesDraft}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Save size={14} />
+                  Guardar plantillas
+                </button>
+                {templatesStatus && (
+                  <span className={`text-xs ${templatesStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {templatesStatus.message}
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+
+      case TABS.APPS:
+        return (
+          <div className="space-y-6">
+            <div className="flex justify-between items-center">
+              <div>
+                <h3 className="text-lg font-medium text-white">Perfiles por aplicación</h3>
+                <p className="text-sm text-slate-400 mt-1">
+                  Al empezar a dictar con el hotkey principal, Murmullo mira qué aplicación está activa y aplica la primera regla que coincida
+                </p>
+              </div>
+              <button
+                onClick={() => updateAppProfiles({ enabled: !appProfiles.enabled })}
+                className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition-colors ${
+                  appProfiles.enabled ? 'bg-blue-600' : 'bg-slate-600'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    appProfiles.enabled ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            {appProfiles.platform === 'linux' && (
+              <div className="flex items-start gap-2 p-3 bg-amber-500/10 border border-amber-500/30 rounded-lg text-xs text-amber-300">
+                <AlertCircle size={14} className="mt-0.5 shrink-0" />
+                En Linux la detección usa xprop (ej: sudo apt install x11-utils) y solo ve ventanas X11 o XWayland.
+              </div>
+            )}
+
+            {/* Detect the current application */}
+            <div className="bg-slate-800/50 rounded-xl p-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h4 className="text-sm font-medium text-slate-300">¿Cómo se llama la aplicación?</h4>
+                  <p className="text-xs text-slate-400 mt-1">
+                    Pulsa el botón y cambia a la aplicación en los próximos 3 segundos
+                  </p>
+                </div>
+                <button
+                  onClick={detectAppWithCountdown}
+                  disabled={detectedApp?.countdown > 0}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-xs text-white transition-colors"
+                >
+                  <AppWindow size={14} />
+                  {detectedApp?.countdown > 0 ? `Detectando en ${detectedApp.countdown}...` : 'Detectar'}
+                </button>
+              </div>
+              {detectedApp?.app && (
+                <p className="mt-2 text-xs text-slate-300">
+                  Aplicación: <code className="text-blue-300">{detectedApp.app.names.join(', ')}</code>
+                  {detectedApp.app.title && <> · Título: <span className="text-slate-400">{detectedApp.app.title}</span></>}
+                </p>
+              )}
+              {detectedApp?.error && (
+                <p className="mt-2 text-xs text-red-400">{detectedApp.error}</p>
+              )}
+            </div>
+
+            {/* Rules */}
+            <div className="bg-slate-800/50 rounded-xl p-4 space-y-3">
+              <h4 className="text-sm font-medium text-slate-300">Reglas ({appRulesDraft.length}/{appProfiles.maxRules})</h4>
+              <p className="text-xs text-slate-500">
+                Escribe los nombres de aplicación separados por comas. Los campos "como en General" usan los ajustes de la pestaña General. Los perfiles de hotkey tienen prioridad.
+              </p>
+              {appRulesDraft.map(rule => (
+                <div key={rule.id} className="bg-slate-900/40 rounded-lg p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { enabled: e.target.checked })}
+                      className="rounded bg-slate-700 border-slate-600"
+                      title="Activa"
+                    />
+                    <input
+                      type="text"
+                      value={rule.name}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { name: e.target.value })}
+                      placeholder="Nombre"
+                      maxLength={50}
+                      className="flex-1 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      onClick={() => setAppRulesDraft(prev => prev.filter(r => r.id !== rule.id))}
+                      className="p-1 text-slate-400 hover:text-red-400 transition-colors"
+                      title="Eliminar"
+                    >
+                      <Trash2 size={14} />
+                    </button>
                   </div>
-                  <button
-                    onClick={async () => {
-                      if (window.electronAPI?.updateDictionarySettings) {
-                        await window.electronAPI.updateDictionarySettings({
-                          enablePostProcessing: !dictionary.settings.enablePostProcessing
-                        });
-                        loadDictionary();
-                      }
-                    }}
-                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                      dictionary.settings.enablePostProcessing ? 'bg-blue-600' : 'bg-slate-600'
-                    }`}
-                  >
-                    <span
-                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                        dictionary.settings.enablePostProcessing ? 'translate-x-6' : 'translate-x-1'
-                      }`}
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      value={rule.appsText}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { appsText: e.target.value })}
+                      placeholder="Aplicaciones (ej: code, slack)"
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
                     />
-                  </button>
+                    <input
+                      type="text"
+                      value={rule.titleContains}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { titleContains: e.target.value })}
+                      placeholder="El título contiene (opcional)"
+                      maxLength={100}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <select
+                      value={rule.processingMode}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { processingMode: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Modo: como en General</option>
+                      <option value="verbatim">Literal</option>
+                      <option value="fast">Rápido</option>
+                      <option value="smart">Inteligente (IA)</option>
+                      <option value="code">Código</option>
+                    </select>
+                    <select
+                      value={rule.language}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { language: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Idioma: como en General</option>
+                      <option value="es">Español</option>
+                      <option value="en">English</option>
+                      <option value="auto">Auto-detectar</option>
+                    </select>
+                    <select
+                      value={rule.outputMode}
+                      onChange={(e) => updateAppRuleDraft(rule.id, { outputMode: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Salida: como en General</option>
+                      <option value="paste">Salida: pegar</option>
+                      <option value="type">Salida: escribir tecla por tecla</option>
+                    </select>
+                    {(rule.processingMode === 'smart' || !rule.processingMode) && (
+                      <select
+                        value={rule.promptTemplateId}
+                        onChange={(e) => updateAppRuleDraft(rule.id, { promptTemplateId: e.target.value })}
+                        className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Plantilla: como en General</option>
+                        {promptTemplates.templates.map(template => (
+                          <option key={template.id} value={template.id}>Plantilla: {template.name}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
                 </div>
+              ))}
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={addAppRule}
+                  disabled={appRulesDraft.length >= appProfiles.maxRules}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Plus size={14} />
+                  Añadir regla
+                </button>
+                <button
+                  onClick={() => setAppRulesDraft(appProfiles.defaults.map(toAppRuleDraft))}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-xs text-white transition-colors"
+                >
+                  <RefreshCw size={14} />
+                  Restaurar por defecto
+                </button>
+                <button
+                  onClick={saveAppRulesDraft}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Save size={14} />
+                  Guardar reglas
+                </button>
+                {appRulesStatus && (
+                  <span className={`text-xs ${appRulesStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {appRulesStatus.message}
+                  </span>
+                )}
               </div>
             </div>
           </div>
@@ -1514,143 +3368,25 @@ function ControlPanel() {
               )}
             </div>
 
-            {/* OpenAI API Key */}
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                OpenAI API Key
-              </label>
-              {apiKeys.openaiHasKey ? (
-                <div className="flex items-center gap-2">
-                  <div className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-slate-400 font-mono text-sm">
-                    {apiKeys.openaiMasked || '••••••••'}
-                  </div>
-                  <button
-                    onClick={async () => {
-                      if (window.electronAPI?.setApiKey) {
-                        await window.electronAPI.setApiKey('openai', '');
-                        setApiKeys(prev => ({ ...prev, openaiHasKey: false, openaiMasked: '' }));
-                        setApiKeySaveStatus(prev => ({ ...prev, openai: 'removed' }));
-                        setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, openai: '' })), 2000);
-                      }
-                    }}
-                    className="bg-red-500/20 hover:bg-red-500/30 text-red-400 px-3 py-2 rounded-lg transition-colors"
-                  >
-                    <Trash2 size={18} />
-                  </button>
-                </div>
-              ) : (
-                <div className="flex items-center gap-2">
-                  <input
-                    type="password"
-                    value={apiKeys.openai}
-                    onChange={(e) => handleApiKeyChange('openai', e.target.value)}
-                    placeholder="sk-..."
-                    className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                  <button
-                    onClick={async () => {
-                      if (window.electronAPI?.setApiKey && apiKeys.openai) {
-                        const result = await window.electronAPI.setApiKey('openai', apiKeys.openai);
-                        if (result.success) {
-                          setApiKeys(prev => ({
-                            ...prev,
-                            openai: '',
-                            openaiHasKey: true,
-                            openaiMasked: result.masked
-                          }));
-                          setApiKeySaveStatus(prev => ({ ...prev, openai: 'saved' }));
-                          setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, openai: '' })), 2000);
-                        }
-                      }
-                    }}
-                    disabled={!apiKeys.openai}
-                    className="bg-blue-500 hover:bg-blue-600 disabled:bg-slate-600 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors"
-                  >
-                    <Shield size={18} />
-                  </button>
-                </div>
-              )}
-              {apiKeySaveStatus.openai && (
-                <p className={`mt-1 text-xs ${apiKeySaveStatus.openai === 'saved' ? 'text-green-400' : 'text-red-400'}`}>
-                  {apiKeySaveStatus.openai === 'saved' ? 'Key guardada de forma segura' : 'Key eliminada'}
-                </p>
-              )}
-              <p className="mt-1 text-xs text-slate-400">
-                Necesario para transcripción con Whisper y procesamiento con GPT.
-              </p>
-            </div>
+            {renderApiKeyField('openai', 'OpenAI API Key', 'sk-...', 'Necesario para transcripción con Whisper y procesamiento con GPT.')}
 
-            {/* Anthropic API Key */}
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Anthropic API Key
-              </label>
-              {apiKeys.anthropicHasKey ? (
-                <div className="flex items-center gap-2">
-                  <div className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-slate-400 font-mono text-sm">
-                    {apiKeys.anthropicMasked || '••••••••'}
-                  </div>
-                  <button
-                    onClick={async () => {
-                      if (window.electronAPI?.setApiKey) {
-                        await window.electronAPI.setApiKey('anthropic', '');
-                        setApiKeys(prev => ({ ...prev, anthropicHasKey: false, anthropicMasked: '' }));
-                        setApiKeySaveStatus(prev => ({ ...prev, anthropic: 'removed' }));
-                        setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, anthropic: '' })), 2000);
-                      }
-                    }}
-                    className="bg-red-500/20 hover:bg-red-500/30 text-red-400 px-3 py-2 rounded-lg transition-colors"
-                  >
-                    <Trash2 size={18} />
-                  </button>
-                </div>
-              ) : (
-                <div className="flex items-center gap-2">
-                  <input
-                    type="password"
-                    value={apiKeys.anthropic}
-                    onChange={(e) => handleApiKeyChange('anthropic', e.target.value)}
-                    placeholder="sk-ant-..."
-                    className="flex-1 bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                  <button
-                    onClick={async () => {
-                      if (window.electronAPI?.setApiKey && apiKeys.anthropic) {
-                        const result = await window.electronAPI.setApiKey('anthropic', apiKeys.anthropic);
-                        if (result.success) {
-                          setApiKeys(prev => ({
-                            ...prev,
-                            anthropic: '',
-                            anthropicHasKey: true,
-                            anthropicMasked: result.masked
-                          }));
-                          setApiKeySaveStatus(prev => ({ ...prev, anthropic: 'saved' }));
-                          setTimeout(() => setApiKeySaveStatus(prev => ({ ...prev, anthropic: '' })), 2000);
-                        }
-                      }
-                    }}
-                    disabled={!apiKeys.anthropic}
-                    className="bg-blue-500 hover:bg-blue-600 disabled:bg-slate-600 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors"
-                  >
-                    <Shield size={18} />
-                  </button>
-                </div>
-              )}
-              {apiKeySaveStatus.anthropic && (
-                <p className={`mt-1 text-xs ${apiKeySaveStatus.anthropic === 'saved' ? 'text-green-400' : 'text-red-400'}`}>
-                  {apiKeySaveStatus.anthropic === 'saved' ? 'Key guardada de forma segura' : 'Key eliminada'}
-                </p>
-              )}
-              <p className="mt-1 text-xs text-slate-400">
-                Necesario para procesamiento con Claude (recomendado para español).
-              </p>
-            </div>
+            {renderApiKeyField('anthropic', 'Anthropic API Key', 'sk-ant-...', 'Necesario para procesamiento con Claude (recomendado para español).')}
+
+            {renderApiKeyField('groq', 'Groq API Key', 'gsk_...', 'Opcional. Transcripción rápida con Whisper y modo inteligente con Llama en Groq.')}
+
+            {renderApiKeyField('gemini', 'Google Gemini API Key', 'AIza...', 'Opcional. Modo inteligente con Gemini.')}
+
+            {renderApiKeyField('custom', 'Endpoint compatible con OpenAI (token)', 'Token del servidor', 'Opcional. Se envía solo al endpoint configurado en la pestaña General.')}
+
+            {renderApiKeyField('ollama', 'Servidor de IA local (token)', 'Token del servidor', 'Opcional. Ollama no lo necesita; sirve para servidores locales con autenticación.')}
 
             <div className="p-4 bg-slate-700/50 rounded-lg">
               <h4 className="text-sm font-medium text-slate-300 mb-2">Obtener API Keys</h4>
               <ul className="text-xs text-slate-400 space-y-1">
                 <li>• OpenAI: <a href="https://platform.openai.com/api-keys" className="text-blue-400 hover:underline" target="_blank" rel="noopener">platform.openai.com/api-keys</a></li>
                 <li>• Anthropic: <a href="https://console.anthropic.com" className="text-blue-400 hover:underline" target="_blank" rel="noopener">console.anthropic.com</a></li>
+                <li>• Groq: <a href="https://console.groq.com/keys" className="text-blue-400 hover:underline" target="_blank" rel="noopener">console.groq.com/keys</a></li>
+                <li>• Google Gemini: <a href="https://aistudio.google.com/apikey" className="text-blue-400 hover:underline" target="_blank" rel="noopener">aistudio.google.com/apikey</a></li>
               </ul>
             </div>
 
@@ -1679,10 +3415,32 @@ function ControlPanel() {
                 {formatHotkeyDisplay(currentHotkey)}
               </div>
               <p className="mt-2 text-xs text-slate-400">
-                Presiona este atajo de teclado para iniciar/detener la grabación desde cualquier aplicación.
+                {hotkeyMode === 'push-to-talk'
+                  ? 'Mantén presionado este atajo para grabar y suéltalo para detener, desde cualquier aplicación.'
+                  : 'Presiona este atajo de teclado para iniciar/detener la grabación desde cualquier aplicación.'}
               </p>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Modo del hotkey
+              </label>
+              <select
+                value={hotkeyMode}
+                onChange={(e) => changeHotkeyMode(e.target.value)}
+                className="w-full bg-slate-700 border border-slate-600 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="toggle">Alternar (presionar para iniciar y detener)</option>
+                <option value="push-to-talk">Mantener presionado (push-to-talk)</option>
+              </select>
+              {hotkeyMode === 'push-to-talk' && (
+                <p className="mt-1 text-xs text-slate-500">
+                  Usa un atajo que no escriba texto (por ejemplo con Ctrl o Alt), ya que las teclas
+                  siguen llegando a la aplicación activa. En Linux requiere una sesión X11.
+                </p>
+              )}
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-2">
                 Cambiar hotkey
@@ -1741,12 +3499,213 @@ function ControlPanel() {
               </p>
             </div>
 
+            {/* Cancel / re-paste */}
+            <div className="p-4 bg-slate-700/50 rounded-lg space-y-3">
+              <div>
+                <h3 className="font-medium text-white">Acciones rápidas</h3>
+                <p className="text-sm text-slate-400">
+                  Atajos opcionales. Déjalos vacíos para desactivarlos.
+                </p>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Cancelar grabación (sin transcribir)</label>
+                  <input
+                    type="text"
+                    value={actionHotkeys.cancel}
+                    onChange={(e) => setActionHotkeys(prev => ({ ...prev, cancel: e.target.value }))}
+                    placeholder="Ej: CommandOrControl+Shift+X"
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-1.5 text-white text-sm font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Volver a pegar la última transcripción</label>
+                  <input
+                    type="text"
+                    value={actionHotkeys.repaste}
+                    onChange={(e) => setActionHotkeys(prev => ({ ...prev, repaste: e.target.value }))}
+                    placeholder="Ej: CommandOrControl+Shift+V"
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-3 py-1.5 text-white text-sm font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={saveActionHotkeys}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Save size={14} />
+                  Guardar atajos
+                </button>
+                {actionHotkeysStatus.message && (
+                  <span className={`text-xs ${actionHotkeysStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {actionHotkeysStatus.message}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            {/* Hotkey profiles */}
+            <div className="p-4 bg-slate-700/50 rounded-lg space-y-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium text-white">Perfiles de dictado</h3>
+                  <p className="text-sm text-slate-400">
+                    Atajos adicionales con su propio idioma, modo y proveedores. El hotkey principal usa la configuración de la pestaña General.
+                  </p>
+                </div>
+                <button
+                  onClick={addHotkeyProfile}
+                  disabled={hotkeyProfiles.length >= maxHotkeyProfiles}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-slate-600 hover:bg-slate-500 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-xs text-white transition-colors shrink-0"
+                >
+                  <Plus size={14} />
+                  Agregar
+                </button>
+              </div>
+
+              {hotkeyProfiles.map((profile) => (
+                <div key={profile.id} className="bg-slate-800/50 rounded-lg p-3 space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={profile.name}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { name: e.target.value })}
+                      placeholder="Nombre"
+                      maxLength={50}
+                      className="flex-1 bg-slate-700 border border-slate-600 rounded px-3 py-1.5 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <input
+                      type="text"
+                      value={profile.hotkey}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { hotkey: e.target.value })}
+                      placeholder="Ej: CommandOrControl+Alt+T"
+                      className="flex-1 bg-slate-700 border border-slate-600 rounded px-3 py-1.5 text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      onClick={() => removeHotkeyProfile(profile.id)}
+                      className="text-slate-400 hover:text-red-400 px-1"
+                      title="Eliminar perfil"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <select
+                      value={profile.processingMode}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { processingMode: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="verbatim">Literal</option>
+                      <option value="fast">Rápido</option>
+                      <option value="smart">Inteligente (IA)</option>
+                      <option value="code">Código</option>
+                    </select>
+                    <select
+                      value={profile.language}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { language: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="es">Español</option>
+                      <option value="en">English</option>
+                      <option value="auto">Auto-detectar</option>
+                    </select>
+                    <select
+                      value={profile.transcriptionProvider}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { transcriptionProvider: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Motor: como en General</option>
+                      <option value="auto">Motor: Automático</option>
+                      {transcriptionProviders.map((provider) => (
+                        <option key={provider.id} value={provider.id}>Motor: {provider.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={profile.outputMode}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { outputMode: e.target.value })}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Salida: como en General</option>
+                      <option value="paste">Salida: pegar</option>
+                      <option value="type">Salida: escribir tecla por tecla</option>
+                    </select>
+                    {profile.processingMode === 'smart' && (
+                      <select
+                        value={profile.reasoningProvider}
+                        onChange={(e) => updateHotkeyProfile(profile.id, { reasoningProvider: e.target.value })}
+                        className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {reasoningProviders.map((provider) => (
+                          <option key={provider.id} value={provider.id}>IA: {provider.name}</option>
+                        ))}
+                      </select>
+                    )}
+                    {/* The AI does the translation, so it only runs in smart mode; the choice is kept for when the mode is back */}
+                    <select
+                      value={profile.translateTo}
+                      onChange={(e) => updateHotkeyProfile(profile.id, { translateTo: e.target.value })}
+                      disabled={profile.processingMode !== 'smart'}
+                      title={profile.processingMode !== 'smart' ? 'La traducción la hace la IA: solo funciona en modo Inteligente' : undefined}
+                      className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <option value="">Sin traducción</option>
+                      <option value="en">Traducir al inglés</option>
+                      <option value="es">Traducir al español</option>
+                    </select>
+                    {profile.processingMode === 'smart' && (
+                      <select
+                        value={profile.promptTemplateId || ''}
+                        onChange={(e) => updateHotkeyProfile(profile.id, { promptTemplateId: e.target.value })}
+                        className="bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Plantilla: como en General</option>
+                        {promptTemplates.templates.map(template => (
+                          <option key={template.id} value={template.id}>Plantilla: {template.name}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {profile.processingMode !== 'smart' && profile.translateTo && (
+                    <p className="text-xs text-amber-400">
+                      La traducción solo se aplica en modo Inteligente: este perfil no traducirá mientras use otro modo.
+                    </p>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={saveHotkeyProfiles}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded-lg text-xs text-white transition-colors"
+                >
+                  <Save size={14} />
+                  Guardar perfiles
+                </button>
+                {profilesStatus.message && (
+                  <span className={`text-xs ${profilesStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {profilesStatus.message}
+                  </span>
+                )}
+              </div>
+            </div>
+
             <div className="p-4 bg-slate-700/50 rounded-lg">
               <h4 className="text-sm font-medium text-slate-300 mb-2">Cómo usar</h4>
               <ol className="text-xs text-slate-400 space-y-2">
-                <li>1. Presiona <kbd className="bg-slate-600 px-1 rounded">{formatHotkeyDisplay(currentHotkey)}</kbd> para empezar a grabar</li>
-                <li>2. Habla tu texto claramente</li>
-                <li>3. Presiona <kbd className="bg-slate-600 px-1 rounded">{formatHotkeyDisplay(currentHotkey)}</kbd> de nuevo para detener</li>
+                {hotkeyMode === 'push-to-talk' ? (
+                  <>
+                    <li>1. Mantén presionado <kbd className="bg-slate-600 px-1 rounded">{formatHotkeyDisplay(currentHotkey)}</kbd> para grabar</li>
+                    <li>2. Habla tu texto claramente</li>
+                    <li>3. Suelta el atajo para detener</li>
+                  </>
+                ) : (
+                  <>
+                    <li>1. Presiona <kbd className="bg-slate-600 px-1 rounded">{formatHotkeyDisplay(currentHotkey)}</kbd> para empezar a grabar</li>
+                    <li>2. Habla tu texto claramente</li>
+                    <li>3. Presiona <kbd className="bg-slate-600 px-1 rounded">{formatHotkeyDisplay(currentHotkey)}</kbd> de nuevo para detener</li>
+                  </>
+                )}
                 <li>4. El texto se pegará automáticamente en la aplicación activa</li>
               </ol>
             </div>
@@ -1798,6 +3757,51 @@ function ControlPanel() {
               </div>
             </div>
 
+            {offlineQueue.length > 0 && (
+              <div className="space-y-2">
+                {offlineQueue.map((item) => (
+                  <div
+                    key={item.id}
+                    className={`rounded-lg p-3 border ${
+                      item.status === 'failed' ? 'bg-red-500/10 border-red-500/30' : 'bg-amber-500/10 border-amber-500/30'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2 text-sm">
+                        {item.status === 'failed'
+                          ? <XCircle size={16} className="text-red-400" />
+                          : <Clock size={16} className="text-amber-400" />}
+                        <span className={item.status === 'failed' ? 'text-red-300' : 'text-amber-300'}>
+                          {item.status === 'failed' ? 'No se pudo transcribir' : 'Pendiente de transcripción'}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => window.electronAPI?.retryOfflineItem(item.id)}
+                          className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+                        >
+                          <RefreshCw size={12} />
+                          Reintentar
+                        </button>
+                        <button
+                          onClick={() => window.electronAPI?.deleteOfflineItem(item.id)}
+                          className="text-slate-400 hover:text-red-400"
+                          title="Descartar grabación"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                    <div className="mt-2 text-xs text-slate-400">
+                      <span>{formatDate(item.createdAt)}</span>
+                      {item.attempts > 0 && <span> · {item.attempts} reintento{item.attempts === 1 ? '' : 's'}</span>}
+                      {item.lastError && <p className="mt-1 text-slate-500 truncate" title={item.lastError}>{item.lastError}</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {history.length === 0 ? (
               <div className="text-center py-8 text-slate-400">
                 <History size={48} className="mx-auto mb-2 opacity-50" />
@@ -1807,11 +3811,66 @@ function ControlPanel() {
               <div className="space-y-2 max-h-[400px] overflow-y-auto">
                 {history.map((item) => (
                   <div key={item.id} className="bg-slate-700/50 rounded-lg p-3">
-                    <div className="flex items-start justify-between gap-2">
-                      <p className="text-sm text-white flex-1">
-                        {item.processed_text || item.original_text}
-                      </p>
-                    </div>
+                    {editingHistory?.id === item.id ? (
+                      <div>
+                        <textarea
+                          value={editingHistory.text}
+                          onChange={(e) => setEditingHistory(prev => ({ ...prev, text: e.target.value }))}
+                          className="w-full bg-slate-700 border border-slate-500 rounded px-2 py-1 text-white text-sm resize-none"
+                          rows={3}
+                        />
+                        <p className="text-xs text-slate-500 mt-1">Las palabras que corrijas a menudo aparecerán como sugerencias en el Diccionario.</p>
+                        <div className="flex justify-end gap-2 mt-2">
+                          <button
+                            onClick={async () => {
+                              const result = await window.electronAPI?.updateTranscription(item.id, editingHistory.text);
+                              if (result?.success) {
+                                setEditingHistory(null);
+                                loadHistory();
+                              } else if (result) {
+                                alert('Error: ' + result.error);
+                              }
+                            }}
+                            disabled={!editingHistory.text.trim()}
+                            className="px-2 py-1 bg-green-600 hover:bg-green-700 disabled:bg-slate-600 rounded text-xs text-white"
+                          >
+                            Guardar
+                          </button>
+                          <button
+                            onClick={() => setEditingHistory(null)}
+                            className="px-2 py-1 bg-slate-600 hover:bg-slate-500 rounded text-xs text-white"
+                          >
+                            Cancelar
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="text-sm text-white flex-1">
+                          {item.processed_text || item.original_text}
+                        </p>
+                        <div className="flex items-center gap-2 shrink-0">
+                          <button
+                            onClick={() => setEditingHistory({ id: item.id, text: item.processed_text || item.original_text })}
+                            className="text-xs text-slate-400 hover:text-white"
+                          >
+                            Editar
+                          </button>
+                          <button
+                            onClick={() => copyHistoryText(item.processed_text || item.original_text)}
+                            className="text-xs text-slate-400 hover:text-white"
+                          >
+                            Copiar
+                          </button>
+                          <button
+                            onClick={() => pasteHistoryText(item.processed_text || item.original_text)}
+                            className="text-xs text-blue-400 hover:text-blue-300"
+                          >
+                            Pegar
+                          </button>
+                        </div>
+                      </div>
+                    )}
                     <div className="mt-2 flex items-center gap-2 text-xs text-slate-400">
                       <span>{formatDate(item.timestamp)}</span>
                       {item.is_processed && (
@@ -1819,6 +3878,11 @@ function ControlPanel() {
                           {item.processing_method}
                         </span>
                       )}
+                      {item.transcription_provider && (
+                        <span className="bg-slate-600/50 text-slate-300 px-2 py-0.5 rounded" title="Motor de transcripción">
+                          {getProviderName(item.transcription_provider)}
+                        </span>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -2396,6 +4460,28 @@ function ControlPanel() {
                 <span className="ml-auto text-xs bg-slate-600 px-1.5 py-0.5 rounded">{dictionary.entries.length}</span>
               )}
             </button>
+            <button
+              onClick={() => setActiveTab(TABS.PROMPTS)}
+              className={`w-full flex items-center gap-3 px-4 py-2 rounded-lg transition-colors ${
+                activeTab === TABS.PROMPTS
+                  ? 'bg-blue-500/20 text-blue-400'
+                  : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              <FileText size={18} />
+              Plantillas IA
+            </button>
+            <button
+              onClick={() => setActiveTab(TABS.APPS)}
+              className={`w-full flex items-center gap-3 px-4 py-2 rounded-lg transition-colors ${
+                activeTab === TABS.APPS
+                  ? 'bg-blue-500/20 text-blue-400'
+                  : 'text-slate-300 hover:bg-slate-800'
+              }`}
+            >
+              <AppWindow size={18} />
+              Aplicaciones
+            </button>
             <button
               onClick={() => setActiveTab(TABS.ACCOUNT)}
               className={`w-full flex items-center gap-3 px-4 py-2 rounded-lg transition-colors ${
@@ -2501,8 +4587,8 @@ function ControlPanel() {
           <div className="max-w-2xl">
             {renderTabContent()}
 
-            {/* Save button (not shown in history, stats, updates, logs, dictionary, or help tabs) */}
-            {activeTab !== TABS.HISTORY && activeTab !== TABS.STATS && activeTab !== TABS.UPDATES && activeTab !== TABS.LOGS && activeTab !== TABS.HELP && activeTab !== TABS.DICTIONARY && (
+            {/* Save button (not shown in history, stats, updates, logs, dictionary, prompts, apps, or help tabs) */}
+            {activeTab !== TABS.HISTORY && activeTab !== TABS.STATS && activeTab !== TABS.UPDATES && activeTab !== TABS.LOGS && activeTab !== TABS.HELP && activeTab !== TABS.DICTIONARY && activeTab !== TABS.PROMPTS && activeTab !== TABS.APPS && (
               <div className="mt-8 flex items-center gap-4">
                 <button
                   onClick={saveSettings}
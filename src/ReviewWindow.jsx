@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Check, Edit3, Copy, X } from 'lucide-react';
+import { getReviewAction, REVIEW_SHORTCUT_HINTS } from './review/reviewShortcuts';
+
+// Pre-paste review popup: shows the dictation before it reaches the focused app
+export default function ReviewWindow() {
+  const [review, setReview] = useState(null); // { text, rawText }
+  const [text, setText] = useState('');
+  const [editing, setEditing] = useState(false);
+  const textareaRef = useRef(null);
+
+  const loadReview = useCallback((data) => {
+    if (!data) return;
+    setReview(data);
+    setText(data.text);
+    setEditing(false);
+  }, []);
+
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    // First review arrives before this window finished loading
+    window.electronAPI.getPendingReview?.().then(loadReview);
+    const unsubscribe = window.electronAPI.onReviewData?.(loadReview);
+    return () => unsubscribe?.();
+  }, [loadReview]);
+
+  const submit = useCallback((action) => {
+    // Nothing to paste: same rule as the disabled "Aceptar y pegar" button
+    if (!review || (action === 'accept' && !text.trim())) return;
+    console.log('[Review] Action:', action);
+    setReview(null);
+    window.electronAPI?.submitReview(action === 'discard' ? { action } : { action, text });
+  }, [review, text]);
+
+  const startEditing = useCallback(() => {
+    setEditing(true);
+    setTimeout(() => textareaRef.current?.focus(), 0);
+  }, []);
+
+  // Back to the text as it was dictated, still waiting for a decision
+  const cancelEditing = useCallback(() => {
+    setText(review?.text ?? '');
+    setEditing(false);
+  }, [review]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const action = getReviewAction(event, { editing, text });
+      if (!action) return;
+      event.preventDefault();
+      if (action === 'edit') {
+        startEditing();
+      } else if (action === 'cancel-edit') {
+        cancelEditing();
+      } else {
+        submit(action);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editing, text, startEditing, cancelEditing, submit]);
+
+  if (!review) {
+    return <div className="h-full bg-slate-900" />;
+  }
+
+  const showRaw = review.rawText && review.rawText !== review.text;
+
+  return (
+    <div className="h-full flex flex-col bg-slate-900 text-white border border-slate-700 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 bg-slate-800 border-b border-slate-700" style={{ WebkitAppRegion: 'drag' }}>
+        <h1 className="text-sm font-medium text-slate-200">Revisar antes de pegar</h1>
+        <span className="text-xs text-slate-500">
+          {editing ? 'Editando: Ctrl+Enter para aceptar · Esc cancelar la edición' : `${REVIEW_SHORTCUT_HINTS.accept} aceptar · ${REVIEW_SHORTCUT_HINTS.edit} editar · ${REVIEW_SHORTCUT_HINTS.discard} descartar`}
+        </span>
+      </div>
+
+      <div className={`flex-1 min-h-0 p-3 gap-3 ${showRaw ? 'grid grid-cols-2' : 'flex'}`}>
+        {showRaw && (
+          <div className="flex flex-col min-h-0">
+            <label className="text-xs text-slate-400 mb-1">Whisper (original)</label>
+            <div className="flex-1 overflow-y-auto bg-slate-800/50 border border-slate-700 rounded p-2 text-sm text-slate-400 whitespace-pre-wrap">
+              {review.rawText}
+            </div>
+          </div>
+        )}
+        <div className="flex-1 flex flex-col min-h-0">
+          {showRaw && <label className="text-xs text-slate-400 mb-1">Procesado con IA</label>}
+          <textarea
+            ref={textareaRef}
+            value={text}
+            readOnly={!editing}
+            onChange={(e) => setText(e.target.value)}
+            onDoubleClick={() => !editing && startEditing()}
+            className={`flex-1 w-full resize-none rounded p-2 text-sm focus:outline-none ${
+              editing
+                ? 'bg-slate-800 border border-blue-500 text-white'
+                : 'bg-slate-800/70 border border-slate-700 text-slate-100'
+            }`}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-end gap-2 px-3 py-2 bg-slate-800 border-t border-slate-700">
+        <button
+          onClick={() => submit('discard')}
+          className="flex items-center gap-1 px-3 py-1.5 rounded text-xs text-slate-300 hover:text-red-400 hover:bg-slate-700 transition-colors"
+          title={REVIEW_SHORTCUT_HINTS.discard}
+        >
+          <X size={14} />
+          Descartar
+        </button>
+        <button
+          onClick={() => submit('copy')}
+          className="flex items-center gap-1 px-3 py-1.5 rounded text-xs text-slate-300 hover:bg-slate-700 transition-colors"
+          title={REVIEW_SHORTCUT_HINTS.copy}
+        >
+          <Copy size={14} />
+          Solo copiar
+        </button>
+        {!editing && (
+          <button
+            onClick={startEditing}
+            className="flex items-center gap-1 px-3 py-1.5 rounded text-xs text-slate-300 hover:bg-slate-700 transition-colors"
+            title={REVIEW_SHORTCUT_HINTS.edit}
+          >
+            <Edit3 size={14} />
+            Editar
+          </button>
+        )}
+        <button
+          onClick={() => submit('accept')}
+          disabled={!text.trim()}
+          className="flex items-center gap-1 px-3 py-1.5 rounded text-xs bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 text-white transition-colors"
+          title={REVIEW_SHORTCUT_HINTS.accept}
+        >
+          <Check size={14} />
+          Aceptar y pegar
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+/**
+ * Silence trimming for Murmullo
+ * Cuts dead air at both ends of a recording before it is uploaded,
+ * and flags recordings that contain no speech at all
+ */
+
+import { computeRms, DEFAULT_SPEECH_THRESHOLD } from './voiceActivity';
+
+const FRAME_MS = 20;
+const PADDING_MS = 250;     // Kept around speech so first/last syllables aren't clipped
+const MIN_VOICED_MS = 200;  // Less voiced audio than this is treated as silence
+
+/**
+ * Find the speech region of a mono recording
+ * @param {Float32Array} samples - Normalized samples in [-1, 1]
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Frame RMS that counts as speech (noise floor)
+ * @param {number} [options.paddingMs]
+ * @param {number} [options.minVoicedMs]
+ * @returns {{ isSilent: boolean, start: number, end: number, voicedMs: number, trimmedStartMs: number, trimmedEndMs: number }}
+ *   start/end are sample indexes (end exclusive) of the region to keep
+ */
+export function analyzeSilence(samples, sampleRate, {
+  threshold = DEFAULT_SPEECH_THRESHOLD,
+  paddingMs = PADDING_MS,
+  minVoicedMs = MIN_VOICED_MS
+} = {}) {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  const frameCount = Math.ceil(samples.length / frameSize);
+
+  let firstVoiced = -1;
+  let lastVoiced = -1;
+  let voicedFrames = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const rms = computeRms(samples.subarray(frame * frameSize, (frame + 1) * frameSize));
+    if (rms >= threshold) {
+      if (firstVoiced === -1) firstVoiced = frame;
+      lastVoiced = frame;
+      voicedFrames++;
+    }
+  }
+
+  const voicedMs = voicedFrames * FRAME_MS;
+  if (firstVoiced === -1 || voicedMs < minVoicedMs) {
+    return { isSilent: true, start: 0, end: 0, voicedMs, trimmedStartMs: 0, trimmedEndMs: 0 };
+  }
+
+  const padding = Math.round(sampleRate * paddingMs / 1000);
+  const start = Math.max(0, firstVoiced * frameSize - padding);
+  const end = Math.min(samples.length, (lastVoiced + 1) * frameSize + padding);
+
+  return {
+    isSilent: false,
+    start,
+    end,
+    voicedMs,
+    trimmedStartMs: Math.round(start / sampleRate * 1000),
+    trimmedEndMs: Math.round((samples.length - end) / sampleRate * 1000)
+  };
+}
+
+/**
+ * Trim leading/trailing silence
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} [options] - See analyzeSilence
+ * @returns {{ samples: Float32Array, isSilent: boolean, trimmedStartMs: number, trimmedEndMs: number, voicedMs: number }}
+ */
+export function trimSilence(samples, sampleRate, options) {
+  const analysis = analyzeSilence(samples, sampleRate, options);
+  return {
+    ...analysis,
+    samples: analysis.isSilent ? samples.subarray(0, 0) : samples.subarray(analysis.start, analysis.end)
+  };
+}
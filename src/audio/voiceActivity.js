@@ -0,0 +1,115 @@
+/**
+ * Voice Activity Detection for Murmullo
+ * Watches the microphone stream and reports when the speaker has gone quiet
+ */
+
+// RMS of normalized samples; ~0.01 is about -40 dBFS, above what noiseSuppression leaves
+export const DEFAULT_SPEECH_THRESHOLD = 0.01;
+export const DEFAULT_SILENCE_TIMEOUT_MS = 2000;
+const MIN_SPEECH_MS = 300;  // Speech needed before auto-stop is armed
+const POLL_INTERVAL_MS = 100;
+
+/**
+ * Root mean square of a block of samples in [-1, 1]
+ * @param {Float32Array|number[]} samples
+ * @returns {number}
+ */
+export function computeRms(samples) {
+  if (!samples || samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Silence state machine, fed one RMS reading at a time.
+ * Nothing triggers until the user has actually spoken, so a slow start
+ * doesn't end the recording before the first word.
+ * @param {object} [options]
+ * @param {number} [options.speechThreshold] - RMS above this counts as speech
+ * @param {number} [options.silenceTimeoutMs] - Quiet time after speech that ends the recording
+ * @param {number} [options.minSpeechMs] - Accumulated speech required to arm the detector
+ * @returns {{ update: (rms: number, now: number) => boolean, hasSpoken: () => boolean }}
+ *   update returns true once, when the silence timeout is reached
+ */
+export function createSilenceDetector({
+  speechThreshold = DEFAULT_SPEECH_THRESHOLD,
+  silenceTimeoutMs = DEFAULT_SILENCE_TIMEOUT_MS,
+  minSpeechMs = MIN_SPEECH_MS
+} = {}) {
+  let speechMs = 0;
+  let lastTime = null;
+  let silenceStartedAt = null;
+  let triggered = false;
+
+  return {
+    update(rms, now) {
+      const elapsed = lastTime === null ? 0 : now - lastTime;
+      lastTime = now;
+      if (triggered) return false;
+
+      if (rms >= speechThreshold) {
+        speechMs += elapsed;
+        silenceStartedAt = null;
+        return false;
+      }
+
+      if (speechMs < minSpeechMs) return false;
+
+      if (silenceStartedAt === null) {
+        silenceStartedAt = now;
+      }
+      if (now - silenceStartedAt >= silenceTimeoutMs) {
+        triggered = true;
+        return true;
+      }
+      return false;
+    },
+    hasSpoken() {
+      return speechMs >= minSpeechMs;
+    }
+  };
+}
+
+/**
+ * Monitor a getUserMedia stream and call onSilence when speech has ended
+ * Uses setInterval instead of requestAnimationFrame because the indicator
+ * window is often unfocused or hidden while dictating.
+ * @param {MediaStream} stream
+ * @param {object} options
+ * @param {Function} options.onSilence - Called once when the silence timeout is reached
+ * @param {number} [options.silenceTimeoutMs]
+ * @param {number} [options.speechThreshold]
+ * @returns {Function} - Stops monitoring and releases the AudioContext
+ */
+export function startVoiceActivityMonitor(stream, { onSilence, silenceTimeoutMs, speechThreshold }) {
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const source = audioContext.createMediaStreamSource(stream);
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+
+  const buffer = new Float32Array(analyser.fftSize);
+  const detector = createSilenceDetector({ silenceTimeoutMs, speechThreshold });
+
+  let stopped = false;
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(interval);
+    source.disconnect();
+    audioContext.close().catch(() => {});
+  };
+
+  const interval = setInterval(() => {
+    analyser.getFloatTimeDomainData(buffer);
+    if (detector.update(computeRms(buffer), Date.now())) {
+      stop();
+      onSilence();
+    }
+  }, POLL_INTERVAL_MS);
+
+  return stop;
+}
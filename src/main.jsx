@@ -2,14 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import ControlPanel from './ControlPanel';
+import ReviewWindow from './ReviewWindow';
 import './styles/globals.css';
 
 // Simple hash-based routing
 const hash = window.location.hash;
 const isControlPanel = hash === '#/control-panel';
+const isReview = hash === '#/review';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    {isControlPanel ? <ControlPanel /> : <App />}
+    {isControlPanel ? <ControlPanel /> : isReview ? <ReviewWindow /> : <App />}
   </React.StrictMode>
 );
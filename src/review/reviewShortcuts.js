@@ -0,0 +1,36 @@
+/**
+ * Keyboard shortcuts for the pre-paste review window
+ */
+
+export const REVIEW_SHORTCUT_HINTS = {
+  accept: 'Enter',
+  edit: 'E',
+  copy: 'Ctrl+Shift+C',
+  discard: 'Esc'
+};
+
+/**
+ * Map a keydown event to a review action
+ * While editing, plain Enter and letters belong to the textarea, so only
+ * the Ctrl/Cmd combinations and Escape count, and Escape cancels the edit
+ * instead of throwing the dictation away.
+ * @param {{ key: string, ctrlKey?: boolean, metaKey?: boolean, shiftKey?: boolean, altKey?: boolean }} event
+ * Accepting needs some text, like the "Aceptar y pegar" button.
+ * @param {{ editing: boolean, text?: string }} state
+ * @returns {'accept' | 'edit' | 'cancel-edit' | 'copy' | 'discard' | null}
+ */
+export function getReviewAction(event, { editing, text }) {
+  const mod = event.ctrlKey || event.metaKey;
+  const key = event.key.toLowerCase();
+  const accept = text === undefined || text.trim() ? 'accept' : null;
+
+  if (key === 'escape') return editing ? 'cancel-edit' : 'discard';
+  if (key === 'enter' && mod) return accept;
+  if (mod && event.shiftKey && key === 'c') return 'copy';
+  if (mod && !event.shiftKey && key === 'e') return 'edit';
+
+  if (editing || mod || event.altKey) return null;
+  if (key === 'enter' && !event.shiftKey) return accept;
+  if (key === 'e' && !event.shiftKey) return 'edit';
+  return null;
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeSilence, trimSilence } from '../../../src/audio/silenceTrim.js';
+
+const SAMPLE_RATE = 16000;
+
+// Build a recording from [durationMs, amplitude] segments (square wave, RMS = amplitude)
+function recording(segments) {
+  const parts = segments.map(([ms, amplitude]) =>
+    Float32Array.from({ length: SAMPLE_RATE * ms / 1000 }, (_, i) => (i % 2 ? amplitude : -amplitude))
+  );
+  const samples = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    samples.set(part, offset);
+    offset += part.length;
+  }
+  return samples;
+}
+
+describe('Silence Trimming', () => {
+  it('should trim leading and trailing silence, keeping padding', () => {
+    const samples = recording([[1000, 0], [1000, 0.2], [2000, 0.001]]);
+    const result = trimSilence(samples, SAMPLE_RATE);
+
+    expect(result.isSilent).toBe(false);
+    expect(result.trimmedStartMs).toBe(750);  // 1000ms silence - 250ms padding
+    expect(result.trimmedEndMs).toBe(1750);   // 2000ms silence - 250ms padding
+    expect(result.samples.length).toBe(SAMPLE_RATE * 1.5);
+  });
+
+  it('should not go past the edges when speech starts immediately', () => {
+    const samples = recording([[500, 0.2]]);
+    const result = trimSilence(samples, SAMPLE_RATE);
+
+    expect(result.trimmedStartMs).toBe(0);
+    expect(result.trimmedEndMs).toBe(0);
+    expect(result.samples.length).toBe(samples.length);
+  });
+
+  it('should reject silence-only recordings', () => {
+    expect(analyzeSilence(recording([[3000, 0]]), SAMPLE_RATE).isSilent).toBe(true);
+  });
+
+  it('should reject recordings below the noise floor', () => {
+    // Constant hiss well under the speech threshold
+    expect(analyzeSilence(recording([[3000, 0.004]]), SAMPLE_RATE).isSilent).toBe(true);
+  });
+
+  it('should reject a lone click shorter than the minimum voiced time', () => {
+    const result = analyzeSilence(recording([[1000, 0], [60, 0.5], [1000, 0]]), SAMPLE_RATE);
+    expect(result.isSilent).toBe(true);
+    expect(result.voicedMs).toBe(60);
+  });
+
+  it('should respect a custom threshold', () => {
+    const quietSpeech = recording([[1000, 0.004]]);
+    expect(analyzeSilence(quietSpeech, SAMPLE_RATE, { threshold: 0.002 }).isSilent).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { computeRms, createSilenceDetector } from '../../../src/audio/voiceActivity.js';
+
+describe('Voice Activity Detection', () => {
+  describe('computeRms', () => {
+    it('should return 0 for empty or silent blocks', () => {
+      expect(computeRms(new Float32Array(0))).toBe(0);
+      expect(computeRms(new Float32Array(128))).toBe(0);
+    });
+
+    it('should match the amplitude of a square wave', () => {
+      const samples = Float32Array.from({ length: 100 }, (_, i) => (i % 2 ? 0.5 : -0.5));
+      expect(computeRms(samples)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('createSilenceDetector', () => {
+    const SPEECH = 0.1;
+    const QUIET = 0.001;
+
+    // Feed readings every 100ms, return the time at which the detector fired
+    const run = (detector, readings, start = 0) => {
+      let t = start;
+      for (const rms of readings) {
+        if (detector.update(rms, t)) return t;
+        t += 100;
+      }
+      return null;
+    };
+
+    it('should not stop before the user starts speaking', () => {
+      const detector = createSilenceDetector({ silenceTimeoutMs: 1000 });
+      expect(run(detector, Array(50).fill(QUIET))).toBeNull();
+      expect(detector.hasSpoken()).toBe(false);
+    });
+
+    it('should stop after the silence timeout following speech', () => {
+      const detector = createSilenceDetector({ silenceTimeoutMs: 1000 });
+      const readings = [...Array(6).fill(SPEECH), ...Array(20).fill(QUIET)];
+      // Speech 0-500ms, silence starts at 600ms, fires 1000ms later
+      expect(run(detector, readings)).toBe(1600);
+    });
+
+    it('should reset the silence timer when speech resumes', () => {
+      const detector = createSilenceDetector({ silenceTimeoutMs: 1000 });
+      const readings = [
+        ...Array(6).fill(SPEECH),
+        ...Array(8).fill(QUIET), // 800ms pause - not enough
+        ...Array(3).fill(SPEECH),
+        ...Array(20).fill(QUIET)
+      ];
+      expect(run(detector, readings)).toBe(2700);
+    });
+
+    it('should ignore short noises that are not speech', () => {
+      const detector = createSilenceDetector({ silenceTimeoutMs: 500 });
+      // A 100ms click is below the 300ms of speech needed to arm auto-stop
+      expect(run(detector, [QUIET, SPEECH, SPEECH, ...Array(20).fill(QUIET)])).toBeNull();
+    });
+
+    it('should fire only once', () => {
+      const detector = createSilenceDetector({ silenceTimeoutMs: 200 });
+      expect(run(detector, [...Array(5).fill(SPEECH), ...Array(5).fill(QUIET)])).not.toBeNull();
+      expect(detector.update(QUIET, 100000)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { createSseParser, interpretStreamEvent, readCompletionStream } from '../../../aiStream.js';
+
+// Response body stand-in delivering the given chunks
+const fakeBody = (chunks) => {
+  const queue = chunks.map(chunk => Buffer.from(chunk, 'utf8'));
+  return {
+    cancelled: false,
+    getReader() {
+      return {
+        read: async () => (queue.length > 0 ? { value: queue.shift(), done: false } : { value: undefined, done: true }),
+        cancel: async () => { this.cancelled = true; }
+      };
+    }
+  };
+};
+
+const anthropicEvent = (type, extra) => `event: ${type}\ndata: ${JSON.stringify({ type, ...extra })}\n\n`;
+const anthropicDelta = (text) => anthropicEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+
+describe('AI Stream', () => {
+  describe('createSseParser', () => {
+    it('should join events split across chunks', () => {
+      const events = [];
+      const parser = createSseParser(event => events.push(event));
+      parser.push('event: ping\r\ndata: {"a"');
+      parser.push(':1}\r\n\r\n: keep-alive\n\ndata: uno\ndata: dos\n');
+      parser.end();
+      expect(events).toEqual([
+        { event: 'ping', data: '{"a":1}' },
+        { event: 'message', data: 'uno\ndos' }
+      ]);
+    });
+  });
+
+  describe('interpretStreamEvent', () => {
+    it('should read OpenAI deltas and the end marker', () => {
+      expect(interpretStreamEvent('openai', { event: 'message', data: '{"choices":[{"delta":{"content":"Hola"}}]}' })).toEqual({ text: 'Hola' });
+      expect(interpretStreamEvent('openai', { event: 'message', data: '{"choices":[{"delta":{"role":"assistant"}}]}' })).toEqual({});
+      expect(interpretStreamEvent('openai', { event: 'message', data: '[DONE]' })).toEqual({ done: true });
+    });
+
+    it('should read Anthropic deltas and errors', () => {
+      expect(interpretStreamEvent('anthropic', { event: 'message_stop', data: '{"type":"message_stop"}' })).toEqual({ done: true });
+      expect(interpretStreamEvent('anthropic', { event: 'error', data: '{"type":"error","error":{"message":"Overloaded"}}' })).toEqual({ error: 'Overloaded' });
+    });
+
+    it('should read the backend events', () => {
+      expect(interpretStreamEvent('backend', { event: 'message', data: '{"text":"Hola"}' })).toEqual({ text: 'Hola' });
+      expect(interpretStreamEvent('backend', { event: 'done', data: '{"latency_ms":900}' })).toEqual({ done: true });
+      expect(interpretStreamEvent('backend', { event: 'error', data: '{"error":"AI processing failed"}' })).toEqual({ error: 'AI processing failed' });
+    });
+  });
+
+  describe('readCompletionStream', () => {
+    it('should report the growing text and return the full completion', async () => {
+      const updates = [];
+      const body = fakeBody([
+        anthropicEvent('message_start', { message: {} }),
+        anthropicDelta('Buenos') + anthropicDelta(' días,').slice(0, 20),
+        anthropicDelta(' días,').slice(20) + anthropicDelta(' ¿qué tal?'),
+        anthropicEvent('message_stop', {})
+      ]);
+      const text = await readCompletionStream(body, 'anthropic', t => updates.push(t));
+      expect(text).toBe('Buenos días, ¿qué tal?');
+      expect(updates).toEqual(['Buenos', 'Buenos días,', 'Buenos días, ¿qué tal?']);
+      expect(body.cancelled).toBe(true);
+    });
+
+    it('should keep multi-byte characters split between chunks', async () => {
+      const chunk = 'data: {"choices":[{"delta":{"content":"canción"}}]}\n\ndata: [DONE]\n\n';
+      const bytes = Buffer.from(chunk, 'utf8');
+      const splitAt = bytes.indexOf(Buffer.from('ó', 'utf8')) + 1;
+      const body = {
+        getReader() {
+          const parts = [bytes.subarray(0, splitAt), bytes.subarray(splitAt)];
+          return {
+            read: async () => (parts.length > 0 ? { value: parts.shift(), done: false } : { done: true }),
+            cancel: async () => {}
+          };
+        }
+      };
+      expect(await readCompletionStream(body, 'openai')).toBe('canción');
+    });
+
+    it('should throw when the provider reports an error', async () => {
+      const body = fakeBody(['data: {"text":"Hola"}\n\n', 'event: error\ndata: {"error":"AI processing failed"}\n\n']);
+      await expect(readCompletionStream(body, 'backend')).rejects.toThrow('AI processing failed');
+    });
+  });
+});
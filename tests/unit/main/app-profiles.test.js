@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_APP_RULES,
+  normalizeAppRule,
+  parseXpropActiveWindow,
+  parseXpropWindow,
+  parseWindowsForeground,
+  detectForegroundApp,
+  findAppRule
+} from '../../../appProfiles.js';
+import { isValidAppProfileSettings } from '../../../ipcValidation.js';
+
+// execFile stand-in answering by the command's first arguments
+const fakeExecFile = (outputs) => (command, args, options, callback) => {
+  const output = outputs[`${command} ${args.slice(0, 2).join(' ')}`];
+  if (output === undefined) callback(new Error(`not found: ${command}`));
+  else callback(null, output);
+};
+
+describe('App Profiles', () => {
+  describe('parseXpropActiveWindow', () => {
+    it('should read the window id', () => {
+      expect(parseXpropActiveWindow('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x3a00007\n')).toBe('0x3a00007');
+    });
+
+    it('should return null without a focused window', () => {
+      expect(parseXpropActiveWindow('_NET_ACTIVE_WINDOW(WINDOW): window id # 0x0\n')).toBeNull();
+      expect(parseXpropActiveWindow('_NET_ACTIVE_WINDOW:  not found.\n')).toBeNull();
+    });
+  });
+
+  describe('parseXpropWindow', () => {
+    it('should read the class and the UTF-8 title', () => {
+      const output = [
+        'WM_CLASS(STRING) = "code", "Code"',
+        '_NET_WM_NAME(UTF8_STRING) = "main.js - murmullo - Visual Studio Code"',
+        'WM_NAME(STRING) = "main.js - murmullo"'
+      ].join('\n');
+      expect(parseXpropWindow(output)).toEqual({ names: ['code'], title: 'main.js - murmullo - Visual Studio Code' });
+    });
+
+    it('should fall back to WM_NAME and unescape quotes', () => {
+      const output = 'WM_CLASS(STRING) = "xterm", "XTerm"\n_NET_WM_NAME:  not found.\nWM_NAME(STRING) = "say \\"hola\\""';
+      expect(parseXpropWindow(output)).toEqual({ names: ['xterm'], title: 'say "hola"' });
+    });
+  });
+
+  describe('parseWindowsForeground', () => {
+    it('should read the process name and title', () => {
+      expect(parseWindowsForeground('OUTLOOK\tBandeja de entrada - Outlook\r\n')).toEqual({
+        names: ['outlook'],
+        title: 'Bandeja de entrada - Outlook'
+      });
+      expect(parseWindowsForeground('\r\n')).toBeNull();
+    });
+  });
+
+  describe('detectForegroundApp', () => {
+    it('should chain the two xprop calls on Linux', async () => {
+      const execFileFn = fakeExecFile({
+        'xprop -root _NET_ACTIVE_WINDOW': '_NET_ACTIVE_WINDOW(WINDOW): window id # 0x4c00003',
+        'xprop -id 0x4c00003': 'WM_CLASS(STRING) = "Mail", "thunderbird"\n_NET_WM_NAME(UTF8_STRING) = "Redactar"'
+      });
+      expect(await detectForegroundApp({ platform: 'linux', execFileFn })).toEqual({ names: ['mail', 'thunderbird'], title: 'Redactar' });
+    });
+
+    it('should return null when the tool is missing', async () => {
+      expect(await detectForegroundApp({ platform: 'linux', execFileFn: fakeExecFile({}) })).toBeNull();
+    });
+  });
+
+  describe('findAppRule', () => {
+    const rules = [
+      normalizeAppRule({ id: 'meet', name: 'Meet', apps: [], titleContains: 'Google Meet' }),
+      normalizeAppRule({ id: 'off', name: 'Off', apps: ['code'], enabled: false }),
+      ...DEFAULT_APP_RULES
+    ];
+
+    it('should match app names from the default rules', () => {
+      expect(findAppRule({ names: ['code'], title: 'x' }, rules).processingMode).toBe('code');
+      expect(findAppRule({ names: ['windowsterminal'], title: '' }, rules).outputMode).toBe('type');
+      expect(findAppRule({ names: ['mail', 'thunderbird'], title: '' }, rules).promptTemplateId).toBe('correo-formal');
+    });
+
+    it('should match the title case-insensitively, in rule order', () => {
+      expect(findAppRule({ names: ['chrome'], title: 'Reunión - google meet' }, rules).id).toBe('meet');
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(findAppRule({ names: ['gimp'], title: '' }, rules)).toBeNull();
+      expect(findAppRule(null, rules)).toBeNull();
+    });
+  });
+
+  describe('normalizeAppRule', () => {
+    it('should lowercase app names, drop ".exe" and fill defaults', () => {
+      expect(normalizeAppRule({ id: 'r', name: ' Slack ', apps: ['Slack.exe', 'slack'], extra: 1 })).toEqual({
+        id: 'r',
+        name: 'Slack',
+        enabled: true,
+        apps: ['slack'],
+        titleContains: '',
+        processingMode: '',
+        language: '',
+        reasoningProvider: '',
+        transcriptionProvider: '',
+        translateTo: '',
+        outputMode: '',
+        promptTemplateId: ''
+      });
+    });
+  });
+
+  describe('isValidAppProfileSettings', () => {
+    it('should accept the defaults and reject invalid rules', () => {
+      expect(isValidAppProfileSettings({ enabled: true, rules: DEFAULT_APP_RULES })).toBe(true);
+      expect(isValidAppProfileSettings({ rules: [{ id: 'r', name: 'Vacía', apps: [], titleContains: '' }] })).toBe(false);
+      expect(isValidAppProfileSettings({ rules: [{ id: 'r', name: 'R', apps: ['code'], processingMode: 'turbo' }] })).toBe(false);
+      expect(isValidAppProfileSettings({ enabled: 'yes' })).toBe(false);
+    });
+  });
+});
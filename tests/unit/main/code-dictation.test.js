@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { toIdentifier, formatCodeDictation } from '../../../codeDictation.js';
+
+const format = (text) => formatCodeDictation(text).text;
+
+describe('Code Dictation', () => {
+  describe('toIdentifier', () => {
+    it('should apply each casing', () => {
+      const words = ['user', 'id'];
+      expect(toIdentifier(words, 'camel')).toBe('userId');
+      expect(toIdentifier(words, 'pascal')).toBe('UserId');
+      expect(toIdentifier(words, 'snake')).toBe('user_id');
+      expect(toIdentifier(words, 'kebab')).toBe('user-id');
+      expect(toIdentifier(words, 'constant')).toBe('USER_ID');
+    });
+
+    it('should drop accents and Whisper punctuation', () => {
+      expect(toIdentifier(['Número', 'de', 'línea,'], 'camel')).toBe('numeroDeLinea');
+    });
+
+    it('should split words that are already cased', () => {
+      expect(toIdentifier(['UserService', 'impl'], 'snake')).toBe('user_service_impl');
+    });
+  });
+
+  describe('formatCodeDictation', () => {
+    it('should turn casing commands into identifiers', () => {
+      expect(format('Camel case user id igual igual null.')).toBe('userId == null');
+      expect(format('constante max retries igual 3 punto y coma')).toBe('MAX_RETRIES = 3;');
+      expect(format('kebab case mi componente')).toBe('mi-componente');
+    });
+
+    it('should end an identifier at Whisper punctuation', () => {
+      expect(format('snake case first name, snake case last name')).toBe('first_name last_name');
+    });
+
+    it('should space operators and glue brackets and member access', () => {
+      expect(format('if abrir paréntesis camel case is ready y lógico count mayor que 0 cerrar paréntesis llave abierta'))
+        .toBe('if(isReady && count > 0) {');
+      expect(format('user punto name')).toBe('user.name');
+      expect(format('x flecha x asterisco 2')).toBe('x => x * 2');
+    });
+
+    it('should open and close quotes', () => {
+      expect(format('const camel case label igual comillas hola comillas')).toBe('const label = "hola"');
+    });
+
+    it('should lowercase the sentence capital Whisper adds', () => {
+      expect(format('Return true.')).toBe('return true');
+      expect(format('HTTP punto get')).toBe('HTTP.get');
+    });
+
+    it('should count identifiers and symbols', () => {
+      expect(formatCodeDictation('pascal case user service igual igual igual')).toEqual({
+        text: 'UserService ===',
+        identifiers: 1,
+        symbols: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIN_SUGGESTION_COUNT,
+  extractSubstitutions,
+  recordCorrections,
+  getDictionarySuggestions,
+  dismissCorrection
+} from '../../../correctionLearner.js';
+import { validateIpcMessage } from '../../../ipcValidation.js';
+
+const emptyLearning = () => ({ candidates: [], dismissed: [] });
+
+describe('Correction Learner', () => {
+  describe('extractSubstitutions', () => {
+    it('should find replaced words, ignoring punctuation around them', () => {
+      expect(extractSubstitutions('Haz un comit del cambio.', 'Haz un commit del cambio.')).toEqual([
+        { find: 'comit', replace: 'commit' }
+      ]);
+      expect(extractSubstitutions('sube el comit, y el poul request', 'sube el commit, y el pull request')).toEqual([
+        { find: 'comit', replace: 'commit' },
+        { find: 'poul', replace: 'pull' }
+      ]);
+    });
+
+    it('should join split words into one substitution', () => {
+      expect(extractSubstitutions('el co hade está listo', 'el COHADE está listo')).toEqual([
+        { find: 'co hade', replace: 'COHADE' }
+      ]);
+    });
+
+    it('should skip insertions, deletions, rewrites and sentence-start capitals', () => {
+      expect(extractSubstitutions('luego push', 'luego git push')).toEqual([]);
+      expect(extractSubstitutions('eh bueno vale', 'bueno vale')).toEqual([]);
+      expect(extractSubstitutions('hoy vamos', 'Hoy vamos')).toEqual([]);
+      expect(extractSubstitutions('dijo que no vendría nunca más', 'confirmó su ausencia definitiva en la reunión')).toEqual([]);
+      expect(extractSubstitutions('usa la api', 'usa la API')).toEqual([{ find: 'api', replace: 'API' }]);
+    });
+  });
+
+  describe('suggestions', () => {
+    it('should suggest a correction once it has been seen enough times', () => {
+      const learning = emptyLearning();
+      for (let i = 0; i < MIN_SUGGESTION_COUNT - 1; i++) {
+        recordCorrections(learning, [{ find: 'comit', replace: 'commit' }]);
+      }
+      expect(getDictionarySuggestions(learning, [])).toEqual([]);
+
+      recordCorrections(learning, [{ find: 'Comit', replace: 'commit' }]);
+      expect(getDictionarySuggestions(learning, [])).toMatchObject([{ find: 'comit', replace: 'commit', count: MIN_SUGGESTION_COUNT }]);
+    });
+
+    it('should hide corrections a dictionary entry already covers', () => {
+      const learning = { candidates: [{ find: 'comit', replace: 'commit', count: 5, lastSeenAt: '2026-01-01T00:00:00.000Z' }], dismissed: [] };
+      expect(getDictionarySuggestions(learning, [{ find: 'Comit', replace: 'commit' }])).toEqual([]);
+    });
+
+    it('should stop counting dismissed corrections', () => {
+      const learning = emptyLearning();
+      recordCorrections(learning, [{ find: 'comit', replace: 'commit' }]);
+      dismissCorrection(learning, 'comit', 'commit');
+      expect(learning.candidates).toEqual([]);
+      expect(recordCorrections(learning, [{ find: 'comit', replace: 'commit' }])).toBe(0);
+      expect(learning.candidates).toEqual([]);
+    });
+  });
+
+  describe('validation', () => {
+    it('should check history edits and dismissals', () => {
+      expect(validateIpcMessage('update-transcription', 12, 'Haz un commit').isValid).toBe(true);
+      expect(validateIpcMessage('update-transcription', '12', 'Haz un commit').isValid).toBe(false);
+      expect(validateIpcMessage('update-transcription', 12, '').isValid).toBe(false);
+      expect(validateIpcMessage('dismiss-dictionary-suggestion', 'comit', '').isValid).toBe(false);
+    });
+  });
+});
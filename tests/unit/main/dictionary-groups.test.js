@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeDictionaryGroup,
+  isDictionaryGroupActive,
+  selectActiveEntries,
+  buildGroupExport,
+  parseGroupImport
+} from '../../../dictionaryGroups.js';
+import { isValidDictionaryEntry, isValidDictionaryGroup, validateIpcMessage } from '../../../ipcValidation.js';
+
+const group = (fields) => normalizeDictionaryGroup({ id: 'g1', name: 'Proyecto Alfa', ...fields });
+
+describe('Dictionary Groups', () => {
+  describe('normalizeDictionaryGroup', () => {
+    it('should fill defaults and drop unknown languages', () => {
+      expect(normalizeDictionaryGroup({ id: 'g1', name: '  Médicos ', languages: ['es', 'fr', 'es'], extra: 1 })).toEqual({
+        id: 'g1',
+        name: 'Médicos',
+        enabled: true,
+        languages: ['es'],
+        profileIds: []
+      });
+    });
+  });
+
+  describe('isDictionaryGroupActive', () => {
+    it('should apply unbound groups everywhere unless disabled', () => {
+      expect(isDictionaryGroupActive(group(), { language: 'en', profileId: 'p1' })).toBe(true);
+      expect(isDictionaryGroupActive(group({ enabled: false }), {})).toBe(false);
+    });
+
+    it('should respect the language, keeping language groups on with auto-detect', () => {
+      const english = group({ languages: ['en'] });
+      expect(isDictionaryGroupActive(english, { language: 'en' })).toBe(true);
+      expect(isDictionaryGroupActive(english, { language: 'es' })).toBe(false);
+      expect(isDictionaryGroupActive(english, { language: 'auto' })).toBe(true);
+    });
+
+    it('should require one of the bound profiles', () => {
+      const bound = group({ profileIds: ['medico'] });
+      expect(isDictionaryGroupActive(bound, { profileId: 'medico' })).toBe(true);
+      expect(isDictionaryGroupActive(bound, { profileId: 'codigo' })).toBe(false);
+      expect(isDictionaryGroupActive(bound, {})).toBe(false);
+    });
+  });
+
+  describe('selectActiveEntries', () => {
+    const entries = [
+      { id: 'a', find: 'cojade', enabled: true },
+      { id: 'b', find: 'alfa', enabled: true, groupId: 'g1' },
+      { id: 'c', find: 'beta', enabled: false, groupId: 'g1' },
+      { id: 'd', find: 'gone', enabled: true, groupId: 'deleted' }
+    ];
+
+    it('should keep ungrouped entries and those of active groups', () => {
+      const ids = (context, groups) => selectActiveEntries(entries, groups, context).map(e => e.id);
+      expect(ids({ language: 'es' }, [group()])).toEqual(['a', 'b', 'd']);
+      expect(ids({ language: 'es' }, [group({ languages: ['en'] })])).toEqual(['a', 'd']);
+    });
+  });
+
+  describe('export and import', () => {
+    it('should round-trip a group with fresh ids and no profile bindings', () => {
+      const source = group({ languages: ['es'], profileIds: ['medico'] });
+      const data = buildGroupExport(source, [
+        { id: 'a', type: 'text', find: 'cojade', replace: 'COHADE', enabled: true, caseSensitive: false, soundsLike: '', groupId: 'g1' },
+        { id: 'b', type: 'text', find: 'otro', replace: 'OTRO', enabled: true, groupId: '' }
+      ]);
+      expect(data.group).toEqual({ name: 'Proyecto Alfa', enabled: true, languages: ['es'] });
+      expect(data.entries).toHaveLength(1);
+      expect(data.entries[0].id).toBeUndefined();
+
+      let next = 0;
+      const { group: imported, entries } = parseGroupImport(JSON.stringify(data), () => `id${++next}`, isValidDictionaryEntry);
+      expect(imported).toEqual({ id: 'id1', name: 'Proyecto Alfa', enabled: true, languages: ['es'], profileIds: [] });
+      expect(entries).toMatchObject([{ id: 'id2', find: 'cojade', replace: 'COHADE', groupId: 'id1' }]);
+    });
+
+    it('should skip invalid entries and reject other files', () => {
+      const { entries } = parseGroupImport({ group: { name: 'X' }, entries: [{ find: '(a+)+', replace: 'b', type: 'regex' }] }, () => 'id', isValidDictionaryEntry);
+      expect(entries).toEqual([]);
+      expect(() => parseGroupImport({ entries: [] }, () => 'id', isValidDictionaryEntry)).toThrow('Formato de grupo no válido');
+    });
+  });
+
+  describe('validation', () => {
+    it('should check group fields and partial updates', () => {
+      expect(isValidDictionaryGroup({ name: 'English only', languages: ['en'], profileIds: ['work_1'] })).toBe(true);
+      expect(isValidDictionaryGroup({ name: ' ' })).toBe(false);
+      expect(isValidDictionaryGroup({ name: 'X', languages: ['fr'] })).toBe(false);
+      expect(isValidDictionaryGroup({ enabled: false }, { partial: true })).toBe(true);
+      expect(validateIpcMessage('update-dictionary-group', 'g1', { profileIds: ['../etc'] }).isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { spanishPhoneticKey, spanishPhoneticKeys } from '../../../spanishPhonetics.js';
+import { REGEX_TIMEOUT_MS, applyDictionaryEntries, getEntryPhoneticKeys, expandReplacement } from '../../../dictionaryMatcher.js';
+import { getDictionaryPatternError, isValidDictionaryEntry } from '../../../ipcValidation.js';
+
+const cohade = { id: 'e1', find: 'cojade', replace: 'COHADE', soundsLike: 'co-a-de', caseSensitive: false, enabled: true };
+
+describe('Dictionary Matcher', () => {
+  describe('spanishPhoneticKey', () => {
+    it('should merge letters that sound the same in Spanish', () => {
+      expect(spanishPhoneticKey('vaca')).toBe(spanishPhoneticKey('baca'));
+      expect(spanishPhoneticKey('cerveza')).toBe(spanishPhoneticKey('serbesa'));
+      expect(spanishPhoneticKey('llave')).toBe(spanishPhoneticKey('yave'));
+      expect(spanishPhoneticKey('queso')).toBe('KESO');
+      expect(spanishPhoneticKey('guerra')).toBe('GERA');
+      expect(spanishPhoneticKey('gente')).toBe(spanishPhoneticKey('jente'));
+    });
+
+    it('should keep the sound of ñ and ü and ignore spaces and hyphens', () => {
+      expect(spanishPhoneticKey('niño')).toBe(spanishPhoneticKey('ninio'));
+      expect(spanishPhoneticKey('pingüino')).toBe('PINGUINO');
+      expect(spanishPhoneticKey('co-a-de')).toBe(spanishPhoneticKey('coa de'));
+    });
+
+    it('should read h as silent or aspirated', () => {
+      expect(spanishPhoneticKeys('COHADE')).toEqual(['KOADE', 'KOJADE']);
+      expect(spanishPhoneticKeys('cojade')).toEqual(['KOJADE']);
+    });
+  });
+
+  describe('getEntryPhoneticKeys', () => {
+    it('should collect keys from every spelling and skip short ones', () => {
+      const keys = getEntryPhoneticKeys({ find: 'ai', replace: 'AI', soundsLike: 'ei, ey ai' });
+      expect(keys).toEqual([{ key: 'EIAI', source: 'soundsLike', sourceText: 'ey ai' }]);
+      expect(getEntryPhoneticKeys(cohade).map(k => k.source)).toEqual(['soundsLike', 'find', 'replace', 'replace']);
+    });
+  });
+
+  describe('applyDictionaryEntries', () => {
+    it('should map every spelling that sounds like the entry', () => {
+      const { text, matches } = applyDictionaryEntries('Hablé con cojade, con kohade y con Co hade.', [cohade]);
+      expect(text).toBe('Hablé con COHADE, con COHADE y con COHADE.');
+      expect(matches.map(m => [m.matched, m.type])).toEqual([['cojade', 'exact'], ['kohade', 'phonetic'], ['Co hade', 'phonetic']]);
+      expect(matches[1]).toMatchObject({ entryId: 'e1', key: 'KOADE', source: 'soundsLike', sourceText: 'co-a-de' });
+    });
+
+    it('should not join words across punctuation', () => {
+      expect(applyDictionaryEntries('Fue el co. Hade después', [cohade]).text).toBe('Fue el co. Hade después');
+    });
+
+    it('should only match phonetically when the entry has a sounds-like hint', () => {
+      const entry = { ...cohade, soundsLike: '' };
+      expect(applyDictionaryEntries('kohade', [entry])).toEqual({ text: 'kohade', matches: [], timedOut: [] });
+    });
+
+    it('should leave the correct spelling alone', () => {
+      expect(applyDictionaryEntries('COHADE aprobó', [cohade])).toEqual({ text: 'COHADE aprobó', matches: [], timedOut: [] });
+    });
+
+    it('should keep exact replacements word-bounded', () => {
+      const entry = { id: 'e2', find: 'guit', replace: 'git', caseSensitive: false, enabled: true, soundsLike: '' };
+      expect(applyDictionaryEntries('usa guit, no guitarra', [entry]).text).toBe('usa git, no guitarra');
+    });
+  });
+
+  describe('regex entries', () => {
+    const domain = { id: 'r1', type: 'regex', find: '\\s*punto (com|net)\\b', replace: '.$1', caseSensitive: false };
+
+    it('should substitute capture groups', () => {
+      const { text, matches } = applyDictionaryEntries('Entra a murmullo punto com o a ejemplo Punto net.', [domain]);
+      expect(text).toBe('Entra a murmullo.com o a ejemplo.net.');
+      expect(matches[0]).toMatchObject({ entryId: 'r1', matched: ' punto com', replace: '.com', type: 'regex' });
+    });
+
+    it('should expand named groups, $& and $$', () => {
+      expect(expandReplacement('$<n>% ($&, $$1, $3)', '30 por ciento', ['30'], { n: '30' })).toBe('30% (30 por ciento, $1, $3)');
+      const percent = { id: 'r2', type: 'regex', find: '(?<n>\\d+) por ciento', replace: '$<n>%' };
+      expect(applyDictionaryEntries('sube 30 por ciento', [percent]).text).toBe('sube 30%');
+    });
+
+    it('should skip a regex entry that runs past the time limit', () => {
+      // Written straight into config.json, so it never went through validation
+      const slow = { id: 'slow', type: 'regex', find: '\\w*\\w*\\w*\\w*\\w*\\w*\\w*\\w*!', replace: 'x' };
+      const started = Date.now();
+      const result = applyDictionaryEntries('a'.repeat(40) + ' punto com', [slow, domain]);
+      expect(Date.now() - started).toBeLessThan(REGEX_TIMEOUT_MS * 20);
+      expect(result.timedOut).toEqual(['slow']);
+      expect(result.text).toBe('a'.repeat(40) + '.com');
+    });
+
+    it('should never match a regex entry phonetically', () => {
+      const entry = { ...domain, soundsLike: 'punto com' };
+      expect(applyDictionaryEntries('puntocom', [entry]).matches).toEqual([]);
+    });
+  });
+
+  describe('getDictionaryPatternError', () => {
+    it('should accept ordinary patterns', () => {
+      ['punto (com|net)', '(?:de )?(\\d+) por ciento', '[\\s,]+y', '\\p{L}+mente', '(abc){2,}'].forEach(pattern => {
+        expect(getDictionaryPatternError(pattern)).toBeNull();
+      });
+    });
+
+    it('should reject patterns that can backtrack catastrophically', () => {
+      ['(a+)+$', '(\\w+\\s?)+x', '(\\s|,)+x', '((ab)*c)+d', '(?:x{2,})*y'].forEach(pattern => {
+        expect(getDictionaryPatternError(pattern)).toMatch(/Nested repetition/);
+      });
+      expect(getDictionaryPatternError('(a)b\\1')).toMatch(/Backreferences/);
+    });
+
+    it('should reject repetitions in a row that can match the same characters', () => {
+      ['\\w*\\w*\\w*\\w*\\w*\\w*\\w*\\w*!', '\\w*\\w*x', '\\s*,?\\s+y', '.*\\d+%', 'a+?[a-z]*b'].forEach(pattern => {
+        expect(getDictionaryPatternError(pattern)).toMatch(/Repetitions in a row/);
+      });
+      expect(isValidDictionaryEntry({ type: 'regex', find: '\\w*\\w*\\w*\\w*\\w*\\w*\\w*\\w*!', replace: 'x' })).toBe(false);
+      ['\\d+\\s*%', '\\w+-\\w+', 'x\\s?\\d+', '\\s*punto (com|net)\\b'].forEach(pattern => {
+        expect(getDictionaryPatternError(pattern)).toBeNull();
+      });
+    });
+
+    it('should reject invalid and empty-matching patterns', () => {
+      expect(getDictionaryPatternError('punto (com')).toMatch(/Invalid regular expression/);
+      expect(getDictionaryPatternError('x?')).toBe('Pattern matches empty text');
+    });
+
+    it('should only check patterns on regex entries', () => {
+      expect(isValidDictionaryEntry({ type: 'regex', find: '(a+)+b', replace: 'x' })).toBe(false);
+      expect(isValidDictionaryEntry({ type: 'text', find: '(a+)+b', replace: 'x' })).toBe(true);
+      expect(isValidDictionaryEntry({ type: 'glob', find: 'a', replace: 'b' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeForMatch,
+  collapseRepeatedLoops,
+  filterHallucinations
+} from '../../../hallucinationFilter.js';
+
+describe('Hallucination filter', () => {
+  describe('normalizeForMatch', () => {
+    it('should ignore case, accents and punctuation', () => {
+      expect(normalizeForMatch('¡Suscríbete!')).toBe('suscribete');
+      expect(normalizeForMatch('Gracias por ver el vídeo.')).toBe('gracias por ver el video');
+    });
+  });
+
+  describe('phantom phrases', () => {
+    it('should remove Amara.org credits anywhere in a sentence', () => {
+      const { text, hits } = filterHallucinations('Subtítulos realizados por la comunidad de Amara.org');
+      expect(text).toBe('');
+      expect(hits).toEqual([{ type: 'phrase', phrase: 'Subtítulos realizados por la comunidad de Amara.org' }]);
+    });
+
+    it('should drop a trailing outro but keep the dictation', () => {
+      const { text, hits } = filterHallucinations('Hay que revisar el contrato mañana. ¡Gracias por ver el video!');
+      expect(text).toBe('Hay que revisar el contrato mañana.');
+      expect(hits).toHaveLength(1);
+    });
+
+    it('should handle English outros', () => {
+      expect(filterHallucinations('Send the report today. Thanks for watching!').text).toBe('Send the report today.');
+    });
+
+    it('should not touch phrases that are part of a real sentence', () => {
+      const input = 'Dile a Juan que se suscriba al boletín y gracias por ver el documento.';
+      expect(filterHallucinations(input)).toEqual({ text: input, hits: [] });
+    });
+
+    it('should apply the user blocklist as whole sentences', () => {
+      const { text, hits } = filterHallucinations('Reunión a las tres. Hasta la próxima.', { blocklist: ['hasta la proxima', '  '] });
+      expect(text).toBe('Reunión a las tres.');
+      expect(hits).toEqual([{ type: 'phrase', phrase: 'hasta la proxima' }]);
+    });
+
+    it('should skip the defaults when asked', () => {
+      const input = 'Gracias por ver el video.';
+      expect(filterHallucinations(input, { includeDefaults: false }).text).toBe(input);
+    });
+  });
+
+  describe('repeated n-gram loops', () => {
+    it('should collapse a phrase repeated in a loop', () => {
+      const { text, hits } = collapseRepeatedLoops('Entonces vamos a ver. Vamos a ver. Vamos a ver. Vamos a ver. Vamos a ver.');
+      expect(text).toBe('Entonces vamos a ver.');
+      expect(hits).toEqual([{ type: 'loop', ngram: 3, repeats: 5 }]);
+    });
+
+    it('should collapse single-word loops', () => {
+      expect(collapseRepeatedLoops('sí sí sí sí sí sí correcto').text).toBe('sí correcto');
+    });
+
+    it('should leave natural repetition alone', () => {
+      const input = 'muy muy muy bien, no no';
+      expect(collapseRepeatedLoops(input)).toEqual({ text: input, hits: [] });
+    });
+  });
+
+  it('should return empty input unchanged', () => {
+    expect(filterHallucinations('')).toEqual({ text: '', hits: [] });
+  });
+});
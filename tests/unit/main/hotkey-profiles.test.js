@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAccelerator,
+  normalizeHotkeyProfile,
+  findHotkeyConflict
+} from '../../../hotkeyProfiles.js';
+import { isValidHotkeyProfiles, isValidActionHotkeys } from '../../../ipcValidation.js';
+
+const profile = (overrides = {}) => ({
+  id: 'profile_1',
+  name: 'Traducir',
+  hotkey: 'CommandOrControl+Alt+T',
+  processingMode: 'smart',
+  language: 'es',
+  reasoningProvider: 'anthropic',
+  transcriptionProvider: '',
+  translateTo: 'en',
+  ...overrides
+});
+
+describe('Hotkey profiles', () => {
+  describe('normalizeAccelerator', () => {
+    it('should treat modifier spellings and order as the same shortcut', () => {
+      expect(normalizeAccelerator('CommandOrControl+Shift+d', 'linux'))
+        .toBe(normalizeAccelerator('Shift+Ctrl+D', 'linux'));
+      expect(normalizeAccelerator('Control+Space', 'win32')).toBe('ctrl+space');
+    });
+
+    it('should map CommandOrControl to Cmd on macOS', () => {
+      expect(normalizeAccelerator('CommandOrControl+D', 'darwin')).toBe('meta+d');
+      expect(normalizeAccelerator('CommandOrControl+D', 'darwin')).not.toBe(normalizeAccelerator('Ctrl+D', 'darwin'));
+    });
+  });
+
+  describe('findHotkeyConflict', () => {
+    it('should report the two bindings sharing a shortcut', () => {
+      expect(findHotkeyConflict([
+        { hotkey: 'CommandOrControl+Shift+Space', label: 'main' },
+        { hotkey: 'Alt+T', label: 'a' },
+        { hotkey: 'Ctrl+Shift+Space', label: 'b' }
+      ], 'linux')).toEqual({ hotkey: 'Ctrl+Shift+Space', first: 'main', second: 'b' });
+    });
+
+    it('should return null when every shortcut is unique', () => {
+      expect(findHotkeyConflict([
+        { hotkey: 'Alt+T', label: 'a' },
+        { hotkey: 'Alt+Shift+T', label: 'b' }
+      ], 'linux')).toBeNull();
+    });
+  });
+
+  describe('normalizeHotkeyProfile', () => {
+    it('should fill defaults and drop unknown fields', () => {
+      expect(normalizeHotkeyProfile({ id: 'p', name: ' Literal ', hotkey: 'Alt+L', processingMode: 'verbatim', extra: true })).toEqual({
+        id: 'p',
+        name: 'Literal',
+        hotkey: 'Alt+L',
+        processingMode: 'verbatim',
+        language: 'es',
+        reasoningProvider: 'anthropic',
+        transcriptionProvider: '',
+        translateTo: '',
+        outputMode: '',
+        promptTemplateId: ''
+      });
+    });
+  });
+
+  describe('isValidActionHotkeys', () => {
+    it('should accept shortcuts or empty strings for known actions', () => {
+      expect(isValidActionHotkeys({ cancel: 'CommandOrControl+Shift+X', repaste: '' })).toBe(true);
+      expect(isValidActionHotkeys({ repaste: 'Alt+V' })).toBe(true);
+    });
+
+    it('should reject unknown actions and bad shortcuts', () => {
+      expect(isValidActionHotkeys({ undo: 'Alt+Z' })).toBe(false);
+      expect(isValidActionHotkeys({ cancel: 'X' })).toBe(false);
+      expect(isValidActionHotkeys(null)).toBe(false);
+    });
+
+    it('should be caught as a conflict with the main hotkey', () => {
+      expect(findHotkeyConflict([
+        { hotkey: 'CommandOrControl+Shift+Space', label: 'main' },
+        { hotkey: 'Control+Shift+Space', label: 'cancel' }
+      ], 'win32')).not.toBeNull();
+    });
+  });
+
+  describe('isValidHotkeyProfiles', () => {
+    it('should accept a complete profile list', () => {
+      expect(isValidHotkeyProfiles([profile(), profile({ id: 'profile_2', hotkey: 'Alt+V', processingMode: 'verbatim', translateTo: '' })])).toBe(true);
+      expect(isValidHotkeyProfiles([])).toBe(true);
+    });
+
+    it('should reject invalid fields', () => {
+      expect(isValidHotkeyProfiles([profile({ hotkey: 'T' })])).toBe(false);
+      expect(isValidHotkeyProfiles([profile({ processingMode: 'turbo' })])).toBe(false);
+      expect(isValidHotkeyProfiles([profile({ translateTo: 'fr' })])).toBe(false);
+      expect(isValidHotkeyProfiles([profile({ outputMode: 'print' })])).toBe(false);
+      expect(isValidHotkeyProfiles([profile({ id: '../x' })])).toBe(false);
+      expect(isValidHotkeyProfiles([profile({ name: '  ' })])).toBe(false);
+      expect(isValidHotkeyProfiles(Array.from({ length: 11 }, (_, i) => profile({ id: `p${i}` })))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { detectSessionType, getPasteTools, simulateLinuxPaste } from '../../../linuxPaste.js';
+
+// Fake child process that exits with the code configured per command
+const fakeSpawn = (exitCodes) => vi.fn((command) => {
+  const child = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = vi.fn();
+  setTimeout(() => {
+    const code = exitCodes[command] ?? 0;
+    if (code !== 0) child.stderr.emit('data', Buffer.from(`${command} failed`));
+    child.emit('close', code);
+  }, 0);
+  return child;
+});
+
+const installed = (...commands) => (command) => commands.includes(command);
+
+describe('Linux paste', () => {
+  describe('detectSessionType', () => {
+    it('should prefer XDG_SESSION_TYPE', () => {
+      expect(detectSessionType({ XDG_SESSION_TYPE: 'wayland', DISPLAY: ':0' })).toBe('wayland');
+      expect(detectSessionType({ XDG_SESSION_TYPE: 'x11' })).toBe('x11');
+    });
+
+    it('should fall back to the display variables', () => {
+      expect(detectSessionType({ WAYLAND_DISPLAY: 'wayland-0' })).toBe('wayland');
+      expect(detectSessionType({ DISPLAY: ':0' })).toBe('x11');
+      expect(detectSessionType({})).toBe('unknown');
+    });
+  });
+
+  describe('getPasteTools', () => {
+    it('should only use xdotool on X11', () => {
+      const env = { XDG_SESSION_TYPE: 'x11' };
+      expect(getPasteTools({ env, isAvailable: installed('xdotool', 'wtype') }).tools).toEqual(['xdotool']);
+    });
+
+    it('should skip xdotool on Wayland', () => {
+      const env = { XDG_SESSION_TYPE: 'wayland' };
+      expect(getPasteTools({ env, isAvailable: installed('xdotool', 'ydotool') }).tools).toEqual(['ydotool']);
+    });
+  });
+
+  describe('simulateLinuxPaste', () => {
+    it('should send ctrl+v through xdotool on X11', async () => {
+      const spawnFn = fakeSpawn({});
+      const result = await simulateLinuxPaste({ env: { XDG_SESSION_TYPE: 'x11' }, isAvailable: installed('xdotool'), spawnFn });
+
+      expect(result).toEqual({ tool: 'xdotool', sessionType: 'x11' });
+      expect(spawnFn).toHaveBeenCalledWith('xdotool', ['key', '--clearmodifiers', 'ctrl+v']);
+    });
+
+    it('should fall through to ydotool when wtype is unsupported by the compositor', async () => {
+      const spawnFn = fakeSpawn({ wtype: 1 });
+      const result = await simulateLinuxPaste({ env: { XDG_SESSION_TYPE: 'wayland' }, isAvailable: installed('wtype', 'ydotool'), spawnFn });
+
+      expect(result.tool).toBe('ydotool');
+      expect(spawnFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should explain what to install when no tool is found', async () => {
+      await expect(simulateLinuxPaste({ env: { XDG_SESSION_TYPE: 'wayland' }, isAvailable: installed() }))
+        .rejects.toMatchObject({ code: 'PASTE_TOOL_MISSING', message: expect.stringMatching(/wtype/) });
+    });
+
+    it('should report every failure when all tools fail', async () => {
+      const spawnFn = fakeSpawn({ wtype: 1, ydotool: 2 });
+      await expect(simulateLinuxPaste({ env: { XDG_SESSION_TYPE: 'wayland' }, isAvailable: installed('wtype', 'ydotool'), spawnFn }))
+        .rejects.toMatchObject({ code: 'PASTE_FAILED', message: expect.stringMatching(/wtype failed.*ydotool failed/) });
+    });
+  });
+});
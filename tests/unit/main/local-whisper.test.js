@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  isWhisperCppCompatibleWav,
+  buildWhisperCppArgs,
+  parseWhisperCppOutput,
+  runWhisperCpp
+} from '../../../localWhisper.js';
+
+// Minimal WAV header (same layout as convertToWav in App.jsx)
+function makeWav({ sampleRate = 16000, channels = 1, bitsPerSample = 16, format = 1 } = {}) {
+  const buffer = Buffer.alloc(44 + 32);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + 32, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(format, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 28);
+  buffer.writeUInt16LE(channels * bitsPerSample / 8, 32);
+  buffer.writeUInt16LE(bitsPerSample, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(32, 40);
+  return buffer;
+}
+
+// Fake child process driven by the test
+function fakeSpawn({ stdout = '', stderr = '', code = 0, error = null, hang = false } = {}) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = vi.fn();
+
+  const spawnFn = vi.fn(() => {
+    if (!hang) {
+      setTimeout(() => {
+        if (error) {
+          child.emit('error', error);
+          return;
+        }
+        if (stdout) child.stdout.emit('data', Buffer.from(stdout));
+        if (stderr) child.stderr.emit('data', Buffer.from(stderr));
+        child.emit('close', code);
+      }, 0);
+    }
+    return child;
+  });
+  return { spawnFn, child };
+}
+
+describe('isWhisperCppCompatibleWav', () => {
+  it('should accept 16 kHz mono 16-bit PCM', () => {
+    expect(isWhisperCppCompatibleWav(makeWav())).toBe(true);
+  });
+
+  it('should reject other sample rates, stereo and non-WAV data', () => {
+    expect(isWhisperCppCompatibleWav(makeWav({ sampleRate: 48000 }))).toBe(false);
+    expect(isWhisperCppCompatibleWav(makeWav({ channels: 2 }))).toBe(false);
+    expect(isWhisperCppCompatibleWav(Buffer.from('1a45dfa3'.repeat(20), 'hex'))).toBe(false);
+    expect(isWhisperCppCompatibleWav(Buffer.alloc(10))).toBe(false);
+  });
+});
+
+describe('buildWhisperCppArgs', () => {
+  it('should pass model, file, language and plain-text flags', () => {
+    const args = buildWhisperCppArgs({ modelPath: '/m/ggml-base.bin', wavPath: '/tmp/a.wav', language: 'es' });
+    expect(args).toEqual(['-m', '/m/ggml-base.bin', '-f', '/tmp/a.wav', '-l', 'es', '-nt', '-np']);
+  });
+
+  it('should add threads (capped) and prompt when given', () => {
+    const args = buildWhisperCppArgs({ modelPath: 'm', wavPath: 'w', threads: 64, prompt: 'COHADE, Kubernetes' });
+    expect(args).toContain('auto');
+    expect(args.slice(-4)).toEqual(['-t', '32', '--prompt', 'COHADE, Kubernetes']);
+  });
+});
+
+describe('parseWhisperCppOutput', () => {
+  it('should join lines and strip timestamps and blank markers', () => {
+    const stdout = '[00:00:00.000 --> 00:00:02.000]   Hola mundo.\n[00:00:02.000 --> 00:00:04.000]  ¿Cómo estás?\n[BLANK_AUDIO]\n';
+    expect(parseWhisperCppOutput(stdout)).toBe('Hola mundo. ¿Cómo estás?');
+  });
+});
+
+describe('runWhisperCpp', () => {
+  const params = { binaryPath: '/bin/whisper-cli', modelPath: 'm', wavPath: 'w', language: 'es' };
+
+  it('should resolve with the transcription on exit code 0', async () => {
+    const { spawnFn } = fakeSpawn({ stdout: ' Hola mundo\n' });
+    await expect(runWhisperCpp(params, spawnFn)).resolves.toBe('Hola mundo');
+    expect(spawnFn.mock.calls[0][0]).toBe('/bin/whisper-cli');
+  });
+
+  it('should reject with the tail of stderr on failure', async () => {
+    const { spawnFn } = fakeSpawn({ code: 1, stderr: 'loading model\nerror: failed to open model\n' });
+    await expect(runWhisperCpp(params, spawnFn)).rejects.toThrow('whisper.cpp failed with code 1: loading model error: failed to open model');
+  });
+
+  it('should reject when the binary cannot be started', async () => {
+    const { spawnFn } = fakeSpawn({ error: new Error('ENOENT') });
+    await expect(runWhisperCpp(params, spawnFn)).rejects.toThrow('whisper.cpp could not be started: ENOENT');
+  });
+
+  it('should kill the process after the timeout', async () => {
+    const { spawnFn, child } = fakeSpawn({ hang: true });
+    await expect(runWhisperCpp({ ...params, timeoutMs: 10 }, spawnFn)).rejects.toThrow('timed out');
+    expect(child.kill).toHaveBeenCalled();
+  });
+});
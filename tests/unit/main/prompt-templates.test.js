@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILTIN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  renderPromptTemplate,
+  buildTemplateVariables,
+  findPromptTemplate,
+  parsePromptTemplateImport
+} from '../../../promptTemplates.js';
+import { isValidPromptTemplates } from '../../../ipcValidation.js';
+
+describe('Prompt Templates', () => {
+  describe('renderPromptTemplate', () => {
+    it('should fill known variables and keep unknown ones', () => {
+      expect(renderPromptTemplate('Idioma: {{language}}, términos: {{ dictionary }}, {{otro}}', {
+        language: 'español',
+        dictionary: 'COHADE, Murmullo'
+      })).toBe('Idioma: español, términos: COHADE, Murmullo, {{otro}}');
+    });
+  });
+
+  describe('buildTemplateVariables', () => {
+    it('should describe the language, dictionary and date', () => {
+      expect(buildTemplateVariables({ language: 'en', dictionaryTerms: ['COHADE'], now: new Date(2026, 0, 5) })).toEqual({
+        language: 'inglés',
+        dictionary: 'COHADE',
+        date: '2026-01-05'
+      });
+    });
+
+    it('should fall back when there is no language or dictionary', () => {
+      const variables = buildTemplateVariables({ language: 'auto' });
+      expect(variables.language).toBe('el mismo idioma del texto');
+      expect(variables.dictionary).toBe('(ninguno)');
+    });
+  });
+
+  describe('findPromptTemplate', () => {
+    const userTemplates = [{ id: 'template_1', name: 'Mía', body: 'Hola' }];
+
+    it('should find built-in and user templates', () => {
+      expect(findPromptTemplate('correo-formal', userTemplates).builtin).toBe(true);
+      expect(findPromptTemplate('template_1', userTemplates).body).toBe('Hola');
+    });
+
+    it('should fall back to the default template', () => {
+      expect(findPromptTemplate('borrada', userTemplates).id).toBe(DEFAULT_TEMPLATE_ID);
+      expect(findPromptTemplate(undefined).id).toBe(DEFAULT_TEMPLATE_ID);
+    });
+  });
+
+  describe('parsePromptTemplateImport', () => {
+    let counter = 0;
+    const createId = () => `id_${++counter}`;
+
+    it('should read an export file and assign new ids', () => {
+      const json = JSON.stringify({ version: 1, templates: [{ id: 'corrector', name: ' Formal ', body: 'Texto' }] });
+      expect(parsePromptTemplateImport(json, createId)).toEqual([{ id: 'id_1', name: 'Formal', body: 'Texto' }]);
+    });
+
+    it('should accept a bare array and skip invalid entries', () => {
+      const templates = parsePromptTemplateImport([{ name: 'A', body: 'B' }, { name: '', body: 'C' }, { name: 'D' }], createId);
+      expect(templates).toHaveLength(1);
+    });
+
+    it('should reject files without templates', () => {
+      expect(() => parsePromptTemplateImport('{"entries": []}', createId)).toThrow('Formato de plantillas no válido');
+      expect(() => parsePromptTemplateImport([{ name: 'A' }], createId)).toThrow('El archivo no contiene plantillas válidas');
+    });
+  });
+
+  describe('isValidPromptTemplates', () => {
+    it('should accept user templates and reject invalid ones', () => {
+      expect(isValidPromptTemplates([{ id: 'template_1', name: 'Mía', body: 'Hola' }])).toBe(true);
+      expect(isValidPromptTemplates([{ id: '../x', name: 'Mía', body: 'Hola' }])).toBe(false);
+      expect(isValidPromptTemplates([{ id: 'a', name: 'Mía', body: 'x'.repeat(8001) }])).toBe(false);
+      expect(isValidPromptTemplates([{ id: 'a', name: ' ', body: 'Hola' }])).toBe(false);
+    });
+  });
+
+  it('should ship the built-in templates from the request', () => {
+    expect(BUILTIN_TEMPLATES.map(t => t.id)).toEqual(['corrector', 'corrector-minimo', 'correo-formal', 'mensaje-commit', 'mensaje-casual', 'traducir-ingles']);
+  });
+});
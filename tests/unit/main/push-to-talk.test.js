@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  parseAccelerator,
+  createPushToTalkController,
+  startPushToTalk
+} from '../../../pushToTalk.js';
+
+// Subset of uiohook-napi's UiohookKey table
+const KEYS = {
+  Space: 57, D: 32, F9: 67, Backquote: 41,
+  Ctrl: 29, CtrlRight: 3613, Shift: 42, ShiftRight: 54,
+  Alt: 56, AltRight: 3640, Meta: 3675, MetaRight: 3676
+};
+
+const event = (keycode, mods = {}) => ({
+  keycode, ctrlKey: false, shiftKey: false, altKey: false, metaKey: false, ...mods
+});
+
+describe('Push-to-talk', () => {
+  describe('parseAccelerator', () => {
+    it('should map CommandOrControl per platform', () => {
+      expect(parseAccelerator('CommandOrControl+Shift+Space', KEYS, 'linux')).toEqual({
+        keycode: 57,
+        modifiers: ['ctrl', 'shift'],
+        releaseKeycodes: [57, 29, 3613, 42, 54]
+      });
+      expect(parseAccelerator('CommandOrControl+D', KEYS, 'darwin').modifiers).toEqual(['meta']);
+    });
+
+    it('should accept lone keys and backtick', () => {
+      expect(parseAccelerator('F9', KEYS, 'win32')).toEqual({ keycode: 67, modifiers: [], releaseKeycodes: [67] });
+      expect(parseAccelerator('CommandOrControl+`', KEYS, 'win32').keycode).toBe(41);
+    });
+
+    it('should reject unknown or malformed accelerators', () => {
+      expect(parseAccelerator('Ctrl+Shift', KEYS)).toBeNull();
+      expect(parseAccelerator('Ctrl+D+Space', KEYS)).toBeNull();
+      expect(parseAccelerator('Ctrl+Ñ', KEYS)).toBeNull();
+      expect(parseAccelerator('', KEYS)).toBeNull();
+    });
+  });
+
+  describe('createPushToTalkController', () => {
+    const setup = () => {
+      const onPress = vi.fn();
+      const onRelease = vi.fn();
+      const controller = createPushToTalkController({
+        ...parseAccelerator('Ctrl+Space', KEYS, 'linux'),
+        onPress,
+        onRelease
+      });
+      return { controller, onPress, onRelease };
+    };
+
+    it('should press once while held, ignoring key repeat', () => {
+      const { controller, onPress, onRelease } = setup();
+      controller.handleKeyDown(event(57, { ctrlKey: true }));
+      controller.handleKeyDown(event(57, { ctrlKey: true }));
+      controller.handleKeyDown(event(57, { ctrlKey: true }));
+      expect(onPress).toHaveBeenCalledTimes(1);
+
+      controller.handleKeyUp(event(57, { ctrlKey: true }));
+      expect(onRelease).toHaveBeenCalledTimes(1);
+      expect(controller.isActive()).toBe(false);
+    });
+
+    it('should require exactly the bound modifiers to start', () => {
+      const { controller, onPress } = setup();
+      controller.handleKeyDown(event(57));
+      controller.handleKeyDown(event(57, { ctrlKey: true, shiftKey: true }));
+      expect(onPress).not.toHaveBeenCalled();
+    });
+
+    it('should release when a modifier goes up first', () => {
+      const { controller, onRelease } = setup();
+      controller.handleKeyDown(event(57, { ctrlKey: true }));
+      controller.handleKeyUp(event(3613)); // Right Ctrl
+      expect(onRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore unrelated key releases', () => {
+      const { controller, onRelease } = setup();
+      controller.handleKeyUp(event(57));
+      controller.handleKeyDown(event(57, { ctrlKey: true }));
+      controller.handleKeyUp(event(32));
+      expect(onRelease).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startPushToTalk', () => {
+    const fakeHook = () => {
+      const uIOhook = Object.assign(new EventEmitter(), { start: vi.fn(), stop: vi.fn() });
+      return { uIOhook, UiohookKey: KEYS };
+    };
+
+    it('should wire hook events and release on stop', () => {
+      const hook = fakeHook();
+      const onPress = vi.fn();
+      const onRelease = vi.fn();
+      const stop = startPushToTalk([{ accelerator: 'Alt+F9', onPress, onRelease }], { loadHook: () => hook, platform: 'win32', env: {} });
+
+      expect(hook.uIOhook.start).toHaveBeenCalled();
+      hook.uIOhook.emit('keydown', event(67, { altKey: true }));
+      expect(onPress).toHaveBeenCalledTimes(1);
+
+      stop();
+      expect(hook.uIOhook.stop).toHaveBeenCalled();
+      expect(hook.uIOhook.listenerCount('keydown')).toBe(0);
+      expect(onRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should route each binding to its own handlers', () => {
+      const hook = fakeHook();
+      const main = { onPress: vi.fn(), onRelease: vi.fn() };
+      const profile = { onPress: vi.fn(), onRelease: vi.fn() };
+      startPushToTalk([
+        { accelerator: 'Ctrl+Space', ...main },
+        { accelerator: 'Ctrl+D', ...profile }
+      ], { loadHook: () => hook, platform: 'linux', env: { XDG_SESSION_TYPE: 'x11' } });
+
+      hook.uIOhook.emit('keydown', event(32, { ctrlKey: true }));
+      hook.uIOhook.emit('keyup', event(32));
+      expect(profile.onPress).toHaveBeenCalledTimes(1);
+      expect(profile.onRelease).toHaveBeenCalledTimes(1);
+      expect(main.onPress).not.toHaveBeenCalled();
+    });
+
+    it('should refuse Wayland sessions', () => {
+      expect(() => startPushToTalk([{ accelerator: 'Ctrl+Space' }], {
+        loadHook: fakeHook, platform: 'linux', env: { XDG_SESSION_TYPE: 'wayland' }
+      })).toThrow(/X11/);
+    });
+
+    it('should report a hook that cannot load', () => {
+      expect(() => startPushToTalk([{ accelerator: 'Ctrl+Space' }], {
+        loadHook: () => { throw new Error('libXtst.so.6: cannot open shared object file'); },
+        platform: 'linux',
+        env: { XDG_SESSION_TYPE: 'x11' }
+      })).toThrow(/hook de teclado/);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getReasoningProvider,
+  listReasoningProviders,
+  resolveReasoningModel,
+  buildCompletionRequest,
+  extractCompletionText,
+  getStreamFormat
+} from '../../../reasoningProviders.js';
+import { interpretStreamEvent } from '../../../aiStream.js';
+import { isValidProvider, isValidApiKey } from '../../../ipcValidation.js';
+
+const params = { apiKey: 'key', model: 'm', systemPrompt: 'Corrige', text: 'hola mundo' };
+
+describe('Reasoning Providers', () => {
+  describe('getReasoningProvider', () => {
+    it('should return known providers and null otherwise', () => {
+      expect(getReasoningProvider('gemini').type).toBe('gemini');
+      expect(getReasoningProvider('toString')).toBeNull();
+      expect(listReasoningProviders().map(p => p.id)).toEqual(['anthropic', 'openai', 'gemini', 'groq', 'ollama']);
+    });
+
+    it('should accept every listed provider in IPC validation', () => {
+      listReasoningProviders().forEach(p => expect(isValidProvider(p.id)).toBe(true));
+      expect(isValidProvider('mistral')).toBe(false);
+    });
+  });
+
+  describe('resolveReasoningModel', () => {
+    it('should fall back to the default for models of another provider', () => {
+      expect(resolveReasoningModel(getReasoningProvider('groq'), 'gpt-4o')).toBe('llama-3.3-70b-versatile');
+      expect(resolveReasoningModel(getReasoningProvider('openai'), 'gpt-4o')).toBe('gpt-4o');
+      expect(resolveReasoningModel(getReasoningProvider('gemini'))).toBe('gemini-2.0-flash');
+    });
+
+    it('should let local endpoints use any model name', () => {
+      expect(resolveReasoningModel(getReasoningProvider('ollama'), 'phi3:mini')).toBe('phi3:mini');
+    });
+  });
+
+  describe('buildCompletionRequest', () => {
+    it('should use /chat/completions for Groq and Ollama', () => {
+      const groq = buildCompletionRequest(getReasoningProvider('groq'), { ...params, baseUrl: 'https://api.groq.com/openai/v1', stream: true });
+      expect(groq.url).toBe('https://api.groq.com/openai/v1/chat/completions');
+      expect(groq.headers.Authorization).toBe('Bearer key');
+      expect(groq.body).toEqual({
+        model: 'm',
+        messages: [{ role: 'system', content: 'Corrige' }, { role: 'user', content: 'hola mundo' }],
+        stream: true
+      });
+
+      const ollama = buildCompletionRequest(getReasoningProvider('ollama'), { ...params, apiKey: '', baseUrl: 'http://localhost:11434/v1' });
+      expect(ollama.headers).toEqual({ 'Content-Type': 'application/json' });
+      expect(ollama.body.stream).toBeUndefined();
+    });
+
+    it('should use generateContent with a system instruction for Gemini', () => {
+      const provider = getReasoningProvider('gemini');
+      const request = buildCompletionRequest(provider, { ...params, baseUrl: provider.baseUrl, model: 'gemini-2.0-flash' });
+      expect(request.url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent');
+      expect(request.headers['x-goog-api-key']).toBe('key');
+      expect(request.body).toEqual({
+        system_instruction: { parts: [{ text: 'Corrige' }] },
+        contents: [{ role: 'user', parts: [{ text: 'hola mundo' }] }]
+      });
+
+      const streamed = buildCompletionRequest(provider, { ...params, baseUrl: provider.baseUrl, stream: true });
+      expect(streamed.url).toMatch(/\/models\/m:streamGenerateContent\?alt=sse$/);
+    });
+  });
+
+  describe('extractCompletionText', () => {
+    it('should read each response shape', () => {
+      expect(extractCompletionText(getReasoningProvider('anthropic'), { content: [{ type: 'text', text: 'Hola.' }] })).toBe('Hola.');
+      expect(extractCompletionText(getReasoningProvider('ollama'), { choices: [{ message: { content: 'Hola.' } }] })).toBe('Hola.');
+      expect(extractCompletionText(getReasoningProvider('gemini'), { candidates: [{ content: { parts: [{ text: 'Ho' }, { text: 'la.' }] } }] })).toBe('Hola.');
+    });
+
+    it('should throw when Gemini blocks the answer', () => {
+      expect(() => extractCompletionText(getReasoningProvider('gemini'), { candidates: [{ finishReason: 'SAFETY' }] })).toThrow('respuesta sin texto');
+    });
+  });
+
+  describe('streaming', () => {
+    it('should map providers to stream formats and read Gemini events', () => {
+      expect(getStreamFormat(getReasoningProvider('groq'))).toBe('openai');
+      expect(getStreamFormat(getReasoningProvider('gemini'))).toBe('gemini');
+      const data = JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Buenos' }], role: 'model' } }] });
+      expect(interpretStreamEvent('gemini', { event: 'message', data })).toEqual({ text: 'Buenos' });
+      expect(interpretStreamEvent('gemini', { event: 'message', data: '{"error":{"message":"API key not valid"}}' })).toEqual({ error: 'API key not valid' });
+    });
+  });
+
+  describe('isValidApiKey', () => {
+    it('should check the Gemini key prefix', () => {
+      expect(isValidApiKey('AIzaSyA1234567890abcdefghijklmnopqrstu', 'gemini')).toBe(true);
+      expect(isValidApiKey('sk-1234567890abcdefghijkl', 'gemini')).toBe(false);
+      expect(isValidApiKey('token-local', 'ollama')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { formatCardinal, normalizeSpanishNumbers } from '../../../spanishNumbers.js';
+
+const normalize = (text) => normalizeSpanishNumbers(text).text;
+
+describe('Spanish Numbers', () => {
+  describe('formatCardinal', () => {
+    it('should group thousands from 10 000 on', () => {
+      expect(formatCardinal(2024)).toBe('2024');
+      expect(formatCardinal(123456)).toBe('123 456');
+      expect(formatCardinal(3200000)).toBe('3 200 000');
+    });
+  });
+
+  describe('normalizeSpanishNumbers', () => {
+    const cases = [
+      // Cardinals
+      ['dos mil veinticuatro', '2024'],
+      ['mil novecientos noventa y nueve', '1999'],
+      ['treinta y cinco personas', '35 personas'],
+      ['ciento veintitrés mil cuatrocientos cincuenta y seis', '123 456'],
+      ['tres millones doscientos mil', '3 200 000'],
+      ['un millón de personas', '1 millón de personas'],
+      ['quince alumnos', '15 alumnos'],
+      ['cien personas', '100 personas'],
+      ['Dieciséis años después.', '16 años después.'],
+      // Decimals
+      ['tres coma cinco', '3,5'],
+      ['uno punto cero cinco', '1.05'],
+      // Ordinals
+      ['vivo en el tercer piso', 'vivo en el 3.er piso'],
+      ['quedó en segundo lugar', 'quedó en 2.º lugar'],
+      ['la decimoquinta edición', 'la 15.ª edición'],
+      ['el vigésimo primer aniversario', 'el 21.er aniversario'],
+      // Percentages
+      ['el cincuenta por ciento', 'el 50%'],
+      ['cinco por ciento de descuento', '5% de descuento'],
+      ['tres coma cinco por ciento', '3,5%'],
+      ['cero punto cinco por ciento', '0.5%'],
+      // Currency
+      ['cincuenta dólares', 'US$50'],
+      ['veinte euros', '20 €'],
+      ['diez coma cincuenta euros', '10,50 €'],
+      ['mil quinientos pesos', '$1500'],
+      ['dos millones de dólares', 'US$2 millones'],
+      // Quantities
+      ['cinco kilómetros', '5 kilómetros'],
+      ['tres horas', '3 horas'],
+      // Times
+      ['a las tres y media de la tarde', 'a las 3:30 de la tarde'],
+      ['a las cinco y cuarto', 'a las 5:15'],
+      ['a las ocho en punto', 'a las 8:00'],
+      ['a las diez y veinte', 'a las 10:20'],
+      ['la una menos cuarto', 'las 12:45'],
+      ['las dos menos diez', 'la 1:50'],
+      ['Son las dos menos cuarto', 'Es la 1:45'],
+      ['¿era la una menos diez?', '¿eran las 12:50?'],
+      ['llegó a las dos menos diez', 'llegó a la 1:50'],
+      ['ya casi las dos menos cuarto', 'ya casi las 1:45'],
+      // Dates
+      ['el quince de marzo de dos mil veinticuatro', 'el 15 de marzo de 2024'],
+      ['el primero de mayo', 'el 1 de mayo'],
+      ['el cinco de junio', 'el 5 de junio']
+    ];
+
+    it.each(cases)('should convert "%s"', (input, expected) => {
+      expect(normalize(input)).toBe(expected);
+    });
+
+    const unchanged = [
+      'tengo dos hijos',
+      'un perro y una gata',
+      'dos y tres',
+      'la primera vez',
+      'mil gracias',
+      'un kilo de pan',
+      'a las tres',
+      'uno coma leche'
+    ];
+
+    it.each(unchanged)('should leave "%s" as words', (input) => {
+      expect(normalizeSpanishNumbers(input)).toEqual({ text: input, conversions: 0 });
+    });
+
+    it('should keep the punctuation around a number', () => {
+      expect(normalize('¿Cuarenta y dos? Sí.')).toBe('¿42? Sí.');
+    });
+
+    it('should count conversions', () => {
+      expect(normalizeSpanishNumbers('veinte euros y treinta dólares').conversions).toBe(2);
+    });
+  });
+});
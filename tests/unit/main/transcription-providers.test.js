@@ -0,0 +1,239 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+  normalizeBaseUrl,
+  buildMultipartBody,
+  transcribeWithOpenAICompatible,
+  buildFallbackChain,
+  withTimeout,
+  isTransientError,
+  runTranscriptionChain
+} from '../../../transcriptionProviders.js';
+
+const wavFile = () => ({
+  buffer: Buffer.from('RIFF....WAVEfmt '),
+  filename: 'audio.wav',
+  contentType: 'audio/wav'
+});
+
+describe('Transcription provider registry', () => {
+  it('should expose OpenAI, Groq, custom, local and backend providers', () => {
+    const ids = listTranscriptionProviders().map(p => p.id);
+    expect(ids).toEqual(['openai', 'groq', 'custom', 'local', 'backend']);
+  });
+
+  it('should return null for unknown providers', () => {
+    expect(getTranscriptionProvider('gemini')).toBeNull();
+    expect(getTranscriptionProvider('toString')).toBeNull();
+  });
+
+  it('should point Groq at its OpenAI-compatible API', () => {
+    const groq = getTranscriptionProvider('groq');
+    expect(groq.baseUrl).toBe('https://api.groq.com/openai/v1');
+    expect(groq.apiKeyProvider).toBe('groq');
+  });
+
+  it('should leave the custom base URL to the user', () => {
+    expect(getTranscriptionProvider('custom').baseUrl).toBeNull();
+  });
+});
+
+describe('normalizeBaseUrl', () => {
+  it('should strip trailing slashes and whitespace', () => {
+    expect(normalizeBaseUrl(' http://localhost:8000/v1// ')).toBe('http://localhost:8000/v1');
+  });
+
+  it('should handle empty values', () => {
+    expect(normalizeBaseUrl(null)).toBe('');
+  });
+});
+
+describe('buildMultipartBody', () => {
+  it('should include the file and every defined field', () => {
+    const { body, contentType } = buildMultipartBody({ model: 'whisper-1', language: 'es', prompt: undefined }, wavFile());
+    const text = body.toString('utf-8');
+    const boundary = contentType.split('boundary=')[1];
+
+    expect(contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(text).toContain('name="file"; filename="audio.wav"');
+    expect(text).toContain('Content-Type: audio/wav');
+    expect(text).toContain('name="model"\r\n\r\nwhisper-1');
+    expect(text).toContain('name="language"\r\n\r\nes');
+    expect(text).not.toContain('name="prompt"');
+    expect(text.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+});
+
+describe('transcribeWithOpenAICompatible', () => {
+  it('should POST to /audio/transcriptions with a bearer token', async () => {
+    const fetchFn = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ text: 'Hola mundo' })
+    });
+
+    const result = await transcribeWithOpenAICompatible({
+      baseUrl: 'https://api.groq.com/openai/v1/',
+      apiKey: 'gsk_test',
+      model: 'whisper-large-v3-turbo',
+      language: 'es',
+      file: wavFile()
+    }, fetchFn);
+
+    expect(result).toEqual({ text: 'Hola mundo' });
+    const [url, options] = fetchFn.mock.calls[0];
+    expect(url).toBe('https://api.groq.com/openai/v1/audio/transcriptions');
+    expect(options.method).toBe('POST');
+    expect(options.headers['Authorization']).toBe('Bearer gsk_test');
+  });
+
+  it('should omit authorization and language when not needed', async () => {
+    const fetchFn = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ text: 'hello' })
+    });
+
+    await transcribeWithOpenAICompatible({
+      baseUrl: 'http://localhost:8000/v1',
+      model: 'whisper-1',
+      language: 'auto',
+      file: wavFile()
+    }, fetchFn);
+
+    const [, options] = fetchFn.mock.calls[0];
+    expect(options.headers['Authorization']).toBeUndefined();
+    expect(options.body.toString('utf-8')).not.toContain('name="language"');
+  });
+
+  it('should throw with provider name and status on API errors', async () => {
+    const fetchFn = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      text: () => Promise.resolve('invalid key')
+    });
+
+    await expect(transcribeWithOpenAICompatible({
+      baseUrl: 'https://api.openai.com/v1',
+      apiKey: 'sk-bad',
+      model: 'whisper-1',
+      providerName: 'OpenAI Whisper',
+      file: wavFile()
+    }, fetchFn)).rejects.toMatchObject({ message: 'OpenAI Whisper error: invalid key', status: 401 });
+  });
+
+  it('should refuse to send without a base URL', async () => {
+    const fetchFn = vi.fn();
+    await expect(transcribeWithOpenAICompatible({ baseUrl: '', model: 'whisper-1', file: wavFile() }, fetchFn))
+      .rejects.toThrow('base URL not configured');
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildFallbackChain', () => {
+  it('should put the primary provider first and append fallback steps', () => {
+    const chain = buildFallbackChain('backend', { enabled: true, steps: ['openai', 'local'], timeouts: { openai: 15000 } });
+    expect(chain).toEqual([
+      { provider: 'backend', timeoutMs: 30000 },
+      { provider: 'openai', timeoutMs: 15000 },
+      { provider: 'local', timeoutMs: 120000 }
+    ]);
+  });
+
+  it('should skip duplicates and unknown providers', () => {
+    const chain = buildFallbackChain('openai', { enabled: true, steps: ['openai', 'gemini', 'groq'] });
+    expect(chain.map(step => step.provider)).toEqual(['openai', 'groq']);
+  });
+
+  it('should keep audio on the machine with a local primary by default', () => {
+    expect(buildFallbackChain('local').map(step => step.provider)).toEqual(['local']);
+    expect(buildFallbackChain('local', { enabled: true, steps: ['openai', 'groq'] }).map(step => step.provider)).toEqual(['local']);
+    expect(buildFallbackChain('local', { enabled: true, steps: ['openai'], allowCloudAfterLocal: true }).map(step => step.provider))
+      .toEqual(['local', 'openai']);
+  });
+
+  it('should be off by default', () => {
+    expect(buildFallbackChain('openai').map(step => step.provider)).toEqual(['openai']);
+  });
+
+  it('should only use the primary provider when fallback is disabled', () => {
+    const chain = buildFallbackChain('backend', { enabled: false, steps: ['openai'] });
+    expect(chain.map(step => step.provider)).toEqual(['backend']);
+  });
+});
+
+describe('withTimeout', () => {
+  it('should reject slow promises with ETIMEDOUT', async () => {
+    const never = new Promise(() => {});
+    await expect(withTimeout(never, 10, 'backend')).rejects.toMatchObject({
+      message: 'backend timed out after 0s',
+      code: 'ETIMEDOUT'
+    });
+  });
+});
+
+describe('isTransientError', () => {
+  const withFields = (message, fields) => Object.assign(new Error(message), fields);
+
+  it('should retry network failures, timeouts and server errors', () => {
+    expect(isTransientError(withFields('fetch failed', { cause: { code: 'ECONNREFUSED' } }))).toBe(true);
+    expect(isTransientError(new Error('net::ERR_INTERNET_DISCONNECTED'))).toBe(true);
+    expect(isTransientError(withFields('openai timed out after 30s', { code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isTransientError(withFields('HTTP 503', { status: 503 }))).toBe(true);
+  });
+
+  it('should not retry bad keys, client errors or broken audio', () => {
+    expect(isTransientError(new Error('OpenAI API key not configured'))).toBe(false);
+    expect(isTransientError(withFields('Invalid API key', { status: 401 }))).toBe(false);
+    expect(isTransientError(withFields('Invalid file format', { status: 400 }))).toBe(false);
+    expect(isTransientError(withFields('spawn whisper-cli ENOENT', { code: 'ENOENT' }))).toBe(false);
+  });
+});
+
+describe('runTranscriptionChain', () => {
+  const chain = [
+    { provider: 'backend', timeoutMs: 20 },
+    { provider: 'openai', timeoutMs: 1000 },
+    { provider: 'local', timeoutMs: 1000 }
+  ];
+
+  it('should report which provider produced the text', async () => {
+    const attemptFn = vi.fn(async (provider) => {
+      if (provider === 'backend') {
+        const error = new Error('Backend error: Usage quota exceeded');
+        error.status = 429;
+        throw error;
+      }
+      return { text: `hola desde ${provider}` };
+    });
+
+    const { result, provider, attempts } = await runTranscriptionChain(chain, attemptFn);
+
+    expect(provider).toBe('openai');
+    expect(result.text).toBe('hola desde openai');
+    expect(attempts.map(a => [a.provider, a.success])).toEqual([['backend', false], ['openai', true]]);
+    expect(attemptFn).not.toHaveBeenCalledWith('local');
+  });
+
+  it('should move on when a step exceeds its timeout (cold start)', async () => {
+    const attemptFn = (provider) => provider === 'backend'
+      ? new Promise(() => {})
+      : Promise.resolve({ text: 'ok' });
+
+    const { provider, attempts } = await runTranscriptionChain(chain, attemptFn);
+    expect(provider).toBe('openai');
+    expect(attempts[0].error).toContain('timed out');
+  });
+
+  it('should throw the last error with every attempt when all steps fail', async () => {
+    const attemptFn = (provider) => { throw new Error(`${provider} down`); };
+
+    await expect(runTranscriptionChain(chain, attemptFn)).rejects.toMatchObject({
+      message: 'local down',
+      attempts: [
+        expect.objectContaining({ provider: 'backend', success: false, error: 'backend down', transient: false }),
+        expect.objectContaining({ provider: 'openai', success: false }),
+        expect.objectContaining({ provider: 'local', success: false })
+      ]
+    });
+  });
+});
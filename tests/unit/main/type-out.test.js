@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { escapeForSendKeys, buildAppleScript, buildTypeCommand, typeText } from '../../../typeOut.js';
+
+// Fake child process that records stdin and exits with the given code
+const fakeSpawn = (code = 0) => {
+  const spawned = [];
+  const spawnFn = vi.fn((command, args) => {
+    const child = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = vi.fn();
+    child.stdin = {
+      end: (input) => {
+        spawned.push({ command, args, input });
+        setTimeout(() => child.emit('close', code), 0);
+      }
+    };
+    return child;
+  });
+  return { spawnFn, spawned };
+};
+
+describe('Type-out', () => {
+  describe('escapeForSendKeys', () => {
+    it('should escape SendKeys command characters', () => {
+      expect(escapeForSendKeys('a+b=(c) 100% {x} [y] ~^')).toBe('a{+}b={(}c{)} 100{%} {{}x{}} {[}y{]} {~}{^}');
+    });
+
+    it('should turn newlines and tabs into keys and keep accents', () => {
+      expect(escapeForSendKeys('Línea uno\r\nañadir\tcampo\n')).toBe('Línea uno{ENTER}añadir{TAB}campo{ENTER}');
+    });
+  });
+
+  describe('buildAppleScript', () => {
+    it('should type each line and press Return between them', () => {
+      expect(buildAppleScript('Hola "mundo"\n\nadiós')).toBe([
+        'tell application "System Events"',
+        '  keystroke "Hola \\"mundo\\""',
+        '  key code 36',
+        '  key code 36',
+        '  keystroke "adiós"',
+        'end tell'
+      ].join('\n'));
+    });
+  });
+
+  describe('buildTypeCommand', () => {
+    it('should use xdotool on X11 and pass the text through stdin', () => {
+      const command = buildTypeCommand('canción\nfin', { platform: 'linux', env: { XDG_SESSION_TYPE: 'x11' }, isAvailable: () => true });
+      expect(command).toEqual({
+        tool: 'xdotool',
+        command: 'xdotool',
+        args: ['type', '--clearmodifiers', '--delay', '5', '--file', '-'],
+        input: 'canción\nfin'
+      });
+    });
+
+    it('should use wtype on Wayland and never ydotool', () => {
+      const env = { XDG_SESSION_TYPE: 'wayland' };
+      expect(buildTypeCommand('x', { platform: 'linux', env, isAvailable: (c) => c === 'wtype' }).tool).toBe('wtype');
+      expect(buildTypeCommand('x', { platform: 'linux', env, isAvailable: (c) => c === 'ydotool' })).toBeNull();
+    });
+
+    it('should use SendKeys on Windows', () => {
+      const command = buildTypeCommand('a+b', { platform: 'win32' });
+      expect(command.command).toBe('powershell.exe');
+      expect(command.input).toBe('a{+}b');
+    });
+  });
+
+  describe('typeText', () => {
+    it('should resolve with the tool used', async () => {
+      const { spawnFn, spawned } = fakeSpawn(0);
+      const result = await typeText('él', { platform: 'linux', env: { DISPLAY: ':0' }, isAvailable: () => true, spawnFn });
+      expect(result).toEqual({ tool: 'xdotool' });
+      expect(spawned[0].input).toBe('él');
+    });
+
+    it('should reject with TYPE_TOOL_MISSING when nothing is installed', async () => {
+      await expect(typeText('x', { platform: 'linux', env: { DISPLAY: ':0' }, isAvailable: () => false }))
+        .rejects.toMatchObject({ code: 'TYPE_TOOL_MISSING' });
+    });
+
+    it('should reject with TYPE_FAILED on a non-zero exit', async () => {
+      const { spawnFn } = fakeSpawn(1);
+      await expect(typeText('x', { platform: 'darwin', spawnFn })).rejects.toMatchObject({ code: 'TYPE_FAILED' });
+    });
+  });
+});
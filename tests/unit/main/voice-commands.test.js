@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { applyVoiceCommands, normalizeVoiceCommands, DEFAULT_VOICE_COMMANDS } from '../../../voiceCommands.js';
+
+const apply = (text, commands) => applyVoiceCommands(text, commands).text;
+
+describe('Voice Commands', () => {
+  describe('applyVoiceCommands', () => {
+    it('should insert punctuation and capitalize after a period', () => {
+      expect(apply('hola, punto. Qué tal, coma, Juan')).toBe('hola. Qué tal, Juan');
+      expect(apply('lista dos puntos pan punto y coma leche')).toBe('lista: pan; leche');
+    });
+
+    it('should replace the punctuation Whisper put around the command', () => {
+      expect(apply('Hola, punto. Nueva línea, adiós.')).toBe('Hola.\nAdiós.');
+    });
+
+    it('should add line breaks and paragraphs', () => {
+      expect(apply('Primero nuevo párrafo segundo')).toBe('Primero\n\nSegundo');
+      expect(apply('fin punto y aparte otra cosa')).toBe('fin.\n\nOtra cosa');
+      expect(apply('Hola, nueva línea. Adiós')).toBe('Hola\nAdiós');
+    });
+
+    it('should handle parentheses and quotes', () => {
+      expect(apply('Juan abrir paréntesis mi primo cerrar paréntesis vino')).toBe('Juan (mi primo) vino');
+      expect(apply('dijo entre comillas hola entre comillas y se fue')).toBe('dijo "hola" y se fue');
+    });
+
+    it('should delete the sentence in progress or the last finished one', () => {
+      expect(apply('Primera frase. Esto está mal, borrar eso. Segunda frase.')).toBe('Primera frase. Segunda frase.');
+      expect(apply('Primera frase. Otra frase. Borrar eso.')).toBe('Primera frase.');
+    });
+
+    it('should understand English commands', () => {
+      expect(apply('Dear John, comma, new paragraph thanks period')).toBe('Dear John,\n\nThanks.');
+      expect(apply('wrong words scratch that')).toBe('');
+    });
+
+    it('should leave command words that are part of the sentence', () => {
+      const sentences = [
+        'Desde mi punto de vista está bien',
+        'Está a punto de salir',
+        'El paciente entró en coma',
+        'Versión tres punto cinco',
+        'It lasted a period of two weeks',
+        'Quiero que coma algo antes de salir',
+        'Hay que poner punto final',
+        'mañana coma pasado'
+      ];
+      for (const sentence of sentences) {
+        expect(applyVoiceCommands(sentence)).toEqual({ text: sentence, applied: [] });
+      }
+    });
+
+    it('should need a pause or the end of the dictation around a bare "punto" or "coma"', () => {
+      expect(apply('mañana, coma, pasado')).toBe('mañana, pasado');
+      expect(apply('Hay que poner, punto. Final')).toBe('Hay que poner. Final');
+      expect(apply('nos vemos mañana punto')).toBe('nos vemos mañana.');
+      expect(apply('Coma algo antes de salir')).toBe('Coma algo antes de salir');
+    });
+
+    it('should write the command word after "literal"', () => {
+      expect(apply('escribe literal punto aquí')).toBe('escribe punto aquí');
+    });
+
+    it('should skip disabled commands and use custom phrases', () => {
+      const commands = [
+        { phrase: 'punto', action: 'period', enabled: false },
+        { phrase: 'salto', action: 'newline' }
+      ];
+      expect(apply('uno punto dos salto tres', commands)).toBe('uno punto dos\nTres');
+    });
+
+    it('should report the actions applied', () => {
+      expect(applyVoiceCommands('hola, coma, adiós punto').applied).toEqual(['comma', 'period']);
+    });
+  });
+
+  describe('normalizeVoiceCommands', () => {
+    it('should drop unknown actions and empty phrases and default enabled to true', () => {
+      expect(normalizeVoiceCommands([
+        { phrase: ' salto ', action: 'newline' },
+        { phrase: 'x', action: 'explode' },
+        { phrase: '  ', action: 'comma' }
+      ])).toEqual([{ phrase: 'salto', action: 'newline', enabled: true }]);
+    });
+
+    it('should keep every default command', () => {
+      expect(normalizeVoiceCommands(DEFAULT_VOICE_COMMANDS)).toHaveLength(DEFAULT_VOICE_COMMANDS.length);
+    });
+  });
+});
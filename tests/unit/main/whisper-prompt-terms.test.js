@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WHISPER_PROMPT_TOKEN_LIMIT,
+  estimateWhisperTokens,
+  scoreDictionaryEntry,
+  selectWhisperPromptTerms,
+  recordEntryUsage
+} from '../../../whisperPromptTerms.js';
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Whisper Prompt Terms', () => {
+  describe('estimateWhisperTokens', () => {
+    it('should count more tokens than words, and more for acronyms and accents', () => {
+      expect(estimateWhisperTokens('')).toBe(0);
+      expect(estimateWhisperTokens('hola')).toBeGreaterThanOrEqual(1);
+      expect(estimateWhisperTokens('COHADE')).toBeGreaterThan(estimateWhisperTokens('cohade'));
+      expect(estimateWhisperTokens('ñandú')).toBeGreaterThan(estimateWhisperTokens('nandu'));
+      const sentence = 'Transcripción literal de dictado de voz en español.';
+      expect(estimateWhisperTokens(sentence)).toBeGreaterThan(sentence.split(' ').length);
+    });
+
+    it('should leave room for terms in the default prompt', () => {
+      const prompt = 'Transcripción literal de dictado de voz en español. Términos especiales:  . Transcribir exactamente lo que se dice, palabra por palabra, sin interpretar ni resumir.';
+      expect(estimateWhisperTokens(prompt)).toBeLessThan(WHISPER_PROMPT_TOKEN_LIMIT / 2);
+    });
+  });
+
+  describe('scoreDictionaryEntry', () => {
+    it('should favour frequent and recent use', () => {
+      const score = (fields) => scoreDictionaryEntry({ createdAt: daysAgo(90), ...fields }, NOW);
+      expect(score({ hits: 10, lastUsedAt: daysAgo(1) })).toBeGreaterThan(score({ hits: 1, lastUsedAt: daysAgo(1) }));
+      expect(score({ hits: 10, lastUsedAt: daysAgo(1) })).toBeGreaterThan(score({ hits: 10, lastUsedAt: daysAgo(60) }));
+    });
+
+    it('should let a new term outrank old unused ones', () => {
+      expect(scoreDictionaryEntry({ createdAt: daysAgo(0) }, NOW))
+        .toBeGreaterThan(scoreDictionaryEntry({ createdAt: daysAgo(200), hits: 3, lastUsedAt: daysAgo(120) }, NOW));
+    });
+  });
+
+  describe('selectWhisperPromptTerms', () => {
+    const entries = [
+      { id: 'old', replace: 'Antiguo', createdAt: daysAgo(300) },
+      { id: 'used', replace: 'COHADE', createdAt: daysAgo(300), hits: 40, lastUsedAt: daysAgo(2) },
+      { id: 'pin', replace: 'Murmullo', createdAt: daysAgo(300), pinned: true },
+      { id: 'dup', replace: 'cohade', createdAt: daysAgo(300) }
+    ];
+
+    it('should put pinned terms first, then by score, skipping duplicates', () => {
+      const { included, excluded } = selectWhisperPromptTerms(entries, { tokenBudget: 100, now: NOW });
+      expect(included.map(t => t.entryId)).toEqual(['pin', 'used', 'old']);
+      expect(excluded).toMatchObject([{ entryId: 'dup', reason: 'duplicate' }]);
+    });
+
+    it('should stop at the token budget and the term limit', () => {
+      const tight = selectWhisperPromptTerms(entries, { tokenBudget: estimateWhisperTokens('Murmullo'), now: NOW });
+      expect(tight.included.map(t => t.entryId)).toEqual(['pin']);
+      expect(tight.excluded.find(t => t.entryId === 'used').reason).toBe('budget');
+      expect(tight.tokensUsed).toBeLessThanOrEqual(estimateWhisperTokens('Murmullo'));
+
+      const limited = selectWhisperPromptTerms(entries, { tokenBudget: 100, maxTerms: 1, now: NOW });
+      expect(limited.excluded.find(t => t.entryId === 'used').reason).toBe('limit');
+    });
+  });
+
+  describe('recordEntryUsage', () => {
+    it('should add hits and the last use to matched entries', () => {
+      const entries = [{ id: 'a', hits: 2 }, { id: 'b' }];
+      const updated = recordEntryUsage(entries, [{ entryId: 'a' }, { entryId: 'a' }], NOW);
+      expect(updated).toBe(1);
+      expect(entries[0]).toEqual({ id: 'a', hits: 4, lastUsedAt: new Date(NOW).toISOString() });
+      expect(entries[1]).toEqual({ id: 'b' });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { getReviewAction } from '../../../src/review/reviewShortcuts.js';
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...mods });
+
+describe('Review Shortcuts', () => {
+  it('should map plain keys when not editing', () => {
+    expect(getReviewAction(key('Enter'), { editing: false })).toBe('accept');
+    expect(getReviewAction(key('e'), { editing: false })).toBe('edit');
+    expect(getReviewAction(key('Escape'), { editing: false })).toBe('discard');
+    expect(getReviewAction(key('x'), { editing: false })).toBeNull();
+  });
+
+  it('should leave plain keys to the textarea while editing', () => {
+    expect(getReviewAction(key('Enter'), { editing: true })).toBeNull();
+    expect(getReviewAction(key('e'), { editing: true })).toBeNull();
+    expect(getReviewAction(key('Enter', { ctrlKey: true }), { editing: true })).toBe('accept');
+  });
+
+  it('should cancel the edit with Escape while editing instead of discarding', () => {
+    expect(getReviewAction(key('Escape'), { editing: true })).toBe('cancel-edit');
+    expect(getReviewAction(key('Escape', { ctrlKey: true }), { editing: true })).toBe('cancel-edit');
+  });
+
+  it('should not accept an empty or blank text', () => {
+    expect(getReviewAction(key('Enter'), { editing: false, text: '' })).toBeNull();
+    expect(getReviewAction(key('Enter', { ctrlKey: true }), { editing: true, text: '  \n ' })).toBeNull();
+    expect(getReviewAction(key('Enter', { ctrlKey: true }), { editing: true, text: 'Hola' })).toBe('accept');
+    expect(getReviewAction(key('Escape'), { editing: false, text: '' })).toBe('discard');
+  });
+
+  it('should copy with Ctrl+Shift+C or Cmd+Shift+C', () => {
+    expect(getReviewAction(key('C', { ctrlKey: true, shiftKey: true }), { editing: true })).toBe('copy');
+    expect(getReviewAction(key('c', { metaKey: true, shiftKey: true }), { editing: false })).toBe('copy');
+    expect(getReviewAction(key('c', { ctrlKey: true }), { editing: true })).toBeNull();
+  });
+
+  it('should ignore Shift+Enter and Alt combinations', () => {
+    expect(getReviewAction(key('Enter', { shiftKey: true }), { editing: false })).toBeNull();
+    expect(getReviewAction(key('e', { altKey: true }), { editing: false })).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OfflineQueue, detectAudioFormat, getRetryDelay, MAX_ATTEMPTS } from '../../../offlineQueue.js';
+
+describe('Offline Queue', () => {
+  let queueDir;
+  let queue;
+  const audio = Buffer.from('RIFF0000WAVEfmt audio-bytes');
+
+  beforeEach(() => {
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'murmullo-queue-'));
+    queue = new OfflineQueue(path.join(queueDir, 'offline-queue'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+  });
+
+  it('should persist the audio and only transcription options', () => {
+    const item = queue.enqueue(audio, { language: 'es', processingMode: 'fast', apiKey: 'sk-secret' }, 'Network error');
+
+    expect(item.status).toBe('pending');
+    expect(item.options).toEqual({ language: 'es', processingMode: 'fast' });
+    expect(queue.readAudio(item.id).equals(audio)).toBe(true);
+
+    // A new instance (app restart) sees the same queue
+    const reopened = new OfflineQueue(path.join(queueDir, 'offline-queue'));
+    expect(reopened.list().map(i => i.id)).toEqual([item.id]);
+    expect(JSON.stringify(reopened.list())).not.toContain('sk-secret');
+  });
+
+  it('should name the stored file after the container in its header', () => {
+    const webm = Buffer.concat([Buffer.from('1a45dfa3', 'hex'), Buffer.from('webm-bytes')]);
+    const item = queue.enqueue(webm, {});
+    expect(item.audioFile).toBe(`${item.id}.webm`);
+    expect(item.mimeType).toBe('audio/webm');
+    expect(queue.readAudio(item.id).equals(webm)).toBe(true);
+
+    expect(queue.enqueue(audio, {}).audioFile).toMatch(/\.wav$/);
+    expect(detectAudioFormat(Buffer.from('OggS opus'))).toEqual({ extension: 'ogg', mimeType: 'audio/ogg' });
+    expect(detectAudioFormat(Buffer.from('garbage'))).toEqual({ extension: 'bin', mimeType: 'application/octet-stream' });
+  });
+
+  it('should keep the profile so its dictionary groups apply on replay', () => {
+    const item = queue.enqueue(audio, { language: 'es', profileId: 'medico' });
+
+    const reopened = new OfflineQueue(path.join(queueDir, 'offline-queue'));
+    expect(reopened.get(item.id).options).toEqual({ language: 'es', profileId: 'medico' });
+  });
+
+  it('should only return items whose retry time has come', () => {
+    const item = queue.enqueue(audio, {});
+    expect(queue.getDueItems(Date.now())).toEqual([]);
+    expect(queue.getDueItems(item.nextRetryAt).map(i => i.id)).toEqual([item.id]);
+  });
+
+  it('should back off after failures and give up after MAX_ATTEMPTS', () => {
+    const item = queue.enqueue(audio, {});
+    const now = 1000;
+
+    let updated = queue.markAttemptFailed(item.id, 'still offline', now);
+    expect(updated.attempts).toBe(1);
+    expect(updated.nextRetryAt).toBe(now + getRetryDelay(1));
+
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      updated = queue.markAttemptFailed(item.id, 'still offline', now);
+    }
+    expect(updated.status).toBe('failed');
+    expect(queue.getDueItems(Number.MAX_SAFE_INTEGER)).toEqual([]);
+  });
+
+  it('should reset an item for a manual retry', () => {
+    const item = queue.enqueue(audio, {});
+    queue.markAttemptFailed(item.id, 'x', 0);
+
+    const reset = queue.resetForRetry(item.id, 5000);
+    expect(reset).toMatchObject({ status: 'pending', attempts: 0, nextRetryAt: 5000 });
+  });
+
+  it('should delete the audio file when an item is removed', () => {
+    const item = queue.enqueue(audio, {});
+    const audioPath = path.join(queueDir, 'offline-queue', item.audioFile);
+    expect(fs.existsSync(audioPath)).toBe(true);
+
+    expect(queue.remove(item.id)).toBe(true);
+    expect(fs.existsSync(audioPath)).toBe(false);
+    expect(queue.list()).toEqual([]);
+    expect(queue.remove(item.id)).toBe(false);
+  });
+
+  it('should report storage failures through the injected logger', () => {
+    const logError = vi.fn();
+    const dir = path.join(queueDir, 'offline-queue');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'queue.json'), '{ not json');
+
+    expect(new OfflineQueue(dir, { logError }).list()).toEqual([]);
+    expect(logError).toHaveBeenCalledWith('[OfflineQueue] Failed to load queue:', expect.any(String));
+  });
+
+  it('should cap the retry delay', () => {
+    expect(getRetryDelay(1)).toBe(30000);
+    expect(getRetryDelay(2)).toBe(60000);
+    expect(getRetryDelay(20)).toBe(10 * 60 * 1000);
+  });
+});
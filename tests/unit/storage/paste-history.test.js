@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { getLastPastedText } from '../../../pasteHistory.js';
+import { validateIpcMessage } from '../../../ipcValidation.js';
+
+describe('Paste History', () => {
+  let db;
+  const insert = (timestamp, text, pasted) => db.run(
+    'INSERT INTO transcriptions (timestamp, original_text, processed_text, pasted) VALUES (?, ?, ?, ?)',
+    [timestamp, `${text} (raw)`, text, pasted ? 1 : 0]
+  );
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    db.run(`CREATE TABLE transcriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME,
+      original_text TEXT NOT NULL,
+      processed_text TEXT,
+      pasted INTEGER DEFAULT 0
+    )`);
+  });
+
+  it('should return the newest pasted dictation', () => {
+    insert('2026-01-01T10:00:00.000Z', 'primero', true);
+    insert('2026-01-01T11:00:00.000Z', 'segundo', true);
+    expect(getLastPastedText(db)).toBe('segundo');
+  });
+
+  it('should skip a last dictation whose paste failed or was only copied', () => {
+    insert('2026-01-01T10:00:00.000Z', 'pegado', true);
+    insert('2026-01-01T11:00:00.000Z', 'falló al pegar', false);
+    expect(getLastPastedText(db)).toBe('pegado');
+  });
+
+  it('should return null when nothing was pasted', () => {
+    expect(getLastPastedText(db)).toBeNull();
+    insert('2026-01-01T10:00:00.000Z', 'solo copiado', false);
+    expect(getLastPastedText(db)).toBeNull();
+  });
+
+  it('should only accept a boolean paste result when saving', () => {
+    expect(validateIpcMessage('save-transcription', { original_text: 'hola', pasted: true }).isValid).toBe(true);
+    expect(validateIpcMessage('save-transcription', { original_text: 'hola', pasted: 'yes' }).isValid).toBe(false);
+  });
+});
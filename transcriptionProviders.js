@@ -0,0 +1,316 @@
+/**
+ * Transcription Providers Module for Murmullo
+ * Registry of speech-to-text engines used by the transcribe-audio IPC handler
+ */
+
+/**
+ * Known transcription providers.
+ * Every HTTP provider speaks the OpenAI `/audio/transcriptions` protocol;
+ * 'backend' is routed through the Murmullo server by main.js and
+ * 'local' runs whisper.cpp on this machine.
+ */
+const TRANSCRIPTION_PROVIDERS = {
+  openai: {
+    id: 'openai',
+    name: 'OpenAI Whisper',
+    type: 'openai-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'whisper-1',
+    apiKeyProvider: 'openai',
+    envKey: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    defaultTimeoutMs: 30000
+  },
+  groq: {
+    id: 'groq',
+    name: 'Groq Whisper',
+    type: 'openai-compatible',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    defaultModel: 'whisper-large-v3-turbo',
+    apiKeyProvider: 'groq',
+    envKey: 'GROQ_API_KEY',
+    requiresApiKey: true,
+    defaultTimeoutMs: 20000
+  },
+  custom: {
+    id: 'custom',
+    name: 'Endpoint compatible con OpenAI',
+    type: 'openai-compatible',
+    baseUrl: null, // Configured by the user
+    defaultModel: 'whisper-1',
+    apiKeyProvider: 'custom',
+    envKey: null,
+    requiresApiKey: false, // Self-hosted servers often run without auth
+    defaultTimeoutMs: 30000
+  },
+  local: {
+    id: 'local',
+    name: 'Local (whisper.cpp)',
+    type: 'local', // Runs the user's whisper.cpp binary, see localWhisper.js
+    baseUrl: null,
+    defaultModel: null, // GGML model file chosen by the user
+    apiKeyProvider: null,
+    envKey: null,
+    requiresApiKey: false,
+    defaultTimeoutMs: 120000 // Large models on CPU are slow
+  },
+  backend: {
+    id: 'backend',
+    name: 'Servidor Murmullo',
+    type: 'backend',
+    baseUrl: null,
+    defaultModel: 'whisper-1',
+    apiKeyProvider: null,
+    envKey: null,
+    requiresApiKey: false,
+    defaultTimeoutMs: 30000 // Render cold starts can take longer; fall back instead of waiting
+  }
+};
+
+/**
+ * Get a provider definition by id
+ * @param {string} id - Provider id
+ * @returns {object|null} - Provider definition or null if unknown
+ */
+function getTranscriptionProvider(id) {
+  return Object.prototype.hasOwnProperty.call(TRANSCRIPTION_PROVIDERS, id)
+    ? TRANSCRIPTION_PROVIDERS[id]
+    : null;
+}
+
+/**
+ * List providers for UI display
+ */
+function listTranscriptionProviders() {
+  return Object.values(TRANSCRIPTION_PROVIDERS).map(p => ({
+    id: p.id,
+    name: p.name,
+    type: p.type,
+    defaultModel: p.defaultModel,
+    requiresApiKey: p.requiresApiKey,
+    defaultTimeoutMs: p.defaultTimeoutMs
+  }));
+}
+
+/**
+ * Normalize a base URL (removes trailing slashes)
+ */
+function normalizeBaseUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Build a multipart/form-data body by hand
+ * (native fetch + form-data package don't work well together)
+ * @param {Object<string, string>} fields - Text fields, undefined/null values are skipped
+ * @param {{ buffer: Buffer, filename: string, contentType: string }} file - File part
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+function buildMultipartBody(fields, file) {
+  const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
+  const CRLF = '\r\n';
+
+  const parts = [];
+
+  // File part
+  parts.push(
+    `--${boundary}${CRLF}`,
+    `Content-Disposition: form-data; name="file"; filename="${file.filename}"${CRLF}`,
+    `Content-Type: ${file.contentType}${CRLF}${CRLF}`
+  );
+  parts.push(file.buffer);
+  parts.push(CRLF);
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    parts.push(
+      `--${boundary}${CRLF}`,
+      `Content-Disposition: form-data; name="${name}"${CRLF}${CRLF}`,
+      `${value}${CRLF}`
+    );
+  }
+
+  // End boundary
+  parts.push(`--${boundary}--${CRLF}`);
+
+  // Combine all parts into a single buffer
+  const body = Buffer.concat(parts.map(part =>
+    Buffer.isBuffer(part) ? part : Buffer.from(part, 'utf-8')
+  ));
+
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Transcribe audio against an OpenAI-compatible /audio/transcriptions endpoint
+ * @param {object} params
+ * @param {string} params.baseUrl - API base URL (e.g. https://api.openai.com/v1)
+ * @param {string} [params.apiKey] - Bearer token, omitted from headers when empty
+ * @param {string} params.model - Model name
+ * @param {string} [params.language] - ISO language code, 'auto' lets the model detect it
+ * @param {string} [params.prompt] - Prompt to anchor the transcription
+ * @param {string} [params.providerName] - Used in error messages
+ * @param {{ buffer: Buffer, filename: string, contentType: string }} params.file - Audio file
+ * @param {Function} fetchFn - fetch-like function (main.js passes fetchWithRetry)
+ * @returns {Promise<{ text: string }>}
+ */
+async function transcribeWithOpenAICompatible(params, fetchFn) {
+  const { baseUrl, apiKey, model, language, prompt, providerName = 'Whisper API', file } = params;
+
+  const normalizedUrl = normalizeBaseUrl(baseUrl);
+  if (!normalizedUrl) {
+    throw new Error(`${providerName}: base URL not configured`);
+  }
+
+  const { body, contentType } = buildMultipartBody({
+    model,
+    language: language && language !== 'auto' ? language : undefined,
+    prompt: prompt || undefined,
+    temperature: '0' // 0 = most deterministic/literal transcription
+  }, file);
+
+  const headers = { 'Content-Type': contentType };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetchFn(`${normalizedUrl}/audio/transcriptions`, {
+    method: 'POST',
+    headers,
+    body
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${providerName} error: ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const result = await response.json();
+  return { text: result.text || '' };
+}
+
+/**
+ * Default fallback chain: own OpenAI key, then the local engine. Off until the user turns it on.
+ * Steps that aren't configured (no key, no whisper.cpp) fail fast and are skipped.
+ */
+const DEFAULT_FALLBACK_SETTINGS = {
+  enabled: false,
+  steps: ['openai', 'local'],
+  allowCloudAfterLocal: false, // The local engine promises audio stays on this machine
+  timeouts: {} // Per-provider overrides in ms, defaults come from the registry
+};
+
+/**
+ * Build the ordered list of providers to try for one transcription
+ * With a local primary, cloud steps are only added when allowCloudAfterLocal is set.
+ * @param {string} primaryId - Provider chosen in the General tab (already resolved from 'auto')
+ * @param {object} settings - { enabled, steps, allowCloudAfterLocal, timeouts }
+ * @returns {Array<{ provider: string, timeoutMs: number }>}
+ */
+function buildFallbackChain(primaryId, settings = DEFAULT_FALLBACK_SETTINGS) {
+  const ids = [primaryId];
+  if (settings?.enabled && Array.isArray(settings.steps)) {
+    ids.push(...settings.steps);
+  }
+  const keepAudioLocal = getTranscriptionProvider(primaryId)?.type === 'local' && !settings?.allowCloudAfterLocal;
+
+  const chain = [];
+  for (const id of ids) {
+    const provider = getTranscriptionProvider(id);
+    if (!provider || chain.some(step => step.provider === id)) continue;
+    if (keepAudioLocal && provider.type !== 'local') continue;
+    chain.push({
+      provider: id,
+      timeoutMs: settings?.timeouts?.[id] || provider.defaultTimeoutMs
+    });
+  }
+  return chain;
+}
+
+/**
+ * Reject if a promise doesn't settle in time.
+ * The underlying request keeps running; its late result is ignored.
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Connection failures worth retrying later (Node's fetch puts them in error.cause)
+const NETWORK_ERROR_CODES = new Set([
+  'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * Whether a transcription failure may go away on its own: no connection, a
+ * timeout or a server error. A missing or rejected API key, other 4xx answers
+ * and unreadable audio fail the same way every time.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (typeof error.status === 'number') return error.status >= 500 || error.status === 408;
+  const code = error.code || error.cause?.code;
+  if (code) return NETWORK_ERROR_CODES.has(code);
+  // Electron's net.fetch ("net::ERR_INTERNET_DISCONNECTED") and Node's fetch ("fetch failed")
+  return /net::ERR_|fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Try each step of a fallback chain until one produces a transcription
+ * @param {Array<{ provider: string, timeoutMs: number }>} chain - From buildFallbackChain
+ * @param {Function} attemptFn - (providerId) => Promise<{ text }>
+ * @returns {Promise<{ result: object, provider: string, attempts: Array }>}
+ * @throws {Error} Last step's error with `attempts` attached when every step fails;
+ *   each failed attempt says whether its error was transient
+ */
+async function runTranscriptionChain(chain, attemptFn) {
+  const attempts = [];
+  let lastError = new Error('No transcription provider available');
+
+  for (const step of chain) {
+    const startTime = Date.now();
+    try {
+      const result = await withTimeout(Promise.resolve().then(() => attemptFn(step.provider)), step.timeoutMs, step.provider);
+      attempts.push({ provider: step.provider, success: true, latencyMs: Date.now() - startTime });
+      return { result, provider: step.provider, attempts };
+    } catch (error) {
+      attempts.push({
+        provider: step.provider,
+        success: false,
+        latencyMs: Date.now() - startTime,
+        error: error.message,
+        transient: isTransientError(error)
+      });
+      lastError = error;
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+module.exports = {
+  TRANSCRIPTION_PROVIDERS,
+  getTranscriptionProvider,
+  listTranscriptionProviders,
+  normalizeBaseUrl,
+  buildMultipartBody,
+  transcribeWithOpenAICompatible,
+  DEFAULT_FALLBACK_SETTINGS,
+  buildFallbackChain,
+  withTimeout,
+  isTransientError,
+  runTranscriptionChain
+};
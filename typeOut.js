@@ -0,0 +1,140 @@
+/**
+ * Type-Out Module for Murmullo
+ * Types the transcription key by key into the focused window, without
+ * touching the clipboard (for terminals without Ctrl+V and clipboard managers)
+ */
+
+const { spawn } = require('child_process');
+const { detectSessionType, findExecutable } = require('./linuxPaste');
+
+const KEY_DELAY_MS = 5;            // xdotool delay between keystrokes
+const BASE_TIMEOUT_MS = 10000;
+const TIMEOUT_PER_CHAR_MS = 50;    // Long dictations take a while to type
+
+// Tools that can type arbitrary Unicode. ydotool only knows the US layout, so accents would be lost.
+const LINUX_TYPE_TOOLS = {
+  x11: ['xdotool'],
+  wayland: ['wtype'],
+  unknown: ['xdotool', 'wtype']
+};
+
+/**
+ * Escape text for .NET SendKeys, where + ^ % ~ ( ) { } [ ] are commands
+ */
+function escapeForSendKeys(text) {
+  return text
+    .replace(/[+^%~(){}[\]]/g, '{$&}')
+    .replace(/\r?\n/g, '{ENTER}')
+    .replace(/\t/g, '{TAB}');
+}
+
+/**
+ * AppleScript that types each line and presses Return between them
+ */
+function buildAppleScript(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const steps = lines.flatMap((line, index) => {
+    const escaped = line.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const typeLine = escaped ? [`  keystroke "${escaped}"`] : [];
+    return index < lines.length - 1 ? [...typeLine, '  key code 36'] : typeLine;
+  });
+  return ['tell application "System Events"', ...steps, 'end tell'].join('\n');
+}
+
+/**
+ * Command that types the text on this platform
+ * Text goes through stdin so quoting and command-line limits don't matter.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.platform]
+ * @param {object} [options.env]
+ * @param {Function} [options.isAvailable] - (command) => boolean, Linux only
+ * @returns {{ command: string, args: string[], input: string, tool: string } | null} null when no tool is installed
+ */
+function buildTypeCommand(text, {
+  platform = process.platform,
+  env = process.env,
+  isAvailable = (command) => !!findExecutable(command, env)
+} = {}) {
+  if (platform === 'win32') {
+    return {
+      tool: 'sendkeys',
+      command: 'powershell.exe',
+      args: [
+        '-NoProfile',
+        '-NonInteractive',
+        '-Command',
+        '[Console]::InputEncoding = [System.Text.Encoding]::UTF8; Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait([Console]::In.ReadToEnd())'
+      ],
+      input: escapeForSendKeys(text)
+    };
+  }
+
+  if (platform === 'darwin') {
+    return { tool: 'osascript', command: 'osascript', args: ['-'], input: buildAppleScript(text) };
+  }
+
+  const tool = LINUX_TYPE_TOOLS[detectSessionType(env)].find(isAvailable);
+  if (tool === 'xdotool') {
+    return { tool, command: 'xdotool', args: ['type', '--clearmodifiers', '--delay', String(KEY_DELAY_MS), '--file', '-'], input: text };
+  }
+  if (tool === 'wtype') {
+    return { tool, command: 'wtype', args: ['-'], input: text };
+  }
+  return null;
+}
+
+/**
+ * Type text into the focused window
+ * @param {string} text
+ * @param {object} [options] - See buildTypeCommand, plus spawnFn
+ * @returns {Promise<{ tool: string }>}
+ * @throws {Error} code 'TYPE_TOOL_MISSING' or 'TYPE_FAILED'
+ */
+function typeText(text, { spawnFn = spawn, ...options } = {}) {
+  const typeCommand = buildTypeCommand(text, options);
+  if (!typeCommand) {
+    const error = new Error('No se pudo escribir el texto: instala xdotool (X11) o wtype (Wayland) para usar el modo de escritura.');
+    error.code = 'TYPE_TOOL_MISSING';
+    return Promise.reject(error);
+  }
+
+  const { tool, command, args, input } = typeCommand;
+  return new Promise((resolve, reject) => {
+    const fail = (message) => {
+      const error = new Error(`No se pudo escribir el texto (${tool}): ${message}`);
+      error.code = 'TYPE_FAILED';
+      reject(error);
+    };
+
+    const child = spawnFn(command, args);
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      fail('tiempo de espera agotado');
+    }, BASE_TIMEOUT_MS + text.length * TIMEOUT_PER_CHAR_MS);
+
+    child.stderr?.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      fail(error.message);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve({ tool });
+      } else {
+        fail(stderr.trim() || `código de salida ${code}`);
+      }
+    });
+
+    child.stdin.end(input, 'utf8');
+  });
+}
+
+module.exports = {
+  escapeForSendKeys,
+  buildAppleScript,
+  buildTypeCommand,
+  typeText
+};
@@ -0,0 +1,249 @@
+/**
+ * Voice Commands Module for Murmullo
+ * Rule-based interpreter for spoken punctuation and formatting
+ * ("punto", "nueva línea", "borrar eso"...) used in fast and smart modes,
+ * so structured text doesn't need the AI call
+ */
+
+const { normalizeForMatch } = require('./hallucinationFilter');
+
+const MAX_COMMANDS = 100;
+
+// What each command does. 'left' punctuation sticks to the previous word,
+// 'right' punctuation to the next one, and breaks start a new line.
+const VOICE_COMMAND_ACTIONS = {
+  period: { label: 'Punto (.)', insert: '.', attach: 'left', capitalizeNext: true },
+  comma: { label: 'Coma (,)', insert: ',', attach: 'left' },
+  colon: { label: 'Dos puntos (:)', insert: ':', attach: 'left' },
+  semicolon: { label: 'Punto y coma (;)', insert: ';', attach: 'left' },
+  newline: { label: 'Nueva línea', breaks: '\n', capitalizeNext: true },
+  paragraph: { label: 'Nuevo párrafo', breaks: '\n\n', capitalizeNext: true },
+  'period-paragraph': { label: 'Punto y aparte (.¶)', insert: '.', attach: 'left', breaks: '\n\n', capitalizeNext: true },
+  'open-paren': { label: 'Abrir paréntesis', insert: '(', attach: 'right' },
+  'close-paren': { label: 'Cerrar paréntesis', insert: ')', attach: 'left' },
+  quote: { label: 'Comillas (abrir o cerrar)', insert: '"' },
+  'delete-last': { label: 'Borrar la última frase' }
+};
+
+const DEFAULT_VOICE_COMMANDS = [
+  // Spanish
+  { phrase: 'punto y aparte', action: 'period-paragraph' },
+  { phrase: 'punto y seguido', action: 'period' },
+  { phrase: 'punto y coma', action: 'semicolon' },
+  { phrase: 'punto', action: 'period' },
+  { phrase: 'coma', action: 'comma' },
+  { phrase: 'dos puntos', action: 'colon' },
+  { phrase: 'nueva línea', action: 'newline' },
+  { phrase: 'nuevo párrafo', action: 'paragraph' },
+  { phrase: 'abrir paréntesis', action: 'open-paren' },
+  { phrase: 'cerrar paréntesis', action: 'close-paren' },
+  { phrase: 'entre comillas', action: 'quote' },
+  { phrase: 'abrir comillas', action: 'quote' },
+  { phrase: 'cerrar comillas', action: 'quote' },
+  { phrase: 'borrar eso', action: 'delete-last' },
+  // English
+  { phrase: 'period', action: 'period' },
+  { phrase: 'full stop', action: 'period' },
+  { phrase: 'comma', action: 'comma' },
+  { phrase: 'semicolon', action: 'semicolon' },
+  { phrase: 'new line', action: 'newline' },
+  { phrase: 'new paragraph', action: 'paragraph' },
+  { phrase: 'open parenthesis', action: 'open-paren' },
+  { phrase: 'close parenthesis', action: 'close-paren' },
+  { phrase: 'open quote', action: 'quote' },
+  { phrase: 'close quote', action: 'quote' },
+  { phrase: 'scratch that', action: 'delete-last' },
+  { phrase: 'delete that', action: 'delete-last' }
+].map(command => ({ ...command, enabled: true }));
+
+// Everyday words ("que coma algo", "mañana coma pasado", "a period of time"):
+// said on their own they only count as commands at a pause or at the end
+const PAUSE_REQUIRED = new Set(['punto', 'coma', 'period']);
+
+// A command word right after one of these is part of the sentence:
+// "el punto", "a punto de", "en coma", "que coma", "poner punto", "a period of time"
+const GUARD_BEFORE = new Set([
+  'el', 'la', 'los', 'las', 'un', 'una', 'este', 'esta', 'ese', 'esa', 'aquel', 'aquella',
+  'mi', 'tu', 'su', 'del', 'al', 'de', 'en', 'a', 'por', 'sin', 'cada', 'otro', 'otra',
+  'que', 'no', 'se', 'lo', 'le', 'me', 'te', 'poner', 'pon', 'pone', 'pongo', 'ponga', 'puso',
+  'the', 'an', 'this', 'that', 'my', 'your', 'its', 'of', 'in', 'each', 'another'
+]);
+
+// ...or right before one of these: "punto de vista", "punto final", "period of time"
+const GUARD_AFTER = new Set(['de', 'del', 'final', 'medio', 'muerto', 'of']);
+
+// Say "literal punto" to write the word itself
+const ESCAPE_WORDS = new Set(['literal', 'literalmente', 'literally']);
+
+const NUMBER_WORDS = new Set([
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'
+]);
+
+const isNumberLike = (key) => /^\d+$/.test(key) || NUMBER_WORDS.has(key);
+
+// Whisper punctuation around a word, e.g. the comma in "hola," or the "¿" in "¿qué"
+const hasTrailingPunctuation = (word) => /[^\p{L}\p{N}]$/u.test(word);
+
+/**
+ * Fill defaults and drop commands with an unknown action or an empty phrase
+ * @param {Array<{ phrase: string, action: string, enabled?: boolean }>} commands
+ * @returns {Array<{ phrase: string, action: string, enabled: boolean }>}
+ */
+function normalizeVoiceCommands(commands) {
+  return commands
+    .filter(command => VOICE_COMMAND_ACTIONS[command.action] && normalizeForMatch(command.phrase))
+    .map(command => ({
+      phrase: command.phrase.trim(),
+      action: command.action,
+      enabled: command.enabled !== false
+    }));
+}
+
+/**
+ * Find the enabled command spoken at words[index], longest phrase first
+ * @returns {{ command: object, length: number } | null}
+ */
+function matchCommandAt(keys, index, prepared) {
+  for (const entry of prepared) {
+    const { words } = entry;
+    if (index + words.length > keys.length) continue;
+    if (words.every((word, k) => keys[index + k] === word)) {
+      return { command: entry, length: words.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a matched phrase is spoken as a command rather than as part of the sentence
+ * Whisper's own punctuation marks a pause, which lifts the guards.
+ */
+function isSpokenAsCommand(words, keys, start, length, action) {
+  const before = start > 0 ? keys[start - 1] : null;
+  const after = start + length < keys.length ? keys[start + length] : null;
+  const pauseBefore = start === 0 || hasTrailingPunctuation(words[start - 1]);
+  const pauseAfter = hasTrailingPunctuation(words[start + length - 1]);
+
+  // The start of the dictation isn't a pause: "Coma algo" is an order to eat
+  const atPauseOrEnd = (start > 0 && pauseBefore) || pauseAfter || after === null;
+  if (length === 1 && PAUSE_REQUIRED.has(keys[start]) && !atPauseOrEnd) return false;
+  if (!pauseBefore && GUARD_BEFORE.has(before)) return false;
+  if (!pauseAfter && GUARD_AFTER.has(after)) return false;
+  // "tres punto cinco" is a decimal number
+  if (action === 'period' && !pauseBefore && !pauseAfter && isNumberLike(before) && isNumberLike(after || '')) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Apply spoken commands to a transcription
+ * @param {string} text - Whisper output (after the hallucination filter)
+ * @param {Array<{ phrase: string, action: string, enabled?: boolean }>} [commands]
+ * @returns {{ text: string, applied: string[] }} applied lists the actions run, in order
+ */
+function applyVoiceCommands(text, commands = DEFAULT_VOICE_COMMANDS) {
+  if (!text) return { text: text || '', applied: [] };
+
+  const prepared = normalizeVoiceCommands(commands)
+    .filter(command => command.enabled)
+    .map(command => ({ ...command, words: normalizeForMatch(command.phrase).split(' ') }))
+    .sort((a, b) => b.words.length - a.words.length);
+  if (prepared.length === 0) return { text, applied: [] };
+
+  const words = text.split(/\s+/).filter(w => w);
+  const keys = words.map(normalizeForMatch);
+  const applied = [];
+
+  let output = '';
+  let capitalizeNext = false;
+  let attachNext = false;
+  let quoteOpen = false;
+  let commandTail = false; // Output ends with punctuation a command inserted, not Whisper's
+
+  const appendWord = (word) => {
+    if (output && !attachNext && !output.endsWith('\n')) output += ' ';
+    output += capitalizeNext ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+    capitalizeNext = false;
+    attachNext = false;
+    commandTail = false;
+  };
+
+  const runAction = (action) => {
+    const spec = VOICE_COMMAND_ACTIONS[action];
+
+    if (action === 'delete-last') {
+      // Drop the sentence in progress, or the last finished one if nothing follows it
+      output = output.replace(/[ \t]+$/, '').replace(/[.!?…]+$/, '');
+      output = output.replace(/(^|[.!?…]|\n)[^.!?…\n]*$/, '$1').replace(/[ \t]+$/, '');
+      capitalizeNext = false;
+      attachNext = false;
+      commandTail = false;
+      return;
+    }
+
+    if (action === 'quote') {
+      if (quoteOpen) {
+        output = output.replace(/[ \t,]+$/, '') + spec.insert;
+        commandTail = true;
+      } else {
+        appendWord(spec.insert);
+        attachNext = true;
+      }
+      quoteOpen = !quoteOpen;
+      return;
+    }
+
+    if (spec.attach === 'right') {
+      appendWord(spec.insert);
+      attachNext = true;
+      return;
+    }
+
+    // Whisper tends to put a comma or period where the user paused before the command
+    const whisperPunctuation = commandTail ? /[ \t]+$/ : /[ \t]*[,;:.]*$/;
+    if (spec.insert) {
+      output = output.replace(whisperPunctuation, '') + spec.insert;
+      commandTail = true;
+    }
+    if (spec.breaks) {
+      output = output.replace(commandTail ? /[ \t]+$/ : /[ \t]*[,;:]*$/, '').replace(/\n*$/, '') + spec.breaks;
+    }
+    capitalizeNext = !!spec.capitalizeNext;
+    attachNext = false;
+  };
+
+  let escapes = 0;
+  for (let i = 0; i < words.length; i++) {
+    const escaped = ESCAPE_WORDS.has(keys[i]) && matchCommandAt(keys, i + 1, prepared);
+    if (escaped) {
+      // Keep the command words as text
+      words.slice(i + 1, i + 1 + escaped.length).forEach(appendWord);
+      i += escaped.length;
+      escapes++;
+      continue;
+    }
+
+    const match = matchCommandAt(keys, i, prepared);
+    if (match && isSpokenAsCommand(words, keys, i, match.length, match.command.action)) {
+      runAction(match.command.action);
+      applied.push(match.command.action);
+      i += match.length - 1;
+      continue;
+    }
+
+    appendWord(words[i]);
+  }
+
+  if (applied.length === 0 && escapes === 0) return { text, applied };
+  return { text: output.replace(/[ \t]+\n/g, '\n').trim(), applied };
+}
+
+module.exports = {
+  MAX_COMMANDS,
+  VOICE_COMMAND_ACTIONS,
+  DEFAULT_VOICE_COMMANDS,
+  normalizeVoiceCommands,
+  applyVoiceCommands
+};
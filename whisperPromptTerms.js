@@ -0,0 +1,127 @@
+/**
+ * Whisper Prompt Terms Module for Murmullo
+ * Picks which dictionary terms go into the Whisper prompt: pinned terms
+ * first, then the ones that fired most and most recently, until the
+ * prompt's 224-token budget is spent
+ */
+
+// Whisper keeps only the last 224 tokens of the prompt and drops the rest
+const WHISPER_PROMPT_TOKEN_LIMIT = 224;
+// A term unused for this long counts half as much
+const USAGE_HALF_LIFE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How GPT-2's byte-level BPE (the tokenizer Whisper uses) splits text before merging
+const PRE_TOKEN_PATTERN = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+function estimatePieceTokens(piece) {
+  const word = piece.trimStart();
+  if (!word) return 1;
+  if (/^\p{N}+$/u.test(word)) return Math.ceil(word.length / 3);
+  if (!/^\p{L}+$/u.test(word)) return word.length;
+  // Accented letters are two bytes and rarely merge with their neighbours
+  const nonAscii = word.replace(/[a-z]/gi, '').length;
+  // Acronyms ("COHADE") split into much shorter pieces than lowercase words
+  const charsPerToken = word.length > 1 && word === word.toUpperCase() ? 2 : 3;
+  return Math.max(1, Math.ceil((word.length - nonAscii) / charsPerToken) + nonAscii);
+}
+
+/**
+ * Estimate how many Whisper tokens a text takes, erring on the high side
+ * so the prompt never gets cut
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateWhisperTokens(text) {
+  const pieces = String(text || '').match(PRE_TOKEN_PATTERN) || [];
+  return pieces.reduce((total, piece) => total + estimatePieceTokens(piece), 0);
+}
+
+/**
+ * Ranking score of an entry: how often it fired, decayed by how long ago it
+ * last did. Entries that never fired decay from their creation date, so a
+ * new term outranks old ones nobody says anymore.
+ * @param {object} entry - With optional hits and lastUsedAt
+ * @param {number} [now] - Timestamp in ms
+ * @returns {number}
+ */
+function scoreDictionaryEntry(entry, now = Date.now()) {
+  const since = Date.parse(entry.lastUsedAt || entry.createdAt) || now;
+  const days = Math.max(0, now - since) / DAY_MS;
+  return (1 + Math.log2(1 + (entry.hits || 0))) * Math.pow(0.5, days / USAGE_HALF_LIFE_DAYS);
+}
+
+/**
+ * Choose the terms for the Whisper prompt
+ * @param {Array} entries - Active text entries
+ * @param {object} options
+ * @param {number} options.tokenBudget - Tokens left by the rest of the prompt
+ * @param {number} [options.maxTerms]
+ * @param {number} [options.now]
+ * @returns {{ included: Array<object>, excluded: Array<object>, tokensUsed: number }}
+ *   Each term has entryId, term, tokens, score and pinned; excluded ones also a
+ *   reason: 'duplicate', 'limit' or 'budget'
+ */
+function selectWhisperPromptTerms(entries, { tokenBudget, maxTerms = Infinity, now = Date.now() }) {
+  const ranked = entries
+    .map(entry => ({
+      entryId: entry.id,
+      term: entry.replace,
+      tokens: estimateWhisperTokens(entry.replace),
+      score: scoreDictionaryEntry(entry, now),
+      pinned: entry.pinned === true
+    }))
+    .sort((a, b) => (b.pinned - a.pinned) || (b.score - a.score));
+
+  const included = [];
+  const excluded = [];
+  const seen = new Set();
+  let tokensUsed = 0;
+
+  for (const candidate of ranked) {
+    const key = candidate.term.toLowerCase();
+    // Terms after the first are joined with ", "
+    const cost = candidate.tokens + (included.length > 0 ? 1 : 0);
+    if (seen.has(key)) {
+      excluded.push({ ...candidate, reason: 'duplicate' });
+    } else if (included.length >= maxTerms) {
+      excluded.push({ ...candidate, reason: 'limit' });
+    } else if (tokensUsed + cost > tokenBudget) {
+      excluded.push({ ...candidate, reason: 'budget' });
+    } else {
+      included.push(candidate);
+      seen.add(key);
+      tokensUsed += cost;
+    }
+  }
+
+  return { included, excluded, tokensUsed };
+}
+
+/**
+ * Count the dictionary matches of a dictation on their entries
+ * @param {Array} entries - Mutated: hits and lastUsedAt are updated
+ * @param {Array} matches - From applyDictionaryEntries
+ * @param {number} [now]
+ * @returns {number} How many entries were updated
+ */
+function recordEntryUsage(entries, matches, now = Date.now()) {
+  const usedAt = new Date(now).toISOString();
+  const used = new Set(matches.map(match => match.entryId));
+  let updated = 0;
+  for (const entry of entries) {
+    if (!used.has(entry.id)) continue;
+    entry.hits = (entry.hits || 0) + matches.filter(match => match.entryId === entry.id).length;
+    entry.lastUsedAt = usedAt;
+    updated++;
+  }
+  return updated;
+}
+
+module.exports = {
+  WHISPER_PROMPT_TOKEN_LIMIT,
+  estimateWhisperTokens,
+  scoreDictionaryEntry,
+  selectWhisperPromptTerms,
+  recordEntryUsage
+};